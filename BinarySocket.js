@@ -14,7 +14,52 @@
  * - payloadLength: uint32 (4 bytes, big-endian)
  * - checksum: uint32 (4 bytes, CRC32)
  * - nonce: uint64 (8 bytes, big-endian, monotonically increasing)
+ * 
+ * Received nonces go through a sliding replay window, so bounded reordering
+ * is tolerated but every nonce is accepted once. Session keys move to a new
+ * epoch (KEY_UPDATE, re-derived through HKDF) after keyRotationPackets
+ * packets or keyRotationMs, both off by default and only ever used once the
+ * server advertises KEY_UPDATE in SESSION_ACK. Dropped packets are reported
+ * as serverError events with local: true and a RejectReason message.
+ */
+
+/**
+ * Sliding anti-replay window over uint64 nonces (RFC 4303 style). Nonces
+ * up to size - 1 below the highest accepted one may still arrive once, in
+ * any order; anything older or seen before is rejected. check() is
+ * read-only so only authenticated packets move the window via accept().
  */
+class NonceReplayWindow {
+    constructor(size = 64) {
+        this.size = BigInt(size);
+        this.mask = (BigInt(1) << this.size) - BigInt(1);
+        this.reset();
+    }
+    
+    /** Start over with `floor` counted as already used. */
+    reset(floor = BigInt(0)) {
+        this.highest = floor;
+        this.bitmap = BigInt(1);   // bit i: nonce (highest - i) seen
+    }
+    
+    /** @returns {string|null} 'NONCE_TOO_OLD' / 'REPLAY_NONCE', or null if the nonce is fresh */
+    check(nonce) {
+        if (nonce > this.highest) return null;
+        const offset = this.highest - nonce;
+        if (offset >= this.size) return 'NONCE_TOO_OLD';
+        return ((this.bitmap >> offset) & BigInt(1)) ? 'REPLAY_NONCE' : null;
+    }
+    
+    accept(nonce) {
+        if (nonce > this.highest) {
+            const shift = nonce - this.highest;
+            this.bitmap = shift >= this.size ? BigInt(1) : ((this.bitmap << shift) | BigInt(1)) & this.mask;
+            this.highest = nonce;
+        } else {
+            this.bitmap |= BigInt(1) << (this.highest - nonce);
+        }
+    }
+}
 
 class BinarySocket {
     constructor(options = {}) {
@@ -31,9 +76,28 @@ class BinarySocket {
         this.ecdhKeyPair = null;
         this.clientNonce32 = null;
         
-        // Nonce tracking (using BigInt for uint64)
+        // Nonce tracking (using BigInt for uint64); server nonces may arrive
+        // reordered within replayWindowSize
         this.clientNonce = BigInt(0);
-        this.lastServerNonce = BigInt(0);
+        this.replayWindow = new NonceReplayWindow(options.replayWindowSize || 64);
+        
+        // Key rotation: a new key epoch after keyRotationPackets packets (both
+        // directions) or keyRotationMs on one key; 0 disables either trigger.
+        // Off by default, and never attempted unless the server's SESSION_ACK
+        // sets the KEY_UPDATE flag (a backend without it would stop verifying).
+        this.keyRotationPackets = options.keyRotationPackets || 0;
+        this.keyRotationMs = options.keyRotationMs || 0;
+        this.serverKeyUpdate = false;
+        this.keyEpoch = 0;
+        this.keyEpochStartedAt = 0;
+        this.packetsUnderKey = 0;
+        this.previousKeys = null;   // still accepted until the server's first packet under the new epoch
+        this.retiredKeys = null;    // only used to classify late packets as STALE_KEY
+        this._keyMaterial = null;   // raw encryption || HMAC key of the current epoch
+        this._keySalt = null;
+        this._transcriptHash = null;
+        this._rotating = null;
+        this._sendChain = Promise.resolve();   // wire order = nonce order (see _sendSealed)
         
         // Event handlers
         this.handlers = new Map();
@@ -44,6 +108,17 @@ class BinarySocket {
         this.reconnectDelay = options.reconnectDelay || 1000;
         this.autoReconnect = options.autoReconnect !== false;
         
+        // Session resumption: ticket from the last SESSION_ACK; keys and
+        // nonces survive a dropped connection until resumeWindowMs runs out.
+        // A resume request unanswered after resumeTimeoutMs counts as rejected.
+        this.resumeTicket = null;
+        this.resumeWindowMs = 0;
+        this.resumeTimeoutMs = options.resumeTimeoutMs || 5000;
+        this.disconnectedAt = null;
+        this.resuming = false;
+        this._resumeTimer = null;
+        this._handshakeInFlight = null;
+        
         // Protocol constants (V2) - Exact PDF Specification
         this.PROTOCOL_VERSION = 2;
         this.HEADER_SIZE = 19;
@@ -51,6 +126,19 @@ class BinarySocket {
         this.HMAC_SIZE = 32;
         this.NONCE_SIZE = 12;
         
+        // Unencrypted handshake header byte 1
+        this.HandshakeFlags = {
+            FULL: 0,             // ECDH handshake request / response
+            RESUME: 1,           // Resume request: [ticket][oldestPendingShot u32][HMAC]
+            RESUME_REJECTED: 2   // Server refused the ticket; do a full handshake
+        };
+        
+        // SESSION_ACK flags byte
+        this.SessionAckFlags = {
+            RESUMED: 1,          // Answer to a resume request
+            KEY_UPDATE: 2        // Server accepts KEY_UPDATE key rotation
+        };
+        
         // Packet IDs (uint16, must match backend Protocol V2)
         this.PacketId = {
             // Handshake & Session (0x0001 - 0x000F)
@@ -58,6 +146,7 @@ class BinarySocket {
             HANDSHAKE_RESPONSE: 0x0002,
             SESSION_INIT: 0x0003,
             SESSION_ACK: 0x0004,
+            KEY_UPDATE: 0x0005,
             
             // Game Actions (0x0010 - 0x001F)
             SHOT_FIRED: 0x0010,
@@ -70,6 +159,7 @@ class BinarySocket {
             FISH_SPAWN: 0x0021,
             FISH_DEATH: 0x0022,
             FISH_UPDATE: 0x0023,
+            SNAPSHOT_ACK: 0x0024,
             
             // Boss Events (0x0030 - 0x003F)
             BOSS_SPAWN: 0x0030,
@@ -87,16 +177,40 @@ class BinarySocket {
             ROOM_LEAVE: 0x0052,
             ROOM_STATE: 0x0053,
             GAME_START: 0x0054,
+            ROOM_SPECTATE: 0x0055,
+            ROOM_LIST_REQUEST: 0x0056,
+            ROOM_LIST: 0x0057,
+            QUICK_MATCH: 0x0058,
             
             // Time Sync (0x0060 - 0x006F)
             TIME_SYNC_PING: 0x0060,
             TIME_SYNC_PONG: 0x0061,
             
+            // Chat (0x0070 - 0x007F)
+            CHAT_SEND: 0x0070,
+            CHAT_MESSAGE: 0x0071,
+            
             // System (0x00F0 - 0x00FF)
             ERROR: 0x00F0,
             DISCONNECT: 0x00FF
         };
         
+        // Why a packet was dropped; the server's ERROR messages use the same strings.
+        // Packets this client drops are reported as serverError { message, local: true }.
+        this.RejectReason = {
+            TOO_SHORT: 'BAD_PACKET: too short',
+            VERSION: 'BAD_PACKET: version',
+            LENGTH: 'BAD_PACKET: length',
+            CHECKSUM: 'BAD_PACKET: checksum',
+            HMAC: 'BAD_PACKET: hmac',
+            DECRYPT: 'BAD_PACKET: decrypt',
+            PAYLOAD: 'BAD_PACKET: payload',
+            REPLAY: 'REPLAY_NONCE',
+            NONCE_TOO_OLD: 'NONCE_TOO_OLD',
+            STALE_KEY: 'STALE_KEY',
+            BAD_KEY_EPOCH: 'BAD_KEY_EPOCH'
+        };
+        
         // Binary field sizes for payload encoding (must match backend packets.js)
         this.BinaryFieldSizes = {
             PLAYER_ID: 16,      // Backend: 16 bytes
@@ -113,15 +227,27 @@ class BinarySocket {
             TIMESTAMP: 8,
             PUBLIC_KEY: 65,
             NONCE_32: 32,
-            SALT: 32
+            SALT: 32,
+            RESUME_TICKET: 32,
+            CHAT_TEXT: 320      // UTF-8: ChatLimits.MAX_LENGTH characters at up to 4 bytes each
         };
         
+        // Chat message kinds and the quick emotes (CHAT_SEND / CHAT_MESSAGE emoteId
+        // indexes ChatEmotes); the server reads both tables from here
+        this.ChatKind = { TEXT: 0, EMOTE: 1 };
+        this.ChatEmotes = ['Nice shot!', 'Boss incoming', 'Good luck!', 'Thanks!', 'Over here!', 'Oops!'];
+        this.ChatLimits = { MAX_LENGTH: 80 };
+        
         // CRC32 table (pre-computed for performance)
         this.crcTable = this._generateCRCTable();
         
         // Pending shot callbacks
         this.pendingShots = new Map();
         this.shotSequenceId = 0;
+        
+        // SHOT_FIRED payloads without a HIT_RESULT yet, replayed after a resume
+        this.unackedShots = new Map();
+        this.maxUnackedShots = 64;
     }
     
     /**
@@ -164,7 +290,12 @@ class BinarySocket {
                     console.log('[BinarySocket] Connected to server');
                     this.connected = true;
                     this.reconnectAttempts = 0;
-                    this._sendHandshake();
+                    if (this._canResume()) {
+                        this._sendResume();
+                    } else {
+                        if (this.encryptionKey) this._clearSession();  // resume window ran out
+                        this._sendHandshake();
+                    }
                     resolve();
                 };
                 
@@ -175,12 +306,14 @@ class BinarySocket {
                 this.ws.onclose = (event) => {
                     console.log('[BinarySocket] Connection closed:', event.code, event.reason);
                     this.connected = false;
-                    // Clear session state on close to allow fresh handshake on reconnect
-                    this.encryptionKey = null;
-                    this.hmacKey = null;
-                    this.sessionId = null;
-                    this.lastServerNonce = BigInt(0);
-                    this._emit('disconnect', { code: event.code, reason: event.reason });
+                    this.resuming = false;
+                    this._clearResumeTimer();
+                    if (this.disconnectedAt === null) this.disconnectedAt = Date.now();
+                    // Keep keys and nonces while the session can be resumed,
+                    // otherwise clear them to allow a fresh handshake on reconnect
+                    const resumable = this._canResume();
+                    if (!resumable) this._clearSession();
+                    this._emit('disconnect', { code: event.code, reason: event.reason, resumable });
                     
                     if (this.autoReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
                         this._scheduleReconnect();
@@ -208,9 +341,47 @@ class BinarySocket {
             this.ws = null;
         }
         this.connected = false;
+        this._clearSession();
+    }
+    
+    /**
+     * Drop the session: keys, nonce window, resume ticket and any shots
+     * still waiting to be replayed (their callers get { lost: true }).
+     */
+    _clearSession() {
         this.encryptionKey = null;
         this.hmacKey = null;
         this.sessionId = null;
+        this.replayWindow.reset();
+        this.keyEpoch = 0;
+        this.packetsUnderKey = 0;
+        this.previousKeys = null;
+        this.retiredKeys = null;
+        this.serverKeyUpdate = false;
+        this._keyMaterial = null;
+        this._keySalt = null;
+        this._transcriptHash = null;
+        this.resumeTicket = null;
+        this.resuming = false;
+        this._clearResumeTimer();
+        this.disconnectedAt = null;
+        for (const shotSequenceId of this.unackedShots.keys()) {
+            const callback = this.pendingShots.get(shotSequenceId);
+            if (callback) {
+                this.pendingShots.delete(shotSequenceId);
+                callback({ lost: true, shotSequenceId });
+            }
+        }
+        this.unackedShots.clear();
+    }
+    
+    /**
+     * Whether the next connection can resume the current session instead
+     * of running a new ECDH handshake
+     */
+    _canResume() {
+        return this.autoReconnect && this.resumeTicket !== null && this.encryptionKey !== null &&
+            (this.disconnectedAt === null || Date.now() - this.disconnectedAt < this.resumeWindowMs);
     }
     
     /**
@@ -285,6 +456,96 @@ class BinarySocket {
         }
     }
     
+    /**
+     * Send a resume request instead of a handshake (session resumption)
+     * Format: [version (1)] + [RESUME flag (1)] + [payloadLength (2)] +
+     *         [ticket (32)] + [oldestPendingShot (4)] + [HMAC (32)]
+     * The HMAC, under the old session's key, proves the ticket holder owns
+     * the session; the server answers with SESSION_ACK or RESUME_REJECTED.
+     */
+    async _sendResume() {
+        try {
+            this.resuming = true;
+            const body = new Uint8Array(this.BinaryFieldSizes.RESUME_TICKET + 4);
+            body.set(this.resumeTicket, 0);
+            const pending = Array.from(this.unackedShots.keys());
+            const oldestPendingShot = pending.length > 0 ? Math.min(...pending) : 0;
+            new DataView(body.buffer).setUint32(this.BinaryFieldSizes.RESUME_TICKET, oldestPendingShot, false);
+            
+            const mac = await this._computeHMAC(this._concatBuffers(
+                new TextEncoder().encode('fishshoot-v2 session resume'),
+                body
+            ));
+            const payload = this._concatBuffers(body, mac);
+            
+            const header = new Uint8Array(4);
+            header[0] = this.PROTOCOL_VERSION;
+            header[1] = this.HandshakeFlags.RESUME;
+            new DataView(header.buffer).setUint16(2, payload.length, false);
+            
+            this.ws.send(this._concatBuffers(header, payload));
+            console.log('[BinarySocket] Resume request sent:', this.sessionId);
+            this._resumeTimer = setTimeout(() => {
+                this._resumeTimer = null;
+                if (!this.resuming) return;
+                console.warn(`[BinarySocket] No answer to the resume request in ${this.resumeTimeoutMs}ms`);
+                this._handleResumeRejected();
+            }, this.resumeTimeoutMs);
+        } catch (error) {
+            console.error('[BinarySocket] Failed to send resume request:', error);
+            this._emit('error', { type: 'handshake_error', message: error.message });
+        }
+    }
+    
+    _clearResumeTimer() {
+        if (this._resumeTimer) {
+            clearTimeout(this._resumeTimer);
+            this._resumeTimer = null;
+        }
+    }
+    
+    /**
+     * Server refused the resume ticket (expired, unknown or bad proof) or
+     * never answered: drop the old session and fall back to a full handshake
+     * on this connection
+     */
+    async _handleResumeRejected() {
+        this._clearResumeTimer();
+        console.log('[BinarySocket] Session resume rejected, starting a new session');
+        const sessionId = this.sessionId;
+        this._clearSession();
+        this._emit('resumeFailed', { sessionId });
+        await this._sendHandshake();
+    }
+    
+    /**
+     * SESSION_ACK: store the resume ticket. After a resume, replay every
+     * SHOT_FIRED the server has not seen (sequence above its last processed
+     * shot); shots it has seen get their HIT_RESULT resent by the server.
+     */
+    async _handleSessionAck(payload) {
+        this._clearResumeTimer();
+        this.serverKeyUpdate = payload.keyUpdate;
+        this.resumeTicket = payload.ticket;
+        this.resumeWindowMs = payload.resumeWindowMs;
+        this.disconnectedAt = null;
+        if (!payload.resumed) return;
+        
+        this.resuming = false;
+        let replayedShots = 0;
+        for (const [shotSequenceId, shot] of this.unackedShots) {
+            if (shotSequenceId <= payload.lastShotSequenceId) continue;
+            await this.sendPacket(this.PacketId.SHOT_FIRED, shot);
+            replayedShots++;
+        }
+        console.log(`[BinarySocket] Session resumed: ${this.sessionId} (${replayedShots} shots replayed)`);
+        this._emit('resumed', {
+            sessionId: this.sessionId,
+            lastShotSequenceId: payload.lastShotSequenceId,
+            replayedShots
+        });
+    }
+    
     /**
      * Handle incoming message (Protocol V2)
      */
@@ -294,6 +555,15 @@ class BinarySocket {
             return;
         }
         
+        // A resume request is answered by SESSION_ACK (encrypted) or a bare rejection header
+        if (this.resuming && data.byteLength === 4) {
+            const view = new DataView(data);
+            if (view.getUint8(0) === this.PROTOCOL_VERSION && view.getUint8(1) === this.HandshakeFlags.RESUME_REJECTED) {
+                await this._handleResumeRejected();
+                return;
+            }
+        }
+        
         // Check if this is a handshake response (before encryption is established)
         // Handshake response header: [version (1)] + [reserved (1)] + [payloadLength (2)]
         if (!this.encryptionKey && data.byteLength >= 4) {
@@ -304,11 +574,16 @@ class BinarySocket {
             // Verify this looks like a handshake response
             if (version === this.PROTOCOL_VERSION && data.byteLength === 4 + payloadLength) {
                 const payload = data.slice(4);
-                await this._handleHandshakeResponse(payload);
+                this._handshakeInFlight = this._handleHandshakeResponse(payload);
+                await this._handshakeInFlight;
+                this._handshakeInFlight = null;
                 return;
             }
         }
         
+        // Packets sent right after the handshake response (SESSION_ACK) need its keys
+        if (this._handshakeInFlight) await this._handshakeInFlight;
+        
         // Process encrypted binary packet
         await this._processBinaryPacket(data);
     }
@@ -372,21 +647,20 @@ class BinarySocket {
             const sessionKeys = await this._deriveSessionKeys(sharedSecret, salt, transcriptHash);
             
             // Import derived keys for Web Crypto API
-            this.encryptionKey = await crypto.subtle.importKey(
-                'raw',
-                sessionKeys.encryptionKey,
-                { name: 'AES-GCM', length: 256 },
-                false,
-                ['encrypt', 'decrypt']
-            );
+            const keys = await this._importSessionKeys(sessionKeys);
+            this.encryptionKey = keys.encryptionKey;
+            this.hmacKey = keys.hmacKey;
             
-            this.hmacKey = await crypto.subtle.importKey(
-                'raw',
-                sessionKeys.hmacKey,
-                { name: 'HMAC', hash: 'SHA-256' },
-                false,
-                ['sign', 'verify']
-            );
+            // Kept for key rotation, which re-derives from the current epoch's keys
+            this._keyMaterial = this._concatBuffers(sessionKeys.encryptionKey, sessionKeys.hmacKey);
+            this._keySalt = salt;
+            this._transcriptHash = transcriptHash;
+            this.keyEpoch = 0;
+            this.keyEpochStartedAt = Date.now();
+            this.packetsUnderKey = 0;
+            this.previousKeys = null;
+            this.retiredKeys = null;
+            this.serverKeyUpdate = false;   // until this session's SESSION_ACK says otherwise
             
             console.log('[BinarySocket] ECDH session established:', this.sessionId);
             this._emit('connected', { sessionId: this.sessionId });
@@ -463,73 +737,194 @@ class BinarySocket {
         };
     }
     
+    /**
+     * Import raw session keys for Web Crypto API
+     */
+    async _importSessionKeys(sessionKeys) {
+        const encryptionKey = await crypto.subtle.importKey(
+            'raw',
+            sessionKeys.encryptionKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        const hmacKey = await crypto.subtle.importKey(
+            'raw',
+            sessionKeys.hmacKey,
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+        return { encryptionKey, hmacKey };
+    }
+    
+    // ==================== Key Rotation ====================
+    
+    /**
+     * Derive the keys of a key epoch through the handshake's HKDF path:
+     * the previous epoch's keys are the input key material, and the
+     * transcript hash is bound to the epoch number.
+     */
+    async _deriveEpochKeys(epoch) {
+        const material = this._keyMaterial;
+        const salt = this._keySalt;
+        const epochBytes = new Uint8Array(4);
+        new DataView(epochBytes.buffer).setUint32(0, epoch, false);
+        const binding = new Uint8Array(await crypto.subtle.digest('SHA-256',
+            this._concatBuffers(this._transcriptHash, epochBytes)));
+        const sessionKeys = await this._deriveSessionKeys(material, salt, binding);
+        return {
+            material: this._concatBuffers(sessionKeys.encryptionKey, sessionKeys.hmacKey),
+            keys: await this._importSessionKeys(sessionKeys)
+        };
+    }
+    
+    _keyRotationDue() {
+        if (this._rotating || !this._keyMaterial || !this.serverKeyUpdate) return false;
+        return (this.keyRotationPackets > 0 && this.packetsUnderKey >= this.keyRotationPackets) ||
+            (this.keyRotationMs > 0 && Date.now() - this.keyEpochStartedAt >= this.keyRotationMs);
+    }
+    
+    /**
+     * Move to the next key epoch: KEY_UPDATE goes out under the old keys,
+     * everything after it under the new ones. The old keys keep decrypting
+     * server packets until the server's first packet under the new epoch.
+     */
+    async rotateKeys() {
+        if (this._rotating) return this._rotating;
+        this._rotating = (async () => {
+            if (!this.isReady()) throw new Error('Not connected or session not established');
+            if (!this.serverKeyUpdate) throw new Error('Server does not support KEY_UPDATE');
+            const epoch = this.keyEpoch + 1;
+            const session = this._keyMaterial;
+            const next = await this._deriveEpochKeys(epoch);
+            // Disconnected or re-handshaken while deriving: nothing left to rotate
+            if (this._keyMaterial !== session) return;
+            await this._sendSealed(this.PacketId.KEY_UPDATE, { epoch });
+            this.previousKeys = { encryptionKey: this.encryptionKey, hmacKey: this.hmacKey };
+            this.encryptionKey = next.keys.encryptionKey;
+            this.hmacKey = next.keys.hmacKey;
+            this._keyMaterial = next.material;
+            this.keyEpoch = epoch;
+            this.keyEpochStartedAt = Date.now();
+            this.packetsUnderKey = 0;
+            console.log('[BinarySocket] Rotated to key epoch', epoch);
+            this._emit('keyRotated', { epoch });
+        })();
+        try {
+            await this._rotating;
+        } finally {
+            this._rotating = null;
+        }
+    }
+    
+    /**
+     * Drop a packet and report why as serverError { code, message, local: true }
+     */
+    _rejectPacket(reason, packetId, nonce) {
+        console.warn(`[BinarySocket] Rejected packet (${reason})`);
+        this._emit('serverError', { code: 0, message: reason, local: true, packetId, nonce });
+    }
+    
     /**
      * Process binary packet with full security pipeline (Protocol V2)
      * Header (19 bytes): [version (1)] + [packetId (2)] + [payloadLength (4)] + [checksum (4)] + [nonce (8)]
      */
     async _processBinaryPacket(buffer) {
-        try {
-            const view = new DataView(buffer);
-            
-            // Step 1: Read Header (19 bytes)
-            if (buffer.byteLength < this.HEADER_SIZE) {
-                throw new Error('Packet too small for header');
-            }
-            
-            // Parse 19-byte header (exact PDF specification)
-            const protocolVersion = view.getUint8(0);
-            const packetId = view.getUint16(1, false); // uint16 big-endian at offset 1
-            const payloadLength = view.getUint32(3, false); // big-endian at offset 3
-            const checksum = view.getUint32(7, false); // at offset 7
-            const nonce = view.getBigUint64(11, false); // uint64 big-endian at offset 11
-            
-            // Step 2: Validate protocol version
-            if (protocolVersion !== this.PROTOCOL_VERSION) {
-                throw new Error(`Invalid protocol version: ${protocolVersion}, expected ${this.PROTOCOL_VERSION}`);
-            }
-            
-            // Step 3: Verify checksum (over first 7 bytes of header + encrypted payload + tag)
-            const headerForChecksum = new Uint8Array(buffer, 0, 7);
-            const encryptedPayloadWithTag = new Uint8Array(buffer, this.HEADER_SIZE, payloadLength + this.GCM_TAG_SIZE);
-            const dataForChecksum = this._concatBuffers(headerForChecksum, encryptedPayloadWithTag);
-            const calculatedChecksum = this._calculateCRC32(dataForChecksum);
-            
-            if (calculatedChecksum !== checksum) {
-                throw new Error('Checksum mismatch');
-            }
-            
-            // Step 4: Verify HMAC
-            const dataEnd = this.HEADER_SIZE + payloadLength + this.GCM_TAG_SIZE;
-            const dataForHMAC = new Uint8Array(buffer, 0, dataEnd);
-            const receivedHMAC = new Uint8Array(buffer, dataEnd, this.HMAC_SIZE);
-            
-            const isValidHMAC = await this._verifyHMAC(dataForHMAC, receivedHMAC);
-            if (!isValidHMAC) {
-                throw new Error('HMAC verification failed');
-            }
-            
-            // Step 5: Decrypt AES-GCM payload
-            const encrypted = new Uint8Array(buffer, this.HEADER_SIZE, payloadLength);
-            const authTag = new Uint8Array(buffer, this.HEADER_SIZE + payloadLength, this.GCM_TAG_SIZE);
-            
-            const decrypted = await this._decryptPayload(encrypted, authTag, nonce);
-            
-            // Step 6: Validate nonce (monotonic) using BigInt comparison
-            if (nonce <= this.lastServerNonce) {
-                throw new Error('Invalid nonce (replay attack detected)');
+        const reject = this.RejectReason;
+        if (buffer.byteLength < this.HEADER_SIZE) {
+            return this._rejectPacket(reject.TOO_SHORT, null, null);
+        }
+        const view = new DataView(buffer);
+        
+        // Step 1: Parse 19-byte header (exact PDF specification)
+        const protocolVersion = view.getUint8(0);
+        const packetId = view.getUint16(1, false); // uint16 big-endian at offset 1
+        const payloadLength = view.getUint32(3, false); // big-endian at offset 3
+        const checksum = view.getUint32(7, false); // at offset 7
+        const nonce = view.getBigUint64(11, false); // uint64 big-endian at offset 11
+        
+        // Step 2: Validate protocol version and length
+        if (protocolVersion !== this.PROTOCOL_VERSION) {
+            return this._rejectPacket(reject.VERSION, packetId, nonce);
+        }
+        if (buffer.byteLength !== this.HEADER_SIZE + payloadLength + this.GCM_TAG_SIZE + this.HMAC_SIZE) {
+            return this._rejectPacket(reject.LENGTH, packetId, nonce);
+        }
+        
+        // Step 3: Verify checksum (over first 7 bytes of header + encrypted payload + tag)
+        const headerForChecksum = new Uint8Array(buffer, 0, 7);
+        const encryptedPayloadWithTag = new Uint8Array(buffer, this.HEADER_SIZE, payloadLength + this.GCM_TAG_SIZE);
+        const dataForChecksum = this._concatBuffers(headerForChecksum, encryptedPayloadWithTag);
+        if (this._calculateCRC32(dataForChecksum) !== checksum) {
+            return this._rejectPacket(reject.CHECKSUM, packetId, nonce);
+        }
+        
+        // Step 4: Nonce must be new to the replay window (read-only check)
+        const replay = this.replayWindow.check(nonce);
+        if (replay) return this._rejectPacket(replay, packetId, nonce);
+        
+        // Step 5: Verify HMAC under the current key epoch, or the previous one
+        // while the server has not switched yet
+        const dataEnd = this.HEADER_SIZE + payloadLength + this.GCM_TAG_SIZE;
+        const dataForHMAC = new Uint8Array(buffer, 0, dataEnd);
+        const receivedHMAC = new Uint8Array(buffer, dataEnd, this.HMAC_SIZE);
+        let keys = { encryptionKey: this.encryptionKey, hmacKey: this.hmacKey };
+        if (!(await this._verifyHMAC(dataForHMAC, receivedHMAC, keys.hmacKey))) {
+            if (this.previousKeys && await this._verifyHMAC(dataForHMAC, receivedHMAC, this.previousKeys.hmacKey)) {
+                keys = this.previousKeys;
+            } else if (this.retiredKeys && await this._verifyHMAC(dataForHMAC, receivedHMAC, this.retiredKeys.hmacKey)) {
+                return this._rejectPacket(reject.STALE_KEY, packetId, nonce);
+            } else {
+                return this._rejectPacket(reject.HMAC, packetId, nonce);
             }
-            this.lastServerNonce = nonce;
-            
-            // Step 7: Parse binary payload and dispatch
-            const payload = this._decodeBinaryPayload(packetId, decrypted);
-            this._dispatchPacket(packetId, payload);
-            
+        } else if (this.previousKeys) {
+            // Server is on the new epoch: the old keys are done
+            this.retiredKeys = this.previousKeys;
+            this.previousKeys = null;
+        }
+        
+        // Step 6: Decrypt AES-GCM payload
+        const encrypted = new Uint8Array(buffer, this.HEADER_SIZE, payloadLength);
+        const authTag = new Uint8Array(buffer, this.HEADER_SIZE + payloadLength, this.GCM_TAG_SIZE);
+        let decrypted;
+        try {
+            decrypted = await this._decryptPayload(encrypted, authTag, nonce, keys.encryptionKey);
+        } catch (error) {
+            return this._rejectPacket(reject.DECRYPT, packetId, nonce);
+        }
+        
+        // Step 7: Authentic; the nonce moves the window (checked again, another
+        // copy may have finished first)
+        const late = this.replayWindow.check(nonce);
+        if (late) return this._rejectPacket(late, packetId, nonce);
+        this.replayWindow.accept(nonce);
+        this.packetsUnderKey++;
+        
+        // Step 8: Parse binary payload and dispatch
+        let payload;
+        try {
+            payload = this._decodeBinaryPayload(packetId, decrypted);
         } catch (error) {
-            console.error('[BinarySocket] Error processing packet:', error);
-            this._emit('error', { type: 'packet_error', message: error.message });
+            return this._rejectPacket(reject.PAYLOAD, packetId, nonce);
+        }
+        this._dispatchPacket(packetId, payload);
+        
+        if (this._keyRotationDue() && this.isReady()) {
+            this.rotateKeys().catch((error) => {
+                console.error('[BinarySocket] Key rotation failed:', error);
+                this._emit('error', { type: 'key_rotation_error', message: error.message });
+            });
         }
     }
     
+    /**
+     * Highest server nonce accepted so far
+     */
+    get lastServerNonce() {
+        return this.replayWindow.highest;
+    }
+    
     /**
      * Decode binary payload based on packet type
      */
@@ -545,16 +940,22 @@ class BinarySocket {
                 return this._decodeFishSpawn(view, buffer);
             case this.PacketId.FISH_DEATH:
                 return this._decodeFishDeath(view, buffer);
+            case this.PacketId.FISH_UPDATE:
+                return this._decodeFishUpdate(view, buffer);
             case this.PacketId.PLAYER_JOIN:
                 return this._decodePlayerJoin(view, buffer);
             case this.PacketId.PLAYER_LEAVE:
                 return this._decodePlayerLeave(view, buffer);
+            case this.PacketId.CHAT_MESSAGE:
+                return this._decodeChatMessage(view, buffer);
             case this.PacketId.ROOM_STATE:
                 return this._decodeRoomState(view, buffer);
             case this.PacketId.TIME_SYNC_PONG:
                 return this._decodeTimeSyncPong(view, buffer);
             case this.PacketId.ERROR:
                 return this._decodeError(view, buffer);
+            case this.PacketId.SESSION_ACK:
+                return this._decodeSessionAck(view, buffer);
             default:
                 // Fallback to JSON for unknown packet types
                 try {
@@ -627,6 +1028,18 @@ class BinarySocket {
         return { fishId, killedBy, reward };
     }
     
+    /**
+     * FISH_UPDATE is either a JSON fish list (legacy) or a binary snapshot
+     * delta (snapshot_delta.js), which is passed through undecoded because
+     * only the receiver holds the baselines.
+     */
+    _decodeFishUpdate(view, buffer) {
+        if (buffer.byteLength > 0 && view.getUint8(0) === 0x7B) { // '{'
+            return JSON.parse(new TextDecoder().decode(buffer));
+        }
+        return { delta: new Uint8Array(buffer) };
+    }
+    
     _decodePlayerJoin(view, buffer) {
         let offset = 0;
         const playerIdBytes = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, 32);
@@ -670,6 +1083,44 @@ class BinarySocket {
         return { seq, serverTime, clientSendTime };
     }
     
+    /**
+     * SESSION_ACK: [flags (1, SessionAckFlags)] + [resumeTicket (32)] +
+     *              [resumeWindowMs (4)] + [lastShotSequenceId (4)]
+     */
+    _decodeSessionAck(view, buffer) {
+        let offset = 0;
+        const flags = view.getUint8(offset); offset += 1;
+        const resumed = (flags & this.SessionAckFlags.RESUMED) !== 0;
+        const keyUpdate = (flags & this.SessionAckFlags.KEY_UPDATE) !== 0;
+        const ticket = buffer.slice(offset, offset + this.BinaryFieldSizes.RESUME_TICKET);
+        offset += this.BinaryFieldSizes.RESUME_TICKET;
+        const resumeWindowMs = view.getUint32(offset, false); offset += 4;
+        const lastShotSequenceId = view.getUint32(offset, false); offset += 4;
+        return { resumed, keyUpdate, ticket, resumeWindowMs, lastShotSequenceId };
+    }
+    
+    /**
+     * CHAT_MESSAGE: senderId(32) + senderName(32) + slotIndex(1, 255 = no seat)
+     * + kind(1) + emoteId(1) + text(320) + timestamp(8)
+     */
+    _decodeChatMessage(view, buffer) {
+        let offset = 0;
+        const senderIdBytes = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, 32);
+        const senderId = new TextDecoder().decode(senderIdBytes).replace(/\0+$/, '');
+        offset += 32;
+        const senderNameBytes = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, this.BinaryFieldSizes.PLAYER_NAME);
+        const senderName = new TextDecoder().decode(senderNameBytes).replace(/\0+$/, '');
+        offset += this.BinaryFieldSizes.PLAYER_NAME;
+        const slot = view.getUint8(offset); offset += 1;
+        const kind = view.getUint8(offset); offset += 1;
+        const emoteId = view.getUint8(offset); offset += 1;
+        const textBytes = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, this.BinaryFieldSizes.CHAT_TEXT);
+        const text = new TextDecoder().decode(textBytes).replace(/\0+$/, '');
+        offset += this.BinaryFieldSizes.CHAT_TEXT;
+        const timestamp = Number(view.getBigUint64(offset, false));
+        return { senderId, senderName, slotIndex: slot === 255 ? null : slot, kind, emoteId, text, timestamp };
+    }
+    
     _decodeError(view, buffer) {
         let offset = 0;
         const code = view.getUint8(offset); offset += 1;
@@ -758,17 +1209,39 @@ class BinarySocket {
     }
     
     /**
-     * Encode ROOM_CREATE packet (41 bytes)
-     * Format: playerName(32) + isPublic(1) + timestamp(8)
+     * Encode ROOM_CREATE packet (41 bytes, 43 with a stake range)
+     * Format: playerName(32) + isPublic(1) + timestamp(8) [+ minCoinValue(1) + maxCoinValue(1)]
      */
     _encodeRoomCreate(data) {
-        const buffer = new ArrayBuffer(41);
+        const withStake = data.minCoinValue !== undefined && data.maxCoinValue !== undefined;
+        const buffer = new ArrayBuffer(withStake ? 43 : 41);
         const view = new DataView(buffer);
         const uint8View = new Uint8Array(buffer);
         let offset = 0;
         
         offset = this._writeString(uint8View, offset, data.playerName, this.BinaryFieldSizes.PLAYER_NAME);
         view.setUint8(offset, data.isPublic ? 1 : 0); offset += 1;
+        this._writeUint64(view, offset, data.timestamp || Date.now()); offset += 8;
+        if (withStake) {
+            view.setUint8(offset, data.minCoinValue); offset += 1;
+            view.setUint8(offset, data.maxCoinValue);
+        }
+        
+        return new Uint8Array(buffer);
+    }
+    
+    /**
+     * Encode QUICK_MATCH packet (41 bytes)
+     * Format: playerName(32) + coinValue(1, 0 = any stake) + timestamp(8)
+     */
+    _encodeQuickMatch(data) {
+        const buffer = new ArrayBuffer(41);
+        const view = new DataView(buffer);
+        const uint8View = new Uint8Array(buffer);
+        let offset = 0;
+        
+        offset = this._writeString(uint8View, offset, data.playerName, this.BinaryFieldSizes.PLAYER_NAME);
+        view.setUint8(offset, data.coinValue || 0); offset += 1;
         this._writeUint64(view, offset, data.timestamp || Date.now());
         
         return new Uint8Array(buffer);
@@ -791,6 +1264,24 @@ class BinarySocket {
         return new Uint8Array(buffer);
     }
     
+    /**
+     * Encode CHAT_SEND packet (330 bytes)
+     * Format: kind(1) + emoteId(1) + text(320) + timestamp(8)
+     */
+    _encodeChatSend(data) {
+        const buffer = new ArrayBuffer(2 + this.BinaryFieldSizes.CHAT_TEXT + 8);
+        const view = new DataView(buffer);
+        const uint8View = new Uint8Array(buffer);
+        let offset = 0;
+        
+        view.setUint8(offset, data.kind); offset += 1;
+        view.setUint8(offset, data.emoteId || 0); offset += 1;
+        offset = this._writeString(uint8View, offset, data.text, this.BinaryFieldSizes.CHAT_TEXT);
+        this._writeUint64(view, offset, data.timestamp || Date.now());
+        
+        return new Uint8Array(buffer);
+    }
+    
     /**
      * Encode ROOM_LEAVE packet (8 bytes)
      * Format: timestamp(8)
@@ -839,6 +1330,30 @@ class BinarySocket {
         return new Uint8Array(buffer);
     }
     
+    /**
+     * Encode SNAPSHOT_ACK packet (5 bytes)
+     * Format: ackSeq(4) + flags(1), flags bit 0 = request a full snapshot
+     */
+    _encodeSnapshotAck(data) {
+        const buffer = new ArrayBuffer(5);
+        const view = new DataView(buffer);
+        
+        view.setUint32(0, data.ackSeq || 0, false);
+        view.setUint8(4, data.flags || 0);
+        
+        return new Uint8Array(buffer);
+    }
+    
+    /**
+     * Encode KEY_UPDATE packet (4 bytes)
+     * Format: epoch(4), the key epoch the sender switches to after this packet
+     */
+    _encodeKeyUpdate(data) {
+        const buffer = new ArrayBuffer(4);
+        new DataView(buffer).setUint32(0, data.epoch, false);
+        return new Uint8Array(buffer);
+    }
+    
     /**
      * Encode payload based on packet type (binary encoding)
      */
@@ -851,13 +1366,23 @@ class BinarySocket {
             case this.PacketId.ROOM_CREATE:
                 return this._encodeRoomCreate(payload);
             case this.PacketId.ROOM_JOIN:
+            case this.PacketId.ROOM_SPECTATE:   // same layout; the name is the spectator's
                 return this._encodeRoomJoin(payload);
             case this.PacketId.ROOM_LEAVE:
+            case this.PacketId.ROOM_LIST_REQUEST:   // timestamp only
                 return this._encodeRoomLeave(payload);
+            case this.PacketId.QUICK_MATCH:
+                return this._encodeQuickMatch(payload);
+            case this.PacketId.CHAT_SEND:
+                return this._encodeChatSend(payload);
             case this.PacketId.PLAYER_MOVEMENT:
                 return this._encodePlayerMovement(payload);
             case this.PacketId.TIME_SYNC_PING:
                 return this._encodeTimeSyncPing(payload);
+            case this.PacketId.SNAPSHOT_ACK:
+                return this._encodeSnapshotAck(payload);
+            case this.PacketId.KEY_UPDATE:
+                return this._encodeKeyUpdate(payload);
             default:
                 // Fallback to JSON for unknown packet types (should not happen in production)
                 console.warn(`[BinarySocket] No binary encoder for packet ID 0x${packetId.toString(16)}, using JSON fallback`);
@@ -868,7 +1393,7 @@ class BinarySocket {
     /**
      * Decrypt payload using AES-256-GCM (Protocol V2 with uint64 nonce)
      */
-    async _decryptPayload(encrypted, authTag, nonce) {
+    async _decryptPayload(encrypted, authTag, nonce, key = this.encryptionKey) {
         // Create IV from uint64 nonce (BigInt)
         // IV format: [8 bytes nonce big-endian] + [4 bytes zero padding]
         // Must match backend serializer.js encryptPayload()
@@ -884,7 +1409,7 @@ class BinarySocket {
         
         const decrypted = await crypto.subtle.decrypt(
             { name: 'AES-GCM', iv: iv },
-            this.encryptionKey,
+            key,
             ciphertext
         );
         
@@ -894,7 +1419,7 @@ class BinarySocket {
     /**
      * Encrypt payload using AES-256-GCM (Protocol V2 with uint64 nonce)
      */
-    async _encryptPayload(plaintext, nonce) {
+    async _encryptPayload(plaintext, nonce, key = this.encryptionKey) {
         // Create IV from uint64 nonce (BigInt)
         // IV format: [8 bytes nonce big-endian] + [4 bytes zero padding]
         // Must match backend serializer.js encryptPayload()
@@ -907,7 +1432,7 @@ class BinarySocket {
         
         const encrypted = await crypto.subtle.encrypt(
             { name: 'AES-GCM', iv: iv, tagLength: 128 },
-            this.encryptionKey,
+            key,
             plaintext
         );
         
@@ -922,10 +1447,10 @@ class BinarySocket {
     /**
      * Compute HMAC-SHA256
      */
-    async _computeHMAC(data) {
+    async _computeHMAC(data, key = this.hmacKey) {
         const signature = await crypto.subtle.sign(
             'HMAC',
-            this.hmacKey,
+            key,
             data
         );
         return new Uint8Array(signature);
@@ -934,8 +1459,8 @@ class BinarySocket {
     /**
      * Verify HMAC-SHA256
      */
-    async _verifyHMAC(data, expectedHMAC) {
-        const computed = await this._computeHMAC(data);
+    async _verifyHMAC(data, expectedHMAC, key = this.hmacKey) {
+        const computed = await this._computeHMAC(data, key);
         
         if (computed.length !== expectedHMAC.length) {
             return false;
@@ -975,19 +1500,50 @@ class BinarySocket {
      * Serialize and send a packet (Protocol V2)
      */
     async sendPacket(packetId, payload) {
-        if (!this.connected || !this.encryptionKey || !this.hmacKey) {
+        if (!this.connected || this.resuming || !this.encryptionKey || !this.hmacKey) {
             throw new Error('Not connected or session not established');
         }
         
+        // Nothing goes out while the key epoch changes
+        if (this._rotating) await this._rotating;
+        if (this._keyRotationDue()) await this.rotateKeys();
+        await this._sendSealed(packetId, payload);
+    }
+    
+    /**
+     * Encrypt, frame and send one packet under the current key epoch.
+     * Key and nonce are taken now; sealing runs concurrently but packets hit
+     * the socket in call order, so nothing sealed under an old epoch can go
+     * out after the KEY_UPDATE that retires it. A packet whose connection
+     * closed before its turn is dropped, like one lost on the wire.
+     */
+    _sendSealed(packetId, payload) {
+        const { ws, encryptionKey, hmacKey } = this;
+        
         // Increment nonce (BigInt for uint64)
         this.clientNonce = this.clientNonce + BigInt(1);
         const nonce = this.clientNonce;
+        this.packetsUnderKey++;
         
+        const sealing = this._sealPacket(packetId, payload, nonce, encryptionKey, hmacKey);
+        sealing.catch(() => {});   // reported through `sent` once it is this packet's turn
+        const sent = this._sendChain.then(() => sealing).then((packet) => {
+            if (ws !== this.ws || !this.connected) {
+                console.warn('[BinarySocket] Connection closed before packet ' + packetId + ' went out; dropped');
+                return;
+            }
+            ws.send(packet);
+        });
+        this._sendChain = sent.catch(() => {});
+        return sent;
+    }
+    
+    async _sealPacket(packetId, payload, nonce, encryptionKey, hmacKey) {
         // Serialize payload using binary encoder (100% PDF compliance - no JSON)
         const payloadBytes = this._encodeBinaryPayload(packetId, payload);
         
         // Encrypt payload
-        const { ciphertext, authTag } = await this._encryptPayload(payloadBytes, nonce);
+        const { ciphertext, authTag } = await this._encryptPayload(payloadBytes, nonce, encryptionKey);
         
         // Create header
         const header = this._createHeader(packetId, ciphertext.length, nonce);
@@ -1003,16 +1559,13 @@ class BinarySocket {
         
         // Compute HMAC
         const dataForHMAC = this._concatBuffers(header, this._concatBuffers(ciphertext, authTag));
-        const hmac = await this._computeHMAC(dataForHMAC);
+        const hmac = await this._computeHMAC(dataForHMAC, hmacKey);
         
         // Combine all parts
-        const packet = this._concatBuffers(
+        return this._concatBuffers(
             this._concatBuffers(header, this._concatBuffers(ciphertext, authTag)),
             hmac
         );
-        
-        // Send packet
-        this.ws.send(packet);
     }
     
     /**
@@ -1062,12 +1615,24 @@ class BinarySocket {
             case this.PacketId.GAME_START:
                 this._emit('gameStart', payload);
                 break;
+            case this.PacketId.ROOM_LIST:
+                this._emit('roomList', payload);
+                break;
+            case this.PacketId.CHAT_MESSAGE:
+                this._emit('chatMessage', payload);
+                break;
             case this.PacketId.TIME_SYNC_PONG:
                 this._handleTimeSyncPong(payload);
                 break;
             case this.PacketId.ERROR:
                 this._emit('serverError', payload);
                 break;
+            case this.PacketId.SESSION_ACK:
+                this._handleSessionAck(payload).catch((error) => {
+                    console.error('[BinarySocket] Failed to replay shots after resume:', error);
+                    this._emit('error', { type: 'resume_error', message: error.message });
+                });
+                break;
             default:
                 console.warn(`[BinarySocket] Unknown packet ID: ${packetId}`);
         }
@@ -1087,6 +1652,7 @@ class BinarySocket {
      * Handle hit result from server
      */
     _handleHitResult(payload) {
+        this.unackedShots.delete(payload.shotSequenceId);
         const callback = this.pendingShots.get(payload.shotSequenceId);
         if (callback) {
             callback(payload);
@@ -1101,7 +1667,13 @@ class BinarySocket {
     _handleTimeSyncPong(payload) {
         const rtt = Date.now() - payload.clientSendTime;
         const serverTime = payload.serverTime + rtt / 2;
-        this._emit('timeSync', { rtt, serverTime, seq: payload.seq });
+        this._emit('timeSync', {
+            rtt,
+            serverTime,
+            seq: payload.seq,
+            clientSendTime: payload.clientSendTime,
+            serverSendTime: payload.serverTime    // raw server stamp, for clock filters
+        });
     }
     
     // ==================== Game Actions ====================
@@ -1125,7 +1697,17 @@ class BinarySocket {
             timestamp: (typeof data.clientTime === 'number') ? data.clientTime : Date.now()
         };
         
-        await this.sendPacket(this.PacketId.SHOT_FIRED, payload);
+        // Held until HIT_RESULT so a resumed session can replay it
+        this.unackedShots.set(shotSequenceId, payload);
+        if (this.unackedShots.size > this.maxUnackedShots) {
+            this.unackedShots.delete(this.unackedShots.keys().next().value);
+        }
+        try {
+            await this.sendPacket(this.PacketId.SHOT_FIRED, payload);
+        } catch (error) {
+            this.unackedShots.delete(shotSequenceId);
+            throw error;
+        }
         
         return new Promise((resolve) => {
             this.pendingShots.set(shotSequenceId, resolve);
@@ -1134,6 +1716,8 @@ class BinarySocket {
             setTimeout(() => {
                 if (this.pendingShots.has(shotSequenceId)) {
                     this.pendingShots.delete(shotSequenceId);
+                    // Unanswered on a live link means rejected; keep it for replay while resuming
+                    if (this.isReady()) this.unackedShots.delete(shotSequenceId);
                     resolve({ timeout: true, shotSequenceId });
                 }
             }, 5000);
@@ -1153,12 +1737,35 @@ class BinarySocket {
     
     /**
      * Create room
+     * @param {{minCoinValue: number, maxCoinValue: number}} [stake] - coin value
+     *   range listed for the room; the server default without it
      */
-    async createRoom(playerName, isPublic = true) {
-        await this.sendPacket(this.PacketId.ROOM_CREATE, {
+    async createRoom(playerName, isPublic = true, stake = null) {
+        await this.sendPacket(this.PacketId.ROOM_CREATE, Object.assign({
             playerName,
             isPublic,
             timestamp: Date.now()
+        }, stake ? { minCoinValue: stake.minCoinValue, maxCoinValue: stake.maxCoinValue } : {}));
+    }
+    
+    /**
+     * Ask for the public rooms; the answer arrives as a 'roomList' event
+     * { rooms: [{ roomCode, playerCount, maxPlayers, minCoinValue, maxCoinValue, rtpProfile, ... }] }
+     */
+    async requestRoomList() {
+        await this.sendPacket(this.PacketId.ROOM_LIST_REQUEST, { timestamp: Date.now() });
+    }
+    
+    /**
+     * Join the best open public room for this coin value, or a new one.
+     * The server answers like ROOM_JOIN (ROOM_STATE, GAME_START).
+     * @param {number} [coinValue] - 0 for any stake
+     */
+    async quickMatch(playerName, coinValue = 0) {
+        await this.sendPacket(this.PacketId.QUICK_MATCH, {
+            playerName,
+            coinValue,
+            timestamp: Date.now()
         });
     }
     
@@ -1173,6 +1780,19 @@ class BinarySocket {
         });
     }
     
+    /**
+     * Watch a room without a cannon or balance. The server answers with
+     * GAME_START { spectator: true } and then streams the room as it does
+     * to players; leaveRoom() ends it.
+     */
+    async spectateRoom(roomCode, spectatorName) {
+        await this.sendPacket(this.PacketId.ROOM_SPECTATE, {
+            roomCode,
+            playerName: spectatorName,
+            timestamp: Date.now()
+        });
+    }
+    
     /**
      * Leave room
      */
@@ -1182,6 +1802,28 @@ class BinarySocket {
         });
     }
     
+    /**
+     * Say something to the room; the server echoes it back as a 'chatMessage' event
+     */
+    async sendChat(text) {
+        await this.sendPacket(this.PacketId.CHAT_SEND, {
+            kind: this.ChatKind.TEXT,
+            text,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Send a quick emote (index into ChatEmotes)
+     */
+    async sendEmote(emoteId) {
+        await this.sendPacket(this.PacketId.CHAT_SEND, {
+            kind: this.ChatKind.EMOTE,
+            emoteId,
+            timestamp: Date.now()
+        });
+    }
+    
     /**
      * Send player movement
      */
@@ -1207,6 +1849,16 @@ class BinarySocket {
         });
     }
     
+    /**
+     * Acknowledge an applied snapshot delta, or ask for a full one
+     */
+    async sendSnapshotAck(ackSeq, flags = 0) {
+        await this.sendPacket(this.PacketId.SNAPSHOT_ACK, {
+            ackSeq,
+            flags
+        });
+    }
+    
     // ==================== Event System ====================
     
     /**
@@ -1277,7 +1929,7 @@ class BinarySocket {
      * Check if connected and session established
      */
     isReady() {
-        return this.connected && this.encryptionKey !== null && this.hmacKey !== null;
+        return this.connected && !this.resuming && this.encryptionKey !== null && this.hmacKey !== null;
     }
     
     /**
@@ -1288,6 +1940,8 @@ class BinarySocket {
     }
 }
 
+BinarySocket.NonceReplayWindow = NonceReplayWindow;
+
 // Export for use in game.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BinarySocket;
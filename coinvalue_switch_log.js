@@ -3,80 +3,10 @@
  * 50-Shot Coin Value Switching Log
  * Proves: switching coinValue (1x -> 10x -> 1x etc.) causes NO balance jump or budget erasure.
  * Uses 1x weapon on T3 fish, coinValue changes every 5 shots.
+ * Runs the shipped engine from rtp_engine.js (no local copy).
  */
 
-const RTP_MONEY_SCALE = 1000;
-const RTP_SCALE = 10000;
-const RTP_P_SCALE = 1000000;
-
-const RTP_WEAPON_RTP_MANUAL_FP = { '1x': 9200 };
-const RTP_WEAPON_COST_FP       = { '1x': 1000 };
-
-const RTP_TIER_CONFIG = {
-    't3': { rewardManualFp: 7840, rewardAutoFp: 7680, n1Fp: 8000, pityCompFp: 1000000 }
-};
-
-class ClientRTPPhase1 {
-    constructor() {
-        this.fishStates = new Map();
-        this.playerStates = new Map();
-    }
-    _getOrCreateFishState(pid, fid) {
-        const k = pid + ':' + fid;
-        let s = this.fishStates.get(k);
-        if (!s) { s = { sumCostFp: 0, killed: false }; this.fishStates.set(k, s); }
-        return s;
-    }
-    _getOrCreatePlayerState(pid) {
-        let s = this.playerStates.get(pid);
-        if (!s) { s = { budgetRemainingFp: 0 }; this.playerStates.set(pid, s); }
-        return s;
-    }
-    clearFish(pid, fid) { this.fishStates.delete(pid + ':' + fid); }
-
-    handleSingleTargetHit(pid, fid, wk, tier, isAuto, coinValue) {
-        const cfg = RTP_TIER_CONFIG[tier];
-        const fs = this._getOrCreateFishState(pid, fid);
-        if (fs.killed) return { kill: false, reason: 'already_killed' };
-        const ps = this._getOrCreatePlayerState(pid);
-        const wcFp = RTP_WEAPON_COST_FP[wk] || 1000;
-        const cv = coinValue || 1;
-        const wm = wcFp / RTP_MONEY_SCALE; // weaponMult = 1 for 1x
-
-        // Budget accrual: cost * coinValue * RTP%
-        const budgetAdd = Math.floor(wcFp * cv * (RTP_WEAPON_RTP_MANUAL_FP[wk] || 9200) / RTP_SCALE);
-        ps.budgetRemainingFp += budgetAdd;
-        fs.sumCostFp += wcFp * cv;
-
-        // Hard pity threshold scales with coinValue (same as game.js)
-        const hpt = Math.floor(cfg.n1Fp * cv / wm);
-        // FIX C: budget-locked
-        if (fs.sumCostFp >= hpt && ps.budgetRemainingFp >= 0) {
-            return this._kill(fs, ps, cfg, fid, 'hard_pity', cv);
-        }
-
-        // Soft gate probability
-        const rw = cfg.rewardManualFp * cv;
-        const be = Math.max(0, ps.budgetRemainingFp);
-        const pb = Math.floor(be * RTP_P_SCALE / rw);
-        let p = 0;
-        if (pb >= RTP_P_SCALE) p = RTP_P_SCALE;
-        else p = Math.min(RTP_P_SCALE, Math.floor(pb * cfg.pityCompFp / RTP_P_SCALE));
-
-        if (Math.floor(Math.random() * RTP_P_SCALE) < p) {
-            return this._kill(fs, ps, cfg, fid, 'probability', cv);
-        }
-        return { kill: false, budgetAdd, prob: (p / RTP_P_SCALE * 100).toFixed(2) };
-    }
-
-    _kill(fs, ps, cfg, fid, reason, cv) {
-        const rw = cfg.rewardManualFp * (cv || 1);
-        // FIX B: no clamp — budget goes deeply negative
-        ps.budgetRemainingFp -= rw;
-        fs.killed = true;
-        return { kill: true, reason, rewardFp: rw };
-    }
-}
+const { RTP_P_SCALE, ClientRTPPhase1 } = require('./rtp_engine');
 
 // === Run 50-shot log ===
 const eng = new ClientRTPPhase1();
@@ -131,12 +61,12 @@ for (let shot = 1; shot <= 50; shot++) {
         reward = r.rewardFp;
         playerBalance += reward;
         result = 'KILL(' + r.reason.substring(0, 5) + ')';
-        eng.clearFish(pid, fish);
+        eng.clearFishStates(fish);
         fish = 'f' + (++fc);
         notes = 'New fish spawned';
     } else {
         result = 'miss';
-        prob = r.prob || '-';
+        prob = r.pFp !== undefined ? (r.pFp / RTP_P_SCALE * 100).toFixed(2) : '-';
     }
 
     // Detect anomalies
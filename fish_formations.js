@@ -0,0 +1,353 @@
+/**
+ * 3D Fish Shooting Game - Fish Tides (scripted formation waves)
+ * Every few minutes the tank is swept clear and schooling fish swim through
+ * in scripted formations: spirals, V-lines, rings and parade columns.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./fish_formations') from Node tests.
+ *
+ * Formations are plain data: which species, how many fish, which path curve
+ * and its parameters, and when each fish enters. Path curves are pure
+ * functions of progress s (0 = entry, 1 = exit) and slot index, so the same
+ * formation always traces the same shape. Paths start and end beyond the
+ * tank walls; game.js hides fish while they are outside the glass.
+ *
+ * FishTideDirector only keeps time. game.js does the work through hooks:
+ *   onWarning(tide)  banner + wave sweep; fish in the tank start to flee
+ *   onClear(tide)    whatever is still in the tank is removed
+ *   onSpawn(slot)    one formation fish enters (slot.at seconds into the tide)
+ *   onEnd(tide)      normal top-up spawning resumes
+ *
+ * Single-player only: in multiplayer the server owns the fish. Kill odds are
+ * unchanged - formation fish are ordinary pool fish with their normal tier.
+ */
+
+// Half extents of the swim volume (CONFIG.aquarium minus the hard-clamp margin)
+const FISH_TIDE_TANK = { halfX: 850, halfZ: 550, minY: -260, maxY: 400 };
+
+const FISH_TIDE_CONFIG = {
+    firstTideSeconds: 150,   // First tide this long after the game starts
+    intervalSeconds: 180,    // Then again this long after the previous tide ends
+    warningSeconds: 3,       // Banner and wave sweep; fish flee the tank
+    clearSeconds: 1.5,       // Stragglers removed, tank empty before the first formation
+    maxSeconds: 60           // Safety cap on the formation phase
+};
+
+// ==================== PATH CURVES ====================
+// path(s, index, count, params, out) writes the slot's position at progress s into out
+
+function pathLerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Unit direction of travel from params.from to params.to in the XZ plane
+function pathDirection(p) {
+    const dx = p.to[0] - p.from[0];
+    const dz = p.to[2] - p.from[2];
+    const len = Math.sqrt(dx * dx + dz * dz) || 1;
+    return { x: dx / len, z: dz / len };
+}
+
+const FISH_FORMATION_PATHS = {
+    // Arms of fish winding in from beyond the walls to the centre and back out
+    // (outerRadius must clear the tank corners: about 1.55x halfX with zScale 0.55).
+    // Fish of one arm follow the same curve, one after the other.
+    spiral(s, index, count, p, out) {
+        const arms = p.arms || 1;
+        const arm = index % arms;
+        const inward = s < 0.5 ? s * 2 : (1 - s) * 2;
+        const radius = pathLerp(p.outerRadius, p.innerRadius, inward);
+        const angle = (p.startAngle || 0) + (2 * Math.PI * arm) / arms + p.turns * 2 * Math.PI * s;
+        out.x = radius * Math.cos(angle);
+        out.y = p.y + (arm - (arms - 1) / 2) * (p.armGap || 0);
+        out.z = radius * Math.sin(angle) * (p.zScale || 1);
+        return out;
+    },
+
+    // Flock in a V crossing the tank: slot 0 leads, the rest alternate wings
+    vee(s, index, count, p, out) {
+        const dir = pathDirection(p);
+        const rank = Math.ceil(index / 2);
+        const side = index === 0 ? 0 : (index % 2 === 1 ? 1 : -1);
+        const back = rank * p.spacing;
+        const lateral = side * rank * p.spacing * (p.spread || 1);
+        out.x = pathLerp(p.from[0], p.to[0], s) - dir.x * back - dir.z * lateral;
+        out.y = pathLerp(p.from[1], p.to[1], s) + rank * (p.lift || 0);
+        out.z = pathLerp(p.from[2], p.to[2], s) - dir.z * back + dir.x * lateral;
+        return out;
+    },
+
+    // Evenly spaced ring rolling across the tank while it spins
+    ring(s, index, count, p, out) {
+        const angle = (2 * Math.PI * index) / count + (p.spin || 0) * 2 * Math.PI * s;
+        const radius = p.radius * (1 + (p.pulse || 0) * Math.sin(Math.PI * s));
+        out.x = pathLerp(p.from[0], p.to[0], s) + radius * Math.cos(angle);
+        out.y = pathLerp(p.from[1], p.to[1], s) + (p.tilt || 0) * Math.sin(angle);
+        out.z = pathLerp(p.from[2], p.to[2], s) + radius * Math.sin(angle);
+        return out;
+    },
+
+    // Rows x columns snaking across the tank, each row a little behind the wave
+    parade(s, index, count, p, out) {
+        const dir = pathDirection(p);
+        const column = index % p.columns;
+        const row = Math.floor(index / p.columns);
+        const back = row * p.rowSpacing;
+        const lateral = (column - (p.columns - 1) / 2) * p.columnSpacing +
+            (p.amplitude || 0) * Math.sin(2 * Math.PI * (p.waves || 0) * s - row * (p.rowPhase || 0));
+        out.x = pathLerp(p.from[0], p.to[0], s) - dir.x * back - dir.z * lateral;
+        out.y = pathLerp(p.from[1], p.to[1], s);
+        out.z = pathLerp(p.from[2], p.to[2], s) - dir.z * back + dir.x * lateral;
+        return out;
+    }
+};
+
+// ==================== FORMATIONS AND TIDES ====================
+// species are cycled by slot index; stagger is seconds between consecutive
+// slots entering; travelSeconds is how long each fish takes from s=0 to s=1
+
+const FISH_FORMATIONS = {
+    spiral: {
+        species: ['sardine', 'anchovy'],
+        count: 30,
+        path: 'spiral',
+        stagger: 0.3,
+        travelSeconds: 24,
+        params: { arms: 3, outerRadius: 1320, innerRadius: 150, turns: 0.75, y: 80, armGap: 60, zScale: 0.55 }
+    },
+    veeLeft: {
+        species: ['blueTang'],
+        count: 9,
+        path: 'vee',
+        stagger: 0,
+        travelSeconds: 16,
+        params: { from: [-1050, 120, -200], to: [1350, 40, 200], spacing: 45, spread: 1, lift: 8 }
+    },
+    veeRight: {
+        species: ['angelfish'],
+        count: 9,
+        path: 'vee',
+        stagger: 0,
+        travelSeconds: 16,
+        params: { from: [1050, -40, 250], to: [-1350, 40, -150], spacing: 50, spread: 0.8, lift: 6 }
+    },
+    ring: {
+        species: ['clownfish', 'angelfish'],
+        count: 12,
+        path: 'ring',
+        stagger: 0,
+        travelSeconds: 18,
+        params: { from: [-1200, 60, 0], to: [1200, 60, 0], radius: 180, spin: 1, pulse: 0.4, tilt: 40 }
+    },
+    parade: {
+        species: ['sardine', 'anchovy'],
+        count: 24,
+        path: 'parade',
+        stagger: 0,
+        travelSeconds: 20,
+        params: {
+            from: [-100, 20, -800], to: [100, 20, 1100], columns: 4, columnSpacing: 55, rowSpacing: 50,
+            amplitude: 200, waves: 1.5, rowPhase: 0.35
+        }
+    }
+};
+
+// Tides rotate in order; delay is seconds from the start of the formation phase
+const FISH_TIDES = [
+    { name: 'Spiral Tide', formations: [{ formation: 'spiral', delay: 0 }] },
+    { name: 'Flying V', formations: [{ formation: 'veeLeft', delay: 0 }, { formation: 'veeRight', delay: 5 }] },
+    { name: 'Grand Parade', formations: [{ formation: 'ring', delay: 0 }, { formation: 'parade', delay: 6 }] }
+];
+
+/**
+ * Check tide and formation definitions. Returns a list of error strings
+ * (empty when valid). options.species lists the species the game can spawn.
+ */
+function validateFishTides(tides, formations, options = {}) {
+    const errors = [];
+    if (!Array.isArray(tides) || tides.length === 0) return ['tides must list at least one tide'];
+    for (const [name, def] of Object.entries(formations || {})) {
+        const prefix = `formation ${name}`;
+        if (!FISH_FORMATION_PATHS[def.path]) errors.push(`${prefix}: unknown path "${def.path}"`);
+        if (!Array.isArray(def.species) || def.species.length === 0) {
+            errors.push(`${prefix}: species must list at least one species`);
+        } else if (options.species) {
+            for (const species of def.species) {
+                if (!options.species.includes(species)) errors.push(`${prefix}: species ${species} cannot spawn`);
+            }
+        }
+        if (!Number.isInteger(def.count) || def.count <= 0) errors.push(`${prefix}: count must be a positive integer`);
+        if (!(def.travelSeconds > 0)) errors.push(`${prefix}: travelSeconds must be positive`);
+        if (!(def.stagger >= 0)) errors.push(`${prefix}: stagger must be 0 or more`);
+        if (!def.params || typeof def.params !== 'object') errors.push(`${prefix}: params missing`);
+    }
+    tides.forEach((tide, i) => {
+        const prefix = `tide ${tide.name || i}`;
+        if (!Array.isArray(tide.formations) || tide.formations.length === 0) {
+            errors.push(`${prefix}: formations must list at least one formation`);
+            return;
+        }
+        for (const entry of tide.formations) {
+            if (!formations || !formations[entry.formation]) errors.push(`${prefix}: unknown formation "${entry.formation}"`);
+            if (!(entry.delay >= 0)) errors.push(`${prefix}: delay must be 0 or more`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * One entry per fish of a tide, sorted by entry time. slot.at is seconds
+ * from the start of the formation phase.
+ */
+function buildTideSchedule(tide, formations) {
+    const slots = [];
+    for (const entry of tide.formations) {
+        const def = formations[entry.formation];
+        for (let index = 0; index < def.count; index++) {
+            slots.push({
+                formation: entry.formation,
+                index,
+                count: def.count,
+                species: def.species[index % def.species.length],
+                fallbackSpecies: def.species,
+                path: def.path,
+                params: def.params,
+                travelSeconds: def.travelSeconds,
+                at: entry.delay + index * def.stagger
+            });
+        }
+    }
+    return slots.sort((a, b) => a.at - b.at);
+}
+
+/** Position of a formation slot at progress s (0..1) */
+function formationPosition(slot, s, out = { x: 0, y: 0, z: 0 }) {
+    return FISH_FORMATION_PATHS[slot.path](s, slot.index, slot.count, slot.params, out);
+}
+
+/** True when a point is inside the swim volume (fish outside are hidden behind the glass) */
+function isInsideFishTank(pos) {
+    return Math.abs(pos.x) <= FISH_TIDE_TANK.halfX && Math.abs(pos.z) <= FISH_TIDE_TANK.halfZ;
+}
+
+// ==================== DIRECTOR ====================
+
+class FishTideDirector {
+    constructor(options = {}) {
+        this.config = Object.assign({}, FISH_TIDE_CONFIG, options.config);
+        this.tides = options.tides || FISH_TIDES;
+        this.formations = options.formations || FISH_FORMATIONS;
+        this.phase = 'idle';          // idle -> warning -> clearing -> formation -> idle
+        this.timer = this.config.firstTideSeconds;
+        this.tideIndex = 0;
+        this.tide = null;
+        this.schedule = [];
+        this.nextSlot = 0;
+        this.elapsed = 0;
+        this.tidesPlayed = 0;
+
+        this.onWarning = null;
+        this.onClear = null;
+        this.onSpawn = null;
+        this.onEnd = null;
+    }
+
+    isActive() {
+        return this.phase !== 'idle';
+    }
+
+    /** Seconds until the next tide warning, 0 while one is running */
+    timeUntilNextTide() {
+        return this.phase === 'idle' ? Math.max(0, this.timer) : 0;
+    }
+
+    /**
+     * Advance the tide clock.
+     * ctx.canStart         false holds a due tide back (boss fight, loading, lobby)
+     * ctx.formationFishLeft formation fish still swimming; the tide ends at 0
+     */
+    update(deltaTime, ctx = {}) {
+        if (this.phase === 'idle') {
+            this.timer -= deltaTime;
+            if (this.timer <= 0 && ctx.canStart !== false) this.start();
+            return;
+        }
+
+        this.timer -= deltaTime;
+        if (this.phase === 'warning' && this.timer <= 0) {
+            this.phase = 'clearing';
+            this.timer = this.config.clearSeconds;
+            if (this.onClear) this.onClear(this.tide);
+        } else if (this.phase === 'clearing' && this.timer <= 0) {
+            this.phase = 'formation';
+            this.elapsed = 0;
+            this.timer = this.config.maxSeconds;
+            this.spawnDue();
+        } else if (this.phase === 'formation') {
+            this.elapsed += deltaTime;
+            this.spawnDue();
+            const allEntered = this.nextSlot >= this.schedule.length;
+            if ((allEntered && !(ctx.formationFishLeft > 0)) || this.timer <= 0) this.end();
+        }
+    }
+
+    /** Start the next tide now (also used to trigger one by hand) */
+    start() {
+        this.tide = this.tides[this.tideIndex % this.tides.length];
+        this.tideIndex++;
+        this.schedule = buildTideSchedule(this.tide, this.formations);
+        this.nextSlot = 0;
+        this.phase = 'warning';
+        this.timer = this.config.warningSeconds;
+        if (this.onWarning) this.onWarning(this.tide);
+        return this.tide;
+    }
+
+    spawnDue() {
+        while (this.nextSlot < this.schedule.length && this.schedule[this.nextSlot].at <= this.elapsed) {
+            const slot = this.schedule[this.nextSlot++];
+            if (this.onSpawn) this.onSpawn(slot);
+        }
+    }
+
+    end() {
+        const tide = this.tide;
+        this.phase = 'idle';
+        this.timer = this.config.intervalSeconds;
+        this.tide = null;
+        this.schedule = [];
+        this.nextSlot = 0;
+        this.tidesPlayed++;
+        if (this.onEnd) this.onEnd(tide);
+    }
+
+    /** Drop a running tide without its hooks (leaving the game scene) */
+    reset() {
+        this.phase = 'idle';
+        this.timer = this.config.intervalSeconds;
+        this.tide = null;
+        this.schedule = [];
+        this.nextSlot = 0;
+    }
+}
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.FishTideDirector = FishTideDirector;
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FISH_TIDE_TANK,
+        FISH_TIDE_CONFIG,
+        FISH_FORMATION_PATHS,
+        FISH_FORMATIONS,
+        FISH_TIDES,
+        validateFishTides,
+        buildTideSchedule,
+        formationPosition,
+        isInsideFishTank,
+        FishTideDirector
+    };
+}
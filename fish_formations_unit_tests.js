@@ -0,0 +1,199 @@
+const {
+    FISH_TIDE_CONFIG,
+    FISH_FORMATIONS,
+    FISH_TIDES,
+    validateFishTides,
+    buildTideSchedule,
+    formationPosition,
+    isInsideFishTank,
+    FishTideDirector
+} = require('./fish_formations');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+// Species the game pool can spawn from (T3 schooling fish used by the tides)
+const POOL_COUNTS = { sardine: 16, anchovy: 16, clownfish: 10, angelfish: 10, blueTang: 10 };
+
+function dist(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+console.log('=== Fish Tide Formation Unit Tests ===\n');
+
+console.log('--- TEST A: Definitions ---');
+{
+    const errors = validateFishTides(FISH_TIDES, FISH_FORMATIONS, { species: Object.keys(POOL_COUNTS) });
+    assert(errors.length === 0, 'Shipped tides are valid: ' + errors.join('; '));
+
+    const broken = {
+        bad: { species: ['kraken'], count: 0, path: 'zigzag', stagger: -1, travelSeconds: 0, params: {} }
+    };
+    const found = validateFishTides([{ name: 'T', formations: [{ formation: 'bad', delay: -2 }, { formation: 'missing', delay: 0 }] }],
+        broken, { species: Object.keys(POOL_COUNTS) });
+    for (const needle of ['unknown path', 'kraken', 'count', 'travelSeconds', 'stagger', 'delay', 'unknown formation "missing"']) {
+        assert(found.some(e => e.includes(needle)), 'Validation reports ' + needle);
+    }
+    assert(validateFishTides([], FISH_FORMATIONS).length === 1, 'Empty tide list rejected');
+
+    for (const tide of FISH_TIDES) {
+        const demand = {};
+        for (const slot of buildTideSchedule(tide, FISH_FORMATIONS)) demand[slot.species] = (demand[slot.species] || 0) + 1;
+        const short = Object.entries(demand).filter(([species, n]) => n > POOL_COUNTS[species]);
+        assert(short.length === 0, `${tide.name} fits in the fish pool (${JSON.stringify(demand)})`);
+    }
+}
+console.log('  Definitions: OK\n');
+
+console.log('--- TEST B: Paths Enter and Leave Beyond the Glass ---');
+{
+    for (const tide of FISH_TIDES) {
+        for (const slot of buildTideSchedule(tide, FISH_FORMATIONS)) {
+            const name = `${slot.formation}[${slot.index}]`;
+            assert(!isInsideFishTank(formationPosition(slot, 0)), name + ' starts outside the tank');
+            assert(!isInsideFishTank(formationPosition(slot, 1)), name + ' ends outside the tank');
+
+            let inside = 0, maxSpeed = 0;
+            let prev = formationPosition(slot, 0);
+            const steps = 400;
+            for (let i = 1; i <= steps; i++) {
+                const pos = formationPosition(slot, i / steps);
+                if (isInsideFishTank(pos)) inside++;
+                maxSpeed = Math.max(maxSpeed, dist(pos, prev) / (slot.travelSeconds / steps));
+                prev = pos;
+            }
+            assert(inside > steps * 0.3, name + ' spends real time in the tank (' + inside + '/' + steps + ')');
+            assert(maxSpeed < 400, name + ' never teleports (' + maxSpeed.toFixed(0) + ' u/s)');
+        }
+    }
+}
+console.log('  Entry/exit: OK\n');
+
+console.log('--- TEST C: Formation Shapes ---');
+{
+    const slotsOf = (name) => buildTideSchedule({ formations: [{ formation: name, delay: 0 }] }, FISH_FORMATIONS);
+
+    // Ring: every fish the same distance from the centre, evenly spaced
+    const ring = slotsOf('ring');
+    const p = FISH_FORMATIONS.ring.params;
+    const centre = { x: (p.from[0] + p.to[0]) / 2, z: (p.from[2] + p.to[2]) / 2 };
+    const radii = ring.map(slot => {
+        const pos = formationPosition(slot, 0.5);
+        return Math.hypot(pos.x - centre.x, pos.z - centre.z);
+    });
+    assert(radii.every(r => Math.abs(r - radii[0]) < 1e-6), 'Ring fish share one radius');
+    const gaps = ring.map((slot, i) => {
+        const a = formationPosition(slot, 0.5), b = formationPosition(ring[(i + 1) % ring.length], 0.5);
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    });
+    assert(gaps.every(g => Math.abs(g - gaps[0]) < 1e-6), 'Ring fish evenly spaced');
+
+    // V: leader ahead of both wings, wings mirror each other
+    const vee = slotsOf('veeLeft');
+    const lead = formationPosition(vee[0], 0.5), left = formationPosition(vee[1], 0.5), right = formationPosition(vee[2], 0.5);
+    assert(lead.x > left.x && lead.x > right.x, 'V leader swims ahead');
+    const mid = { x: (left.x + right.x) / 2, z: (left.z + right.z) / 2 };
+    const v = FISH_FORMATIONS.veeLeft.params;
+    const cross = (v.to[0] - v.from[0]) * (mid.z - lead.z) - (v.to[2] - v.from[2]) * (mid.x - lead.x);
+    assert(Math.abs(cross) < 1e-6, 'V wings mirror across the line of travel');
+
+    // Spiral: fish of one arm trace the same curve
+    const spiral = slotsOf('spiral');
+    const arms = FISH_FORMATIONS.spiral.params.arms;
+    const a = formationPosition(spiral[0], 0.3), b = formationPosition(spiral[arms], 0.3);
+    assert(dist(a, b) < 1e-9, 'Spiral arm fish share one curve');
+    const inner = formationPosition(spiral[0], 0.5);
+    assert(Math.hypot(inner.x, inner.z) <= FISH_FORMATIONS.spiral.params.innerRadius + 1e-6, 'Spiral reaches the centre halfway');
+
+    // No two fish of any formation overlap mid-path
+    for (const name of Object.keys(FISH_FORMATIONS)) {
+        const slots = slotsOf(name);
+        let closest = Infinity;
+        for (let i = 0; i < slots.length; i++) {
+            for (let j = i + 1; j < slots.length; j++) {
+                const ti = 0.5, tj = 0.5 - (slots[j].at - slots[i].at) / slots[j].travelSeconds;
+                closest = Math.min(closest, dist(formationPosition(slots[i], ti), formationPosition(slots[j], tj)));
+            }
+        }
+        assert(closest > 20, `${name}: fish keep their spacing (${closest.toFixed(1)})`);
+    }
+}
+console.log('  Shapes: OK\n');
+
+console.log('--- TEST D: Schedule ---');
+{
+    const tide = { name: 'Mixed', formations: [{ formation: 'spiral', delay: 0 }, { formation: 'veeRight', delay: 2 }] };
+    const schedule = buildTideSchedule(tide, FISH_FORMATIONS);
+    assert(schedule.length === FISH_FORMATIONS.spiral.count + FISH_FORMATIONS.veeRight.count, 'One slot per fish');
+    assert(schedule.every((s, i) => i === 0 || schedule[i - 1].at <= s.at), 'Slots sorted by entry time');
+    const s7 = schedule.find(s => s.formation === 'spiral' && s.index === 7);
+    assert(Math.abs(s7.at - 7 * FISH_FORMATIONS.spiral.stagger) < 1e-9, 'Stagger spaces consecutive fish');
+    assert(s7.species === FISH_FORMATIONS.spiral.species[7 % 2], 'Species cycle by slot index');
+    assert(schedule.filter(s => s.formation === 'veeRight').every(s => s.at === 2), 'Formation delay applied');
+}
+console.log('  Schedule: OK\n');
+
+console.log('--- TEST E: Director ---');
+{
+    const director = new FishTideDirector({ config: { firstTideSeconds: 10, intervalSeconds: 30 } });
+    const log = [];
+    const live = new Set();
+    director.onWarning = tide => log.push('warning:' + tide.name);
+    director.onClear = tide => log.push('clear:' + tide.name);
+    director.onSpawn = slot => { live.add(slot.formation + slot.index); log.push('spawn'); };
+    director.onEnd = tide => log.push('end:' + tide.name);
+
+    director.update(9.9, { canStart: true });
+    assert(!director.isActive() && Math.abs(director.timeUntilNextTide() - 0.1) < 1e-9, 'Idle until the first tide is due');
+    director.update(1, { canStart: false });
+    assert(!director.isActive(), 'canStart=false holds a due tide back');
+    director.update(0.1, { canStart: true });
+    assert(director.phase === 'warning' && log[0] === 'warning:' + FISH_TIDES[0].name, 'Warning first');
+
+    const dt = 0.1;
+    let t = 0;
+    while (director.phase !== 'formation' && t < 10) { director.update(dt, { formationFishLeft: 0 }); t += dt; }
+    assert(log[1] === 'clear:' + FISH_TIDES[0].name, 'Tank cleared after the warning');
+    assert(Math.abs(t - FISH_TIDE_CONFIG.warningSeconds - FISH_TIDE_CONFIG.clearSeconds) < dt * 1.5, 'Formation after warning + clear (' + t.toFixed(1) + ' s)');
+    assert(log.filter(e => e === 'spawn').length === 1, 'First fish enters at once');
+
+    // Fish leave the tank one travelSeconds after entering
+    let elapsed = 0;
+    const exitAt = new Map();
+    while (director.isActive() && elapsed < 100) {
+        director.update(dt, { formationFishLeft: live.size });
+        elapsed += dt;
+        for (const slot of director.schedule.slice(0, director.nextSlot)) {
+            const key = slot.formation + slot.index;
+            if (!exitAt.has(key)) exitAt.set(key, slot.at + slot.travelSeconds);
+            if (elapsed >= exitAt.get(key)) live.delete(key);
+        }
+    }
+    const spiral = FISH_FORMATIONS.spiral;
+    assert(log.filter(e => e === 'spawn').length === spiral.count, 'Every slot spawned once');
+    assert(log[log.length - 1] === 'end:' + FISH_TIDES[0].name, 'Tide ends once the last fish has left');
+    const expected = (spiral.count - 1) * spiral.stagger + spiral.travelSeconds;
+    assert(Math.abs(elapsed - expected) < 0.3, `Formation phase lasts as long as its fish (${elapsed.toFixed(1)} s vs ${expected.toFixed(1)} s)`);
+    assert(director.timeUntilNextTide() === 30 && director.tidesPlayed === 1, 'Interval restarts after the tide');
+
+    director.update(30, { canStart: true });
+    assert(director.tide === FISH_TIDES[1], 'Tides rotate');
+    director.update(FISH_TIDE_CONFIG.warningSeconds, {});
+    director.update(FISH_TIDE_CONFIG.clearSeconds, {});
+    assert(director.phase === 'formation', 'One update per phase change');
+    director.update(FISH_TIDE_CONFIG.maxSeconds + 1, { formationFishLeft: 5 });
+    assert(!director.isActive(), 'maxSeconds caps a tide whose fish never leave');
+
+    director.start();
+    director.reset();
+    assert(!director.isActive() && director.schedule.length === 0, 'reset drops a running tide');
+}
+console.log('  Director: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
@@ -994,6 +994,8 @@ const WEAPON_CONFIG = {
         type: 'projectile', speed: 4000,
         piercing: false, spreadAngle: 0, aoeRadius: 0, damageEdge: 0, laserWidth: 0,
         convergenceDistance: 1400,
+        autoTargeting: 'nearest',  // Auto-fire target choice (targeting_strategies.js); the AUTO pill can override it
+        leadTarget: false,         // Shots are hitscan rays; set true for a travelling shot and auto-aim leads it (intercept_solver.js)
 
         soundVolume: 1.0,
         fireScreenShake: { strength: 0, duration: 0 },
@@ -1025,6 +1027,8 @@ const WEAPON_CONFIG = {
         burstCount: 3,
         piercing: false, spreadAngle: 0, aoeRadius: 0, damageEdge: 0, laserWidth: 0,
         convergenceDistance: 1400,
+        autoTargeting: 'lowestPity',
+        leadTarget: false,
 
         soundVolume: 1.0,
         fireScreenShake: { strength: 0, duration: 0 },
@@ -1055,6 +1059,8 @@ const WEAPON_CONFIG = {
         type: 'rocket', speed: 4000,
         piercing: false, spreadAngle: 0, aoeRadius: 120, damageEdge: 80, laserWidth: 0,
         convergenceDistance: 1400,
+        autoTargeting: 'aoeCluster',
+        leadTarget: false,
 
         soundVolume: 1.0,
         fireScreenShake: { strength: 0, duration: 0 },
@@ -1085,6 +1091,8 @@ const WEAPON_CONFIG = {
         type: 'laser', speed: 0,
         piercing: true, spreadAngle: 0, aoeRadius: 0, damageEdge: 0, laserWidth: 8,
         convergenceDistance: 1400,
+        autoTargeting: 'laserLine',
+        leadTarget: false,
 
         soundVolume: 0.5,
         fireScreenShake: { strength: 4, duration: 200 },  // NERFED: was 6, reduced to 4 per Malun
@@ -1394,7 +1402,7 @@ const CONFIG = {
         // SWIMMING: Tight synchronized waves, rapid direction changes
         sardine: { 
             hp: 20, speedMin: 45, speedMax: 70, reward: 30, size: 10,
-            color: 0xccddee, secondaryColor: 0x88aacc, count: 20, // T3: 20 Sardines (2 groups of 10) 
+            color: 0xccddee, secondaryColor: 0x88aacc, count: 16, // T3: 16 Sardines (2 groups of 8) 
             pattern: 'waveFormation', schoolSize: [20, 40], form: 'sardine',
             category: 'smallSchool',
             boidsStrength: 3.0  // Extremely tight schooling
@@ -1404,7 +1412,7 @@ const CONFIG = {
         // SWIMMING: Swirling bait ball formation, very tight grouping
         anchovy: { 
             hp: 15, speedMin: 50, speedMax: 85, reward: 25, size: 8,
-            color: 0xaabbcc, secondaryColor: 0x778899, count: 20, // T3: 20 Anchovies (2 groups of 10) 
+            color: 0xaabbcc, secondaryColor: 0x778899, count: 16, // T3: 16 Anchovies (2 groups of 8) 
             pattern: 'baitBall', schoolSize: [25, 45], form: 'anchovy',
             category: 'smallSchool',
             boidsStrength: 3.5  // Tightest schooling (bait ball)
@@ -1463,19 +1471,82 @@ const CONFIG = {
             boidsStrength: 1.2  // Monogamous pair bonding
         },
         
-        // ==================== SPECIAL ABILITY FISH (Phase 2 - Reserved for future GLB models) ====================
-        // NOTE: Ability fish (bombCrab, electricEel, shieldTurtle, goldFish) removed until GLB models are available
-        // These can be re-added when corresponding GLB models are uploaded to R2
+        // ==================== SPECIAL ABILITY FISH (4 species) ====================
+        // No GLB models yet: forms crab/eel/turtle/goldfish use the procedural meshes.
+        // `ability` must match FISH_SPECIES_ABILITY in rtp_engine.js; kills, strikes,
+        // shield hits and the gold fish bonus are settled by the RTP engine, the
+        // ability* fields below only shape the visuals and target selection.
+        // 20. Bomb Crab - explodes on death, strike reaches fish in abilityRadius
+        bombCrab: {
+            hp: 150, speedMin: 15, speedMax: 30, reward: 110, size: 30,
+            color: 0xdd3311, secondaryColor: 0xff8844, count: 2, // T2: 2 Bomb Crabs
+            pattern: 'territorial', schoolSize: [1, 1], form: 'crab',
+            category: 'specialForm',
+            boidsStrength: 0,
+            ability: 'bomb', abilityRadius: 200, abilityDamage: 300
+        },
+        // 21. Electric Eel - chain lightning on death, jumps up to abilityChains fish
+        electricEel: {
+            hp: 140, speedMin: 25, speedMax: 45, reward: 110, size: 45,
+            color: 0x224455, secondaryColor: 0x336677, count: 2, // T2: 2 Electric Eels
+            pattern: 'sShape', schoolSize: [1, 1], form: 'eel',
+            category: 'specialForm',
+            boidsStrength: 0,
+            ability: 'lightning', abilityChains: 4, abilityDamage: 150, abilityDecay: 0.6
+        },
+        // 22. Shield Turtle - shield bubble absorbs the profile's shield hits first
+        shieldTurtle: {
+            hp: 300, speedMin: 10, speedMax: 22, reward: 180, size: 40,
+            color: 0x228844, secondaryColor: 0x99aa66, count: 1, // T1: 1 Shield Turtle
+            pattern: 'slowRotation', schoolSize: [1, 1], form: 'turtle',
+            category: 'specialForm',
+            boidsStrength: 0,
+            ability: 'shield'
+        },
+        // 23. Gold Fish - fixed bonus multiplier, coin burst on death
+        goldFish: {
+            hp: 60, speedMin: 25, speedMax: 45, reward: 90, size: 18,
+            color: 0xffbb00, secondaryColor: 0xffdd44, count: 3, // T3: 3 Gold Fish
+            pattern: 'territorial', schoolSize: [1, 2], form: 'goldfish',
+            category: 'specialForm',
+            boidsStrength: 0.5,
+            ability: 'bonus', bonusCoins: 10
+        }
     },
     
     // Weapons - auto-generated from WEAPON_CONFIG (single source of truth)
     weapons: _buildLegacyWeaponsConfig(),
     
-    // RTP settings - Updated weapon configuration
-    // 1x: 91%, 3x: 93%, 5x: 94%, 8x: 95%
+    // RTP settings - weapon RTP and tier tables are named profiles in rtp_profiles.json
+    // (entertainment / real-money / promotional), validated by loadRTPProfiles() in rtp_engine.js.
+    // Single player uses `profile`; multiplayer rooms use the profile the server reports.
     rtp: {
-        entertainment: { '1x': 0.91, '3x': 0.93, '5x': 0.94, '8x': 0.95 },
-        real: { '1x': 0.91, '3x': 0.93, '5x': 0.94, '8x': 0.95 }
+        profile: 'entertainment',
+        profilesUrl: 'rtp_profiles.json',
+        // Single-player budget/pity persistence (RTPBudgetPersistence in rtp_engine.js).
+        // adapter 'local' = localStorage, 'server' = REST store at serverUrl.
+        // Stale state (older than maxAgeMs) follows the RTP_STATE_EXPIRY policy.
+        stateStore: {
+            adapter: 'local',
+            serverUrl: null,
+            maxAgeMs: 24 * 60 * 60 * 1000,
+            expiry: 'forgive_debt'
+        },
+        // window.getRTPReplayLog() keeps the last replayLogShots..2× that many engine calls
+        replayLogShots: 5000
+    },
+    
+    // Free-shot bonus rounds (single player). Kill triggers grant shots of the weapon
+    // and coin value used for the kill; promo codes (one redemption each) name their own.
+    // Promo codes ship in the client and single use is only tracked in localStorage,
+    // so they are play-money only: refused unless the active RTP profile is in codeProfiles.
+    freeShots: {
+        killTriggers: { blueWhale: 10, killerWhale: 10, greatWhiteShark: 10 },
+        promoCodes: {
+            WELCOME10: { shots: 10, weapon: '1x', coinValue: 1 }
+        },
+        codeProfiles: ['entertainment'],
+        maxRounds: 5
     },
     
     // Game settings - Issue #10: Adjusted fish count for 1.5x tank
@@ -1613,6 +1684,8 @@ const gameState = {
     burstShotsRemaining: 0,
     burstTimer: 0,
     burstInProgress: false,
+    realityCheckOpen: false, // Responsible gaming reality-check dialog pauses firing
+    freeShotRounds: [],      // Free-shot bonus rounds; [0] is the live one (see FREE SHOTS)
     coinValue: 1
 };
 
@@ -5073,7 +5146,7 @@ function updatePerformanceOptimizations(deltaTime) {
             // Frustum culling - hide fish outside view
             if (frustumEnabled) {
                 const inFrustum = frustum.containsPoint(fishPos);
-                fish.group.visible = fish.isActive && inFrustum;
+                fish.group.visible = fish.isActive && inFrustum && !fish.outsideGlass;
                 
                 if (inFrustum) {
                     visibleCount++;
@@ -5160,6 +5233,8 @@ function updatePerformanceOptimizations(deltaTime) {
         for (let i = activeFish.length - 1; i >= 0; i--) {
             const fish = activeFish[i];
             if (!fish || !fish.isActive) continue;
+            // Formation fish start and end beyond the glass on purpose
+            if (fish.tideSlot || fish.tideExit) continue;
             if (fish._offScreenTime && fish._offScreenTime > offScreenRecycleThreshold) {
                 // Teleport to opposite edge spawn point
                 const pos = fish.group.position;
@@ -5542,10 +5617,10 @@ const BOSS_FISH_TYPES = [
 // T1 Elites (hammerheadShark, marlin, mantaRay) are NOT boss-only — they swim as normal T1 fish
 const BOSS_ONLY_SPECIES = ['blueWhale', 'killerWhale', 'greatWhiteShark'];
 
-// ==================== 19-SPECIES WHITELIST (SSOT) ====================
-// ONLY these 19 species are allowed in the game. Any species not on this list
+// ==================== SPECIES WHITELIST (SSOT) ====================
+// ONLY these 23 species are allowed in the game. Any species not on this list
 // must be blocked from spawning. Keys match CONFIG.fishTiers keys (species IDs).
-const WHITELIST_19_SPECIES = [
+const SPECIES_WHITELIST = [
     // Boss (39.2x)
     'blueWhale', 'killerWhale', 'greatWhiteShark',
     // T1 (15.33x)
@@ -5553,7 +5628,9 @@ const WHITELIST_19_SPECIES = [
     // T2 (9.20x)
     'yellowfinTuna', 'mahiMahi', 'lionfish', 'parrotfish', 'pufferfish',
     // T3
-    'seahorse', 'blueTang', 'angelfish', 'damselfish', 'clownfish', 'anchovy', 'sardine'
+    'seahorse', 'blueTang', 'angelfish', 'damselfish', 'clownfish', 'anchovy', 'sardine',
+    // Ability fish (T1 shieldTurtle, T2 bombCrab / electricEel, T3 goldFish)
+    'shieldTurtle', 'bombCrab', 'electricEel', 'goldFish'
 ];
 
 // Form name → full display name overrides for Kill Log
@@ -5565,19 +5642,17 @@ const FISH_FORM_DISPLAY_NAMES = {
     hammerhead: 'HAMMERHEAD SHARK',
     tuna: 'YELLOWFIN TUNA',
     dolphinfish: 'MAHI-MAHI',
-    tang: 'BLUE TANG'
+    tang: 'BLUE TANG',
+    crab: 'BOMB CRAB',
+    eel: 'ELECTRIC EEL',
+    turtle: 'SHIELD TURTLE',
+    goldfish: 'GOLD FISH'
 };
 
 // T1 Elite species: max ONE of each in pool at any time, 8-second respawn delay after kill
 const T1_ELITE_SPECIES = ['hammerheadShark', 'marlin', 'mantaRay'];
 const T1_ELITE_RESPAWN_DELAY = 8000; // 8 seconds in milliseconds
 
-// RTP FIX: List of ability fish that should NOT spawn during normal gameplay
-// These fish have special abilities (bomb, lightning, bonus, shield) that can trigger
-// chain kills without corresponding bets, causing RTP to exceed 100%
-// TODO: Re-enable these fish once ability reward mechanics are properly designed
-const ABILITY_FISH_EXCLUDED = ['bombCrab', 'electricEel', 'goldFish', 'shieldTurtle'];
-
 // ==================== WEAPON VFX SYSTEM (Issue #14) ====================
 // Visual effects configuration and state for each weapon type
 // Auto-generated from WEAPON_CONFIG (single source of truth)
@@ -6049,6 +6124,34 @@ function getFishCacheStats() {
     };
 }
 
+// MULTIPLIER FISH: one cached "×N" sprite material per multiplier value
+const fishMultiplierBadgeCache = new Map();
+
+function getFishMultiplierBadgeMaterial(multiplier) {
+    if (!fishMultiplierBadgeCache.has(multiplier)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        const label = '×' + multiplier;
+        ctx.font = 'bold 44px Orbitron, Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.strokeText(label, 64, 34);
+        ctx.fillStyle = multiplier >= 20 ? '#ff44cc' : (multiplier >= 5 ? '#ffd700' : '#44ddff');
+        ctx.fillText(label, 64, 34);
+        const texture = new THREE.CanvasTexture(canvas);
+        fishMultiplierBadgeCache.set(multiplier, new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false
+        }));
+    }
+    return fishMultiplierBadgeCache.get(multiplier);
+}
+
 // PERFORMANCE: Temp vectors for VFX functions (avoid per-call allocations)
 const vfxTempVectors = {
     position: new THREE.Vector3(),
@@ -11037,6 +11140,7 @@ function onCoinCollectionComplete() {
                     if (pr.winFp > 0) {
                         gameState.balance += pr.winFp;
                         gameState.score += Math.floor(pr.winDisplay);
+                        responsibleGaming.recordWin(pr.winFp);
                     }
                     // Show popup + update balance display for this step
                     const displayAmt = Math.round(pr.winDisplay);
@@ -12097,7 +12201,7 @@ function onInitialWeaponSelected(weaponKey) {
 }
 
 // Start single player game - called from lobby
-window.startSinglePlayerGame = function() {
+window.startSinglePlayerGame = async function() {
     console.log('Starting single player game...');
     
     // FIX: Don't stop video background here - keep it visible during map loading
@@ -12118,6 +12222,12 @@ window.startSinglePlayerGame = function() {
     hideBossUI();
     hideBossWaitingUI();
     
+    // The profile must be in place before the first shot: a late load never switches a running game
+    await rtpProfileSetReady;
+    selectRTPProfile(CONFIG.rtp.profile);
+    resumeRTPState();
+    responsibleGaming.startSession();
+    
     // Initialize game scene if not already done
     initGameScene();
 };
@@ -12147,9 +12257,25 @@ window.startMultiplayerGame = function(manager) {
     hideBossUI();
     hideBossWaitingUI();
     
+    // Persist single-player budget and jackpot meters under their own profile before the room's profile is applied
+    flushRTPStateSave();
+    saveJackpotPool();
+    
     // Set multiplayer mode state (must be before initGameScene)
     multiplayerMode = true;
     multiplayerManager = manager;
+    manager.responsibleGaming = responsibleGaming;
+    responsibleGaming.startSession();
+    
+    // Room's RTP profile is chosen server-side; mirror it locally for labels/statements
+    if (manager.rtpProfile) {
+        selectRTPProfile(manager.rtpProfile);
+        const local = clientRTPEngine.getProfileInfo();
+        if (manager.rtpProfileHash && manager.rtpProfileHash !== local.hash) {
+            console.warn('[RTP] Room profile ' + manager.rtpProfile + ' v' + manager.rtpProfileVersion +
+                ' (' + manager.rtpProfileHash + ') differs from local ' + local.name + ' v' + local.version + ' (' + local.hash + ')');
+        }
+    }
     
     window._killDebug = { kills: 0, totalReward: 0, totalCost: 0, log: [], el: null };
     (function() {
@@ -12175,12 +12301,44 @@ window.startMultiplayerGame = function(manager) {
         d.el.innerHTML = lines.join('<br>');
     };
 
+    // Network HUD: clock sync and connection quality from multiplayerManager.getNetworkStats()
+    (function() {
+        var d = document.createElement('div');
+        d.id = 'network-hud';
+        d.style.cssText = 'position:fixed;bottom:8px;right:8px;background:rgba(0,0,0,0.6);color:#9cf;font:11px monospace;padding:4px 8px;z-index:99999;pointer-events:none;border-radius:4px;transform:scale(var(--ui-scale));transform-origin:bottom right';
+        d.innerHTML = '[NET] syncing...';
+        document.body.appendChild(d);
+    })();
+
+    window._updateNetworkHud = function(stats) {
+        var el = document.getElementById('network-hud');
+        if (!el) return;
+        var color = stats.loss > 0.05 || stats.rtt > 250 ? '#f66' : (stats.jitter > 30 || stats.rtt > 120 ? '#fc6' : '#9cf');
+        el.style.color = color;
+        el.innerHTML = '[NET] rtt=' + Math.round(stats.rtt) + 'ms jitter=' + Math.round(stats.jitter) + 'ms loss=' +
+            (stats.loss * 100).toFixed(0) + '%<br>clock=' + (stats.offset >= 0 ? '+' : '') + Math.round(stats.offset) +
+            'ms interp=' + Math.round(stats.interpolationDelay) + 'ms pending=' + stats.pendingShots;
+    };
+
+    // Spectators have no cannon: the camera follows a player's cannon or orbits freely
+    if (manager.isSpectator) {
+        gameState.viewMode = 'spectator';
+        (function() {
+            var d = document.createElement('div');
+            d.id = 'spectator-hud';
+            d.style.cssText = 'position:fixed;bottom:8px;left:50%;background:rgba(0,0,0,0.6);color:#fc6;font:12px monospace;padding:4px 10px;z-index:99999;pointer-events:none;border-radius:4px;transform:translateX(-50%) scale(var(--ui-scale));transform-origin:bottom center;text-align:center';
+            d.innerHTML = '[WATCHING] ...';
+            document.body.appendChild(d);
+        })();
+    }
+
+    createChatPanel();
+
     // Setup multiplayer callbacks
     if (multiplayerManager) {
         // Handle game state updates from server
         multiplayerManager.onGameState = function(data) {
-            // Update fish from server state
-            updateFishFromServer(data.fish);
+            // Fish are buffered by multiplayerManager and sampled in animate()
             
             // Update bullets from server state
             updateBulletsFromServer(data.bullets);
@@ -12191,92 +12349,7 @@ window.startMultiplayerGame = function(manager) {
         
         multiplayerManager.onFishHit = function(data) {
             if (data.hitByPlayerId === multiplayerManager.playerId) return;
-            const fish = gameState.fish.find(f => f.userData && f.userData.serverId === data.fishId);
-            if (!fish) return;
-            if (fish.userData._hitFlashActive) return;
-            fish.userData._hitFlashActive = true;
-            const _tint = new THREE.Color(1.0, 0.3, 0.3);
-            const _peakTint = 0.85;
-            const _emissiveBoost = 0.20;
-            const _emissiveDur = 50;
-            const _tintDecayDur = 300;
-            const _scalePulse = 1.05;
-            const _scaleDur = 100;
-            const _jitterAmp = 0.1;
-            const _jitterDur = 100;
-            if (!fish._origScale) fish._origScale = fish.scale.clone();
-            const origScale = fish._origScale;
-            fish.scale.set(origScale.x * _scalePulse, origScale.y * _scalePulse, origScale.z * _scalePulse);
-            fish.traverse(function(child) {
-                if (child.isMesh && child.material && child.material.color) {
-                    if (!child._origColor) child._origColor = child.material.color.clone();
-                    child.material.color.copy(child._origColor.clone().lerp(_tint, _peakTint));
-                    if (child.material.emissiveIntensity !== undefined) {
-                        if (!child._origEmissive) child._origEmissive = child.material.emissiveIntensity;
-                        child.material.emissiveIntensity = child._origEmissive + _emissiveBoost;
-                    }
-                }
-            });
-            const mpFlashStart = performance.now();
-            var _origPos = null;
-            function _mpJuiceFade(t) {
-                const elapsed = t - mpFlashStart;
-                if (!fish.parent) { _mpFinalRestore(); return; }
-                if (elapsed < _scaleDur) {
-                    const sp = elapsed / _scaleDur;
-                    const es = 1.0 + (_scalePulse - 1.0) * (1.0 - sp * sp);
-                    fish.scale.set(origScale.x * es, origScale.y * es, origScale.z * es);
-                } else if (fish.scale.x !== origScale.x) {
-                    fish.scale.copy(origScale);
-                }
-                if (elapsed < _jitterDur) {
-                    if (!_origPos) _origPos = fish.position.clone();
-                    fish.position.set(
-                        _origPos.x + (Math.random() - 0.5) * 2 * _jitterAmp,
-                        _origPos.y + (Math.random() - 0.5) * 2 * _jitterAmp,
-                        _origPos.z + (Math.random() - 0.5) * 2 * _jitterAmp
-                    );
-                } else if (_origPos) {
-                    fish.position.copy(_origPos);
-                    _origPos = null;
-                }
-                if (elapsed >= _emissiveDur) {
-                    fish.traverse(function(child) {
-                        if (child.isMesh && child.material && child._origEmissive !== undefined) {
-                            child.material.emissiveIntensity = child._origEmissive;
-                            child._origEmissive = undefined;
-                        }
-                    });
-                }
-                const tintP = Math.min(elapsed / _tintDecayDur, 1);
-                const tintFactor = _peakTint * Math.pow(1 - tintP, 3);
-                fish.traverse(function(child) {
-                    if (child.isMesh && child.material && child._origColor) {
-                        if (tintP >= 1) child.material.color.copy(child._origColor);
-                        else child.material.color.copy(child._origColor.clone().lerp(_tint, tintFactor));
-                    }
-                });
-                if (tintP < 1 || elapsed < _scaleDur || elapsed < _jitterDur) {
-                    requestAnimationFrame(_mpJuiceFade);
-                } else {
-                    _mpFinalRestore();
-                }
-            }
-            function _mpFinalRestore() {
-                if (fish._origScale) fish.scale.copy(fish._origScale);
-                if (_origPos) { fish.position.copy(_origPos); _origPos = null; }
-                fish.traverse(function(child) {
-                    if (child.isMesh && child.material) {
-                        if (child._origColor) child.material.color.copy(child._origColor);
-                        if (child._origEmissive !== undefined) {
-                            child.material.emissiveIntensity = child._origEmissive;
-                            child._origEmissive = undefined;
-                        }
-                    }
-                });
-                fish.userData._hitFlashActive = false;
-            }
-            requestAnimationFrame(_mpJuiceFade);
+            flashServerFish(findServerFishMesh(data.fishId));
         };
 
         multiplayerManager.onFishKilled = function(data) {
@@ -12347,6 +12420,45 @@ window.startMultiplayerGame = function(manager) {
             showGovernanceNotification('Shot rejected: ' + data.reason, 'warning');
         };
         
+        multiplayerManager.onNetworkStats = function(stats) {
+            window._updateNetworkHud(stats);
+        };
+        
+        // Shot prediction: own bullet and hit VFX before HIT_RESULT. Balance is
+        // left to onBalanceUpdate; only visuals are predicted and rolled back.
+        multiplayerManager.onShotPredicted = function(shot) {
+            if (shot.bullet) spawnPredictedBulletMesh(shot.bullet);
+        };
+        
+        multiplayerManager.onPredictedImpact = function(shot) {
+            removePredictedBulletMesh(shot.seq);
+            shot.hits.forEach(function(hit) {
+                const fish = findServerFishMesh(hit.fishId);
+                if (!fish) return;
+                if (hit.kill) {
+                    // Hidden, not removed: the kill is only a guess until the server confirms
+                    fish.visible = false;
+                    fish.userData.predictedKillSeq = shot.seq;
+                } else {
+                    flashServerFish(fish);
+                }
+            });
+        };
+        
+        multiplayerManager.onShotReconciled = function(result) {
+            removePredictedBulletMesh(result.seq);
+            result.rolledBack.forEach(function(fishId) {
+                const fish = findServerFishMesh(fishId);
+                if (!fish || fish.userData.predictedKillSeq !== result.seq) return;
+                fish.visible = true;
+                fish.userData.predictedKillSeq = null;
+                flashServerFish(fish);
+            });
+            result.unpredicted.forEach(function(fishId) {
+                flashServerFish(findServerFishMesh(fishId));
+            });
+        };
+        
         multiplayerManager.onAnomalyWarning = function(data) {
             showGovernanceNotification('Anomaly detected in play pattern', 'warning');
         };
@@ -12358,6 +12470,28 @@ window.startMultiplayerGame = function(manager) {
         multiplayerManager.onVersionMismatch = function(data) {
             showGovernanceNotification('Game version outdated — please refresh', 'error');
         };
+        
+        multiplayerManager.onSpectatorViewChanged = function(view) {
+            updateSpectatorHud(view);
+            renderSpectatorKillFeed();
+        };
+        
+        multiplayerManager.onKillFeed = function(entry) {
+            if (multiplayerManager.isSpectator) renderSpectatorKillFeed();
+        };
+        
+        multiplayerManager.onChatMessage = function(message) {
+            renderChatLog();
+            if (message.kind === 'emote') showEmoteBubble(message);
+        };
+        
+        multiplayerManager.onChatRejected = function(data) {
+            showGovernanceNotification(CHAT_REJECT_TEXT[data.reason] || 'Message not sent: ' + data.reason, 'warning');
+        };
+        
+        if (multiplayerManager.isSpectator) {
+            updateSpectatorHud(multiplayerManager.getSpectatorCamera());
+        }
     }
     
     console.log('Multiplayer game started with manager:', manager);
@@ -13232,6 +13366,8 @@ function createCannonBase() {
 
 function applyWeaponToCannon(weaponKey) {
     gameState.currentWeapon = weaponKey;
+    // Target strategy label follows the weapon's default
+    syncAutoPillUI();
     
     buildCannonGeometryForWeapon(weaponKey);
     
@@ -13924,8 +14060,8 @@ function aimCannonThrottled(targetX, targetY) {
 }
 
 function aimCannon(targetX, targetY) {
-    // Don't aim if AUTO mode is on
-    if (gameState.autoShoot) return;
+    // Don't aim if AUTO mode is on or the turret is tracking a lock-on
+    if (gameState.autoShoot || isManualLockActive()) return;
     
     // FPS MODE FIX: In FPS mode, cannon rotation is controlled by right-drag only
     // This prevents aimCannon from overriding the sensitivity-based rotation system
@@ -13987,9 +14123,10 @@ function aimCannon(targetX, targetY) {
 // TURRET KINEMATICS:
 //   - Auto-rotation via Quaternion.Slerp (smooth tracking, configurable speed)
 //   - Kinematic Target Leading (Deflection Shooting):
-//       For projectile weapons (speed > 0): aim at interception point using
-//       target velocity + projectile travel time. One Newton iteration for accuracy.
-//       For hitscan weapons (laser, speed = 0): fire directly at target center.
+//       For travelling shots (weapon.leadTarget): aim at the interception point from
+//       intercept_solver.js — flight time iterated to convergence, parabolic drop for
+//       lobbed weapons, turn / sprint fitted from the locked fish's recent path.
+//       For hitscan shots (every current weapon): fire directly at target center.
 //   - Fire gate: cannon must be within 8° of target before firing (or 500ms force-fire).
 //
 // Turret reference point: World Y=-338, Z=-680
@@ -14020,6 +14157,13 @@ const TargetingService = {
         transitionMs:  200,                                      // Time to slew between targets
         // Target selection refresh interval (100ms = 10Hz, not every frame)
         targetRefreshMs: 100,
+        // Target leading (weapons with leadTarget) — see intercept_solver.js
+        leadIterations: 8,                                       // Flight-time refinements per solve
+        leadToleranceSec: 0.0005,                                // Converged once flight time moves less than this
+        leadMaxSeconds: 2.0,                                     // Never lead further ahead than this
+        leadCurvature: true,                                     // Fit turn / sprint from recent positions (false = straight-line lead)
+        motionSampleMs: 50,                                      // Locked-fish position sample spacing
+        motionSamples: 8,                                        // Samples kept (~350ms of path)
     },
 
     state: {
@@ -14036,6 +14180,7 @@ const TargetingService = {
         lockStartMs: 0,
         lastTargetScanMs: 0,     // Timestamp of last target selection scan
         _cachedScanResult: null,  // Cached target from last scan
+        manualLock: false,       // Lock-on: player pinned lockedTarget (no rescan, no boss preempt, player fires)
     },
 
     // Turret reference point for distance calculations (world-space origin for proximity)
@@ -14054,8 +14199,15 @@ const TargetingService = {
         currentQuat: new THREE.Quaternion(),
         ndc: new THREE.Vector3(),
         leadPos: new THREE.Vector3(),           // Kinematic target leading result
+        leadDir: new THREE.Vector3(),           // Launch direction toward leadPos (drop compensated)
+        strategyOrigin: new THREE.Vector3(),    // Shot origin for line / cluster scoring
     },
 
+    // Recent positions of the locked fish for the curvature fit
+    _motionSamples: [],
+    _motionSampleId: null,
+    _interceptResult: { velocity: {} },
+
     reset() {
         const s = this.state;
         s.lockedTarget = null;
@@ -14067,37 +14219,25 @@ const TargetingService = {
         s.lockStartMs = 0;
         s.lastTargetScanMs = 0;
         s._cachedScanResult = null;
-    },
-
-    // ---- Resolve fish object by stored rtpFishId ----
-    // Scans activeFish for the fish with the matching ID.
-    // Returns null if the fish is no longer in the active pool (died/despawned).
-    _findFishById(id) {
-        if (!id) return null;
-        for (let i = 0; i < activeFish.length; i++) {
-            if (activeFish[i].rtpFishId === id) return activeFish[i];
-        }
-        return null;
+        s.manualLock = false;
+        this._motionSamples.length = 0;
+        this._motionSampleId = null;
     },
 
     // ---- isTargetValid: The ONLY gate for dropping a lock ----
     // Returns false ONLY if:
-    //   1. Fish object is null / not found in activeFish
+    //   1. Fish object is null
     //   2. Fish is dead (hp <= 0) or inactive (!isActive)
     //   3. Fish is strictly off-screen (NDC + 30% margin)
     // Distance / turret yaw-pitch are intentionally NOT checked.
+    // tick() runs the same checks through resolveLockedFish (manual_lock.js).
     _isTargetValid(fish, refPos) {
-        if (!fish) return false;
-        if (!fish.isActive) return false;
-        if (fish.hp !== undefined && fish.hp <= 0) return false;
-        // Screen bounds check: NDC projection with generous 30% buffer
-        const tv = this._tempVecs;
-        tv.ndc.copy(fish.group.position).project(camera);
-        const m = this.config.DROP_SCREEN_MARGIN;  // 1.3 = 30% beyond frustum
-        if (tv.ndc.z < -1 || tv.ndc.z > 1) return false;
-        if (tv.ndc.x < -m || tv.ndc.x > m) return false;
-        if (tv.ndc.y < -m || tv.ndc.y > m) return false;
-        return true;
+        return isLockableFish(fish, this._fishInDropBounds);
+    },
+
+    // ---- Drop-bounds callback for manual_lock.js (no `this`, safe to pass around) ----
+    _fishInDropBounds(fish) {
+        return TargetingService._isInDropBounds(fish.group.position);
     },
 
     // ---- _setLock: centralized lock setter — always updates both object ref AND id ----
@@ -14197,10 +14337,13 @@ const TargetingService = {
         return !this._isTargetValid(fish, refPos);
     },
 
-    // ---- Target Lock selection: P1 Boss Lock → P2 Proximity Lock → tie-break by fishId ----
-    _selectTargetLock(refPos) {
+    // ---- Target Lock selection: P1 Boss Lock → P2 strategy pick → tie-break by fishId ----
+    // P2 candidates are scored by the weapon's targeting strategy (targeting_strategies.js);
+    // omitting strategyKey keeps the original proximity lock.
+    _selectTargetLock(refPos, strategyKey = 'nearest') {
         let bestP1 = null, bestP1Dist = Infinity, bestP1Id = Infinity;
         let bestP2 = null, bestP2Dist = Infinity, bestP2Id = Infinity;
+        const candidates = strategyKey === 'nearest' ? null : [];
 
         for (let i = 0; i < activeFish.length; i++) {
             const fish = activeFish[i];
@@ -14221,6 +14364,8 @@ const TargetingService = {
                     bestP1Dist = distSq;
                     bestP1Id = fishIdNum;
                 }
+            } else if (candidates) {
+                candidates.push(this._strategyCandidate(fish, distSq, fishIdNum));
             } else {
                 // P2: Proximity — nearest fish (ignore tier), tie-break by lower fishId
                 if (distSq < bestP2Dist || (distSq === bestP2Dist && fishIdNum < bestP2Id)) {
@@ -14232,7 +14377,55 @@ const TargetingService = {
         }
 
         // P1 takes absolute priority over P2
-        return bestP1 || bestP2;
+        if (bestP1 || !candidates) return bestP1 || bestP2;
+        if (candidates.length === 0) return null;
+        const pick = pickTargetByStrategy(strategyKey, candidates, this._strategyContext(strategyKey, candidates));
+        return pick ? pick.fish : null;
+    },
+
+    // Plain snapshot of a fish for the strategy scorers
+    _strategyCandidate(fish, distSq, fishIdNum) {
+        const pos = fish.group.position;
+        const reward = fish.config ? (fish.config.reward || 0) : 0;
+        const pityCostFp = multiplayerMode ? null : clientRTPEngine.getPityCostRemainingFp(
+            CLIENT_RTP_PLAYER_ID, fish.rtpFishId, fish.rtpTier, gameState.coinValue
+        );
+        return {
+            fish,
+            id: fish.rtpFishId,
+            idNum: fishIdNum,
+            x: pos.x, y: pos.y, z: pos.z,
+            distSq,
+            radius: fish.boundingRadius || 20,
+            value: reward * (fish.fishMultiplier || 1),
+            pityCostFp
+        };
+    },
+
+    // Beam origin, blast size and the fish a shot can catch for line / cluster scoring
+    _strategyContext(strategyKey, candidates) {
+        if (strategyKey !== 'laserLine' && strategyKey !== 'aoeCluster') return {};
+        const weapon = WEAPON_CONFIG[gameState.currentWeapon] || {};
+        const origin = this._tempVecs.strategyOrigin;
+        if (gameState.viewMode === 'fps') {
+            origin.copy(camera.position);
+        } else {
+            cannonMuzzle.getWorldPosition(origin);
+        }
+        const field = [];
+        for (let i = 0; i < activeFish.length; i++) {
+            const fish = activeFish[i];
+            if (!fish.isActive || (fish.hp !== undefined && fish.hp <= 0)) continue;
+            const pos = fish.group.position;
+            field.push({ x: pos.x, y: pos.y, z: pos.z, radius: fish.boundingRadius || 20 });
+        }
+        return {
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            field,
+            beamWidth: weapon.laserWidth || 0,
+            splashRadius: weapon.aoeRadius || 0,
+            maxTargets: strategyKey === 'laserLine' ? RTP_LASER_MAX_TARGETS : RTP_ROCKET_MAX_TARGETS
+        };
     },
 
     _initFromCannon() {
@@ -14271,55 +14464,82 @@ const TargetingService = {
     },
 
     // ---- Kinematic Target Leading (Deflection Shooting) ----
-    // Calculates the interception point where a projectile will meet the moving fish.
-    // For hitscan weapons (laser, speed=0), returns the fish's current center (no lead).
-    // For projectile weapons (speed>0), predicts where the fish will be when the bullet arrives.
-    // Uses one Newton iteration for accuracy.
-    _calcLeadPosition(fish, muzzlePos, outPos) {
+    // Calculates the interception point where a travelling shot will meet the moving fish,
+    // and the launch direction that gets it there (outDir, optional).
+    // Hitscan shots (every weapon without leadTarget) aim at the fish's current center.
+    // Travelling shots use solveIntercept: flight time is iterated to convergence, lobbed
+    // weapons use calculateParabolicVelocity's drop, and with leadCurvature the fish's
+    // recent path (_sampleMotion) bends the prediction along its turn.
+    _calcLeadPosition(fish, muzzlePos, outPos, outDir) {
         const center = this._getFishCenter(fish);
-        const weaponKey = gameState.currentWeapon;
-        const weapon = CONFIG.weapons[weaponKey];
-        const projSpeed = weapon ? weapon.speed : 0;
+        const weapon = this._leadingWeapon();
 
-        // Hitscan (laser) or no speed defined → aim directly at fish center
-        if (!projSpeed || projSpeed <= 0 || weapon.type === 'laser') {
+        if (!weapon) {
             outPos.copy(center);
+            if (outDir) outDir.copy(center).sub(muzzlePos).normalize();
             return outPos;
         }
 
-        // Get fish velocity vector (world-space units/sec)
-        const vel = fish.velocity;
-        if (!vel || (vel.x === 0 && vel.y === 0 && vel.z === 0)) {
-            outPos.copy(center);
-            return outPos;
+        const c = this.config;
+        const gravity = (weapon.type === 'aoe' || weapon.type === 'superAoe') ? GRENADE_GRAVITY : 0;
+        const hit = solveIntercept(muzzlePos, this._targetMotion(fish, center), weapon.speed, {
+            gravity,
+            maxIterations: c.leadIterations,
+            tolerance: c.leadToleranceSec,
+            maxLeadSeconds: c.leadMaxSeconds
+        }, this._interceptResult);
+
+        outPos.set(hit.x, hit.y, hit.z);
+        if (outDir) outDir.set(hit.velocity.x, hit.velocity.y, hit.velocity.z).normalize();
+        return outPos;
+    },
+
+    // Current weapon if its shots travel and lead the target, else null
+    _leadingWeapon() {
+        const weapon = CONFIG.weapons[gameState.currentWeapon];
+        if (!weapon || !weapon.leadTarget || !(weapon.speed > 0) || weapon.type === 'laser') return null;
+        return weapon;
+    },
+
+    // ---- Record the locked fish's position every motionSampleMs ----
+    // Only while the weapon leads with curvature; otherwise the path is dropped
+    // so a later switch to a leading weapon starts from fresh samples.
+    _sampleMotion(fish, now) {
+        const c = this.config;
+        const samples = this._motionSamples;
+        if (!c.leadCurvature || !this._leadingWeapon()) {
+            samples.length = 0;
+            this._motionSampleId = null;
+            return;
+        }
+        if (this._motionSampleId !== fish.rtpFishId) {
+            samples.length = 0;
+            this._motionSampleId = fish.rtpFishId;
         }
+        const t = now / 1000;
+        if (samples.length > 0 && (t - samples[samples.length - 1].t) * 1000 < c.motionSampleMs) return;
+        const pos = fish.group.position;
+        const sample = samples.length >= c.motionSamples ? samples.shift() : {};
+        sample.t = t;
+        sample.x = pos.x; sample.y = pos.y; sample.z = pos.z;
+        samples.push(sample);
+    },
 
-        // First estimate: time = distance / projectileSpeed
-        const dx = center.x - muzzlePos.x;
-        const dy = center.y - muzzlePos.y;
-        const dz = center.z - muzzlePos.z;
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        let t = dist / projSpeed;
-
-        // Newton iteration: refine using predicted position
-        const predX = center.x + vel.x * t;
-        const predY = center.y + vel.y * t;
-        const predZ = center.z + vel.z * t;
-        const dx2 = predX - muzzlePos.x;
-        const dy2 = predY - muzzlePos.y;
-        const dz2 = predZ - muzzlePos.z;
-        const dist2 = Math.sqrt(dx2 * dx2 + dy2 * dy2 + dz2 * dz2);
-        t = dist2 / projSpeed;
-
-        // Clamp lead time to prevent absurd predictions (max 2 seconds ahead)
-        t = Math.min(t, 2.0);
-
-        outPos.set(
-            center.x + vel.x * t,
-            center.y + vel.y * t,
-            center.z + vel.z * t
-        );
-        return outPos;
+    // ---- Motion model for the solver: fitted path when sampled, else fish.velocity ----
+    _targetMotion(fish, center) {
+        let motion = null;
+        if (this.config.leadCurvature && this._motionSampleId === fish.rtpFishId) {
+            motion = estimateTargetMotion(this._motionSamples);
+        }
+        if (!motion) {
+            const vel = fish.velocity || { x: 0, y: 0, z: 0 };
+            motion = { vx: vel.x, vy: vel.y, vz: vel.z, turnRate: 0, accel: 0, ay: 0 };
+        }
+        // Samples track group.position; aim at the body center
+        motion.x = center.x;
+        motion.y = center.y;
+        motion.z = center.z;
+        return motion;
     },
 
     _clampRotDelta(delta, maxStep) {
@@ -14377,31 +14597,21 @@ const TargetingService = {
         //   Step 2: Boss Override (only if locked on non-boss and a boss appears)
         //   Step 3: If target invalid / null → scan for new target
 
-        // ---- STEP 0: Resolve locked target by ID ----
-        // This ensures we always work with the correct fish object even if references shift.
+        // ---- STEP 0 + 1: Resolve locked target by ID, then validate (every tick) ----
+        // The ID lookup keeps the fish object current even if references shift, and a
+        // recycled fish (new rtpFishId) no longer matches. If valid, SHORT-CIRCUIT — no scanning.
         if (s.lockedTargetId) {
-            const resolved = this._findFishById(s.lockedTargetId);
-            if (resolved) {
-                s.lockedTarget = resolved;  // Refresh object reference from ID
-            } else {
-                // Fish is no longer in activeFish (died/despawned and removed from array)
-                console.log(`[AutoAim] DROP lock: ${s.lockedTargetId} reason=not-in-activeFish`);
-                s.lockedTarget = null;
-                s.lockedTargetId = null;
-            }
-        }
-
-        // ---- STEP 1: STATE-FIRST validation (every tick, not just every 100ms) ----
-        // If we have a locked target, validate it. If valid, SHORT-CIRCUIT — no scanning.
-        if (s.lockedTarget && s.lockedTargetId) {
-            if (this._isTargetValid(s.lockedTarget, refPos)) {
+            const lock = resolveLockedFish(activeFish, s.lockedTargetId, this._fishInDropBounds);
+            if (lock.fish) {
+                s.lockedTarget = lock.fish;  // Refresh object reference from ID
                 // ===> LOCK IS VALID. DO NOT call _selectTargetLock(). <===
                 // The ONLY exception below is Boss Override (Step 2).
 
                 // ---- STEP 2: Boss Override (P2 → P1 only) ----
                 // If currently locked on a non-boss and a boss enters the screen,
                 // preempt to the boss. This is the ONLY reason to break a valid lock.
-                if (!this._isBossPriority(s.lockedTarget) && bossCrosshairMap && bossCrosshairMap.size > 0) {
+                // A manual lock-on is the player's choice and is never preempted.
+                if (!s.manualLock && !this._isBossPriority(s.lockedTarget) && bossCrosshairMap && bossCrosshairMap.size > 0) {
                     let bestBoss = null;
                     let bestBossDist = Infinity;
                     let bestBossId = Infinity;
@@ -14438,24 +14648,24 @@ const TargetingService = {
 
                 // Target is valid (possibly boss-preempted above) — skip to turret tracking below.
             } else {
-                // Target is INVALID (dead / despawned / off-screen).
-                // Diagnose why:
-                const fish = s.lockedTarget;
-                const reason = !fish ? 'null' :
-                               !fish.isActive ? 'dead/inactive' :
-                               (fish.hp !== undefined && fish.hp <= 0) ? 'hp<=0' : 'off-screen';
-                console.log(`[AutoAim] DROP lock: ${s.lockedTargetId} reason=${reason}`);
+                // Target is INVALID (removed / dead / despawned / off-screen)
+                console.log(`[AutoAim] DROP lock: ${s.lockedTargetId} reason=${lock.reason}`);
                 s.lockedTarget = null;
                 s.lockedTargetId = null;
             }
         }
 
         // ---- STEP 3: No valid lock → scan for new target (throttled to 100ms) ----
+        // A broken manual lock-on just ends; the player pins the next fish.
+        if (!s.lockedTargetId && s.manualLock) {
+            this.reset();
+            return { target: null, canFire: false };
+        }
         if (!s.lockedTargetId) {
             const shouldRescan = (now - s.lastTargetScanMs) >= c.targetRefreshMs;
             if (shouldRescan) {
                 s.lastTargetScanMs = now;
-                const target = this._selectTargetLock(refPos);
+                const target = this._selectTargetLock(refPos, getAutoTargetingStrategy());
                 if (target) {
                     this._setLock(target, s.phase === 'idle' ? 'initial-acquire' : 'reacquire-after-drop');
                     s.phase = (s.phase === 'idle') ? 'locking' : 'transition';
@@ -14475,13 +14685,14 @@ const TargetingService = {
 
         const fish = s.lockedTarget;
         if (!fish) { this.reset(); return { target: null, canFire: false }; }
+        this._sampleMotion(fish, now);
 
         // ---- TURRET TRACKING: Quaternion.Slerp-based smooth rotation ----
-        // All current weapons use fireHitscanRay (instant ray) — aim directly at fish center.
-        // _calcLeadPosition is available for future projectile-physics weapons.
-        const aimPos = this._getFishCenter(fish);
-        const trackOrigin = (gameState.autoShoot && isFps) ? camera.position : muzzlePos;
-        const dir = aimPos.clone().sub(trackOrigin).normalize();
+        // Hitscan weapons aim at the fish center; weapons with leadTarget aim the
+        // intercept solver's launch direction (see _calcLeadPosition).
+        const trackOrigin = ((gameState.autoShoot || s.manualLock) && isFps) ? camera.position : muzzlePos;
+        this._calcLeadPosition(fish, trackOrigin, tv.leadPos, tv.leadDir);
+        const dir = tv.leadDir;
         const clampedYaw   = Math.max(-c.yawLimit, Math.min(c.yawLimit, Math.atan2(dir.x, dir.z)));
         const clampedPitch = Math.max(c.pitchMin, Math.min(c.pitchMax, Math.asin(dir.y)));
 
@@ -14542,9 +14753,37 @@ const TargetingService = {
         return { target: fish, canFire };
     },
 
-    // ---- Backward-compatible findNearest (used by legacy callers) ----
+    // ---- Manual lock-on: pin a fish the player picked ----
+    // tick() then tracks it with the same slerp phases and drops it on death,
+    // despawn or DROP_SCREEN_MARGIN; the player still pulls the trigger.
+    pinManualLock(fish) {
+        if (!this._isTargetValid(fish, this._turretRefPos)) return false;
+        const s = this.state;
+        const now = performance.now();
+        this.reset();
+        this._initFromCannon();  // Slew from wherever the player left the barrel
+        s.manualLock = true;
+        this._setLock(fish, 'manual-pin');
+        s.phase = 'transition';
+        s.phaseStart = now;
+        s.startYaw = s.currentYaw;
+        s.startPitch = s.currentPitch;
+        s.lockStartMs = now;
+        return true;
+    },
+
+    // ---- Fish drawn closest to a screen point (pixels), or null ----
+    // Pick rules live in manual_lock.js (pickFishAtScreenPoint).
+    fishAtScreenPoint(screenX, screenY) {
+        const ndc = this._tempVecs.ndc;
+        return pickFishAtScreenPoint(activeFish, screenX, screenY,
+            { width: window.innerWidth, height: window.innerHeight },
+            fish => ndc.copy(fish.group.position).project(camera));
+    },
+
+    // ---- Backward-compatible findNearest (used by legacy callers) — always proximity ----
     findNearest(muzzlePos) {
-        const target = this._selectTargetLock(muzzlePos);
+        const target = this._selectTargetLock(muzzlePos, 'nearest');
         return { primary: target, fallback: null };
     },
 };
@@ -14557,6 +14796,36 @@ const AUTOAIM_TRACK_SPEED = TargetingService.config.trackSpeed;
 const targetLockState = TargetingService.state;
 
 function resetAutoAimState() { TargetingService.reset(); }
+function isManualLockActive() { return TargetingService.state.manualLock; }
+
+// Lock-on (L / middle click): pin the fish at a screen point, or release the pin.
+// AUTO off only — shots stay manual, so they settle at manual RTP rates.
+function toggleManualLock(screenX, screenY) {
+    const s = TargetingService.state;
+    const fish = TargetingService.fishAtScreenPoint(screenX, screenY);
+    const action = manualLockAction({
+        inGame: gameState.isInGameScene,
+        weaponSelected: gameState.weaponSelected,
+        autoShoot: gameState.autoShoot,
+        spectator: !!(multiplayerMode && multiplayerManager && multiplayerManager.isSpectator),
+        picked: fish,
+        pinnedId: s.manualLock ? s.lockedTargetId : null,
+    });
+    if (action === 'pin') {
+        if (TargetingService.pinManualLock(fish)) playSound('weaponSwitch');
+    } else if (action === 'release') {
+        resetAutoAimState();
+        playSound('weaponSwitch');
+    }
+}
+
+// Strategy the AUTO pill override picks, else the current weapon's default
+function getAutoTargetingStrategy() {
+    const override = gameSettings.autoTargeting;
+    if (override && TARGETING_STRATEGIES[override]) return override;
+    const weapon = WEAPON_CONFIG[gameState.currentWeapon];
+    return (weapon && TARGETING_STRATEGIES[weapon.autoTargeting]) ? weapon.autoTargeting : 'nearest';
+}
 function findNearestFish(muzzlePos) { return TargetingService.findNearest(muzzlePos).primary; }
 function autoAimTick() { if (!gameState.weaponSelected) return; return TargetingService.tick(); }
 function autoFireAtFish(targetFish) { return autoAimAtFish(targetFish); }
@@ -14620,10 +14889,15 @@ function autoAimAtFish(targetFish) {
     
     if (gameState.cooldown > 0) return false;
     if (gameState.burstInProgress) return false;
+    if (gameState.realityCheckOpen) return false;
     
-    if (gameState.balance < weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE) return false;
+    const freeShot = getActiveFreeShotRound() !== null;
+    if (!freeShot && gameState.balance < weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE) return false;
+    if (!checkResponsibleGamingLimits(freeShot ? 0 : weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE)) return false;
     
-    if (!multiplayerMode) {
+    if (freeShot) {
+        consumeFreeShot(weaponKey);
+    } else if (!multiplayerMode) {
         gameState.balance -= weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE;
         recordBet(weaponKey);
     }
@@ -14638,17 +14912,16 @@ function autoAimAtFish(targetFish) {
     
     let direction;
     if (gameState.autoShoot) {
-        // GUARANTEED HIT: Fire directly at the fish's current center.
-        // All current weapons use fireHitscanRay (instant ray), so no target leading is needed.
+        // GUARANTEED HIT: Fire directly at the fish's current center (hitscan), or along the
+        // intercept solver's lead for weapons with leadTarget (see TargetingService._calcLeadPosition).
         // The direction MUST originate from the same point fireHitscanRay uses as hitOrigin:
         //   FPS mode  → camera.position  (fireHitscanRay overrides origin to camera)
         //   3rd person → muzzlePos        (fireHitscanRay uses the passed origin)
         // This eliminates parallax desync between visual aim and actual hit detection.
         direction = autoAimTempVectors.direction;
         if (targetFish && targetFish.isActive) {
-            const fishCenter = TargetingService._getFishCenter(targetFish);
             const hitOrigin = (gameState.viewMode === 'fps') ? camera.position : muzzlePos;
-            direction.copy(fishCenter).sub(hitOrigin).normalize();
+            TargetingService._calcLeadPosition(targetFish, hitOrigin, autoAimTempVectors.leadPos, direction);
         } else {
             // Fallback: fire in barrel's visual direction
             const yaw = cannonGroup ? cannonGroup.rotation.y : 0;
@@ -14678,7 +14951,7 @@ function autoAimAtFish(targetFish) {
     if (weapon.type === 'burst') {
         var burstCount = weapon.burstCount || 3;
         var burstInterval = (1 / weapon.shotsPerSecond * 1000) / burstCount;
-        fireHitscanRay(muzzlePos, direction, weaponKey);
+        fireHitscanRay(muzzlePos, direction, weaponKey, undefined, freeShot);
         playWeaponShot(weaponKey);
         spawnMuzzleFlash(weaponKey, muzzlePos, direction);
         showCrosshairRingFlash();
@@ -14712,7 +14985,7 @@ function autoAimAtFish(targetFish) {
                         gameState.burstShotsRemaining = 0;
                         return;
                     }
-                    _fireBurstShotAuto(weaponKey);
+                    _fireBurstShotAuto(weaponKey, freeShot);
                     gameState.burstShotsRemaining--;
                     if (gameState.burstShotsRemaining <= 0) {
                         gameState.burstInProgress = false;
@@ -14722,9 +14995,9 @@ function autoAimAtFish(targetFish) {
         }
         return true;
     } else if (weapon.type === 'laser') {
-        fireLaserBeam(muzzlePos, direction, weaponKey);
+        fireLaserBeam(muzzlePos, direction, weaponKey, freeShot);
     } else {
-        fireHitscanRay(muzzlePos, direction, weaponKey);
+        fireHitscanRay(muzzlePos, direction, weaponKey, undefined, freeShot);
     }
     
     playWeaponShot(weaponKey);
@@ -14791,10 +15064,15 @@ class Fish {
         this.loadToken = ++fishLoadTokenCounter;
         this.glbLoaded = false;
         
-        // Phase 2: Initialize shield HP for Shield Turtle
-        if (tierConfig.ability === 'shield' && tierConfig.shieldHP) {
-            this.shieldHP = tierConfig.shieldHP;
-        }
+        // Phase 2: Shield Turtle hits left on the shield (set on spawn from the RTP engine)
+        this.shieldHits = 0;
+        this.shieldMax = 0;
+        
+        // FISH TIDES: formation slot being flown, or fleeing the tank ahead of a tide
+        this.tideSlot = null;
+        this.tideElapsed = 0;
+        this.tideExit = false;
+        this.outsideGlass = false;
         
         this.createMesh();
     }
@@ -14811,6 +15089,10 @@ class Fish {
             if (this.group.parent) {
                 this.group.parent.remove(this.group);
             }
+            // Badge sprite uses three.js' shared sprite geometry - detach it before disposal
+            if (this.multiplierBadge) {
+                this.group.remove(this.multiplierBadge);
+            }
             this.group.children.forEach(child => {
                 if (child.geometry) child.geometry.dispose();
             });
@@ -16163,7 +16445,29 @@ class Fish {
             this.group.add(fin);
         });
     }
-    
+
+    // MULTIPLIER FISH: floating "×N" badge above the fish, hidden for ×1
+    updateMultiplierBadge() {
+        const multiplier = this.fishMultiplier || 1;
+        if (multiplier <= 1) {
+            if (this.multiplierBadge) this.multiplierBadge.visible = false;
+            return;
+        }
+        if (!this.multiplierBadge) {
+            this.multiplierBadge = new THREE.Sprite(getFishMultiplierBadgeMaterial(multiplier));
+            this.multiplierBadge.renderOrder = 10;
+        } else {
+            this.multiplierBadge.material = getFishMultiplierBadgeMaterial(multiplier);
+        }
+        const size = this.config.size * (CONFIG.glbModelScaleMultiplier || 1.0);
+        this.multiplierBadge.scale.set(size * 0.8, size * 0.4, 1);
+        this.multiplierBadge.position.set(0, size * 0.7, 0);
+        if (this.multiplierBadge.parent !== this.group) {
+            this.group.add(this.multiplierBadge);
+        }
+        this.multiplierBadge.visible = true;
+    }
+
     spawn(position) {
         // DEBUG: Track spawns
         glbSwapStats.totalSpawned++;
@@ -16185,7 +16489,33 @@ class Fish {
         if (oldRtpFishId && typeof clientRTPEngine !== 'undefined') {
             clientRTPEngine.clearFishStates(oldRtpFishId);
         }
-        
+
+        // MULTIPLIER FISH: roll a fresh ×N on every spawn (single-player only -
+        // in multiplayer the server owns RTP). The engine divides kill odds by N
+        // so the fish pays N× as often as 1/N, keeping EV per shot unchanged.
+        this.fishMultiplier = 1;
+        if (!multiplayerMode && typeof clientRTPEngine !== 'undefined') {
+            this.fishMultiplier = drawFishMultiplier(clientRTPEngine.profile.fishMultipliers, this.rtpTier, rtpSpawnRandom);
+            if (this.fishMultiplier > 1) {
+                clientRTPEngine.setFishMultiplier(this.rtpFishId, this.fishMultiplier);
+            }
+        }
+
+        // ABILITY FISH: the engine owns the shield hit count, the gold fish bonus
+        // multiplier and the share of a bomb / eel kill held back for its strike
+        this.shieldHits = 0;
+        if (!multiplayerMode && this.config.ability && typeof clientRTPEngine !== 'undefined') {
+            clientRTPEngine.setFishAbility(this.rtpFishId, this.config.ability);
+            this.fishMultiplier = clientRTPEngine.getFishMultiplier(this.rtpFishId);
+            this.shieldHits = clientRTPEngine.getFishShield(this.rtpFishId);
+        }
+        this.shieldMax = this.shieldHits;
+        if (this.shieldBubble) {
+            this.shieldBubble.visible = this.shieldHits > 0;
+            this.shieldBubble.material.opacity = 0.3;
+        }
+        this.updateMultiplierBadge();
+
         this.group.position.copy(position);
         this.hp = this.config.hp;
         this.isActive = true;
@@ -16206,9 +16536,11 @@ class Fish {
         // are treated as normal fish when they respawn after Boss Mode ends.
         this.isBoss = false;
         
-        if (this.config.ability === 'shield' && this.config.shieldHP) {
-            this.shieldHP = this.config.shieldHP;
-        }
+        // Pool fish swim normally unless spawnFishTideSlot() hands them a formation slot
+        this.tideSlot = null;
+        this.tideElapsed = 0;
+        this.tideExit = false;
+        this.outsideGlass = false;
         
         this._originalCorrectionQuat = null;
         this._hitCount = 0;
@@ -16445,6 +16777,13 @@ class Fish {
             return;
         }
         
+        // FISH TIDES: formation fish follow their scripted path, fleeing fish
+        // head for the nearest side wall - no pattern, boids or boundary forces
+        if (this.tideSlot || this.tideExit) {
+            this.updateTideMotion(deltaTime);
+            return;
+        }
+        
         // Initialize pattern state if needed
         if (!this.patternState) {
             this.patternState = {
@@ -17890,27 +18229,29 @@ class Fish {
         requestAnimationFrame(_impactJuiceFade);
     }
     
-    takeDamage(damage, weaponKey, spreadIndex) {
+    // isPromo: the hit comes from a free shot (no jackpot share taken from its budget)
+    takeDamage(damage, weaponKey, spreadIndex, isPromo = false) {
         if (!this.isActive) return false;
         
-        // Phase 2: Shield Turtle - check if fish has shield
-        if (this.config.ability === 'shield' && this.shieldHP > 0) {
-            this.shieldHP -= damage;
-            if (this.shieldBubble) {
-                this.shieldBubble.material.emissiveIntensity = 1.0;
-                setTimeout(() => {
-                    if (this.shieldBubble) {
-                        this.shieldBubble.material.emissiveIntensity = 0.3;
-                    }
-                }, 100);
-                const shieldPercent = Math.max(0, this.shieldHP / this.config.shieldHP);
-                this.shieldBubble.material.opacity = 0.3 * shieldPercent;
-                if (this.shieldHP <= 0) {
-                    this.shieldBubble.visible = false;
-                    playImpactSound('shieldBreak');
-                    triggerScreenFlash(0x00ffff, 0.2);
-                }
+        let result = null;
+        if (!multiplayerMode) {
+            const weapon = CONFIG.weapons[weaponKey];
+            if (!weapon) {
+                console.warn(`[RTP] takeDamage: no weapon found for key='${weaponKey}'`);
+            } else if (weapon.type === 'spread' || weapon.type === 'burst') {
+                result = clientRTPEngine.handleShotgunHit(
+                    CLIENT_RTP_PLAYER_ID, this.rtpFishId, weaponKey, this.rtpTier, gameState.autoShoot, gameState.coinValue, isPromo
+                );
+            } else if (weapon.type === 'projectile') {
+                result = clientRTPEngine.handleSingleTargetHit(
+                    CLIENT_RTP_PLAYER_ID, this.rtpFishId, weaponKey, this.rtpTier, gameState.autoShoot, gameState.coinValue, isPromo
+                );
             }
+        }
+        
+        // Phase 2: Shield Turtle - the engine took the hit on the shield (bet still counts)
+        if (result && result.reason === 'shielded') {
+            this.updateShield(result.shieldHits);
             return false;
         }
         
@@ -17926,32 +18267,33 @@ class Fish {
         
         this.flashHit();
         
-        if (!multiplayerMode) {
-            const weapon = CONFIG.weapons[weaponKey];
-            if (!weapon) {
-                console.warn(`[RTP] takeDamage: no weapon found for key='${weaponKey}'`);
-            } else if (weapon.type === 'spread' || weapon.type === 'burst') {
-                const result = clientRTPEngine.handleShotgunHit(
-                    CLIENT_RTP_PLAYER_ID, this.rtpFishId, weaponKey, this.rtpTier, gameState.autoShoot
-                );
-                if (result.kill) {
-                    this.die(weaponKey, result.reward, result.rewardFp, spreadIndex);
-                    return true;
-                }
-            } else if (weapon.type === 'projectile') {
-                const result = clientRTPEngine.handleSingleTargetHit(
-                    CLIENT_RTP_PLAYER_ID, this.rtpFishId, weaponKey, this.rtpTier, gameState.autoShoot
-                );
-                if (result.kill) {
-                    this.die(weaponKey, result.reward, result.rewardFp, spreadIndex);
-                    return true;
-                }
-            }
+        if (result && result.kill) {
+            this.die(weaponKey, result.reward, result.rewardFp, spreadIndex);
+            return true;
         }
         
         return false;
     }
     
+    // Phase 2: Shield Turtle - fade the bubble as the engine's shield hits run out
+    updateShield(shieldHits) {
+        this.shieldHits = shieldHits;
+        if (!this.shieldBubble) return;
+        this.shieldBubble.material.emissiveIntensity = 1.0;
+        setTimeout(() => {
+            if (this.shieldBubble) {
+                this.shieldBubble.material.emissiveIntensity = 0.3;
+            }
+        }, 100);
+        const shieldPercent = this.shieldMax > 0 ? Math.max(0, shieldHits / this.shieldMax) : 0;
+        this.shieldBubble.material.opacity = 0.3 * shieldPercent;
+        if (shieldHits <= 0) {
+            this.shieldBubble.visible = false;
+            playImpactSound('shieldBreak');
+            triggerScreenFlash(0x00ffff, 0.2);
+        }
+    }
+    
     die(weaponKey, rtpReward, rewardFp, spreadIndex) {
         if (!this.isActive) {
             console.warn('[FISH] die() called on already-dead fish, skipping');
@@ -18077,7 +18419,7 @@ class Fish {
             // DELAYED GRATIFICATION Phase 1 (T=0): Immediate Kill Log
             // Show fish image + reward text in kill feed right away
             const killLogReward = winDisplay > 0 ? winDisplay : Math.round(this.config.reward);
-            addKillFeedEntry(this.form, killLogReward);
+            addKillFeedEntry(this.form, killLogReward, winFp > 0 ? this.fishMultiplier : 1);
             
             // GLITCH POP Phase 2 (T=0.1s): Delayed loot spawn + 3s hang + 0.5s fly to cannon
             const lootTierSP = getLootTier(this.form, this.isBoss);
@@ -18092,6 +18434,16 @@ class Fish {
                 recordWin(winDisplay);
             }
             
+            // Paid kills of boss/T1 fish roll for the progressive jackpot
+            if (winFp > 0) {
+                rollJackpotOnKill(this, deathPosition);
+            }
+            
+            // Rare kills award a free-shot bonus round on the weapon that made the kill
+            if (winFp > 0) {
+                checkFreeShotKillTrigger(this, weaponKey);
+            }
+            
             // Queue the reward data — will be processed in onCoinCollectionComplete()
             // when the coin fly animation finishes and coins "hit" the turret
             coinCollectionSystem.pendingRewards.push({
@@ -18144,7 +18496,31 @@ class Fish {
         }
     }
     
-    // Bomb Crab explosion - damages nearby fish
+    // Bomb Crab / Electric Eel strike: the RTP engine rolls the fish it reaches
+    // against the share held back from this fish's kill, so the strike adds no
+    // budget of its own. Multiplayer and unfunded strikes are visual only.
+    resolveAbilityStrike(targets) {
+        if (multiplayerMode || typeof clientRTPEngine === 'undefined') return [];
+        return clientRTPEngine.handleAbilityHit(
+            CLIENT_RTP_PLAYER_ID, this.rtpFishId, targets.map(fish => ({ fishId: fish.rtpFishId, tier: fish.rtpTier }))
+        );
+    }
+    
+    // Apply one strike result: HP is visual, the engine result decides the kill
+    applyAbilityHit(fish, result, damage, weaponKey) {
+        if (!fish.isActive) return;
+        if (result && result.reason === 'shielded') {
+            fish.updateShield(result.shieldHits);
+            return;
+        }
+        fish.hp -= damage;
+        fish.flashHit();
+        if (result && result.kill) {
+            fish.die(weaponKey, result.reward, result.rewardFp);
+        }
+    }
+    
+    // Bomb Crab explosion - strikes nearby fish, nearest first
     triggerBombExplosion(position, weaponKey) {
         const radius = this.config.abilityRadius || 200;
         const damage = this.config.abilityDamage || 300;
@@ -18157,18 +18533,21 @@ class Fish {
         // Play explosion sound
         playImpactSound('explosion');
         
-        // Damage all fish in radius
+        const caught = [];
         activeFish.forEach(fish => {
             if (fish.isActive && fish !== this) {
                 const dist = fish.group.position.distanceTo(position);
-                if (dist < radius) {
-                    // Damage falls off with distance
-                    const falloff = 1 - (dist / radius);
-                    const actualDamage = damage * falloff;
-                    fish.takeDamage(actualDamage, weaponKey);
-                }
+                if (dist < radius) caught.push({ fish, dist });
             }
         });
+        caught.sort((a, b) => a.dist - b.dist);
+        
+        const results = this.resolveAbilityStrike(caught.map(c => c.fish));
+        caught.forEach(({ fish, dist }, i) => {
+            // Damage falls off with distance
+            const falloff = 1 - (dist / radius);
+            this.applyAbilityHit(fish, results[i], damage * falloff, weaponKey);
+        });
         
         // Show ability notification
         showAbilityNotification('BOMB CRAB EXPLOSION!', 0xff4400);
@@ -18180,18 +18559,15 @@ class Fish {
         const baseDamage = this.config.abilityDamage || 150;
         const decay = this.config.abilityDecay || 0.6;
         
-        // Find nearby fish to chain to
+        // Build the chain up front: each link jumps to the nearest unchained fish
+        const chain = [];
         let currentPos = position.clone();
-        let chainedFish = new Set();
-        let currentDamage = baseDamage;
-        
         for (let i = 0; i < maxChains; i++) {
-            // Find nearest unchained fish
             let nearestFish = null;
             let nearestDist = 300; // Max chain distance
             
             activeFish.forEach(fish => {
-                if (fish.isActive && !chainedFish.has(fish)) {
+                if (fish.isActive && fish !== this && !chain.includes(fish)) {
                     const dist = fish.group.position.distanceTo(currentPos);
                     if (dist < nearestDist) {
                         nearestDist = dist;
@@ -18200,26 +18576,34 @@ class Fish {
                 }
             });
             
-            if (nearestFish) {
-                chainedFish.add(nearestFish);
-                
-                // Draw lightning bolt between positions
-                setTimeout(() => {
-                    spawnLightningBoltBetween(currentPos.clone(), nearestFish.group.position.clone(), 0x00ffff);
-                }, i * 150);
-                
-                // Damage the fish
-                setTimeout(() => {
-                    if (nearestFish.isActive) {
-                        nearestFish.takeDamage(currentDamage, weaponKey);
-                    }
-                }, i * 150 + 50);
-                
-                currentPos = nearestFish.group.position.clone();
-                currentDamage *= decay;
-            } else {
-                break; // No more fish to chain to
-            }
+            if (!nearestFish) break; // No more fish to chain to
+            chain.push(nearestFish);
+            currentPos = nearestFish.group.position.clone();
+        }
+        
+        // The engine stops the chain at its first failed roll
+        const results = this.resolveAbilityStrike(chain);
+        const reached = multiplayerMode ? chain.length : results.length;
+        
+        let fromPos = position.clone();
+        let currentDamage = baseDamage;
+        for (let i = 0; i < reached; i++) {
+            const fish = chain[i];
+            const toPos = fish.group.position.clone();
+            const boltFrom = fromPos.clone();
+            const linkDamage = currentDamage;
+            
+            // Settle the link now: the engine already booked the kill, so the
+            // payout must not wait on a timer the fish could leave the tank during
+            this.applyAbilityHit(fish, results[i], linkDamage, weaponKey);
+            
+            // Draw lightning bolt between positions
+            setTimeout(() => {
+                spawnLightningBoltBetween(boltFrom, toPos, 0x00ffff);
+            }, i * 150);
+            
+            fromPos = toPos;
+            currentDamage *= decay;
         }
         
         // Visual and audio effects
@@ -18227,12 +18611,12 @@ class Fish {
         playImpactSound('lightning');
         
         // Show ability notification
-        if (chainedFish.size > 0) {
-            showAbilityNotification(`ELECTRIC EEL! ${chainedFish.size} fish shocked!`, 0x00ffff);
+        if (reached > 0) {
+            showAbilityNotification(`ELECTRIC EEL! ${reached} fish shocked!`, 0x00ffff);
         }
     }
     
-    // Gold Fish bonus coins
+    // Gold Fish bonus coins - the bonus itself is the engine's fixed kill multiplier
     triggerBonusCoins(position) {
         const bonusCoins = this.config.bonusCoins || 10;
         
@@ -18246,27 +18630,98 @@ class Fish {
         playCoinSound('boss');
         
         // Show ability notification
-        showAbilityNotification('GOLD FISH BONUS!', 0xffdd00);
+        const bonusLabel = this.fishMultiplier > 1 ? ` ×${this.fishMultiplier}` : '';
+        showAbilityNotification('GOLD FISH BONUS!' + bonusLabel, 0xffdd00);
     }
     
-    respawn() {
-        // RACE CONDITION FIX: Check if fish is already active before respawning
-        // This handles the case where:
-        // 1. Fish dies → pushed to freeFish, respawn timer scheduled
-        // 2. Fish is popped from freeFish and reused (e.g., Boss Mode swarm)
-        // 3. Respawn timer fires but fish is already active from step 2
-        // Without this check, the fish would be respawned to a random position
-        // while it's already being used elsewhere, causing visual glitches
-        if (this.isActive) {
-            console.warn('[FISH] respawn() called on already-active fish, skipping (race condition)');
-            return;
-        }
-        
-        // WHITELIST GUARD: Block unauthorized species from respawning
-        const fishSpecies = this.tier || this.config?.species || this.form;
-        if (!WHITELIST_19_SPECIES.includes(fishSpecies)) {
-            console.error(`[WHITELIST] Unauthorized species respawn blocked: ${fishSpecies}`);
-            return;
+    // Move a formation fish along its path, or a fleeing fish toward the nearest
+    // side wall. Fish outside the glass are hidden; leaving the path ends the fish.
+    updateTideMotion(deltaTime) {
+        const pos = this.group.position;
+        if (this.tideSlot) {
+            this.tideElapsed += deltaTime;
+            const s = this.tideElapsed / this.tideSlot.travelSeconds;
+            if (s >= 1) {
+                this.leaveTank();
+                return;
+            }
+            const next = formationPosition(this.tideSlot, s, fishTidePathScratch);
+            if (deltaTime > 0) {
+                this.velocity.set((next.x - pos.x) / deltaTime, (next.y - pos.y) / deltaTime, (next.z - pos.z) / deltaTime);
+            }
+            pos.set(next.x, next.y, next.z);
+        } else {
+            const dir = pos.x >= 0 ? 1 : -1;
+            const blend = Math.min(1, deltaTime * 2);
+            this.velocity.x += (dir * this.config.speedMax * 4 - this.velocity.x) * blend;
+            this.velocity.y -= this.velocity.y * blend;
+            this.velocity.z -= this.velocity.z * blend;
+            pos.addScaledVector(this.velocity, deltaTime);
+            if (!isInsideFishTank(pos)) {
+                this.leaveTank();
+                return;
+            }
+        }
+        
+        const outside = !isInsideFishTank(pos);
+        if (outside !== this.outsideGlass) {
+            this.outsideGlass = outside;
+            this.group.visible = !outside;
+        }
+        
+        this.updateRotation(deltaTime);
+        this.animateTail(deltaTime);
+        this.lastPosition.copy(pos);
+        this.stuckTimer = 0;
+    }
+    
+    // Take the fish out of play without a kill: no reward, no respawn timer.
+    // The RTP budget is per player, so dropping the fish's state loses nothing.
+    leaveTank() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.group.visible = false;
+        this.tideSlot = null;
+        this.tideExit = false;
+        this.outsideGlass = false;
+        
+        if (this.respawnTimerId) {
+            clearTimeout(this.respawnTimerId);
+            this.respawnTimerId = null;
+        }
+        if (typeof clientRTPEngine !== 'undefined') {
+            clientRTPEngine.clearFishStates(this.rtpFishId);
+        }
+        // activeFish drops inactive fish on the next update pass
+        if (!freeFish.includes(this)) {
+            freeFish.push(this);
+        }
+    }
+    
+    respawn() {
+        // RACE CONDITION FIX: Check if fish is already active before respawning
+        // This handles the case where:
+        // 1. Fish dies → pushed to freeFish, respawn timer scheduled
+        // 2. Fish is popped from freeFish and reused (e.g., Boss Mode swarm)
+        // 3. Respawn timer fires but fish is already active from step 2
+        // Without this check, the fish would be respawned to a random position
+        // while it's already being used elsewhere, causing visual glitches
+        if (this.isActive) {
+            console.warn('[FISH] respawn() called on already-active fish, skipping (race condition)');
+            return;
+        }
+        
+        // FISH TIDES: the tank stays clear while a tide runs; top-up spawning
+        // refills it afterwards from freeFish
+        if (fishTideDirector.isActive()) {
+            return;
+        }
+        
+        // WHITELIST GUARD: Block unauthorized species from respawning
+        const fishSpecies = this.tier || this.config?.species || this.form;
+        if (!SPECIES_WHITELIST.includes(fishSpecies)) {
+            console.error(`[WHITELIST] Unauthorized species respawn blocked: ${fishSpecies}`);
+            return;
         }
         
         // BUG FIX: Boss-only species should NOT respawn after Boss Mode ends
@@ -18305,13 +18760,12 @@ function createFishPool() {
     particleGroup = new THREE.Group();
     scene.add(particleGroup);
     
-    // Create fish for each tier, EXCLUDING boss-only species and ability fish
+    // Create fish for each tier, EXCLUDING boss-only species
     // Boss fish (blueWhale, killerWhale, greatWhiteShark) only spawn during Boss Mode
     // T1 Elites (hammerheadShark, marlin, mantaRay) now spawn as normal fish (count=1 each)
-    // Ability fish (bombCrab, electricEel, goldFish, shieldTurtle) excluded for RTP compliance
     Object.entries(CONFIG.fishTiers).forEach(([tier, config]) => {
-        // WHITELIST GUARD: Block any species not in the 19-species whitelist
-        if (!WHITELIST_19_SPECIES.includes(tier)) {
+        // WHITELIST GUARD: Block any species not in the species whitelist
+        if (!SPECIES_WHITELIST.includes(tier)) {
             console.error(`[WHITELIST] Unauthorized species attempt: ${tier}. Blocking spawn.`);
             return;
         }
@@ -18321,11 +18775,6 @@ function createFishPool() {
             return; // Don't create these fish in the normal pool
         }
         
-        // RTP FIX: Skip ability fish that can cause chain kills without corresponding bets
-        if (ABILITY_FISH_EXCLUDED.includes(tier)) {
-            return; // Don't create ability fish until reward mechanics are redesigned
-        }
-        
         for (let i = 0; i < config.count; i++) {
             const fish = new Fish(tier, config);
             fishPool.push(fish);
@@ -18434,11 +18883,13 @@ function spawnInitialFish() {
 }
 
 // ==================== DYNAMIC FISH RESPAWN SYSTEM ====================
-// Maintains target fish count and adjusts spawn rate based on kill rate
+// Maintains target fish count and adjusts spawn rate based on kill rate.
+// The pool stays at 100: the 8 ability fish took their slots from sardines and
+// anchovies (20 -> 16 each), so T3 density went from 70 to 65 (T2 25 -> 29, T1 5 -> 6).
 const FISH_SPAWN_CONFIG = {
     targetCount: 100,       // GEMINI BALANCE: Maintain 100 active fish at all times
     minCount: 80,           // Emergency spawn when below 80
-    maxCount: 100,          // Pool is exactly 100 (T3=70, T2=25, T1=5) - all should be active
+    maxCount: 100,          // Pool is exactly 100 (T3=65, T2=29, T1=6) - all should be active
     normalSpawnInterval: 0.5,    // Faster spawn to maintain 100 count
     emergencySpawnInterval: 0.2, // Emergency spawn interval when fish < minCount
     maintainSpawnInterval: 1.0   // Slow spawn when at target
@@ -18449,6 +18900,9 @@ let dynamicSpawnTimer = 0;
 function updateDynamicFishSpawn(deltaTime) {
     // MULTIPLAYER: Skip local fish spawning in multiplayer mode - fish come from server
     if (multiplayerMode) return;
+    
+    // FISH TIDES: no top-up while the tank is cleared for formations
+    if (fishTideDirector.isActive()) return;
 
     // DEBUG_COMET_MODE: force-spawn up to 100 active fish immediately
     if (window.DEBUG_COMET_MODE && activeFish.length < 100) {
@@ -18522,344 +18976,855 @@ function updateDynamicFishSpawn(deltaTime) {
     }
 }
 
-// ==================== RTP (RETURN TO PLAYER) SYSTEM ====================
-// Casino-standard RTP calculation: RTP = (Total Wins / Total Bets) * 100%
-// ==================== RTP Phase 1 System v1.3 (SSOT: 2026-02-22) ====================
-// Strict implementation of 《RTP Phase 1 系統聖經 v1.3》
-// §0 Precision: MONEY_SCALE=1000, RTP_SCALE=10000, P_SCALE=1000000
-// All division → floor(); All state → integer FP; No floating-point in settlement path.
-// v1.6.2: Convenience Tax — manual (98%) vs auto (96%) reward split
-const RTP_MONEY_SCALE = 1000;
-const RTP_SCALE = 10000;
-const RTP_P_SCALE = 1000000;
-const RTP_ROCKET_MAX_TARGETS = 6;
-const RTP_LASER_MAX_TARGETS = 6;
-
-const RTP_WEAPON_RTP_MANUAL_FP = {
-    '1x': 9200,
-    '3x': 9400,
-    '5x': 9600,
-    '8x': 9800
-};
+// ==================== FISH TIDES ====================
+// Scripted formation waves from fish_formations.js. The director keeps time;
+// the hooks below clear the tank, play the transition and hand free pool fish
+// their formation slots. Top-up spawning, respawns and the boss timer wait
+// until the tide is over.
+const fishTideDirector = new FishTideDirector();
+const fishTidePathScratch = { x: 0, y: 0, z: 0 };
 
-const RTP_WEAPON_RTP_AUTO_FP = {
-    '1x': 9000,
-    '3x': 9200,
-    '5x': 9400,
-    '8x': 9600
+(function validateShippedFishTides() {
+    const errors = validateFishTides(FISH_TIDES, FISH_FORMATIONS, { species: SPECIES_WHITELIST });
+    if (errors.length > 0) {
+        console.error('[TIDE] Invalid fish tide definitions:', errors);
+    }
+})();
+
+fishTideDirector.onWarning = (tide) => {
+    console.log(`[TIDE] ${tide.name} incoming`);
+    showFishTideTransition(tide.name);
+    for (let i = 0; i < activeFish.length; i++) {
+        const fish = activeFish[i];
+        if (fish.isActive && !fish.isBoss) {
+            fish.tideExit = true;
+        }
+    }
 };
 
-const RTP_WEAPON_COST_FP = {
-    '1x': 1000,
-    '3x': 3000,
-    '5x': 5000,
-    '8x': 8000
+fishTideDirector.onClear = () => {
+    // Stragglers vanish under the wave sweep
+    for (let i = 0; i < activeFish.length; i++) {
+        const fish = activeFish[i];
+        if (fish.isActive && !fish.isBoss) {
+            fish.leaveTank();
+        }
+    }
+    triggerScreenFlash(0x2288ff, 300, 0.25);
 };
 
-const RTP_TIER_CONFIG = {
-    'boss': { rewardManualFp: 39200, rewardAutoFp: 38420, n1Fp: 42000, pityCompFp: 1000000 },
-    't1':   { rewardManualFp: 15330, rewardAutoFp: 15020, n1Fp: 16000, pityCompFp: 1000000 },
-    't2':   { rewardManualFp: 9200,  rewardAutoFp: 9020,  n1Fp: 10000, pityCompFp: 1000000 },
-    't3':   { rewardManualFp: 7840,  rewardAutoFp: 7680,  n1Fp: 8000,  pityCompFp: 1000000 }
+fishTideDirector.onSpawn = (slot) => {
+    const fish = takeFreeFishForTide(slot);
+    if (!fish) return;
+    const start = formationPosition(slot, 0, fishTidePathScratch);
+    fish.spawn(new THREE.Vector3(start.x, start.y, start.z));
+    fish.tideSlot = slot;
+    fish.outsideGlass = !isInsideFishTank(start);
+    fish.group.visible = !fish.outsideGlass;
+    if (!activeFish.includes(fish)) {
+        activeFish.push(fish);
+    }
 };
 
-const FISH_SPECIES_TO_RTP_TIER = {
-    blueWhale: 'boss', killerWhale: 'boss', greatWhiteShark: 'boss',
-    hammerheadShark: 't1', mantaRay: 't1', marlin: 't1', grouper: 't1',
-    yellowfinTuna: 't2', mahiMahi: 't2', lionfish: 't2', parrotfish: 't2', pufferfish: 't2',
-    seahorse: 't3', blueTang: 't3', angelfish: 't3', damselfish: 't3', clownfish: 't3', anchovy: 't3', sardine: 't3'
+fishTideDirector.onEnd = (tide) => {
+    console.log(`[TIDE] ${tide.name} over - refilling the tank`);
+    // Refill at the emergency rate straight away
+    dynamicSpawnTimer = 0;
 };
 
-function getFishRTPTier(species) {
-    return FISH_SPECIES_TO_RTP_TIER[species] || 't3';
+// Free pool fish of the slot's species, else any species of its formation
+function takeFreeFishForTide(slot) {
+    const candidates = [slot.species].concat(slot.fallbackSpecies);
+    for (const species of candidates) {
+        const index = freeFish.findIndex(f => !f.isActive && (f.tier || f.form) === species);
+        if (index >= 0) {
+            return freeFish.splice(index, 1)[0];
+        }
+    }
+    return null;
+}
+
+function updateFishTides(deltaTime) {
+    if (multiplayerMode) return;
+    if (!gameState.isInGameScene) {
+        if (fishTideDirector.isActive()) fishTideDirector.reset();
+        return;
+    }
+    if (gameState.isLoading) return;
+    
+    let formationFishLeft = 0;
+    for (let i = 0; i < activeFish.length; i++) {
+        if (activeFish[i].isActive && activeFish[i].tideSlot) formationFishLeft++;
+    }
+    fishTideDirector.update(deltaTime, {
+        canStart: !gameState.bossActive && !gameState.bossSpawnRetryPending && !window.DEBUG_COMET_MODE,
+        formationFishLeft
+    });
 }
 
+// Transition: banner plus a wave band sweeping across the screen while the
+// tank empties (warning + clear phases)
+function showFishTideTransition(tideName) {
+    const seconds = fishTideDirector.config.warningSeconds + fishTideDirector.config.clearSeconds;
+    
+    if (!document.getElementById('fish-tide-style')) {
+        const style = document.createElement('style');
+        style.id = 'fish-tide-style';
+        style.textContent = `
+            @keyframes fishTideSweep {
+                0% { transform: translateX(-110%); opacity: 0; }
+                15% { opacity: 1; }
+                85% { opacity: 1; }
+                100% { transform: translateX(110%); opacity: 0; }
+            }
+            @keyframes fishTideBanner {
+                0% { opacity: 0; transform: translate(-50%, -50%) scale(0.6); }
+                15% { opacity: 1; transform: translate(-50%, -50%) scale(1.1); }
+                25% { transform: translate(-50%, -50%) scale(1.0); }
+                80% { opacity: 1; }
+                100% { opacity: 0; transform: translate(-50%, -50%) scale(1.0); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
+    const sweep = document.createElement('div');
+    sweep.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: linear-gradient(90deg, rgba(0,60,140,0) 0%, rgba(40,140,255,0.55) 35%,
+            rgba(200,240,255,0.75) 50%, rgba(40,140,255,0.55) 65%, rgba(0,60,140,0) 100%);
+        z-index: 999;
+        pointer-events: none;
+        animation: fishTideSweep ${seconds}s ease-in-out forwards;
+    `;
+    
+    const banner = document.createElement('div');
+    banner.style.cssText = `
+        position: fixed;
+        top: 35%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        text-align: center;
+        font-size: 44px;
+        font-weight: bold;
+        color: #bfe9ff;
+        text-shadow: 0 0 12px #2288ff, 0 0 24px #2288ff, 2px 2px 4px rgba(0,0,0,0.8);
+        z-index: 1000;
+        pointer-events: none;
+        animation: fishTideBanner ${seconds}s ease-out forwards;
+        font-family: 'Arial Black', sans-serif;
+        letter-spacing: 3px;
+    `;
+    banner.textContent = 'FISH TIDE!';
+    const subtitle = document.createElement('div');
+    subtitle.style.cssText = 'font-size: 24px; letter-spacing: 2px; margin-top: 6px;';
+    subtitle.textContent = tideName;
+    banner.appendChild(subtitle);
+    
+    document.body.appendChild(sweep);
+    document.body.appendChild(banner);
+    setTimeout(() => {
+        sweep.remove();
+        banner.remove();
+    }, seconds * 1000);
+}
+
+// QA hook: start the next tide now
+window.triggerFishTide = function() {
+    if (multiplayerMode || fishTideDirector.isActive() || gameState.bossActive) return null;
+    return fishTideDirector.start().name;
+};
+
+// ==================== RTP (RETURN TO PLAYER) SYSTEM ====================
+// Casino-standard RTP calculation: RTP = (Total Wins / Total Bets) * 100%
+// ClientRTPPhase1, its tier/weapon tables and FISH_SPECIES_TO_RTP_TIER live in
+// rtp_engine.js (loaded before game.js) so Node tests run the code that ships.
+
 let rtpFishIdCounter = 0;
 function nextRTPFishId() {
     return 'f' + (++rtpFishIdCounter);
 }
 
-let rtpKillEventCounter = 0;
-function nextKillEventId() {
-    return 'ke_' + (++rtpKillEventCounter) + '_' + Date.now();
-}
+// Per-session seed + shot log: a reported session can be replayed bit-for-bit
+// with ClientRTPPhase1.replay(seed, shots) from window.getRTPReplayLog().
+// The log is bounded: older calls are dropped behind a state checkpoint.
+const RTP_SESSION_SEED = (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+// Per-player session statement (bets/wins/kills per weapon, tier, coinValue + budget debt)
+const rtpLedger = new RTPLedger({ sessionId: 'sp_' + RTP_SESSION_SEED.toString(16), seed: RTP_SESSION_SEED });
+const clientRTPEngine = new ClientRTPPhase1({ seed: RTP_SESSION_SEED, recordShots: CONFIG.rtp.replayLogShots, ledger: rtpLedger });
+// Multiplier rolls at spawn use their own stream so spawn timing never shifts kill rolls;
+// the drawn values are recorded in the shot log (kind 'fish_multiplier') for replay
+const rtpSpawnRandom = createSeededRandom((RTP_SESSION_SEED ^ 0x5EED0F15) >>> 0);
+const CLIENT_RTP_PLAYER_ID = 'local';
+const RTP_STATEMENT_STORAGE_KEY = 'rtpLastSessionStatement';
 
-class ClientRTPPhase1 {
-    constructor() {
-        this.fishStates = new Map();
-        this.playerStates = new Map();
-        this.processedKillEvents = new Set();
-    }
+window.getRTPReplayLog = function() {
+    return {
+        seed: clientRTPEngine.seed,
+        profile: clientRTPEngine.getProfileInfo(),
+        shots: clientRTPEngine.shotLog.slice()
+    };
+};
 
-    _getOrCreateFishState(playerId, fishId) {
-        const key = playerId + ':' + fishId;
-        let state = this.fishStates.get(key);
-        if (!state) {
-            state = { sumCostFp: 0, killed: false };
-            this.fishStates.set(key, state);
-        }
-        return state;
+// RTP profiles: the engine starts on its built-in tables (same as "entertainment")
+// and switches once rtp_profiles.json has loaded and validated.
+let rtpProfileSet = null;
+let rtpSelectedProfileName = CONFIG.rtp.profile;
+
+function selectRTPProfile(name) {
+    rtpSelectedProfileName = name || CONFIG.rtp.profile;
+    if (!rtpProfileSet) return false;
+    const profile = rtpProfileSet.profiles[rtpSelectedProfileName];
+    if (!profile) {
+        console.warn('[RTP] Unknown profile "' + rtpSelectedProfileName + '", keeping ' + clientRTPEngine.profile.name);
+        return false;
     }
+    clientRTPEngine.setProfile(profile);
+    initJackpotPool(profile);
+    console.log('[RTP] Active profile: ' + profile.name + ' v' + profile.version + ' (' + profile.hash + ')');
+    return true;
+}
 
-    _getOrCreatePlayerState(playerId) {
-        let state = this.playerStates.get(playerId);
-        if (!state) {
-            state = {
-                budgetRemainingFp: 0,
-                reset_debt_on_session_end: false
-            };
-            this.playerStates.set(playerId, state);
+async function loadRTPProfileSet() {
+    try {
+        const response = await fetch(CONFIG.rtp.profilesUrl, { cache: 'no-cache' });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        rtpProfileSet = loadRTPProfiles(await response.json(), { species: Object.keys(CONFIG.fishTiers) });
+        // Single player waits for this load; a room that started first keeps its tables until the next start
+        if (multiplayerMode) {
+            console.warn('[RTP] Profiles loaded after the multiplayer game started; applied from the next game');
+            return;
         }
-        return state;
+        selectRTPProfile(rtpSelectedProfileName);
+    } catch (e) {
+        console.warn('[RTP] Using built-in tables, could not load ' + CONFIG.rtp.profilesUrl + ':', e.message);
+    }
+}
+const rtpProfileSetReady = loadRTPProfileSet();
+
+// ==================== RTP STATE PERSISTENCE ====================
+// Budget (debt) and per-tier pity progress survive a refresh: saved a couple of
+// seconds after single-player bets and on page exit, resumed once per page on the
+// first single-player start (after profiles load, since saved state is tied to
+// the profile hash). Multiplayer budgets live on the server.
+const RTP_STATE_SAVE_DELAY_MS = 2000;
+const rtpBudgetPersistence = new RTPBudgetPersistence({
+    engine: clientRTPEngine,
+    adapter: CONFIG.rtp.stateStore.adapter === 'server'
+        ? new ServerRTPStateAdapter({ baseUrl: CONFIG.rtp.stateStore.serverUrl })
+        : new LocalStorageRTPStateAdapter(window.localStorage),
+    maxAgeMs: CONFIG.rtp.stateStore.maxAgeMs,
+    expiry: CONFIG.rtp.stateStore.expiry
+});
+let rtpStateSaveTimer = null;
+let rtpStateResumeStarted = false;
+// Saves are held back until the resume has run, so they never overwrite unread state
+let rtpStateResumeDone = false;
+
+async function resumeRTPState() {
+    if (rtpStateResumeStarted) return;
+    rtpStateResumeStarted = true;
+    await rtpProfileSetReady;
+    try {
+        const result = await rtpBudgetPersistence.resume(CLIENT_RTP_PLAYER_ID);
+        console.log('[RTP] Saved budget state: ' + result.reason +
+            (result.resumed ? ' (budget ' + clientRTPEngine.getBudgetRemainingFp(CLIENT_RTP_PLAYER_ID) + ' FP)' : ''));
+    } catch (e) {
+        console.warn('[RTP] Could not resume saved budget state:', e);
     }
+    rtpStateResumeDone = true;
+}
 
-    clearFishStates(fishId) {
-        for (const key of this.fishStates.keys()) {
-            if (key.endsWith(':' + fishId)) {
-                this.fishStates.delete(key);
-            }
-        }
+// Snapshot is taken synchronously, under the single-player profile it was accrued with
+function saveRTPState() {
+    if (rtpStateSaveTimer) {
+        clearTimeout(rtpStateSaveTimer);
+        rtpStateSaveTimer = null;
     }
-
-    pruneKilledFishStates() {
-        for (const [key, state] of this.fishStates) {
-            if (state.killed) {
-                this.fishStates.delete(key);
-            }
-        }
+    if (multiplayerMode) return;
+    if (!rtpStateResumeDone) {
+        scheduleRTPStateSave();
+        return;
     }
+    rtpBudgetPersistence.save(CLIENT_RTP_PLAYER_ID).catch(e => {
+        console.warn('[RTP] Failed to save budget state:', e);
+    });
+}
 
-    resetPlayerDebtIfEnabled(playerId) {
-        const pState = this.playerStates.get(playerId);
-        if (pState && pState.reset_debt_on_session_end) {
-            pState.budgetRemainingFp = 0;
-        }
-    }
+function scheduleRTPStateSave() {
+    if (!rtpStateSaveTimer) rtpStateSaveTimer = setTimeout(saveRTPState, RTP_STATE_SAVE_DELAY_MS);
+}
 
-    _resolveMode(isAuto) {
-        return isAuto ? 'auto' : 'manual';
-    }
+// Write out a pending save now (page exit, or before multiplayer swaps the profile)
+function flushRTPStateSave() {
+    if (rtpStateSaveTimer) saveRTPState();
+}
 
-    _getRtp(weaponKey, isAuto) {
-        const table = isAuto ? RTP_WEAPON_RTP_AUTO_FP : RTP_WEAPON_RTP_MANUAL_FP;
-        return table[weaponKey] || (isAuto ? 9000 : 9200);
-    }
+window.getRTPProfileInfo = function() {
+    return clientRTPEngine.getProfileInfo();
+};
 
-    _getReward(config, isAuto) {
-        return isAuto ? config.rewardAutoFp : config.rewardManualFp;
-    }
+const RTP_SESSION_STATS = {
+    totalBets: 0,
+    totalWins: 0,
+    promoBets: 0,
+    shotsFired: 0,
+    fishKilled: 0,
+    jackpotWins: 0
+};
 
-    _calcProbability(pState, config, isAuto, coinValue) {
-        const M = coinValue || 1;
-        const rewardFp = this._getReward(config, isAuto) * M;
-        const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-        const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
-        if (pBaseRawFp >= RTP_P_SCALE) {
-            return RTP_P_SCALE;
-        }
-        return Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
+// isPromo: free shot from a bonus round - promotional spend, not the player's wager
+function recordBet(weaponKey, isPromo = false) {
+    const weapon = CONFIG.weapons[weaponKey];
+    const coinValue = gameState.coinValue || 1;
+    const betAmount = weapon.cost * coinValue;
+    if (isPromo) {
+        RTP_SESSION_STATS.promoBets += betAmount;
+    } else {
+        RTP_SESSION_STATS.totalBets += betAmount;
     }
+    RTP_SESSION_STATS.shotsFired++;
+    const betFp = (RTP_WEAPON_COST_FP[weaponKey] || 1000) * coinValue;
+    rtpLedger.recordBet(CLIENT_RTP_PLAYER_ID, weaponKey, coinValue, gameState.autoShoot, betFp, isPromo);
+    if (!isPromo) responsibleGaming.recordBet(betAmount * BALANCE_SCALE);
+    scheduleRTPStateSave();
+    // Free shots are not the player's stake, so they never feed the progressive meters
+    if (rtpJackpotPool && !isPromo) {
+        rtpJackpotPool.contribute(betFp);
+        scheduleJackpotPoolSave();
+        updateJackpotMeter();
+    }
+}
 
-    handleSingleTargetHit(playerId, fishId, weaponKey, tier, isAuto) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
+function recordWin(amount) {
+    RTP_SESSION_STATS.totalWins += amount;
+    RTP_SESSION_STATS.fishKilled++;
+}
 
-        const pState = this._getOrCreatePlayerState(playerId);
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const coinValue = gameState.coinValue || 1;
-        const weaponMult = weaponCostFp / RTP_MONEY_SCALE;
-        const rtpWeaponFp = this._getRtp(weaponKey, isAuto);
+// Game RTP over all spend, free shots included (same basis as the ledger's rtpPct)
+function getCurrentSessionRTP() {
+    const spend = RTP_SESSION_STATS.totalBets + RTP_SESSION_STATS.promoBets;
+    if (spend <= 0) return 0;
+    return RTP_SESSION_STATS.totalWins / spend;
+}
 
-        const budgetTotalFp = Math.floor(weaponCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += weaponCostFp * coinValue;
+function getRTPStats() {
+    const stats = RTP_SESSION_STATS;
+    return {
+        totalBets: stats.totalBets.toFixed(2),
+        totalWins: stats.totalWins.toFixed(2),
+        promoBets: stats.promoBets.toFixed(2),
+        currentRTP: (getCurrentSessionRTP() * 100).toFixed(1) + '%',
+        shotsFired: stats.shotsFired,
+        fishKilled: stats.fishKilled,
+        jackpotWins: stats.jackpotWins,
+        hitRate: stats.shotsFired > 0 ? ((stats.fishKilled / stats.shotsFired) * 100).toFixed(1) + '%' : '0%'
+    };
+}
 
-        const hardPityThreshold = Math.floor(config.n1Fp * coinValue / weaponMult);
-        // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
-        if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
-            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto, coinValue);
-        }
+// Session statement export for compliance: exportRTPStatement('json' | 'csv')
+// downloads the ledger; the last statement is also kept in localStorage on page exit.
+function exportRTPStatement(format) {
+    const isCsv = format === 'csv';
+    const content = isCsv ? rtpLedger.toCSV() : JSON.stringify(rtpLedger.getStatement(), null, 2);
+    try {
+        const blob = new Blob([content], { type: isCsv ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'rtp-statement-' + rtpLedger.sessionId + (isCsv ? '.csv' : '.json');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+        console.warn('[RTP] Statement download failed:', e);
+    }
+    return content;
+}
+window.exportRTPStatement = exportRTPStatement;
 
-        const pFp = this._calcProbability(pState, config, isAuto, coinValue);
+window.addEventListener('pagehide', () => {
+    if (RTP_SESSION_STATS.shotsFired === 0) return;
+    try {
+        localStorage.setItem(RTP_STATEMENT_STORAGE_KEY, JSON.stringify(rtpLedger.getStatement()));
+    } catch (e) {
+        console.warn('[RTP] Failed to persist session statement:', e);
+    }
+    saveJackpotPool();
+    flushRTPStateSave();
+});
 
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) {
-            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto, coinValue);
+// ==================== JACKPOT (PROGRESSIVE POOL) ====================
+// Mini/Major/Grand meters fed by profile.jackpot.contributionFp of every bet
+// (the engine injects that much less into kill budgets, see _getRtp). Boss and
+// T1 kills roll for a jackpot in Fish.die(). Single-player only: multiplayer
+// payouts are server-authoritative. Meters persist per profile in localStorage.
+const JACKPOT_STORAGE_KEY = 'rtpJackpotPool';
+const JACKPOT_COLORS = { mini: 0x44ddff, major: 0xff44cc, grand: 0xffd700 };
+// One pool per profile hash for the whole page: every game start reuses it, so
+// contributions since the last save are never dropped by a rebuild
+const rtpJackpotPools = new Map();
+let rtpJackpotPool = null;
+let rtpJackpotPoolHash = null;
+let jackpotSaveTimer = null;
+let jackpotMeterEl = null;
+
+function initJackpotPool(profile) {
+    if (!profile.jackpot) {
+        rtpJackpotPool = null;
+        rtpJackpotPoolHash = null;
+        updateJackpotMeter();
+        return;
+    }
+    let pool = rtpJackpotPools.get(profile.hash);
+    if (!pool) {
+        pool = new JackpotPool(profile.jackpot, {
+            random: createSeededRandom((RTP_SESSION_SEED ^ 0x1ACC9017) >>> 0)
+        });
+        try {
+            const saved = JSON.parse(localStorage.getItem(JACKPOT_STORAGE_KEY) || 'null');
+            if (saved && saved.profileHash === profile.hash) pool.restore(saved.pool);
+        } catch (e) {
+            console.warn('[JACKPOT] Ignoring unreadable saved meters:', e);
         }
-        return { kill: false, reason: 'roll_failed', pFp };
+        rtpJackpotPools.set(profile.hash, pool);
     }
+    rtpJackpotPool = pool;
+    rtpJackpotPoolHash = profile.hash;
+    updateJackpotMeter();
+}
 
-    handleMultiTargetHit(playerId, hitList, weaponKey, weaponType, isAuto) {
-        if (!hitList || hitList.length === 0) return [];
+function saveJackpotPool() {
+    if (jackpotSaveTimer) {
+        clearTimeout(jackpotSaveTimer);
+        jackpotSaveTimer = null;
+    }
+    // The room's pool never takes bets, so it must not overwrite the single-player meters
+    if (!rtpJackpotPool || multiplayerMode) return;
+    try {
+        localStorage.setItem(JACKPOT_STORAGE_KEY, JSON.stringify({
+            profileHash: rtpJackpotPoolHash,
+            pool: rtpJackpotPool.toJSON()
+        }));
+    } catch (e) {
+        console.warn('[JACKPOT] Failed to persist meters:', e);
+    }
+}
 
-        const maxTargets = weaponType === 'laser' ? RTP_LASER_MAX_TARGETS : RTP_ROCKET_MAX_TARGETS;
-        const trimmedList = hitList.slice(0, maxTargets);
-        const hitCount = trimmedList.length;
+// Meters are saved a couple of seconds after contributions, like the RTP budget state
+function scheduleJackpotPoolSave() {
+    if (!jackpotSaveTimer) jackpotSaveTimer = setTimeout(saveJackpotPool, RTP_STATE_SAVE_DELAY_MS);
+}
 
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const coinValue = gameState.coinValue || 1;
-        const weaponMult = weaponCostFp / RTP_MONEY_SCALE;
-        const rtpWeaponFp = this._getRtp(weaponKey, isAuto);
-        const budgetTotalFp = Math.floor(weaponCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
+// Called from Fish.die() for paid single-player kills
+function rollJackpotOnKill(fish, position) {
+    if (!rtpJackpotPool || multiplayerMode) return;
+    const coinValue = gameState.coinValue || 1;
+    const win = rtpJackpotPool.rollOnKill(fish.rtpTier, coinValue);
+    if (!win) return;
+    
+    RTP_SESSION_STATS.totalWins += win.amount;
+    RTP_SESSION_STATS.jackpotWins++;
+    rtpLedger.recordJackpot(CLIENT_RTP_PLAYER_ID, win.tier, win.amountFp);
+    // Paid through the normal coin-arrival path like every other reward
+    coinCollectionSystem.pendingRewards.push({
+        winFp: win.amountFp,
+        winDisplay: win.amount,
+        fishForm: fish.form
+    });
+    saveJackpotPool();
+    updateJackpotMeter();
+    showJackpotCelebration(win.tier, win.amount, position);
+    console.log('[JACKPOT] ' + win.tier.toUpperCase() + ' won: ' + win.amount + ' (' + fish.form + ', cv=' + coinValue + ')');
+}
 
-        const pState = this._getOrCreatePlayerState(playerId);
+function createJackpotMeter() {
+    // Neon Abyss glass panel, top-left; one row per jackpot tier (grand first)
+    jackpotMeterEl = document.createElement('div');
+    jackpotMeterEl.id = 'jackpot-meter';
+    jackpotMeterEl.style.cssText = `
+        position: fixed;
+        top: 16px;
+        left: 16px;
+        transform: scale(var(--ui-scale));
+        transform-origin: top left;
+        pointer-events: none;
+        z-index: 900;
+        display: none;
+        min-width: 200px;
+        padding: 10px 14px;
+        background: linear-gradient(165deg, rgba(8, 24, 48, 0.55) 0%, rgba(4, 14, 30, 0.65) 100%);
+        border: 1px solid rgba(255, 215, 0, 0.3);
+        border-radius: 12px;
+        box-shadow: 0 0 18px rgba(255, 215, 0, 0.12);
+        font-family: 'Orbitron', monospace;
+    `;
+    for (const tier of ['grand', 'major', 'mini']) {
+        const hex = '#' + JACKPOT_COLORS[tier].toString(16).padStart(6, '0');
+        const row = document.createElement('div');
+        row.style.cssText = `display: flex; justify-content: space-between; gap: 16px; font-size: 13px; font-weight: 700; letter-spacing: 1px; color: ${hex}; text-shadow: 0 0 8px ${hex};`;
+        row.innerHTML = '<span>' + tier.toUpperCase() + '</span><span id="jackpot-meter-' + tier + '">0</span>';
+        jackpotMeterEl.appendChild(row);
+    }
+    document.body.appendChild(jackpotMeterEl);
+}
 
-        pState.budgetRemainingFp += budgetTotalFp;
+function updateJackpotMeter() {
+    if (!rtpJackpotPool || multiplayerMode || !gameState.isInGameScene) {
+        if (jackpotMeterEl) jackpotMeterEl.style.display = 'none';
+        return;
+    }
+    if (!jackpotMeterEl) createJackpotMeter();
+    jackpotMeterEl.style.display = 'block';
+    const meters = rtpJackpotPool.getMeters();
+    for (const tier of Object.keys(meters)) {
+        const el = document.getElementById('jackpot-meter-' + tier);
+        if (el) el.textContent = (meters[tier] / BALANCE_SCALE).toFixed(2);
+    }
+}
 
-        const results = [];
-        let energyCarry = false;
-        for (let i = 0; i < hitCount; i++) {
-            const entry = trimmedList[i];
-            const config = RTP_TIER_CONFIG[entry.tier];
-            if (!config) {
-                results.push({ fishId: entry.fishId, kill: false, reason: 'invalid_tier' });
-                continue;
+function showJackpotCelebration(tier, amount, position) {
+    const color = JACKPOT_COLORS[tier] || 0xffd700;
+    const hexColor = '#' + color.toString(16).padStart(6, '0');
+    const strength = tier === 'grand' ? 4 : (tier === 'major' ? 3 : 2);
+    
+    triggerScreenFlash(color, 400, 0.35);
+    triggerScreenShakeWithStrength(strength);
+    if (position) spawnMegaExplosion(position);
+    playCoinSound('boss');
+    
+    const banner = document.createElement('div');
+    banner.style.cssText = `
+        position: fixed;
+        top: 38%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        text-align: center;
+        pointer-events: none;
+        z-index: 1001;
+        font-family: 'Orbitron', 'Arial Black', sans-serif;
+        color: ${hexColor};
+        text-shadow: 0 0 20px ${hexColor}, 0 0 40px ${hexColor}, 2px 2px 4px rgba(0,0,0,0.8);
+        animation: jackpotCelebration 3s ease-out forwards;
+    `;
+    banner.innerHTML = '<div style="font-size: 52px; font-weight: 900; letter-spacing: 6px;">' + tier.toUpperCase() + ' JACKPOT!</div>' +
+        '<div style="font-size: 34px; font-weight: 700; margin-top: 8px;">+' + amount.toFixed(2) + '</div>';
+    document.body.appendChild(banner);
+    
+    if (!document.getElementById('jackpot-celebration-style')) {
+        const style = document.createElement('style');
+        style.id = 'jackpot-celebration-style';
+        style.textContent = `
+            @keyframes jackpotCelebration {
+                0% { opacity: 0; transform: translate(-50%, -50%) scale(0.3); }
+                15% { opacity: 1; transform: translate(-50%, -50%) scale(1.25); }
+                30% { transform: translate(-50%, -50%) scale(1.0); }
+                80% { opacity: 1; }
+                100% { opacity: 0; transform: translate(-50%, -70%) scale(1.0); }
             }
+        `;
+        document.head.appendChild(style);
+    }
+    
+    setTimeout(() => {
+        banner.remove();
+    }, 3000);
+}
 
-            const fState = this._getOrCreateFishState(playerId, entry.fishId);
-            if (fState.killed) {
-                results.push({ fishId: entry.fishId, kill: false, reason: 'already_killed' });
-                continue;
-            }
+// ==================== RESPONSIBLE GAMING ====================
+// Player-set loss / wager / session-time limits, reality checks and cool-off
+// (rules in responsible_gaming.js; state persists in localStorage).
+// checkResponsibleGamingLimits() runs before every cost deduction in fireBullet
+// and autoAimAtFish. Multiplayer shots are checked against the room's bet size,
+// and MultiplayerManager records the bets and wins from the server's BALANCE_UPDATEs.
+const RG_STORAGE_KEY = 'responsibleGaming';
+const RG_BLOCK_NOTICE_INTERVAL_MS = 3000;
+const RG_BLOCK_MESSAGES = {
+    cool_off: 'Cool-off active',
+    session_time: 'Session time limit reached',
+    wager_limit: 'Wager limit reached',
+    loss_limit: 'Loss limit reached'
+};
+const RG_COOL_OFF_OPTIONS = [
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '24 hours', ms: 24 * 60 * 60 * 1000 },
+    { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+    { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+const responsibleGaming = new ResponsibleGamingLimits({ storage: window.localStorage, storageKey: RG_STORAGE_KEY });
+let rgLastBlockNoticeAt = 0;
+
+function formatRGDuration(ms) {
+    const totalMinutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return days + 'd ' + hours + 'h';
+    if (hours > 0) return hours + 'h ' + minutes + 'm';
+    return minutes + 'm';
+}
+
+// Returns false (and tells the player why) when the shot must not be paid for
+function checkResponsibleGamingLimits(betFp) {
+    const result = responsibleGaming.checkBet(multiplayerMode && multiplayerManager ? multiplayerManager.getShotCostFp() : betFp);
+    if (result.allowed) return true;
+
+    if (gameState.autoShoot) toggleAutoShoot();
+    const now = Date.now();
+    if (now - rgLastBlockNoticeAt >= RG_BLOCK_NOTICE_INTERVAL_MS) {
+        rgLastBlockNoticeAt = now;
+        showGovernanceNotification(RG_BLOCK_MESSAGES[result.reason] + ' - play resumes in ' + formatRGDuration(result.retryAt - now), 'error');
+    }
+    return false;
+}
 
-            if (i === 0) {
-                fState.sumCostFp += weaponCostFp * coinValue;
-            }
+// Called from animate(); opens the reality-check dialog when the interval elapses
+function updateRealityCheck() {
+    if (!gameState.isInGameScene || gameState.realityCheckOpen) return;
+    if (responsibleGaming.isRealityCheckDue()) showRealityCheckDialog();
+}
 
-            const hardPityThreshold = Math.floor(config.n1Fp * coinValue);
-            // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
-            if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'hard_pity', isAuto, coinValue);
-                results.push(killResult);
-                energyCarry = true;
-                continue;
-            }
+function showRealityCheckDialog() {
+    gameState.realityCheckOpen = true;
+    if (gameState.autoShoot) toggleAutoShoot();
+    if (document.pointerLockElement) document.exitPointerLock();
+    document.body.style.cursor = 'default';
 
-            const rewardFp = this._getReward(config, isAuto) * coinValue;
-            const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-            const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
+    const status = responsibleGaming.getStatus();
+    const stats = RTP_SESSION_STATS;
+    const net = stats.totalWins - stats.totalBets;
 
-            if (pBaseRawFp >= RTP_P_SCALE) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto, coinValue);
-                results.push(killResult);
-                energyCarry = true;
-                continue;
-            }
+    const overlay = document.createElement('div');
+    overlay.id = 'reality-check-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        z-index: 10010;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.7);
+        font-family: 'Orbitron', monospace;
+    `;
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+        width: 360px;
+        padding: 24px;
+        transform: scale(var(--ui-scale));
+        background: linear-gradient(180deg, rgba(0, 15, 35, 0.96), rgba(0, 8, 22, 0.98));
+        border: 1.5px solid rgba(0, 200, 255, 0.35);
+        border-radius: 8px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5), 0 0 20px rgba(0, 100, 200, 0.1);
+        color: rgba(255, 255, 255, 0.85);
+        font-size: 12px;
+        text-align: center;
+    `;
+    let html = '<div style="color: #00d4ff; font-size: 14px; font-weight: 700; letter-spacing: 3px; margin-bottom: 16px;">REALITY CHECK</div>' +
+        '<div style="margin-bottom: 8px;">You have been playing for <b>' + formatRGDuration(status.sessionElapsedMs) + '</b></div>';
+    if (!multiplayerMode) {
+        html += '<div style="margin-bottom: 4px;">Wagered: ' + stats.totalBets.toFixed(2) + ' &nbsp; Won: ' + stats.totalWins.toFixed(2) + '</div>' +
+            '<div style="margin-bottom: 16px; font-weight: 700; color: ' + (net >= 0 ? '#00ff88' : '#ff6666') + ';">Net result: ' +
+            (net >= 0 ? '+' : '') + net.toFixed(2) + '</div>';
+    }
+    html += '<select id="reality-check-cooloff" style="width: 100%; margin-bottom: 10px; padding: 8px; background: rgba(0, 20, 50, 0.7); color: #fff; border: 1px solid rgba(0, 200, 255, 0.2); border-radius: 6px; font-family: inherit;">' +
+        RG_COOL_OFF_OPTIONS.map((o, i) => '<option value="' + i + '">Take a break: ' + o.label + '</option>').join('') + '</select>' +
+        '<div style="display: flex; gap: 10px;">' +
+        '<button id="reality-check-break" style="flex: 1; padding: 10px; cursor: pointer; font-family: inherit; background: rgba(80, 20, 20, 0.6); color: #ffaaaa; border: 1px solid rgba(255, 100, 100, 0.4); border-radius: 6px;">TAKE A BREAK</button>' +
+        '<button id="reality-check-continue" style="flex: 1; padding: 10px; cursor: pointer; font-family: inherit; background: rgba(0, 40, 80, 0.6); color: #00d4ff; border: 1px solid rgba(0, 200, 255, 0.4); border-radius: 6px;">CONTINUE</button>' +
+        '</div>';
+    panel.innerHTML = html;
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
 
-            const pIFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
+    const close = () => {
+        responsibleGaming.acknowledgeRealityCheck();
+        overlay.remove();
+        gameState.realityCheckOpen = false;
+        document.body.style.cursor = 'none';
+    };
+    overlay.addEventListener('click', (e) => e.stopPropagation());
+    document.getElementById('reality-check-continue').addEventListener('click', close);
+    document.getElementById('reality-check-break').addEventListener('click', () => {
+        const option = RG_COOL_OFF_OPTIONS[parseInt(document.getElementById('reality-check-cooloff').value)];
+        responsibleGaming.startCoolOff(option.ms);
+        close();
+        updateResponsibleGamingStatus();
+        showGovernanceNotification('Cool-off started for ' + option.label, 'warning');
+    });
+}
 
-            const randI = Math.floor(Math.random() * RTP_P_SCALE);
-            if (randI < pIFp) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto, coinValue);
-                results.push(killResult);
-                energyCarry = (pState.budgetRemainingFp > 0);
-            } else {
-                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp });
-                if (i > 0 && !energyCarry) break;
-                energyCarry = false;
-            }
-        }
-        return results;
+function updateResponsibleGamingStatus() {
+    const el = document.getElementById('rg-status');
+    if (!el) return;
+    const status = responsibleGaming.getStatus();
+    const now = Date.now();
+    const lines = [];
+    if (status.coolOffUntil) {
+        lines.push('Cool-off: ' + formatRGDuration(status.coolOffUntil - now) + ' left');
     }
+    lines.push('Today: wagered ' + (status.wageredFp / BALANCE_SCALE).toFixed(2) +
+        ', net loss ' + (status.netLossFp / BALANCE_SCALE).toFixed(2));
+    if (status.pendingLimits) {
+        lines.push('Increases apply in ' + formatRGDuration(status.pendingEffectiveAt - now));
+    }
+    el.textContent = lines.join(' | ');
+}
 
-    handleShotgunHit(playerId, fishId, weaponKey, tier, isAuto) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
-
-        const pState = this._getOrCreatePlayerState(playerId);
-        const pelletCostFp = 1000;
-        const coinValue = gameState.coinValue || 1;
-        const rtpWeaponFp = this._getRtp('3x', isAuto);
-
-        const budgetTotalFp = Math.floor(pelletCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += pelletCostFp * coinValue;
-
-        // FIX A: 3x Scatter uses same N1 threshold as 1x (pellets share state, each cost=1)
-        // Previously divided by 3, causing T3 fish to die in 1 shot (RTP 224%)
-        const hardPityThreshold = Math.floor(config.n1Fp * coinValue);
-        // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
-        if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
-            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto, coinValue);
-        }
-
-        const pFp = this._calcProbability(pState, config, isAuto, coinValue);
+// Settings panel: limits entered in coins / minutes, blank = no limit
+function initResponsibleGamingSettings() {
+    const fields = [
+        { id: 'rg-loss-limit', key: 'lossLimitFp', unit: BALANCE_SCALE },
+        { id: 'rg-wager-limit', key: 'wagerLimitFp', unit: BALANCE_SCALE },
+        { id: 'rg-session-limit', key: 'sessionTimeLimitMs', unit: 60000 },
+        { id: 'rg-reality-check', key: 'realityCheckIntervalMs', unit: 60000 }
+    ];
+    const saveBtn = document.getElementById('rg-save-btn');
+    const coolOffSelect = document.getElementById('rg-cooloff-select');
+    const coolOffBtn = document.getElementById('rg-cooloff-btn');
+    if (!saveBtn) return;
 
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) {
-            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto, coinValue);
-        }
-        return { kill: false, reason: 'roll_failed', pFp };
+    const limits = responsibleGaming.getStatus().limits;
+    for (const f of fields) {
+        const input = document.getElementById(f.id);
+        if (input) input.value = limits[f.key] === null ? '' : limits[f.key] / f.unit;
     }
+    saveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const next = {};
+        for (const f of fields) {
+            const input = document.getElementById(f.id);
+            if (!input) continue;
+            const value = parseFloat(input.value);
+            next[f.key] = input.value.trim() === '' || !(value > 0) ? null : Math.round(value * f.unit);
+        }
+        const result = responsibleGaming.setLimits(next);
+        if (result.pending.length > 0) {
+            showGovernanceNotification('Stricter limits applied; increases take effect in ' + formatRGDuration(result.effectiveAt - Date.now()), 'warning');
+        } else if (result.applied.length > 0) {
+            showGovernanceNotification('Limits updated', 'warning');
+        }
+        updateResponsibleGamingStatus();
+    });
 
-    _executeKill(fState, pState, config, fishId, reason, isAuto, coinValue) {
-        const M = coinValue || 1;
-        const killEventId = nextKillEventId();
-        if (this.processedKillEvents.has(killEventId)) {
-            return { kill: false, reason: 'duplicate_kill_event' };
-        }
-        this.processedKillEvents.add(killEventId);
-
-        const rewardFp = (isAuto ? config.rewardAutoFp : config.rewardManualFp) * M;
-        // FIX B: Enable Debt Memory — allow budget to go deeply negative
-        // Previously clamped to -(rewardManualFp * M), erasing debt and preventing profit recovery
-        pState.budgetRemainingFp -= rewardFp;
-        fState.killed = true;
-        return {
-            fishId,
-            kill: true,
-            reason,
-            killEventId,
-            rewardFp,
-            reward: rewardFp / RTP_MONEY_SCALE,
-            isAuto: !!isAuto
-        };
+    if (coolOffSelect && coolOffBtn) {
+        coolOffSelect.innerHTML = RG_COOL_OFF_OPTIONS.map((o, i) => '<option value="' + i + '">' + o.label + '</option>').join('');
+        coolOffBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const option = RG_COOL_OFF_OPTIONS[parseInt(coolOffSelect.value)];
+            if (!confirm('Lock play for ' + option.label + '? This cannot be undone.')) return;
+            responsibleGaming.startCoolOff(option.ms);
+            if (gameState.autoShoot) toggleAutoShoot();
+            updateResponsibleGamingStatus();
+        });
     }
+    updateResponsibleGamingStatus();
+}
+
+// ==================== FREE SHOTS (BONUS AMMO) ====================
+// A round grants N shots of one weapon at one coin value. Only while the player
+// is on that weapon AND coin value do fireBullet/autoAimAtFish skip the cost
+// deduction; the shot still goes through the RTP engine and is logged as
+// promotional spend (recordBet(weaponKey, true)). On any other weapon or coin
+// value the round is paused and shots are paid as usual, so bonus shots can't
+// be upgraded mid-round. Single-player only (multiplayer wallets are server-side).
+const FREE_SHOT_CODES_STORAGE_KEY = 'freeShotCodesRedeemed';
+
+function grantFreeShots(shots, weaponKey, coinValue, source) {
+    if (multiplayerMode || !Number.isInteger(shots) || shots <= 0 || !CONFIG.weapons[weaponKey]) return false;
+    const rounds = gameState.freeShotRounds;
+    const round = rounds.find(r => r.weaponKey === weaponKey && r.coinValue === coinValue);
+    if (round) {
+        round.remaining += shots;
+        round.total += shots;
+    } else {
+        if (rounds.length >= CONFIG.freeShots.maxRounds) return false;
+        rounds.push({ weaponKey, coinValue, remaining: shots, total: shots, source });
+    }
+    console.log('[FREE-SHOTS] +' + shots + ' ' + weaponKey + ' @ cv' + coinValue + ' (' + source + ')');
+    showGovernanceNotification(shots + ' FREE SHOTS: ' + weaponKey + ' @ ' + coinValue + 'x coin value', 'warning');
+    updateDigiAmmoDisplay();
+    return true;
 }
 
-const clientRTPEngine = new ClientRTPPhase1();
-const CLIENT_RTP_PLAYER_ID = 'local';
-
-const RTP_SESSION_STATS = {
-    totalBets: 0,
-    totalWins: 0,
-    shotsFired: 0,
-    fishKilled: 0
-};
+// Round matching the current weapon + coin value, or null (none / paused)
+function getActiveFreeShotRound() {
+    if (multiplayerMode) return null;
+    const coinValue = gameState.coinValue || 1;
+    return gameState.freeShotRounds.find(r => r.weaponKey === gameState.currentWeapon && r.coinValue === coinValue) || null;
+}
 
-function recordBet(weaponKey) {
-    const weapon = CONFIG.weapons[weaponKey];
-    const betAmount = weapon.cost * (gameState.coinValue || 1);
-    RTP_SESSION_STATS.totalBets += betAmount;
-    RTP_SESSION_STATS.shotsFired++;
+// Used in place of the cost deduction; returns false if no free shot applies
+function consumeFreeShot(weaponKey) {
+    const round = getActiveFreeShotRound();
+    if (!round || round.weaponKey !== weaponKey) return false;
+    recordBet(weaponKey, true);
+    round.remaining--;
+    if (round.remaining <= 0) {
+        gameState.freeShotRounds.splice(gameState.freeShotRounds.indexOf(round), 1);
+        showGovernanceNotification('Free shots used up', 'warning');
+    }
+    updateDigiAmmoDisplay();
+    return true;
 }
 
-function recordWin(amount) {
-    RTP_SESSION_STATS.totalWins += amount;
-    RTP_SESSION_STATS.fishKilled++;
+// Called from Fish.die() for single-player kills with the weapon that made the kill
+function checkFreeShotKillTrigger(fish, weaponKey) {
+    const shots = CONFIG.freeShots.killTriggers[fish.form];
+    if (!shots) return;
+    grantFreeShots(shots, weaponKey || gameState.currentWeapon, gameState.coinValue || 1, 'kill:' + fish.form);
 }
 
-function getCurrentSessionRTP() {
-    if (RTP_SESSION_STATS.totalBets <= 0) return 0;
-    return RTP_SESSION_STATS.totalWins / RTP_SESSION_STATS.totalBets;
+// Each code redeems once per browser (entertainment tables only); returns { ok, reason }
+function redeemFreeShotCode(code) {
+    const key = String(code || '').trim().toUpperCase();
+    const promo = CONFIG.freeShots.promoCodes[key];
+    if (!promo) return { ok: false, reason: 'invalid' };
+    if (!CONFIG.freeShots.codeProfiles.includes(clientRTPEngine.profile.name)) return { ok: false, reason: 'profile' };
+    let redeemed = [];
+    try {
+        redeemed = JSON.parse(localStorage.getItem(FREE_SHOT_CODES_STORAGE_KEY) || '[]');
+    } catch (e) {
+        redeemed = [];
+    }
+    if (redeemed.includes(key)) return { ok: false, reason: 'already_redeemed' };
+    if (!grantFreeShots(promo.shots, promo.weapon, promo.coinValue, 'promo:' + key)) {
+        return { ok: false, reason: multiplayerMode ? 'multiplayer' : 'too_many_rounds' };
+    }
+    redeemed.push(key);
+    try {
+        localStorage.setItem(FREE_SHOT_CODES_STORAGE_KEY, JSON.stringify(redeemed));
+    } catch (e) {
+        console.warn('[FREE-SHOTS] Failed to persist redeemed code:', e);
+    }
+    return { ok: true };
 }
+window.redeemFreeShotCode = redeemFreeShotCode;
 
-function getRTPStats() {
-    const stats = RTP_SESSION_STATS;
-    return {
-        totalBets: stats.totalBets.toFixed(2),
-        totalWins: stats.totalWins.toFixed(2),
-        currentRTP: (getCurrentSessionRTP() * 100).toFixed(1) + '%',
-        shotsFired: stats.shotsFired,
-        fishKilled: stats.fishKilled,
-        hitRate: stats.shotsFired > 0 ? ((stats.fishKilled / stats.shotsFired) * 100).toFixed(1) + '%' : '0%'
-    };
+function initFreeShotCodeInput() {
+    const input = document.getElementById('promo-code-input');
+    const btn = document.getElementById('promo-code-btn');
+    if (!input || !btn) return;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const result = redeemFreeShotCode(input.value);
+        if (result.ok) {
+            input.value = '';
+        } else {
+            const messages = {
+                invalid: 'Unknown promo code',
+                already_redeemed: 'Promo code already redeemed',
+                multiplayer: 'Promo codes work in single player only',
+                profile: 'Promo codes are not available on this table',
+                too_many_rounds: 'Use your current free shots first'
+            };
+            showGovernanceNotification(messages[result.reason], 'error');
+        }
+    });
 }
 
 // ==================== BULLET SYSTEM ====================
@@ -19376,7 +20341,7 @@ function spawnBulletFromDirection(origin, direction, weaponKey, spreadIndex) {
     return bullet;
 }
 
-function _fireBurstShot(weaponKey, shotIndex) {
+function _fireBurstShot(weaponKey, shotIndex, isPromo) {
     var weapon = CONFIG.weapons[weaponKey];
     var aimX, aimY;
     if (gameState.viewMode === 'fps') {
@@ -19391,7 +20356,7 @@ function _fireBurstShot(weaponKey, shotIndex) {
     cannonMuzzle.getWorldPosition(fireBulletTempVectors.muzzlePos);
     var muzzlePos = fireBulletTempVectors.muzzlePos;
     muzzlePos.addScaledVector(direction, 5);
-    fireHitscanRay(muzzlePos, direction, weaponKey);
+    fireHitscanRay(muzzlePos, direction, weaponKey, undefined, isPromo);
     playWeaponShot(weaponKey);
     spawnMuzzleFlash(weaponKey, muzzlePos, direction);
     var chEl = document.getElementById('crosshair');
@@ -19422,7 +20387,7 @@ function _fireBurstShot(weaponKey, shotIndex) {
     }
 }
 
-function _fireBurstShotAuto(weaponKey) {
+function _fireBurstShotAuto(weaponKey, isPromo) {
     var weapon = CONFIG.weapons[weaponKey];
     cannonMuzzle.getWorldPosition(autoAimTempVectors.muzzlePos);
     var muzzlePos = autoAimTempVectors.muzzlePos;
@@ -19435,7 +20400,7 @@ function _fireBurstShotAuto(weaponKey) {
         Math.cos(yaw) * Math.cos(pitch)
     ).normalize();
     muzzlePos.addScaledVector(direction, 5);
-    fireHitscanRay(muzzlePos, direction, weaponKey);
+    fireHitscanRay(muzzlePos, direction, weaponKey, undefined, isPromo);
     playWeaponShot(weaponKey);
     spawnMuzzleFlash(weaponKey, muzzlePos, direction);
     var chEl = document.getElementById('crosshair');
@@ -19469,8 +20434,10 @@ function _fireBurstShotAuto(weaponKey) {
 
 function fireBullet(targetX, targetY) {
     if (!gameState.isInGameScene) return false;
+    if (multiplayerMode && multiplayerManager && multiplayerManager.isSpectator) return false;
     if (!gameState.weaponSelected) return false;
     if (gameState.settingsOpen) return false;
+    if (gameState.realityCheckOpen) return false;
     
     const weaponKey = gameState.currentWeapon;
     const weapon = CONFIG.weapons[weaponKey];
@@ -19478,6 +20445,21 @@ function fireBullet(targetX, targetY) {
     if (gameState.cooldown > 0) return false;
     if (gameState.burstInProgress) return false;
     
+    // Free-shot round on this weapon + coin value: nothing to pay (see FREE SHOTS)
+    const freeShot = getActiveFreeShotRound() !== null;
+    
+    // Lock-on (third-person): shoot at the pinned fish, not the cursor.
+    // FPS already fires at screen centre, which follows the tracking turret.
+    const lockedFish = isManualLockActive() ? TargetingService.state.lockedTarget : null;
+    if (lockedFish && gameState.viewMode !== 'fps') {
+        const ndc = TargetingService._getFishCenter(lockedFish).project(camera);
+        targetX = (ndc.x + 1) / 2 * window.innerWidth;
+        targetY = (1 - ndc.y) / 2 * window.innerHeight;
+    }
+    
+    // Responsible gaming: enforced BEFORE any cost deduction (local or server-side)
+    if (!checkResponsibleGamingLimits(freeShot ? 0 : weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE)) return false;
+    
     const chEl = document.getElementById('crosshair');
     if (chEl) {
         chEl.classList.remove('firing');
@@ -19565,14 +20547,19 @@ function fireBullet(targetX, targetY) {
     }
     
     // SINGLE PLAYER MODE: Original logic
-    // Check balance
-    if (gameState.balance < weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE) return false;
-    
-    // Deduct cost
-    gameState.balance -= weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE;
-    
-    // Record bet for RTP tracking
-    recordBet(weaponKey);
+    if (freeShot) {
+        // Bonus round: no cost, logged as promotional spend
+        consumeFreeShot(weaponKey);
+    } else {
+        // Check balance
+        if (gameState.balance < weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE) return false;
+        
+        // Deduct cost
+        gameState.balance -= weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE;
+        
+        // Record bet for RTP tracking
+        recordBet(weaponKey);
+    }
     
     // Set cooldown based on shotsPerSecond
     gameState.cooldown = 1 / weapon.shotsPerSecond;
@@ -19639,7 +20626,7 @@ function fireBullet(targetX, targetY) {
     if (weapon.type === 'burst') {
         var burstCount = weapon.burstCount || 3;
         var burstInterval = (1 / weapon.shotsPerSecond * 1000) / burstCount;
-        fireHitscanRay(muzzlePos, direction, weaponKey);
+        fireHitscanRay(muzzlePos, direction, weaponKey, undefined, freeShot);
         spawnMuzzleFlash(weaponKey, muzzlePos, direction);
         showCrosshairRingFlash();
         var config0 = WEAPON_VFX_CONFIG[weaponKey];
@@ -19671,7 +20658,7 @@ function fireBullet(targetX, targetY) {
                         gameState.burstShotsRemaining = 0;
                         return;
                     }
-                    _fireBurstShot(weaponKey, shotIdx);
+                    _fireBurstShot(weaponKey, shotIdx, freeShot);
                     gameState.burstShotsRemaining--;
                     if (gameState.burstShotsRemaining <= 0) {
                         gameState.burstInProgress = false;
@@ -19681,11 +20668,11 @@ function fireBullet(targetX, targetY) {
         }
         return true;
     } else if (weapon.type === 'laser') {
-        fireLaserBeam(muzzlePos, direction, weaponKey);
+        fireLaserBeam(muzzlePos, direction, weaponKey, freeShot);
     } else if (weapon.type === 'rocket') {
-        fireHitscanRay(muzzlePos, direction, weaponKey);
+        fireHitscanRay(muzzlePos, direction, weaponKey, undefined, freeShot);
     } else {
-        fireHitscanRay(muzzlePos, direction, weaponKey);
+        fireHitscanRay(muzzlePos, direction, weaponKey, undefined, freeShot);
     }
     
     spawnMuzzleFlash(weaponKey, muzzlePos, direction);
@@ -20446,7 +21433,7 @@ const hitscanTempVectors = {
     closestPoint: new THREE.Vector3(),
 };
 
-function fireHitscanRay(origin, direction, weaponKey, spreadIndex) {
+function fireHitscanRay(origin, direction, weaponKey, spreadIndex, isPromo = false) {
     const weapon = CONFIG.weapons[weaponKey];
     const damage = weapon.damage || 100;
     const maxRange = 3000;
@@ -20487,10 +21474,10 @@ function fireHitscanRay(origin, direction, weaponKey, spreadIndex) {
 
     if (closestHit && !multiplayerMode) {
         if (weapon.type === 'rocket') {
-            triggerExplosion(beamEnd.clone(), weaponKey);
+            triggerExplosion(beamEnd.clone(), weaponKey, isPromo);
             triggerScreenShakeWithStrength(6, 80);
         } else {
-            closestHit.takeDamage(damage, weaponKey, spreadIndex);
+            closestHit.takeDamage(damage, weaponKey, spreadIndex, isPromo);
             createHitParticles(beamEnd, weapon.color, 5);
             spawnWeaponHitEffect(weaponKey, beamEnd.clone(), closestHit, dir);
             playWeaponHitSound(weaponKey);
@@ -20565,7 +21552,7 @@ const laserTempVectors = {
 
 const activeLaserBeams = [];
 
-function fireLaserBeam(origin, direction, weaponKey) {
+function fireLaserBeam(origin, direction, weaponKey, isPromo = false) {
     const weapon = CONFIG.weapons[weaponKey];
     const damage = weapon.damage || 350;
     const maxRange = 3000;
@@ -20623,7 +21610,7 @@ function fireLaserBeam(origin, direction, weaponKey) {
             distance: i + 1
         }));
         const results = clientRTPEngine.handleMultiTargetHit(
-            CLIENT_RTP_PLAYER_ID, rtpHitList, weaponKey, 'laser', gameState.autoShoot
+            CLIENT_RTP_PLAYER_ID, rtpHitList, weaponKey, 'laser', gameState.autoShoot, gameState.coinValue, isPromo
         );
         for (let i = 0; i < pierceTargets.length; i++) {
             const hit = pierceTargets[i];
@@ -20639,6 +21626,8 @@ function fireLaserBeam(origin, direction, weaponKey) {
                 const result = results[i];
                 if (result && result.kill && hit.fish.isActive) {
                     hit.fish.die(weaponKey, result.reward, result.rewardFp);
+                } else if (result && result.reason === 'shielded') {
+                    hit.fish.updateShield(result.shieldHits);
                 }
             }
         }
@@ -20834,7 +21823,7 @@ function spawnLaserHitscanVFX(muzzlePos, beamEnd, hitPoints, color) {
     });
 }
 
-function triggerExplosion(center, weaponKey) {
+function triggerExplosion(center, weaponKey, isPromo = false) {
     playSound('explosion');
     
     const weapon = CONFIG.weapons[weaponKey];
@@ -20864,7 +21853,7 @@ function triggerExplosion(center, weaponKey) {
             distance: h.distance
         }));
         const results = clientRTPEngine.handleMultiTargetHit(
-            CLIENT_RTP_PLAYER_ID, rtpHitList, weaponKey, 'aoe', gameState.autoShoot
+            CLIENT_RTP_PLAYER_ID, rtpHitList, weaponKey, 'aoe', gameState.autoShoot, gameState.coinValue, isPromo
         );
         for (let i = 0; i < hitFishList.length; i++) {
             const fish = hitFishList[i].fish;
@@ -20881,6 +21870,8 @@ function triggerExplosion(center, weaponKey) {
                 const result = results[i];
                 if (result && result.kill && fish.isActive) {
                     fish.die(weaponKey, result.reward, result.rewardFp);
+                } else if (result && result.reason === 'shielded') {
+                    fish.updateShield(result.shieldHits);
                 }
             } else {
                 createHitParticles(fish.group.position, '#888888', 1);
@@ -21251,7 +22242,9 @@ const FISH_FORM_TO_TIER = {
     // Tier 2 — Green #00FF66
     tuna: 't2', dolphinfish: 't2', lionfish: 't2', parrotfish: 't2', pufferfish: 't2',
     // Tier 3 — Blue #00CCFF
-    seahorse: 't3', tang: 't3', angelfish: 't3', damselfish: 't3', clownfish: 't3', anchovy: 't3', sardine: 't3'
+    seahorse: 't3', tang: 't3', angelfish: 't3', damselfish: 't3', clownfish: 't3', anchovy: 't3', sardine: 't3',
+    // Ability fish
+    turtle: 't1', crab: 't2', eel: 't2', goldfish: 't3'
 };
 const TIER_BORDER_COLORS = {
     boss: '#FF8800',
@@ -21265,19 +22258,25 @@ function getKillFeedTierColor(fishForm) {
     return TIER_BORDER_COLORS[tier] || '#FFFFFF';
 }
 
-function addKillFeedEntry(fishForm, rewardAmount) {
+function addKillFeedEntry(fishForm, rewardAmount, multiplier = 1) {
     const list = document.getElementById('kill-feed-list');
     if (!list) return;
 
     let imageUrl = FISH_KILLLOG_IMAGES[fishForm];
     if (!imageUrl) {
-        console.warn('[KILL-LOG] Missing icon for fishForm "' + fishForm + '" — expected 19 mapped species. Check FISH_KILLLOG_IMAGES config.');
-        imageUrl = 'data:image/svg+xml,' + encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="4" fill="#ff0040" opacity="0.7"/><text x="16" y="22" text-anchor="middle" font-size="14" fill="#fff">?</text></svg>');
+        // Ability fish have no kill log art yet: tier-coloured badge with their initial
+        const known = !!FISH_FORM_TO_TIER[fishForm];
+        if (!known) {
+            console.warn('[KILL-LOG] Missing icon for fishForm "' + fishForm + '". Check FISH_KILLLOG_IMAGES config.');
+        }
+        const badgeColor = known ? getKillFeedTierColor(fishForm) : '#ff0040';
+        const badgeText = known ? fishForm.charAt(0).toUpperCase() : '?';
+        imageUrl = 'data:image/svg+xml,' + encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="4" fill="' + badgeColor + '" opacity="0.7"/><text x="16" y="22" text-anchor="middle" font-size="14" fill="#fff">' + badgeText + '</text></svg>');
     }
     const name = formatFishName(fishForm);
     const tierColor = getKillFeedTierColor(fishForm);
 
-    killFeedRecords.push({ imageUrl, name, reward: Math.round(rewardAmount), fishForm, tierColor });
+    killFeedRecords.push({ imageUrl, name, reward: Math.round(rewardAmount), fishForm, tierColor, multiplier });
 
     if (killFeedRecords.length > KILL_FEED_MAX) {
         killFeedRecords.shift();
@@ -21355,6 +22354,12 @@ function renderKillFeed() {
             const rewardEl = document.createElement('div');
             rewardEl.className = 'kf-reward';
             rewardEl.textContent = '+' + record.reward;
+            if (record.multiplier > 1) {
+                const multEl = document.createElement('span');
+                multEl.className = 'kf-multiplier';
+                multEl.textContent = '×' + record.multiplier;
+                rewardEl.appendChild(multEl);
+            }
             // Apply tier color to reward text for latest entry
             if (isLatest) {
                 rewardEl.style.color = tc;
@@ -21383,7 +22388,10 @@ const AMMO_WEAPON_SLOTS = ['1x', '3x', '5x', '8x'];
 function updateDigiAmmoDisplay() {
     const weapon = CONFIG.weapons[gameState.currentWeapon];
     if (!weapon) return;
-    const ammo = Math.min(99999, Math.max(0, Math.floor(gameState.balance / (weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE))));
+    // Free-shot round on this weapon + coin value: the strip counts bonus shots instead
+    const freeRound = getActiveFreeShotRound();
+    const ammo = freeRound ? freeRound.remaining :
+        Math.min(99999, Math.max(0, Math.floor(gameState.balance / (weapon.cost * (gameState.coinValue || 1) * BALANCE_SCALE))));
 
     // Legacy digi-ammo (kept hidden via CSS but still updated to avoid null refs)
     const currentIdx = AMMO_WEAPON_SLOTS.indexOf(gameState.currentWeapon);
@@ -21411,6 +22419,16 @@ function updateDigiAmmoDisplay() {
         if (!d) continue;
         d.textContent = digitsStr[i];
         d.classList.add('filled');
+        d.classList.toggle('free', !!freeRound);
+    }
+    const titleEl = document.getElementById('shot-counter-title');
+    if (titleEl) titleEl.textContent = freeRound ? 'FREE SHOTS' : 'MAX SHOTS';
+    // Paused rounds (other weapon / coin value) are listed so the player can switch back
+    const pausedEl = document.getElementById('free-shot-paused');
+    if (pausedEl) {
+        const paused = multiplayerMode ? [] : gameState.freeShotRounds.filter(r => r !== freeRound);
+        pausedEl.style.display = paused.length > 0 ? 'block' : 'none';
+        pausedEl.textContent = paused.map(r => r.remaining + ' FREE @ ' + r.weaponKey + ' / ' + r.coinValue + 'x').join('  ');
     }
 }
 
@@ -21427,19 +22445,40 @@ function syncAutoPillUI() {
             onBtn.classList.remove('on');
         }
     }
+    // Target strategy: lit when the player overrides the weapon's default
+    const targetBtn = document.getElementById('auto-target-btn');
+    if (targetBtn) {
+        const weapon = WEAPON_CONFIG[gameState.currentWeapon];
+        const weaponDefault = weapon && TARGETING_STRATEGIES[weapon.autoTargeting] ? weapon.autoTargeting : 'nearest';
+        targetBtn.textContent = TARGETING_STRATEGIES[getAutoTargetingStrategy()].label;
+        targetBtn.classList.toggle('on', !!gameSettings.autoTargeting);
+        targetBtn.title = 'Auto-fire target choice - click to cycle (weapon default: ' +
+            TARGETING_STRATEGIES[weaponDefault].label + ')';
+    }
+}
+
+// Cycle the target strategy override: weapon default → each strategy → weapon default.
+// Only new locks use it; a held lock is kept until it breaks.
+function cycleAutoTargeting() {
+    const order = [null].concat(Object.keys(TARGETING_STRATEGIES));
+    const index = order.indexOf(gameSettings.autoTargeting || null);
+    gameSettings.autoTargeting = order[(index + 1) % order.length];
+    saveSettings();
+    syncAutoPillUI();
+    playSound('weaponSwitch');
 }
 
 // Issue 4: Apply RTP labels to weapon buttons (for testing/debugging)
 function applyRtpLabels() {
     if (!CONFIG.debug || !CONFIG.debug.showRtpOnButtons) return;
     
-    const rtpTable = CONFIG.rtp.entertainment;
+    const rtpTable = clientRTPEngine.profile.weaponRtpManualFp;
     
     document.querySelectorAll('.weapon-btn').forEach(btn => {
         const weaponKey = btn.dataset.weapon;
         if (!weaponKey || !rtpTable[weaponKey]) return;
         
-        const rtpValue = rtpTable[weaponKey];
+        const rtpValue = rtpTable[weaponKey] / RTP_SCALE;
         
         // Create RTP label element
         const rtpLabel = document.createElement('div');
@@ -21705,6 +22744,9 @@ function setupEventListeners() {
                 gameState.lastFPSMouseY = e.clientY;
             }
             
+            // Lock-on: the turret (and camera) track the pinned fish instead
+            if (isManualLockActive()) return;
+            
             // Apply rotation using same sensitivity as right-drag
             // FPS free-look uses higher sensitivity for comfortable gameplay
             // Increased multiplier from 10.0 to 30.0 for better responsiveness
@@ -21850,6 +22892,13 @@ function setupEventListeners() {
             if (gameState.autoShoot) toggleAutoShoot();
         });
     }
+    const autoTargetBtn = document.getElementById('auto-target-btn');
+    if (autoTargetBtn) {
+        autoTargetBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            cycleAutoTargeting();
+        });
+    }
     
     // Window resize
     window.addEventListener('resize', () => {
@@ -21864,6 +22913,18 @@ function setupEventListeners() {
     // Prevent context menu
     container.addEventListener('contextmenu', (e) => e.preventDefault());
     
+    // Middle click: lock on to the fish under the cursor (or release)
+    container.addEventListener('mousedown', (e) => {
+        if (e.button !== 1) return;
+        if (gameState.settingsOpen) return;
+        e.preventDefault();  // No autoscroll
+        if (gameState.viewMode === 'fps') {
+            toggleManualLock(window.innerWidth / 2, window.innerHeight / 2);
+        } else {
+            toggleManualLock(e.clientX, e.clientY);
+        }
+    });
+    
     // Right-click: scope zoom (hold) + camera drag
     container.addEventListener('mousedown', (e) => {
         if (e.button === 2) {  // Right mouse button
@@ -21940,6 +23001,15 @@ function setupEventListeners() {
         
         if (gameState.settingsOpen && e.key !== 'Escape') return;
         
+        // Chat (Enter) and quick emotes (Shift+1-6), players and spectators alike
+        if (multiplayerMode && multiplayerManager && handleChatKey(e)) return;
+        
+        // Spectators: camera keys only (no weapons, no auto-shoot)
+        if (gameState.viewMode === 'spectator' && multiplayerManager) {
+            handleSpectatorKey(e);
+            return;
+        }
+        
         // Weapon switching: 1-4 keys (also works on weapon picker screen)
         if (e.key === '1') {
             if (!gameState.weaponSelected) { onInitialWeaponSelected('1x'); return; }
@@ -21977,6 +23047,13 @@ function setupEventListeners() {
             toggleCannonSide();
             highlightButton('#hand-side-btn');
             return;
+        } else if (e.key === 'l' || e.key === 'L') {
+            if (gameState.viewMode === 'fps') {
+                toggleManualLock(window.innerWidth / 2, window.innerHeight / 2);
+            } else {
+                toggleManualLock(gameState.mouseX, gameState.mouseY);
+            }
+            return;
         } else if (e.key === 'Escape') {
             if (!gameState.weaponSelected) {
                 if (document.pointerLockElement) document.exitPointerLock();
@@ -22034,6 +23111,7 @@ function toggleSettingsPanel() {
 
     if (nowVisible) {
         gameState.settingsOpen = true;
+        updateResponsibleGamingStatus();
         if (document.pointerLockElement) {
             document.exitPointerLock();
         }
@@ -22085,6 +23163,7 @@ function toggleHelpPanel() {
                 <div class="help-section">
                     <h4>Controls</h4>
                     <div class="help-row"><span class="key">A</span> Toggle Auto Fire</div>
+                    <div class="help-row"><span class="key">L</span> Lock On / Release (or Middle Click)</div>
                     <div class="help-row"><span class="key">C</span> Center View</div>
                     <div class="help-row"><span class="key">ESC</span> Settings</div>
                     <div class="help-row"><span class="key">H</span> This Help</div>
@@ -22448,6 +23527,8 @@ function animate() {
         gameState.cooldown -= deltaTime;
     }
     
+    updateRealityCheck();
+    
     // PERFORMANCE: Update barrel recoil in animation loop (replaces setTimeout)
     updateBarrelRecoil();
     
@@ -22485,7 +23566,10 @@ function animate() {
     // This ensures camera follows when aiming (click) or auto-aim rotates the cannon
     if (gameState.viewMode === 'fps') {
         updateFPSCamera();
+    } else if (gameState.viewMode === 'spectator') {
+        updateSpectatorCamera(deltaTime);
     }
+    if (emoteBubbles.size > 0) updateEmoteBubbles(deltaTime);
     
     // Smooth scope zoom FOV transition
     if (camera.fov !== gameState.scopeTargetFov) {
@@ -22524,7 +23608,14 @@ function animate() {
                 autoShootTimer = Math.max(autoShootTimer, -interval);
             }
         }
+    } else if (isManualLockActive()) {
+        // Lock-on: the turret tracks the pinned fish; the player still fires
+        const result = autoAimTick();
+        if (result && result.target && gameState.viewMode === 'fps') {
+            updateFPSCamera();
+        }
     }
+    updateLockOnReticle();
     
     
     // Update fish with error handling to prevent freeze bugs
@@ -22576,6 +23667,9 @@ function animate() {
             }
         }
         
+        // Fish tides clear the tank and fly scripted formations (single-player only)
+        updateFishTides(deltaTime);
+        
         // Dynamic fish respawn system - maintain target fish count (single-player only)
         updateDynamicFishSpawn(deltaTime);
         
@@ -22586,6 +23680,11 @@ function animate() {
         // FIX: Rebuild spatial hash AFTER fish move so bullet collision uses current positions
         // Without this, bullets query stale fish positions causing pass-through at cell boundaries
         rebuildSpatialHash(activeFish);
+    } else if (multiplayerManager) {
+        // Server fish render from the jitter buffer every frame, not per snapshot
+        updateFishFromServer(multiplayerManager.getInterpolatedFish());
+        multiplayerManager.updatePredictions();
+        updatePredictedBullets();
     }
     
     // Update bullets
@@ -22768,6 +23867,7 @@ let bossUIContainer = null;
 const bossCrosshairMap = new Map();  // Map<fish, THREE.Group>
 const bossGlowEffectMap = new Map(); // Map<fish, THREE.Mesh>
 let bossSwarmFishList = [];  // Fix 3: Track all swarm fish for hint transfer
+let lockOnReticle = null;  // Lock-on reticle following TargetingService's manual lock
 let bossWaitingUI = null;  // Issue #15: Separate UI for waiting period countdown (60s → 16s)
 
 function createBossUI() {
@@ -23229,6 +24329,103 @@ function removeBossCrosshair() {
     bossCrosshairMap.clear();
 }
 
+function createLockOnReticle(fish) {
+    // Lock-on reticle: camera-facing ring + four brackets that close in while the turret slews,
+    // same core/glow layering as the boss vortex but flat and single-colour (Neon Abyss cyan)
+    const reticle = new THREE.Group();
+    const radius = Math.max(fish.boundingRadius || (fish.config ? fish.config.size * 0.6 : 30), 20) * 1.15;
+
+    const makeMat = (opacity, additive) => {
+        const mat = new THREE.MeshBasicMaterial({
+            color: 0x4de8e0,
+            transparent: true,
+            opacity,
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false,
+            blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+        });
+        mat.userData = { baseOpacity: opacity };
+        return mat;
+    };
+
+    // Dashed core ring (spins) with a soft glow behind it
+    const ring = new THREE.Group();
+    for (let d = 0; d < 8; d++) {
+        const dash = new THREE.Mesh(new THREE.TorusGeometry(radius, 1.1, 6, 16, Math.PI / 6), makeMat(0.85, false));
+        dash.rotation.z = d * Math.PI / 4;
+        ring.add(dash);
+    }
+    ring.add(new THREE.Mesh(new THREE.TorusGeometry(radius, 5, 6, 64), makeMat(0.12, true)));
+    reticle.add(ring);
+
+    // Corner brackets
+    const brackets = [];
+    const arm = radius * 0.35;
+    for (let b = 0; b < 4; b++) {
+        const bracket = new THREE.Group();
+        const h = new THREE.Mesh(new THREE.PlaneGeometry(arm, 2), makeMat(0.9, false));
+        const v = new THREE.Mesh(new THREE.PlaneGeometry(2, arm), makeMat(0.9, false));
+        h.position.set(-arm / 2, 0, 0);
+        v.position.set(0, -arm / 2, 0);
+        bracket.add(h, v);
+        bracket.rotation.z = b * Math.PI / 2;  // Corner of a box, arms pointing inward
+        reticle.add(bracket);
+        brackets.push(bracket);
+    }
+
+    reticle.renderOrder = 999;
+    reticle.traverse(child => { child.renderOrder = 999; });
+    reticle.userData = { targetFish: fish, ring, brackets, radius, closing: 1.6 };
+    scene.add(reticle);
+    return reticle;
+}
+
+function updateLockOnReticle() {
+    const s = TargetingService.state;
+    const fish = s.manualLock ? s.lockedTarget : null;
+    if (!fish || !fish.isActive) {
+        removeLockOnReticle();
+        return;
+    }
+    if (!lockOnReticle || lockOnReticle.userData.targetFish !== fish) {
+        removeLockOnReticle();
+        lockOnReticle = createLockOnReticle(fish);
+    }
+
+    // Follow the fish and face the camera
+    const data = lockOnReticle.userData;
+    lockOnReticle.position.copy(fish.group.position);
+    lockOnReticle.quaternion.copy(camera.quaternion);
+    data.ring.rotation.z += 0.02;
+
+    // Brackets hang wide while the turret slews, then close onto the ring once it is on target
+    const target = s.phase === 'firing' ? 1 : 1.3;
+    data.closing += (target - data.closing) * 0.15;
+    for (let b = 0; b < data.brackets.length; b++) {
+        const angle = b * Math.PI / 2 + Math.PI / 4;
+        const r = data.radius * data.closing;
+        data.brackets[b].position.set(Math.cos(angle) * r, Math.sin(angle) * r, 0);
+    }
+
+    const pulse = Math.sin(Date.now() * 0.006) * 0.15 + 0.85;
+    lockOnReticle.traverse(child => {
+        if (child.isMesh && child.material.userData.baseOpacity !== undefined) {
+            child.material.opacity = child.material.userData.baseOpacity * pulse;
+        }
+    });
+}
+
+function removeLockOnReticle() {
+    if (!lockOnReticle) return;
+    scene.remove(lockOnReticle);
+    lockOnReticle.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    lockOnReticle = null;
+}
+
 function addBossGlowEffect(bossFish, glowColor) {
     // Add pulsing glow effect to boss fish
     // GLOW SCALE FIX: Increase multiplier from 1.3x to 2.5x for T6 boss models
@@ -23513,9 +24710,11 @@ function updateBossEvent(deltaTime) {
         return;
     }
     
-    // Update boss spawn timer
+    // Update boss spawn timer (held while a fish tide runs)
     if (!gameState.bossActive) {
-        gameState.bossSpawnTimer -= deltaTime;
+        if (!fishTideDirector.isActive()) {
+            gameState.bossSpawnTimer -= deltaTime;
+        }
         
         // Issue #15: Update waiting timer UI (shows 60s → 16s countdown)
         updateBossWaitingTimerUI(gameState.bossSpawnTimer);
@@ -23679,6 +24878,7 @@ const DEFAULT_SETTINGS = {
     // Audio volume settings (0-100%)
     musicVolume: 50,      // Background music volume (default 50%)
     sfxVolume: 70,        // Sound effects volume (default 70%)
+    autoTargeting: null,  // Auto-fire target strategy override (null = each weapon's default)
     // FPS Sensitivity: 10 levels (1-10), where level 10 = 100% of base sensitivity
     // Default is level 5 (50%) for more precise aiming
     fpsSensitivityLevel: 5
@@ -23954,6 +25154,9 @@ function initSettingsUI() {
         });
     }
     
+    initResponsibleGamingSettings();
+    initFreeShotCodeInput();
+    
     // Close panel when clicking outside
     document.addEventListener('click', (e) => {
         if (settingsPanel && settingsPanel.classList.contains('visible')) {
@@ -24029,10 +25232,8 @@ function updateFishFromServer(serverFish) {
             const targetZ = sf.z * 10;
             const targetY = sf.y !== undefined ? sf.y * 10 : fish.position.y;
             
-            // Smooth interpolation
-            fish.position.x += (targetX - fish.position.x) * 0.1;
-            fish.position.y += (targetY - fish.position.y) * 0.1;
-            fish.position.z += (targetZ - fish.position.z) * 0.1;
+            // Already interpolated by the snapshot buffer; easing again here lags and stutters
+            fish.position.set(targetX, targetY, targetZ);
             
             // Update rotation to face movement direction
             if (sf.vx !== undefined && sf.vz !== undefined) {
@@ -24087,6 +25288,99 @@ function updateFishFromServer(serverFish) {
     }
 }
 
+// Mesh for a server fish id, or undefined
+function findServerFishMesh(fishId) {
+    return gameState.fish.find(f => f.userData && f.userData.serverId === fishId);
+}
+
+// Hit flash for a server fish mesh: red tint, emissive blip, scale pulse and jitter
+function flashServerFish(fish) {
+    if (!fish || fish.userData._hitFlashActive) return;
+    fish.userData._hitFlashActive = true;
+    const _tint = new THREE.Color(1.0, 0.3, 0.3);
+    const _peakTint = 0.85;
+    const _emissiveBoost = 0.20;
+    const _emissiveDur = 50;
+    const _tintDecayDur = 300;
+    const _scalePulse = 1.05;
+    const _scaleDur = 100;
+    const _jitterAmp = 0.1;
+    const _jitterDur = 100;
+    if (!fish._origScale) fish._origScale = fish.scale.clone();
+    const origScale = fish._origScale;
+    fish.scale.set(origScale.x * _scalePulse, origScale.y * _scalePulse, origScale.z * _scalePulse);
+    fish.traverse(function(child) {
+        if (child.isMesh && child.material && child.material.color) {
+            if (!child._origColor) child._origColor = child.material.color.clone();
+            child.material.color.copy(child._origColor.clone().lerp(_tint, _peakTint));
+            if (child.material.emissiveIntensity !== undefined) {
+                if (!child._origEmissive) child._origEmissive = child.material.emissiveIntensity;
+                child.material.emissiveIntensity = child._origEmissive + _emissiveBoost;
+            }
+        }
+    });
+    const mpFlashStart = performance.now();
+    var _origPos = null;
+    function _mpJuiceFade(t) {
+        const elapsed = t - mpFlashStart;
+        if (!fish.parent) { _mpFinalRestore(); return; }
+        if (elapsed < _scaleDur) {
+            const sp = elapsed / _scaleDur;
+            const es = 1.0 + (_scalePulse - 1.0) * (1.0 - sp * sp);
+            fish.scale.set(origScale.x * es, origScale.y * es, origScale.z * es);
+        } else if (fish.scale.x !== origScale.x) {
+            fish.scale.copy(origScale);
+        }
+        if (elapsed < _jitterDur) {
+            if (!_origPos) _origPos = fish.position.clone();
+            fish.position.set(
+                _origPos.x + (Math.random() - 0.5) * 2 * _jitterAmp,
+                _origPos.y + (Math.random() - 0.5) * 2 * _jitterAmp,
+                _origPos.z + (Math.random() - 0.5) * 2 * _jitterAmp
+            );
+        } else if (_origPos) {
+            fish.position.copy(_origPos);
+            _origPos = null;
+        }
+        if (elapsed >= _emissiveDur) {
+            fish.traverse(function(child) {
+                if (child.isMesh && child.material && child._origEmissive !== undefined) {
+                    child.material.emissiveIntensity = child._origEmissive;
+                    child._origEmissive = undefined;
+                }
+            });
+        }
+        const tintP = Math.min(elapsed / _tintDecayDur, 1);
+        const tintFactor = _peakTint * Math.pow(1 - tintP, 3);
+        fish.traverse(function(child) {
+            if (child.isMesh && child.material && child._origColor) {
+                if (tintP >= 1) child.material.color.copy(child._origColor);
+                else child.material.color.copy(child._origColor.clone().lerp(_tint, tintFactor));
+            }
+        });
+        if (tintP < 1 || elapsed < _scaleDur || elapsed < _jitterDur) {
+            requestAnimationFrame(_mpJuiceFade);
+        } else {
+            _mpFinalRestore();
+        }
+    }
+    function _mpFinalRestore() {
+        if (fish._origScale) fish.scale.copy(fish._origScale);
+        if (_origPos) { fish.position.copy(_origPos); _origPos = null; }
+        fish.traverse(function(child) {
+            if (child.isMesh && child.material) {
+                if (child._origColor) child.material.color.copy(child._origColor);
+                if (child._origEmissive !== undefined) {
+                    child.material.emissiveIntensity = child._origEmissive;
+                    child._origEmissive = undefined;
+                }
+            }
+        });
+        fish.userData._hitFlashActive = false;
+    }
+    requestAnimationFrame(_mpJuiceFade);
+}
+
 // Track server bullets for multiplayer sync
 let serverBulletMeshes = new Map(); // bulletId -> { group, bullet, trail }
 
@@ -24129,6 +25423,39 @@ function createServerBulletMesh(weaponKey) {
     return { group, bullet, trail, weaponKey };
 }
 
+// Locally predicted own bullets (shot prediction), keyed by shotSequenceId
+let predictedBulletMeshes = new Map(); // seq -> { group, bullet, trail }
+
+function spawnPredictedBulletMesh(localBullet) {
+    const bulletData = createServerBulletMesh(localBullet.weapon);
+    bulletData.bullet.material.opacity = 1;   // own bullet: full opacity
+    bulletData.group.position.set(localBullet.x * 10, CONFIG.aquarium.floorY - 50, localBullet.z * 10);
+    const direction = new THREE.Vector3(localBullet.vx, 0, localBullet.vz).normalize();
+    bulletData.group.lookAt(bulletData.group.position.clone().add(direction));
+    scene.add(bulletData.group);
+    predictedBulletMeshes.set(localBullet.seq, bulletData);
+}
+
+function removePredictedBulletMesh(seq) {
+    const bulletData = predictedBulletMeshes.get(seq);
+    if (!bulletData) return;
+    scene.remove(bulletData.group);
+    predictedBulletMeshes.delete(seq);
+}
+
+// Move predicted bullets to the positions multiplayerManager.updatePredictions() computed
+function updatePredictedBullets() {
+    for (const [seq, bulletData] of predictedBulletMeshes) {
+        const localBullet = multiplayerManager.localBullets.get(seq);
+        if (!localBullet) {
+            removePredictedBulletMesh(seq);
+            continue;
+        }
+        bulletData.group.position.x = localBullet.x * 10;
+        bulletData.group.position.z = localBullet.z * 10;
+    }
+}
+
 // Update bullets from server state
 function updateBulletsFromServer(serverBullets) {
     if (!serverBullets || !Array.isArray(serverBullets)) return;
@@ -24224,6 +25551,303 @@ function updatePlayersFromServer(serverPlayers) {
     });
 }
 
+// ==================== SPECTATOR ====================
+// Camera and kill log for multiplayerManager.isSpectator (see multiplayer.js SPECTATOR)
+
+const SPECTATOR_CANNON_OFFSET = { y: 260, z: 320 };  // behind and above the watched cannon
+const spectatorLookAt = new THREE.Vector3(0, 0, 0);
+const _spectatorTempPos = new THREE.Vector3();
+const _spectatorTempLook = new THREE.Vector3();
+
+function updateSpectatorCamera(deltaTime) {
+    if (!camera || !multiplayerManager) return;
+    // initFPSMode shows our own cannon on load; a spectator has none
+    if (cannonGroup && cannonGroup.visible) cannonGroup.visible = false;
+    
+    const view = multiplayerManager.getSpectatorCamera();
+    if (!view || view.mode !== 'cannon') {
+        updateSpectatorFreeCamera(deltaTime);
+        return;
+    }
+    
+    const pos = view.position;
+    const look = view.aim || { x: pos.x * 0.25, y: 0, z: 0 };
+    const t = Math.min(1, deltaTime * 4);
+    camera.position.lerp(_spectatorTempPos.set(pos.x, pos.y + SPECTATOR_CANNON_OFFSET.y, pos.z + SPECTATOR_CANNON_OFFSET.z), t);
+    spectatorLookAt.lerp(_spectatorTempLook.set(look.x, look.y, look.z), t);
+    camera.lookAt(spectatorLookAt);
+}
+
+// Free camera: the third-person orbit, turned with the arrow keys
+function updateSpectatorFreeCamera(deltaTime) {
+    const transitionSpeed = 3.0;
+    gameState.cameraYaw += (gameState.targetCameraYaw - gameState.cameraYaw) * Math.min(1, transitionSpeed * deltaTime);
+    gameState.cameraPitch += (gameState.targetCameraPitch - gameState.cameraPitch) * Math.min(1, transitionSpeed * deltaTime);
+    updateCameraRotation();
+}
+
+function handleSpectatorKey(e) {
+    const key = e.key;
+    if (key === 'v' || key === 'V' || key === 'Tab') {
+        e.preventDefault();
+        multiplayerManager.cycleSpectatorView(e.shiftKey ? -1 : 1);
+    } else if (key === 'f' || key === 'F') {
+        multiplayerManager.setSpectatorView({ mode: 'free' });
+    } else if (key >= '1' && key <= '4') {
+        multiplayerManager.setSpectatorView({ mode: 'cannon', slotIndex: parseInt(key, 10) - 1 });
+    } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+        e.preventDefault();
+        if (multiplayerManager.spectatorView.mode !== 'free') multiplayerManager.setSpectatorView({ mode: 'free' });
+        gameState.targetCameraYaw += (key === 'ArrowLeft' ? -1 : 1) * Math.PI / 12;
+    }
+}
+
+function updateSpectatorHud(view) {
+    const el = document.getElementById('spectator-hud');
+    if (!el || !view) return;
+    const who = view.mode === 'cannon'
+        ? (view.playerName || 'Player') + ' (cannon ' + (view.slotIndex + 1) + ')'
+        : 'Free camera';
+    el.innerHTML = '[WATCHING] ' + who + '<br>V/Tab: next &nbsp; 1-4: player &nbsp; F / arrows: free camera';
+}
+
+// Kill log shows the watched player's kills, or everyone's on the free camera
+function renderSpectatorKillFeed() {
+    if (!multiplayerManager || !multiplayerManager.isSpectator) return;
+    const view = multiplayerManager.getSpectatorCamera();
+    const entries = multiplayerManager.getKillFeed(view.mode === 'cannon' ? view.playerId : null).slice(-KILL_FEED_MAX);
+    
+    killFeedRecords.length = 0;
+    entries.forEach(function(entry) {
+        const fishForm = entry.fishType || '';
+        killFeedRecords.push({
+            imageUrl: FISH_KILLLOG_IMAGES[fishForm] || null,
+            name: formatFishName(fishForm) + (view.mode === 'free' && entry.playerName ? ' \u2190 ' + entry.playerName : ''),
+            reward: Math.round(entry.reward || 0),
+            fishForm: fishForm,
+            tierColor: getKillFeedTierColor(fishForm),
+            multiplier: 1
+        });
+    });
+    const title = document.querySelector('#kill-feed-panel .kf-header-title');
+    if (title) title.textContent = view.mode === 'cannon' ? 'Kill Log \u2014 ' + (view.playerName || 'Player') : 'Kill Log \u2014 All';
+    renderKillFeed();
+}
+
+// ==================== CHAT ====================
+// Room chat log and input, and quick-emote bubbles (see multiplayer.js CHAT)
+
+const CHAT_LOG_LINES = 8;
+const EMOTE_BUBBLE_SECONDS = 3;
+const EMOTE_BUBBLE_HEIGHT = 220;    // above the cannon platform
+const CHAT_REJECT_TEXT = {
+    CHAT_RATE_LIMITED: 'Slow down: too many messages',
+    CHAT_TOO_LONG: 'Message too long',
+    CHAT_BLOCKED: 'Message blocked by the chat filter',
+    CHAT_BAD_EMOTE: 'Unknown emote',
+    NOT_IN_ROOM: 'Not in a room'
+};
+const emoteBubbles = new Map();     // staticCannons index -> { sprite, age }
+
+function createChatPanel() {
+    if (document.getElementById('chat-panel')) return;
+    const panel = document.createElement('div');
+    panel.id = 'chat-panel';
+    panel.style.cssText = 'position:fixed;bottom:48px;left:8px;width:300px;z-index:99999;font:12px sans-serif;transform:scale(var(--ui-scale));transform-origin:bottom left';
+    
+    const log = document.createElement('div');
+    log.id = 'chat-log';
+    log.style.cssText = 'display:flex;flex-direction:column;gap:2px;margin-bottom:4px;text-shadow:0 1px 2px #000';
+    panel.appendChild(log);
+    
+    const input = document.createElement('input');
+    input.id = 'chat-input';
+    input.type = 'text';
+    input.maxLength = MULTIPLAYER_CONFIG.chat.maxLength;
+    input.placeholder = 'Say something... (/mute name, /unmute name)';
+    input.style.cssText = 'display:none;width:100%;box-sizing:border-box;padding:4px 6px;border-radius:4px;border:1px solid #4af;background:rgba(0,0,0,0.7);color:#fff;font:12px sans-serif';
+    input.addEventListener('keydown', function(e) {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            submitChatInput(input.value);
+            closeChatInput();
+        } else if (e.key === 'Escape') {
+            closeChatInput();
+        }
+    });
+    panel.appendChild(input);
+    
+    const emotes = document.createElement('div');
+    emotes.style.cssText = 'display:flex;flex-wrap:wrap;gap:3px;margin-top:4px';
+    MULTIPLAYER_CONFIG.chat.emotes.forEach(function(text, emoteId) {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.title = 'Shift+' + (emoteId + 1);
+        btn.style.cssText = 'padding:2px 6px;border-radius:10px;border:1px solid #4af;background:rgba(0,40,80,0.7);color:#cef;font:11px sans-serif;cursor:pointer';
+        btn.addEventListener('click', function(e) {
+            e.stopPropagation();
+            btn.blur();
+            if (multiplayerManager) multiplayerManager.sendEmote(emoteId);
+        });
+        emotes.appendChild(btn);
+    });
+    panel.appendChild(emotes);
+    
+    document.body.appendChild(panel);
+}
+
+function handleChatKey(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        openChatInput();
+        return true;
+    }
+    // e.code: Shift changes e.key to '!', '@'...
+    const digit = /^Digit([1-9])$/.exec(e.code);
+    if (e.shiftKey && digit && parseInt(digit[1], 10) <= MULTIPLAYER_CONFIG.chat.emotes.length) {
+        e.preventDefault();
+        multiplayerManager.sendEmote(parseInt(digit[1], 10) - 1);
+        return true;
+    }
+    return false;
+}
+
+function openChatInput() {
+    const input = document.getElementById('chat-input');
+    if (!input) return;
+    if (document.pointerLockElement) document.exitPointerLock();
+    input.style.display = 'block';
+    input.focus();
+}
+
+function closeChatInput() {
+    const input = document.getElementById('chat-input');
+    if (!input) return;
+    input.value = '';
+    input.style.display = 'none';
+    input.blur();
+}
+
+// "/mute name" and "/unmute name" act on the players in the chat history
+function submitChatInput(value) {
+    if (!multiplayerManager) return;
+    const command = /^\/(mute|unmute)\s+(.+)$/i.exec(value.trim());
+    if (!command) {
+        if (value.trim()) multiplayerManager.sendChat(value);
+        return;
+    }
+    const name = command[2].trim().toLowerCase();
+    const sender = multiplayerManager.getChatHistory().reverse()
+        .find(m => !m.isOwn && m.senderName.toLowerCase() === name);
+    if (!sender) {
+        showGovernanceNotification('No one called "' + command[2].trim() + '" has chatted here', 'warning');
+        return;
+    }
+    toggleChatMute(sender.senderId, sender.senderName, command[1].toLowerCase() === 'mute');
+}
+
+function toggleChatMute(senderId, senderName, mute) {
+    if (mute) multiplayerManager.mutePlayer(senderId);
+    else multiplayerManager.unmutePlayer(senderId);
+    showGovernanceNotification((mute ? 'Muted ' : 'Unmuted ') + senderName, 'warning');
+    renderChatLog();
+}
+
+// Newest lines from the manager's history; clicking a name mutes that player
+function renderChatLog() {
+    const log = document.getElementById('chat-log');
+    if (!log || !multiplayerManager) return;
+    log.innerHTML = '';
+    multiplayerManager.getChatHistory()
+        .filter(m => !multiplayerManager.isPlayerMuted(m.senderId))
+        .slice(-CHAT_LOG_LINES)
+        .forEach(function(message) {
+            const line = document.createElement('div');
+            line.style.cssText = 'background:rgba(0,0,0,0.45);padding:2px 6px;border-radius:4px;color:#fff;word-wrap:break-word';
+            const name = document.createElement('span');
+            name.textContent = message.senderName + (message.isSpectator ? ' (watching)' : '') + ': ';
+            name.style.cssText = 'font-weight:600;color:' + (message.isOwn ? '#fc6' : '#6cf') + (message.isOwn ? '' : ';cursor:pointer');
+            if (!message.isOwn) {
+                name.title = 'Click to mute';
+                name.addEventListener('click', function(e) {
+                    e.stopPropagation();
+                    toggleChatMute(message.senderId, message.senderName, true);
+                });
+            }
+            const text = document.createElement('span');
+            text.textContent = message.text;
+            if (message.kind === 'emote') text.style.cssText = 'font-style:italic;color:#fc6';
+            line.appendChild(name);
+            line.appendChild(text);
+            log.appendChild(line);
+        });
+}
+
+// The other seated players, by slot, sit at the three static cannons
+function getStaticCannonIndex(playerId) {
+    const others = multiplayerManager.getSpectatorTargets().filter(t => t.playerId !== multiplayerManager.playerId);
+    const index = others.findIndex(t => t.playerId === playerId);
+    return index < staticCannons.length ? index : -1;
+}
+
+function showEmoteBubble(message) {
+    if (!scene || message.isOwn || message.slotIndex === null) return;
+    const index = getStaticCannonIndex(message.senderId);
+    if (index < 0) return;
+    removeEmoteBubble(index);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.beginPath();
+    ctx.moveTo(16, 4);
+    ctx.arcTo(252, 4, 252, 52, 12);
+    ctx.arcTo(252, 52, 4, 52, 12);
+    ctx.lineTo(136, 52);
+    ctx.lineTo(128, 62);
+    ctx.lineTo(120, 52);
+    ctx.arcTo(4, 52, 4, 4, 12);
+    ctx.arcTo(4, 4, 252, 4, 12);
+    ctx.fill();
+    ctx.font = 'bold 24px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#123';
+    ctx.fillText(message.text, 128, 29, 232);
+    
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthTest: false
+    }));
+    sprite.scale.set(240, 60, 1);
+    sprite.position.copy(staticCannons[index].position);
+    sprite.position.y += EMOTE_BUBBLE_HEIGHT;
+    sprite.renderOrder = 999;
+    scene.add(sprite);
+    emoteBubbles.set(index, { sprite: sprite, age: 0 });
+}
+
+function updateEmoteBubbles(deltaTime) {
+    for (const [index, bubble] of emoteBubbles) {
+        bubble.age += deltaTime;
+        bubble.sprite.position.y = staticCannons[index].position.y + EMOTE_BUBBLE_HEIGHT + bubble.age * 10;
+        bubble.sprite.material.opacity = Math.min(1, (EMOTE_BUBBLE_SECONDS - bubble.age) / 0.5);
+        if (bubble.age >= EMOTE_BUBBLE_SECONDS) removeEmoteBubble(index);
+    }
+}
+
+function removeEmoteBubble(index) {
+    const bubble = emoteBubbles.get(index);
+    if (!bubble) return;
+    if (scene) scene.remove(bubble.sprite);
+    bubble.sprite.material.map.dispose();
+    bubble.sprite.material.dispose();
+    emoteBubbles.delete(index);
+}
+
 // Override shoot function for multiplayer
 const originalShoot = typeof shoot === 'function' ? shoot : null;
 
@@ -24274,9 +25898,26 @@ window.cleanupMultiplayerGame = function() {
         if (bulletData && bulletData.group && scene) scene.remove(bulletData.group);
     }
     serverBulletMeshes.clear();
+    for (const [seq, bulletData] of predictedBulletMeshes) {
+        if (bulletData && bulletData.group && scene) scene.remove(bulletData.group);
+    }
+    predictedBulletMeshes.clear();
     
     var dbgEl = document.getElementById('kill-debug-overlay');
     if (dbgEl) dbgEl.remove();
+    var netEl = document.getElementById('network-hud');
+    if (netEl) netEl.remove();
+    var specEl = document.getElementById('spectator-hud');
+    if (specEl) specEl.remove();
+    var chatEl = document.getElementById('chat-panel');
+    if (chatEl) chatEl.remove();
+    for (const index of Array.from(emoteBubbles.keys())) removeEmoteBubble(index);
+    if (gameState.viewMode === 'spectator') {
+        gameState.viewMode = 'fps';
+        killFeedRecords.length = 0;
+        var kfTitle = document.querySelector('#kill-feed-panel .kf-header-title');
+        if (kfTitle) kfTitle.textContent = 'Kill Log';
+    }
     
     console.log('[GAME] Multiplayer cleanup complete');
 };
@@ -0,0 +1,296 @@
+/**
+ * 3D Fish Shooting Game - Intercept Solver
+ * Where to aim a travelling shot so it meets a moving fish.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./intercept_solver') from Node tests.
+ *
+ * The solver iterates the shot's flight time until it stops changing
+ * (the old lead took one linear step of dist / speed * velocity), predicts
+ * the fish along a turning, speeding-up arc rather than a straight line, and uses
+ * the same drop model as calculateParabolicVelocity() in game.js for lobbed
+ * shots: constant horizontal speed, so flight time = horizontal distance / speed.
+ *
+ * Motion model (world units, seconds):
+ *   { x, y, z, vx, vy, vz, turnRate, accel, ay }
+ *   turnRate  yaw rate about +Y in rad/s (positive turns +Z toward +X, like rotation.y)
+ *   accel     horizontal speed change along the heading (burst sprints)
+ *   ay        vertical acceleration
+ * estimateTargetMotion() fits turnRate, accel and ay from recent position samples.
+ */
+
+const INTERCEPT_DEFAULTS = {
+    maxIterations: 8,       // Flight-time refinements
+    tolerance: 0.0005,      // Seconds; converged once the flight time moves less than this
+    maxLeadSeconds: 2.0,    // Never predict further ahead than this
+    gravity: 0,             // Shot drop (world units/s²); 0 = straight shot
+    maxTurnRate: 4.0,       // rad/s clamp on a fitted turn rate (noise guard)
+    maxAccel: 600           // Clamp on a fitted sprint acceleration (noise guard)
+};
+
+// Time for a shot from origin to reach point
+function shotFlightTime(origin, point, speed, gravity) {
+    const dx = point.x - origin.x, dy = point.y - origin.y, dz = point.z - origin.z;
+    if (gravity > 0) {
+        const t = Math.sqrt(dx * dx + dz * dz) / speed;
+        // calculateParabolicVelocity shoots straight at very close targets
+        if (t >= 0.01) return t;
+    }
+    return Math.sqrt(dx * dx + dy * dy + dz * dz) / speed;
+}
+
+/**
+ * Launch velocity that carries a shot from origin to point, drop compensated
+ * exactly like calculateParabolicVelocity() when gravity > 0.
+ */
+function launchVelocity(origin, point, speed, gravity, out = {}) {
+    const dx = point.x - origin.x, dy = point.y - origin.y, dz = point.z - origin.z;
+    const T = gravity > 0 ? Math.sqrt(dx * dx + dz * dz) / speed : 0;
+    if (gravity > 0 && T >= 0.01) {
+        out.x = dx / T;
+        out.y = dy / T + 0.5 * gravity * T;
+        out.z = dz / T;
+        return out;
+    }
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+    out.x = dx / len * speed;
+    out.y = dy / len * speed;
+    out.z = dz / len * speed;
+    return out;
+}
+
+// Where the fish will be t seconds from now under the motion model
+function predictTargetPosition(motion, t, out = {}) {
+    const vx = motion.vx, vz = motion.vz;
+    const w = motion.turnRate || 0;
+    const speed = Math.sqrt(vx * vx + vz * vz);
+    // Speed change as a fraction of the current velocity; a braking fish stops, it does not reverse
+    const k = speed > 0 ? (motion.accel || 0) / speed : 0;
+    const th = k < 0 ? Math.min(t, -1 / k) : t;
+
+    // Horizontal velocity at time τ is (1 + kτ) · v rotated by wτ; integrate over [0, th]:
+    // S = ∫cos wτ, C = ∫sin wτ, St = ∫τ cos wτ, Ct = ∫τ sin wτ
+    const wt = w * th;
+    let S, C, St, Ct;
+    if (Math.abs(wt) < 1e-3) {
+        S = th - w * w * th * th * th / 6;
+        C = w * th * th / 2;
+        St = th * th / 2 - w * w * th * th * th * th / 8;
+        Ct = w * th * th * th / 3;
+    } else {
+        const sin = Math.sin(wt), cos = Math.cos(wt);
+        S = sin / w;
+        C = (1 - cos) / w;
+        St = th * sin / w - (1 - cos) / (w * w);
+        Ct = -th * cos / w + sin / (w * w);
+    }
+    const along = S + k * St, across = C + k * Ct;
+    out.x = motion.x + vx * along + vz * across;
+    out.z = motion.z - vx * across + vz * along;
+    out.y = motion.y + motion.vy * t + 0.5 * (motion.ay || 0) * t * t;
+    return out;
+}
+
+// Least-squares slope of ys over xs
+function fitSlope(xs, ys) {
+    const n = xs.length;
+    let mx = 0, my = 0;
+    for (let i = 0; i < n; i++) { mx += xs[i]; my += ys[i]; }
+    mx /= n; my /= n;
+    let num = 0, den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (xs[i] - mx) * (ys[i] - my);
+        den += (xs[i] - mx) * (xs[i] - mx);
+    }
+    return den > 0 ? num / den : 0;
+}
+
+/**
+ * Motion model from recent position samples [{ t, x, y, z }], oldest first.
+ * Two samples give a straight-line model; three or more also fit the turn
+ * rate and the accelerations. Returns null with fewer than two samples.
+ */
+function estimateTargetMotion(samples, options = {}) {
+    const n = samples ? samples.length : 0;
+    if (n < 2) return null;
+    const maxTurnRate = options.maxTurnRate !== undefined ? options.maxTurnRate : INTERCEPT_DEFAULTS.maxTurnRate;
+    const maxAccel = options.maxAccel !== undefined ? options.maxAccel : INTERCEPT_DEFAULTS.maxAccel;
+
+    // Segment velocities at segment mid-times
+    const times = [], headings = [], vys = [], speeds = [];
+    for (let i = 1; i < n; i++) {
+        const a = samples[i - 1], b = samples[i];
+        const dt = b.t - a.t;
+        if (dt <= 0) continue;
+        const vx = (b.x - a.x) / dt, vz = (b.z - a.z) / dt;
+        let heading = Math.atan2(vx, vz);
+        if (headings.length > 0) {
+            const prev = headings[headings.length - 1];
+            while (heading - prev > Math.PI) heading -= 2 * Math.PI;
+            while (heading - prev < -Math.PI) heading += 2 * Math.PI;
+        }
+        times.push((a.t + b.t) / 2);
+        headings.push(heading);
+        vys.push((b.y - a.y) / dt);
+        speeds.push(Math.sqrt(vx * vx + vz * vz));
+    }
+    const last = samples[n - 1];
+    const k = times.length;
+    if (k === 0) return { x: last.x, y: last.y, z: last.z, vx: 0, vy: 0, vz: 0, turnRate: 0, accel: 0, ay: 0 };
+
+    // A nearly stationary fish has no meaningful heading
+    let turnRate = 0, accel = 0, ay = 0;
+    if (k >= 2) {
+        if (speeds[k - 1] > 1) turnRate = Math.max(-maxTurnRate, Math.min(maxTurnRate, fitSlope(times, headings)));
+        accel = Math.max(-maxAccel, Math.min(maxAccel, fitSlope(times, speeds)));
+        ay = fitSlope(times, vys);
+    }
+
+    // Carry the last segment's velocity forward half a segment to the last sample
+    const ahead = last.t - times[k - 1];
+    const heading = headings[k - 1] + turnRate * ahead;
+    const speed = Math.max(0, speeds[k - 1] + accel * ahead);
+    return {
+        x: last.x, y: last.y, z: last.z,
+        vx: Math.sin(heading) * speed,
+        vy: vys[k - 1] + ay * ahead,
+        vz: Math.cos(heading) * speed,
+        turnRate,
+        accel,
+        ay
+    };
+}
+
+/**
+ * Aim point and launch velocity for a shot of the given speed to meet a fish.
+ * Iterates flight time → predicted position → flight time until it settles.
+ *   { x, y, z, time, iterations, converged, velocity: { x, y, z } }
+ * A non-positive speed (hitscan) aims at the fish where it is now.
+ */
+function solveIntercept(origin, motion, speed, options = {}, out = {}) {
+    const opts = Object.assign({}, INTERCEPT_DEFAULTS, options);
+    const point = out;
+    out.velocity = out.velocity || {};
+
+    if (!(speed > 0)) {
+        point.x = motion.x; point.y = motion.y; point.z = motion.z;
+        point.time = 0;
+        point.iterations = 0;
+        point.converged = true;
+        launchVelocity(origin, point, 1, 0, out.velocity);
+        return out;
+    }
+
+    let t = shotFlightTime(origin, motion, speed, opts.gravity);
+    let converged = false, iterations = 0;
+    while (iterations < opts.maxIterations) {
+        iterations++;
+        predictTargetPosition(motion, Math.min(t, opts.maxLeadSeconds), point);
+        const next = shotFlightTime(origin, point, speed, opts.gravity);
+        const delta = Math.abs(next - t);
+        t = next;
+        if (delta < opts.tolerance) { converged = true; break; }
+    }
+
+    const lead = Math.min(t, opts.maxLeadSeconds);
+    predictTargetPosition(motion, lead, point);
+    point.time = lead;
+    point.iterations = iterations;
+    point.converged = converged && t <= opts.maxLeadSeconds;
+    launchVelocity(origin, point, speed, opts.gravity, out.velocity);
+    return out;
+}
+
+// Fish position on a recorded path at time t (linear between frames, clamped at the ends)
+function samplePathAt(path, t, out = {}) {
+    let lo = 0, hi = path.length - 1;
+    if (t <= path[0].t) { lo = hi = 0; }
+    else if (t >= path[hi].t) { lo = hi; }
+    else {
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (path[mid].t <= t) lo = mid; else hi = mid;
+        }
+    }
+    const a = path[lo], b = path[hi];
+    const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+    out.x = a.x + (b.x - a.x) * f;
+    out.y = a.y + (b.y - a.y) * f;
+    out.z = a.z + (b.z - a.z) * f;
+    return out;
+}
+
+/**
+ * Headless hit-rate harness. Fires at each recorded path every shotInterval
+ * seconds, flies the shot (with drop) against the recording and counts hits.
+ *   paths   [{ name, radius, frames: [{ t, x, y, z }] }]
+ *   aim     (origin, observed, weapon) → launch velocity { x, y, z }
+ *           observed holds the frames up to the shot, as the game would have seen them
+ *   weapon  { speed, gravity }
+ *   options { origin, shotInterval, warmupSeconds, stepSeconds, maxFlightSeconds }
+ * Returns { shots, hits, hitRate, byPath: { name: { shots, hits, hitRate } } }.
+ */
+function measureInterceptHitRate(paths, aim, weapon, options = {}) {
+    const origin = options.origin || { x: 0, y: -338, z: -680 };
+    const shotInterval = options.shotInterval || 0.25;
+    const warmup = options.warmupSeconds !== undefined ? options.warmupSeconds : 0.5;
+    const step = options.stepSeconds || 1 / 240;
+    const maxFlight = options.maxFlightSeconds || 1.5;
+    const gravity = weapon.gravity || 0;
+    const result = { shots: 0, hits: 0, hitRate: 0, byPath: {} };
+    const fish = {};
+
+    for (const path of paths) {
+        const frames = path.frames;
+        const stats = { shots: 0, hits: 0, hitRate: 0 };
+        const end = frames[frames.length - 1].t;
+        let seen = 0;
+        // Only fire while the recording outlasts the longest flight, so every shot is decided
+        for (let shotAt = frames[0].t + warmup; shotAt + maxFlight <= end; shotAt += shotInterval) {
+            while (seen < frames.length && frames[seen].t <= shotAt) seen++;
+            const v = aim(origin, frames.slice(0, seen), weapon);
+
+            // Fly the shot and watch for it passing within the fish's radius
+            let hit = false;
+            for (let s = step; s <= maxFlight; s += step) {
+                samplePathAt(frames, shotAt + s, fish);
+                const dx = origin.x + v.x * s - fish.x;
+                const dy = origin.y + v.y * s - 0.5 * gravity * s * s - fish.y;
+                const dz = origin.z + v.z * s - fish.z;
+                if (dx * dx + dy * dy + dz * dz <= path.radius * path.radius) { hit = true; break; }
+            }
+            stats.shots++;
+            if (hit) stats.hits++;
+        }
+        stats.hitRate = stats.shots ? stats.hits / stats.shots : 0;
+        result.byPath[path.name] = stats;
+        result.shots += stats.shots;
+        result.hits += stats.hits;
+    }
+    result.hitRate = result.shots ? result.hits / result.shots : 0;
+    return result;
+}
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.InterceptSolver = {
+        solveIntercept,
+        estimateTargetMotion,
+        predictTargetPosition,
+        measureInterceptHitRate
+    };
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INTERCEPT_DEFAULTS,
+        shotFlightTime,
+        launchVelocity,
+        predictTargetPosition,
+        estimateTargetMotion,
+        solveIntercept,
+        samplePathAt,
+        measureInterceptHitRate
+    };
+}
@@ -0,0 +1,260 @@
+const {
+    INTERCEPT_DEFAULTS,
+    shotFlightTime,
+    launchVelocity,
+    predictTargetPosition,
+    estimateTargetMotion,
+    solveIntercept,
+    samplePathAt,
+    measureInterceptHitRate
+} = require('./intercept_solver');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+const GRENADE_GRAVITY = 400;  // game.js
+const TURRET = { x: 0, y: -338, z: -680 };
+
+function dist(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+// Shot position s seconds after launch
+function shotAt(origin, v, gravity, s) {
+    return { x: origin.x + v.x * s, y: origin.y + v.y * s - 0.5 * gravity * s * s, z: origin.z + v.z * s };
+}
+
+console.log('=== Intercept Solver Unit Tests ===\n');
+
+console.log('--- TEST A: Straight Shots ---');
+{
+    // Stationary fish: aim straight at it
+    const still = { x: 300, y: 0, z: 900, vx: 0, vy: 0, vz: 0 };
+    const a = solveIntercept(TURRET, still, 4000);
+    assert(dist(a, still) < 1e-9 && a.converged, 'Stationary fish aimed at directly');
+    assert(Math.abs(a.time - dist(TURRET, still) / 4000) < 1e-9, 'Flight time = distance / speed');
+
+    // Constant-velocity fish: closed-form intercept |p + v t - o| = s t
+    const fish = { x: -400, y: 50, z: 600, vx: 300, vy: 10, vz: -80 };
+    const speed = 1500;
+    const rx = fish.x - TURRET.x, ry = fish.y - TURRET.y, rz = fish.z - TURRET.z;
+    const qa = fish.vx ** 2 + fish.vy ** 2 + fish.vz ** 2 - speed * speed;
+    const qb = 2 * (rx * fish.vx + ry * fish.vy + rz * fish.vz);
+    const qc = rx * rx + ry * ry + rz * rz;
+    const exact = (-qb - Math.sqrt(qb * qb - 4 * qa * qc)) / (2 * qa);
+    const b = solveIntercept(TURRET, fish, speed);
+    assert(b.converged && Math.abs(b.time - exact) < INTERCEPT_DEFAULTS.tolerance, `Converges on the exact flight time (${b.time.toFixed(5)} vs ${exact.toFixed(5)})`);
+    assert(b.iterations <= 6, 'Converges in a few iterations (' + b.iterations + ')');
+    const meet = shotAt(TURRET, b.velocity, 0, b.time);
+    assert(dist(meet, predictTargetPosition(fish, b.time)) < 1, 'Shot and fish meet');
+    assert(Math.abs(Math.hypot(b.velocity.x, b.velocity.y, b.velocity.z) - speed) < 1e-6, 'Straight launch at weapon speed');
+
+    // Single-step lead (the old dist / speed * velocity) lands short of the solution
+    const t1 = qc ** 0.5 / speed;
+    const legacy = { x: fish.x + fish.vx * t1, y: fish.y + fish.vy * t1, z: fish.z + fish.vz * t1 };
+    assert(dist(legacy, b) > 10, 'Single-step lead differs from the converged intercept');
+
+    // Hitscan: no lead
+    const h = solveIntercept(TURRET, fish, 0);
+    assert(h.x === fish.x && h.z === fish.z && h.time === 0, 'Hitscan aims at the fish itself');
+
+    // A fish faster than the shot cannot be caught: capped and flagged
+    const runaway = solveIntercept(TURRET, { x: 0, y: 0, z: 800, vx: 0, vy: 0, vz: 900 }, 800);
+    assert(!runaway.converged && runaway.time <= INTERCEPT_DEFAULTS.maxLeadSeconds, 'Uncatchable fish: lead capped, not converged');
+}
+console.log('  Straight: OK\n');
+
+console.log('--- TEST B: Drop Compensation ---');
+{
+    // launchVelocity matches calculateParabolicVelocity in game.js
+    const target = { x: 500, y: 120, z: 700 };
+    const v = launchVelocity(TURRET, target, 1200, GRENADE_GRAVITY);
+    const T = Math.hypot(target.x - TURRET.x, target.z - TURRET.z) / 1200;
+    assert(Math.abs(v.x - (target.x - TURRET.x) / T) < 1e-9 &&
+           Math.abs(v.y - ((target.y - TURRET.y) / T + 0.5 * GRENADE_GRAVITY * T)) < 1e-9, 'Same launch as calculateParabolicVelocity');
+    assert(dist(shotAt(TURRET, v, GRENADE_GRAVITY, T), target) < 1e-6, 'Lobbed shot lands on target');
+    assert(Math.abs(shotFlightTime(TURRET, target, 1200, GRENADE_GRAVITY) - T) < 1e-12, 'Lobbed flight time uses horizontal distance');
+    const overhead = { x: TURRET.x, y: TURRET.y + 5, z: TURRET.z + 1 };
+    assert(Math.abs(Math.hypot(...Object.values(launchVelocity(TURRET, overhead, 1200, GRENADE_GRAVITY))) - 1200) < 1e-6, 'Very close target: straight shot like calculateParabolicVelocity');
+
+    // Moving fish with drop: the solved lob meets it
+    const fish = { x: -300, y: 40, z: 500, vx: 250, vy: 0, vz: 60 };
+    const s = solveIntercept(TURRET, fish, 1200, { gravity: GRENADE_GRAVITY });
+    assert(s.converged, 'Lobbed intercept converges');
+    assert(dist(shotAt(TURRET, s.velocity, GRENADE_GRAVITY, s.time), predictTargetPosition(fish, s.time)) < 1, 'Lobbed shot meets the moving fish');
+}
+console.log('  Drop: OK\n');
+
+console.log('--- TEST C: Curvature ---');
+{
+    // Circle: back at the start after one full turn
+    const w = 1.2;
+    const circling = { x: 100, y: 0, z: 300, vx: 200, vy: 0, vz: 0, turnRate: w, ay: 0 };
+    const lap = predictTargetPosition(circling, 2 * Math.PI / w);
+    assert(dist(lap, circling) < 1e-6, 'Full turn returns to the start');
+    const quarter = predictTargetPosition(circling, Math.PI / 2 / w);
+    const r = 200 / w;
+    // Heading +X turning toward -Z (positive yaw rate): centre sits at -Z
+    assert(Math.abs(quarter.x - (100 + r)) < 1e-6 && Math.abs(quarter.z - (300 - r)) < 1e-6, 'Quarter turn lands on the circle');
+
+    // Fit turn rate and vertical acceleration back from exact samples
+    const truth = { x: -200, y: 10, z: 250, vx: 150, vy: 20, vz: 220, turnRate: -0.8, ay: -30 };
+    const samples = [];
+    for (let i = 0; i < 8; i++) {
+        const t = i * 0.05;
+        samples.push(Object.assign({ t: 10 + t }, predictTargetPosition(truth, t)));
+    }
+    const fit = estimateTargetMotion(samples);
+    assert(Math.abs(fit.turnRate - truth.turnRate) < 1e-3, 'Turn rate recovered (' + fit.turnRate.toFixed(4) + ')');
+    assert(Math.abs(fit.ay - truth.ay) < 1e-3, 'Vertical acceleration recovered (' + fit.ay.toFixed(3) + ')');
+    const ahead = predictTargetPosition(truth, 0.35 + 0.6);
+    assert(dist(predictTargetPosition(fit, 0.6), ahead) < 0.5, 'Fitted motion predicts the arc');
+
+    // Burst sprint: speed ramps along a turning heading
+    const sprint = { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 110, turnRate: 0.5, accel: 250, ay: 0 };
+    const sprintSamples = [];
+    for (let i = 0; i < 8; i++) sprintSamples.push(Object.assign({ t: i * 0.05 }, predictTargetPosition(sprint, i * 0.05)));
+    const sprintFit = estimateTargetMotion(sprintSamples);
+    assert(Math.abs(sprintFit.accel - 250) < 1, 'Sprint acceleration recovered (' + sprintFit.accel.toFixed(2) + ')');
+    assert(dist(predictTargetPosition(sprintFit, 0.5), predictTargetPosition(sprint, 0.85)) < 1, 'Fitted sprint predicts the ramp');
+    const braking = { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 100, accel: -200 };
+    assert(Math.abs(predictTargetPosition(braking, 2).z - 25) < 1e-9, 'Braking fish stops instead of reversing');
+
+    const two = estimateTargetMotion(samples.slice(-2));
+    assert(two.turnRate === 0 && two.accel === 0 && two.ay === 0, 'Two samples: straight-line model');
+    assert(estimateTargetMotion(samples.slice(-1)) === null, 'One sample: no model');
+
+    // Heading wraps through ±PI without a jump
+    const wrap = { x: 0, y: 0, z: 0, vx: 5, vy: 0, vz: -200, turnRate: -1, ay: 0 };
+    const wrapSamples = [];
+    for (let i = 0; i < 6; i++) wrapSamples.push(Object.assign({ t: i * 0.05 }, predictTargetPosition(wrap, i * 0.05)));
+    assert(Math.abs(estimateTargetMotion(wrapSamples).turnRate + 1) < 1e-3, 'Turn rate fit survives heading wrap');
+
+    // Noise guard
+    const jitter = [{ t: 0, x: 0, y: 0, z: 0 }, { t: 0.05, x: 10, y: 0, z: 0 }, { t: 0.1, x: 10, y: 0, z: 10 }, { t: 0.15, x: 0, y: 0, z: 10 }];
+    assert(Math.abs(estimateTargetMotion(jitter).turnRate) <= INTERCEPT_DEFAULTS.maxTurnRate, 'Fitted turn rate clamped');
+}
+console.log('  Curvature: OK\n');
+
+// ==================== HIT-RATE HARNESS ====================
+// Swims scripted from the game's movement limits (speedMax, maxTurnRate,
+// verticalAmplitude) and recorded frame by frame at 60 fps.
+function recordSwim(name, radius, start, seconds, control) {
+    const frames = [];
+    const dt = 1 / 60;
+    let x = start.x, y = start.y, z = start.z, heading = start.heading;
+    for (let i = 0; i <= seconds * 60; i++) {
+        const t = i * dt;
+        frames.push({ t, x, y, z });
+        const c = control(t);
+        heading += c.turnRate * dt;
+        x += Math.sin(heading) * c.speed * dt;
+        z += Math.cos(heading) * c.speed * dt;
+        y += (c.vy || 0) * dt;
+    }
+    return { name, radius, frames };
+}
+
+const SWIMS = [
+    // Marlin: speedMax 310, maxTurnRate 0.6, long sweeping arcs with a depth bob
+    recordSwim('marlin arcs', 30, { x: -600, y: 0, z: 150, heading: Math.PI / 2 }, 6,
+        t => ({ speed: 310, turnRate: Math.floor(t / 2.5) % 2 ? -0.6 : 0.6, vy: 40 * Math.cos(t * 2) })),
+    // Marlin burst sprint: 110 → 310 and back
+    recordSwim('marlin sprint', 30, { x: 500, y: 80, z: 350, heading: -Math.PI / 2 }, 6,
+        t => ({ speed: 210 + 100 * Math.sin(t * 1.5), turnRate: 0.4 })),
+    // Predator circling a bait ball
+    recordSwim('circling', 30, { x: 0, y: 60, z: 200, heading: 0 }, 6,
+        t => ({ speed: 240, turnRate: 1.5 })),
+    // Weaving swimmer
+    recordSwim('weave', 30, { x: -500, y: -50, z: 0, heading: Math.PI / 3 }, 6,
+        t => ({ speed: 260, turnRate: 1.8 * Math.sin(t * Math.PI), vy: 15 })),
+    // Straight oblique cruise
+    recordSwim('cruise', 30, { x: 600, y: -100, z: 400, heading: -2.2 }, 6,
+        t => ({ speed: 180, turnRate: 0, vy: 20 }))
+];
+
+// What the game has when it fires: fish.velocity from the last frame, positions
+// sampled every 3rd frame (~50 ms) for the curvature fit
+function lastVelocity(observed) {
+    const a = observed[observed.length - 2], b = observed[observed.length - 1];
+    const dt = b.t - a.t;
+    return { x: b.x, y: b.y, z: b.z, vx: (b.x - a.x) / dt, vy: (b.y - a.y) / dt, vz: (b.z - a.z) / dt };
+}
+
+function sparseSamples(observed, count) {
+    const out = [];
+    for (let i = observed.length - 1; i >= 0 && out.length < count; i -= 3) out.unshift(observed[i]);
+    return out;
+}
+
+const AIMS = {
+    // The old lead: one linear step of dist / speed * velocity
+    legacy(origin, observed, weapon) {
+        const m = lastVelocity(observed);
+        const t = dist(origin, m) / weapon.speed;
+        return launchVelocity(origin, { x: m.x + m.vx * t, y: m.y + m.vy * t, z: m.z + m.vz * t }, weapon.speed, weapon.gravity);
+    },
+    linear(origin, observed, weapon) {
+        const m = lastVelocity(observed);
+        return solveIntercept(origin, m, weapon.speed, { gravity: weapon.gravity }).velocity;
+    },
+    curved(origin, observed, weapon) {
+        const m = estimateTargetMotion(sparseSamples(observed, 8));
+        return solveIntercept(origin, m, weapon.speed, { gravity: weapon.gravity }).velocity;
+    }
+};
+
+// 1x bullet speed, the older 2000 u/s projectile, and the same lobbed as a grenade
+const WEAPONS = {
+    bullet: { speed: 4000, gravity: 0 },
+    shell: { speed: 2000, gravity: 0 },
+    lobbed: { speed: 2000, gravity: GRENADE_GRAVITY }
+};
+
+console.log('--- TEST D: Harness ---');
+{
+    const p = samplePathAt(SWIMS[4].frames, 1.5 + 1 / 120);
+    const a = SWIMS[4].frames[90], b = SWIMS[4].frames[91];
+    assert(Math.abs(p.x - (a.x + b.x) / 2) < 1e-9, 'Path sampled between frames');
+    assert(samplePathAt(SWIMS[4].frames, 99).x === SWIMS[4].frames[360].x, 'Path clamped at the end');
+
+    // A shot straight at a still fish always hits; a shot into the ground never does
+    const still = { name: 'still', radius: 30, frames: [{ t: 0, x: 0, y: 0, z: 600 }, { t: 5, x: 0, y: 0, z: 600 }] };
+    const hit = measureInterceptHitRate([still], (o, obs, w) => launchVelocity(o, obs[obs.length - 1], w.speed, 0), WEAPONS.bullet);
+    const miss = measureInterceptHitRate([still], () => ({ x: 0, y: -4000, z: 0 }), WEAPONS.bullet);
+    assert(hit.hitRate === 1 && miss.hitRate === 0 && hit.shots === miss.shots && hit.shots > 0, 'Harness counts hits and misses');
+}
+console.log('  Harness: OK\n');
+
+console.log('--- TEST E: Hit Rate on Recorded Swims ---');
+{
+    const rates = {};
+    for (const [weaponName, weapon] of Object.entries(WEAPONS)) {
+        rates[weaponName] = {};
+        for (const [aimName, aim] of Object.entries(AIMS)) {
+            rates[weaponName][aimName] = measureInterceptHitRate(SWIMS, aim, weapon);
+        }
+        const r = rates[weaponName];
+        console.log(`  ${weaponName.padEnd(7)} legacy ${(r.legacy.hitRate * 100).toFixed(1)}%  ` +
+            `linear ${(r.linear.hitRate * 100).toFixed(1)}%  curved ${(r.curved.hitRate * 100).toFixed(1)}%  (${r.curved.shots} shots)`);
+        assert(r.curved.hitRate >= r.linear.hitRate && r.curved.hitRate >= r.legacy.hitRate, weaponName + ': curved solver is the best aim');
+        assert(r.curved.hitRate >= 0.95, weaponName + ': curved solver hits at least 95%');
+        for (const [pathName, stats] of Object.entries(r.curved.byPath)) {
+            assert(stats.hitRate >= 0.85, `${weaponName} / ${pathName}: curved solver ${(stats.hitRate * 100).toFixed(0)}%`);
+        }
+        assert(r.linear.byPath.cruise.hitRate === 1, weaponName + ': iterative solver never misses a straight swim');
+    }
+    assert(rates.bullet.curved.hitRate === 1, 'Nothing escapes a 4000 u/s bullet');
+    assert(rates.shell.curved.hitRate - rates.shell.legacy.hitRate >= 0.1, 'Curvature fixes the fast-fish misses of the single step');
+    // The single step times a lob by straight-line distance; the solver uses the lob's own flight time
+    assert(rates.lobbed.linear.hitRate > rates.lobbed.legacy.hitRate, 'Drop-matched flight time beats the single step on lobbed shots');
+}
+console.log('  Hit rate: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
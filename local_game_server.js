@@ -0,0 +1,1544 @@
+/**
+ * 3D Fish Shooting Game - Local Reference Server (BinarySocket Protocol V2)
+ * Offline stand-in for the remote game backend, for development and CI.
+ *
+ * Speaks exactly what BinarySocket.js speaks:
+ *   - WebSocket endpoint (default /ws-game) on a plain Node http server;
+ *     no npm dependencies, the RFC 6455 framing is implemented here.
+ *   - ECDH P-256 handshake, HKDF-SHA256 session keys bound to the handshake
+ *     transcript, AES-256-GCM payloads, CRC32 + HMAC-SHA256 per packet,
+ *     uint64 nonces checked against a sliding replay window, KEY_UPDATE
+ *     moving both sides to the next HKDF-derived key epoch.
+ *   - The PacketId / BinaryFieldSizes tables are read from a BinarySocket
+ *     instance, so client and server cannot drift apart.
+ *   - Fixed-layout binary payloads where the client has a binary codec,
+ *     JSON for the packets it decodes through its JSON fallback
+ *     (ROOM_SNAPSHOT, GAME_START, BOSS_*).
+ *   - Snapshot delta compression (snapshot_delta.js): a client that sends
+ *     SNAPSHOT_ACK receives FISH_UPDATE deltas instead of JSON snapshots.
+ *   - Session resumption: SESSION_ACK hands out a single-use ticket. When a
+ *     connection drops (close code 1006) the player stays in the room for
+ *     resumeWindowMs; a resume request proving the old HMAC key reattaches
+ *     the session with its keys and nonce window, and HIT_RESULTs the client
+ *     missed are sent again.
+ *   - Spectators (ROOM_SPECTATE): no seat, cannon or balance in the room, but
+ *     the same snapshot, fish, boss and player packets as the players.
+ *   - Room browser: ROOM_LIST_REQUEST answers with the public rooms (JSON
+ *     ROOM_LIST); QUICK_MATCH seats the player in the best open room for
+ *     their coin value, or creates one.
+ *   - Chat (CHAT_SEND / CHAT_MESSAGE): text and quick emotes relayed to
+ *     everyone in the room, spectators included, behind a per-client rate
+ *     limit and an optional chatFilter hook.
+ *
+ * Rooms are simulated by LocalRoom (local_room.js). Binary rooms have no
+ * lobby phase: a room is live from creation and GAME_START is sent on join.
+ * Money fields in HIT_RESULT.totalReward, FISH_DEATH.reward and
+ * BALANCE_UPDATE.change are integer FP (×1000); balances are coins.
+ *
+ * Client and server share one AES key, so server nonces start at 2^63 to
+ * keep the two directions' GCM IVs disjoint.
+ *
+ * LocalWebSocketClient is a browser-compatible WebSocket for Node 20 (which
+ * has none built in), so BinarySocket itself can run headless against this
+ * server.
+ *
+ * Usage: node scripts/local-server.js --help
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const BinarySocket = require('./BinarySocket');
+const { RTP_MONEY_SCALE, loadRTPProfiles } = require('./rtp_engine');
+const { LocalRoom, ROOM_MAX_PLAYERS, ROOM_COIN_VALUES, BALANCE_REASON } = require('./local_room');
+const { SNAPSHOT_ACK_FULL_REQUEST, SnapshotDeltaEncoder } = require('./snapshot_delta');
+
+const PROTOCOL = new BinarySocket({ autoReconnect: false });
+const PacketId = PROTOCOL.PacketId;
+const ChatKind = PROTOCOL.ChatKind;
+const SessionAckFlags = PROTOCOL.SessionAckFlags;
+const FieldSize = PROTOCOL.BinaryFieldSizes;
+const HandshakeFlags = PROTOCOL.HandshakeFlags;
+const RejectReason = PROTOCOL.RejectReason;
+const { NonceReplayWindow } = BinarySocket;
+
+const HANDSHAKE_HEADER_SIZE = 4;
+const HANDSHAKE_REQUEST_SIZE = FieldSize.PUBLIC_KEY + FieldSize.NONCE_32 + 1;
+const RESUME_REQUEST_SIZE = FieldSize.RESUME_TICKET + 4 + PROTOCOL.HMAC_SIZE;
+const HKDF_INFO_LABEL = 'fishshoot-v2 session keys';
+const RESUME_MAC_LABEL = 'fishshoot-v2 session resume';
+const DEFAULT_RESUME_WINDOW_MS = 15000;
+const MAX_CACHED_RESULTS = 64;
+const DEFAULT_MAX_SPECTATORS = 16;
+const DEFAULT_CHAT_RATE_LIMIT = { messages: 5, windowMs: 10000 };
+const NO_SLOT = 255;
+const SERVER_NONCE_BASE = BigInt(1) << BigInt(63);
+const MAX_PAYLOAD_SIZE = 64 * 1024;
+const MAX_BAD_PACKETS = 20;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ERROR_MESSAGE_SIZE = 128;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// SHOT_FIRED / WEAPON_SWITCH weaponId is the weapon multiplier
+const WEAPON_BY_ID = { 1: '1x', 3: '3x', 5: '5x', 8: '8x' };
+
+// ERROR packet code; the message carries the reason string MultiplayerManager matches on
+const ERROR_CODE = {
+    BAD_PACKET: 1,
+    REPLAY: 2,
+    NOT_IN_ROOM: 3,
+    ROOM_NOT_FOUND: 4,
+    ROOM_FULL: 5,
+    SHOT_REJECTED: 6,
+    UNSUPPORTED_PACKET: 7,
+    STALE_KEY: 8,
+    SPECTATOR: 9,
+    CHAT_REJECTED: 10
+};
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.glb': 'model/gltf-binary',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.md': 'text/plain; charset=utf-8'
+};
+
+class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function crc32(buffer) {
+    return PROTOCOL._calculateCRC32(buffer);
+}
+
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function toArrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+}
+
+// ==================== WEBSOCKET TRANSPORT (RFC 6455) ====================
+
+function encodeWebSocketFrame(opcode, payload, masked) {
+    const length = payload.length;
+    const lengthBytes = length >= 65536 ? 8 : (length >= 126 ? 2 : 0);
+    const frame = Buffer.alloc(2 + lengthBytes + (masked ? 4 : 0) + length);
+    frame[0] = 0x80 | opcode;
+    let offset = 2;
+    if (lengthBytes === 8) {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(length), 2);
+    } else if (lengthBytes === 2) {
+        frame[1] = 126;
+        frame.writeUInt16BE(length, 2);
+    } else {
+        frame[1] = length;
+    }
+    offset += lengthBytes;
+    if (masked) {
+        frame[1] |= 0x80;
+        const mask = crypto.randomBytes(4);
+        mask.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < length; i++) frame[offset + i] = payload[i] ^ mask[i & 3];
+    } else {
+        payload.copy(frame, offset);
+    }
+    return frame;
+}
+
+/**
+ * Incremental frame parser. push() returns complete messages; fragmented
+ * data frames are reassembled, control frames pass through as they arrive.
+ */
+class WebSocketFrameReader {
+    constructor(maxMessageSize = MAX_PAYLOAD_SIZE * 2) {
+        this.maxMessageSize = maxMessageSize;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.fragmentOpcode = 0;
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        const messages = [];
+        for (;;) {
+            if (this.buffer.length < 2) break;
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) break;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) break;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > this.maxMessageSize) throw new Error('WebSocket frame too large: ' + length);
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) break;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < length; i++) payload[i] ^= this.buffer[maskOffset + (i & 3)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode >= 0x8) {
+                messages.push({ opcode, payload });
+            } else if (opcode === 0x0) {
+                if (!this.fragments) throw new Error('Unexpected continuation frame');
+                this.fragments.push(payload);
+                if (fin) {
+                    messages.push({ opcode: this.fragmentOpcode, payload: Buffer.concat(this.fragments) });
+                    this.fragments = null;
+                }
+            } else if (fin) {
+                messages.push({ opcode, payload });
+            } else {
+                this.fragments = [payload];
+                this.fragmentOpcode = opcode;
+            }
+        }
+        return messages;
+    }
+}
+
+/**
+ * One open WebSocket over a raw socket. Clients mask their frames, servers
+ * do not. Answers pings and completes the close handshake.
+ */
+class WebSocketTransport {
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.masked = !!options.masked;
+        this.reader = new WebSocketFrameReader();
+        this.onMessage = null;   // (Buffer, isBinary)
+        this.onClose = null;     // (code, reason)
+        this.closed = false;
+        this.closeSent = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('close', () => this._finish(1006, ''));
+        socket.on('error', () => this._finish(1006, ''));
+    }
+
+    _onData(chunk) {
+        let messages;
+        try {
+            messages = this.reader.push(chunk);
+        } catch (error) {
+            this.close(1002, 'Protocol error');
+            return;
+        }
+        for (const { opcode, payload } of messages) {
+            if (this.closed) return;
+            if (opcode === 0x8) {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                if (!this.closeSent) this._sendClose(code === 1005 ? 1000 : code, '');
+                this.socket.end();
+                this._finish(code, reason);
+            } else if (opcode === 0x9) {
+                this._write(0xA, payload);
+            } else if (opcode === 0x1 || opcode === 0x2) {
+                if (this.onMessage) this.onMessage(payload, opcode === 0x2);
+            }
+        }
+    }
+
+    _write(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        this.socket.write(encodeWebSocketFrame(opcode, payload, this.masked));
+    }
+
+    _sendClose(code, reason) {
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this._write(0x8, payload);
+        this.closeSent = true;
+    }
+
+    send(data) {
+        this._write(0x2, toBuffer(data));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed || this.closeSent) return;
+        this._sendClose(code, reason);
+        // Give the peer a moment to answer before dropping the socket
+        setTimeout(() => {
+            if (!this.socket.destroyed) this.socket.destroy();
+            this._finish(code, reason);
+        }, 1000).unref();
+    }
+
+    _finish(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        if (!this.socket.destroyed) this.socket.destroy();
+        if (this.onClose) this.onClose(code, reason);
+    }
+}
+
+function webSocketAccept(key) {
+    return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/**
+ * Browser-compatible WebSocket client (ws:// only) for running BinarySocket
+ * and headless bots under Node.
+ */
+class LocalWebSocketClient {
+    constructor(url) {
+        this.url = url;
+        this.readyState = LocalWebSocketClient.CONNECTING;
+        this.binaryType = 'blob';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.transport = null;
+
+        const target = new URL(url);
+        if (target.protocol !== 'ws:') {
+            setImmediate(() => this._fail(new Error('LocalWebSocketClient supports ws:// only: ' + url)));
+            return;
+        }
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request({
+            host: target.hostname,
+            port: target.port || 80,
+            path: target.pathname + target.search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': key
+            }
+        });
+        request.on('upgrade', (response, socket, head) => {
+            if (response.headers['sec-websocket-accept'] !== webSocketAccept(key)) {
+                socket.destroy();
+                this._fail(new Error('Invalid Sec-WebSocket-Accept'));
+                return;
+            }
+            this.transport = new WebSocketTransport(socket, { masked: true });
+            this.transport.onMessage = (payload, isBinary) => {
+                if (this.onmessage) this.onmessage({ data: isBinary ? toArrayBuffer(payload) : payload.toString('utf8') });
+            };
+            this.transport.onClose = (code, reason) => {
+                this.readyState = LocalWebSocketClient.CLOSED;
+                if (this.onclose) this.onclose({ code, reason, wasClean: code !== 1006 });
+            };
+            this.readyState = LocalWebSocketClient.OPEN;
+            if (this.onopen) this.onopen({});
+            if (head && head.length > 0) this.transport._onData(head);
+        });
+        request.on('response', (response) => {
+            response.resume();
+            this._fail(new Error('WebSocket upgrade refused: HTTP ' + response.statusCode));
+        });
+        request.on('error', (error) => this._fail(error));
+        request.end();
+    }
+
+    _fail(error) {
+        if (this.readyState === LocalWebSocketClient.CLOSED) return;
+        this.readyState = LocalWebSocketClient.CLOSED;
+        if (this.onerror) this.onerror(error);
+        if (this.onclose) this.onclose({ code: 1006, reason: error.message, wasClean: false });
+    }
+
+    send(data) {
+        if (this.readyState !== LocalWebSocketClient.OPEN) throw new Error('WebSocket is not open');
+        this.transport.send(typeof data === 'string' ? Buffer.from(data) : data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== LocalWebSocketClient.OPEN) return;
+        this.readyState = LocalWebSocketClient.CLOSING;
+        this.transport.close(code, reason);
+    }
+}
+LocalWebSocketClient.CONNECTING = 0;
+LocalWebSocketClient.OPEN = 1;
+LocalWebSocketClient.CLOSING = 2;
+LocalWebSocketClient.CLOSED = 3;
+
+// ==================== PROTOCOL V2 SESSION ====================
+
+/**
+ * Server half of one BinarySocket session: handshake, then packet
+ * encryption / verification with the derived keys.
+ */
+class ProtocolSession {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.replayWindowSize] - client nonces accepted out of order (default 64)
+     */
+    constructor(options = {}) {
+        this.sessionId = crypto.randomBytes(FieldSize.SESSION_ID / 2).toString('hex');
+        this.encryptionKey = null;
+        this.hmacKey = null;
+        this.serverNonce = SERVER_NONCE_BASE;
+        this.replayWindow = new NonceReplayWindow(options.replayWindowSize || 64);
+        this.keyEpoch = 0;
+        this.previousKeys = null;   // client packets still sealed before its KEY_UPDATE
+        this.retiredKeys = null;    // only to report STALE_KEY
+        this._keySalt = null;
+        this._transcriptHash = null;
+    }
+
+    isEstablished() {
+        return this.encryptionKey !== null;
+    }
+
+    /** Highest client nonce accepted so far */
+    get lastClientNonce() {
+        return this.replayWindow.highest;
+    }
+
+    _setKeys(keys) {
+        this.encryptionKey = keys.subarray(0, 32);
+        this.hmacKey = keys.subarray(32, 64);
+    }
+
+    /**
+     * Client KEY_UPDATE: derive the next epoch exactly as BinarySocket's
+     * _deriveEpochKeys does (HKDF over the current keys, transcript hash
+     * bound to the epoch) and switch to it.
+     * @returns {boolean} false when the epoch is not the next one
+     */
+    rotateKeys(epoch) {
+        if (epoch !== this.keyEpoch + 1) return false;
+        const epochBytes = Buffer.alloc(4);
+        epochBytes.writeUInt32BE(epoch, 0);
+        const binding = crypto.createHash('sha256').update(this._transcriptHash).update(epochBytes).digest();
+        const info = Buffer.concat([binding, Buffer.from(HKDF_INFO_LABEL)]);
+        const material = Buffer.concat([this.encryptionKey, this.hmacKey]);
+        this.previousKeys = { encryptionKey: this.encryptionKey, hmacKey: this.hmacKey };
+        this.retiredKeys = null;
+        this._setKeys(Buffer.from(crypto.hkdfSync('sha256', material, this._keySalt, info, 64)));
+        this.keyEpoch = epoch;
+        return true;
+    }
+
+    /**
+     * Handle the unencrypted handshake request
+     * [version, reserved, payloadLength u16] + [publicKey 65][clientNonce 32][version 1]
+     * and return the response frame.
+     */
+    acceptHandshake(frame) {
+        if (frame.length !== HANDSHAKE_HEADER_SIZE + HANDSHAKE_REQUEST_SIZE ||
+            frame[0] !== PROTOCOL.PROTOCOL_VERSION ||
+            frame.readUInt16BE(2) !== HANDSHAKE_REQUEST_SIZE) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, 'BAD_HANDSHAKE');
+        }
+        let offset = HANDSHAKE_HEADER_SIZE;
+        const clientPublicKey = frame.subarray(offset, offset + FieldSize.PUBLIC_KEY);
+        offset += FieldSize.PUBLIC_KEY;
+        const clientNonce = frame.subarray(offset, offset + FieldSize.NONCE_32);
+        offset += FieldSize.NONCE_32;
+        const version = frame[offset];
+        if (version !== PROTOCOL.PROTOCOL_VERSION) throw new ProtocolError(ERROR_CODE.BAD_PACKET, 'BAD_VERSION');
+
+        const ecdh = crypto.createECDH('prime256v1');
+        const serverPublicKey = ecdh.generateKeys();
+        let sharedSecret;
+        try {
+            sharedSecret = ecdh.computeSecret(clientPublicKey);
+        } catch (error) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, 'BAD_PUBLIC_KEY');
+        }
+        const serverNonce = crypto.randomBytes(FieldSize.NONCE_32);
+        const salt = crypto.randomBytes(FieldSize.SALT);
+
+        const transcriptHash = crypto.createHash('sha256')
+            .update(clientPublicKey).update(serverPublicKey)
+            .update(clientNonce).update(serverNonce)
+            .update(Buffer.from([version]))
+            .digest();
+        const info = Buffer.concat([transcriptHash, Buffer.from(HKDF_INFO_LABEL)]);
+        this._setKeys(Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, info, 64)));
+        this._keySalt = salt;
+        this._transcriptHash = transcriptHash;
+
+        const payload = Buffer.alloc(FieldSize.PUBLIC_KEY + FieldSize.NONCE_32 + FieldSize.SALT + FieldSize.SESSION_ID);
+        offset = 0;
+        serverPublicKey.copy(payload, offset); offset += FieldSize.PUBLIC_KEY;
+        serverNonce.copy(payload, offset); offset += FieldSize.NONCE_32;
+        salt.copy(payload, offset); offset += FieldSize.SALT;
+        payload.write(this.sessionId, offset, FieldSize.SESSION_ID, 'utf8');
+
+        const header = Buffer.from([PROTOCOL.PROTOCOL_VERSION, 0, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * Check a resume request's proof: HMAC-SHA256 under this session's key
+     * over the label, ticket and oldestPendingShot.
+     */
+    verifyResume(body, mac) {
+        const expected = crypto.createHmac('sha256', this.hmacKey)
+            .update(RESUME_MAC_LABEL).update(body)
+            .digest();
+        return mac.length === expected.length && crypto.timingSafeEqual(expected, mac);
+    }
+
+    _iv(nonce) {
+        const iv = Buffer.alloc(PROTOCOL.NONCE_SIZE);
+        iv.writeBigUInt64BE(nonce, 0);
+        return iv;
+    }
+
+    /** Encrypt and frame one server packet. */
+    encode(packetId, payload) {
+        this.serverNonce += BigInt(1);
+        const nonce = this.serverNonce;
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, this._iv(nonce));
+        const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+        const authTag = cipher.getAuthTag();
+
+        const header = Buffer.alloc(PROTOCOL.HEADER_SIZE);
+        header.writeUInt8(PROTOCOL.PROTOCOL_VERSION, 0);
+        header.writeUInt16BE(packetId, 1);
+        header.writeUInt32BE(ciphertext.length, 3);
+        header.writeBigUInt64BE(nonce, 11);
+        header.writeUInt32BE(crc32(Buffer.concat([header.subarray(0, 7), ciphertext, authTag])), 7);
+
+        const hmac = crypto.createHmac('sha256', this.hmacKey)
+            .update(header).update(ciphertext).update(authTag)
+            .digest();
+        return Buffer.concat([header, ciphertext, authTag, hmac]);
+    }
+
+    /**
+     * Verify and decrypt one client packet: version, length, CRC32, replay
+     * window, HMAC (current key epoch, else the previous one until the
+     * client's first packet under the new epoch), AES-GCM. Only authentic
+     * packets move the window.
+     * @returns {{packetId: number, nonce: bigint, payload: Buffer}}
+     */
+    decode(frame) {
+        const headerSize = PROTOCOL.HEADER_SIZE;
+        const trailerSize = PROTOCOL.GCM_TAG_SIZE + PROTOCOL.HMAC_SIZE;
+        if (frame.length < headerSize + trailerSize) throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.TOO_SHORT);
+        if (frame[0] !== PROTOCOL.PROTOCOL_VERSION) throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.VERSION);
+        const packetId = frame.readUInt16BE(1);
+        const payloadLength = frame.readUInt32BE(3);
+        const checksum = frame.readUInt32BE(7);
+        const nonce = frame.readBigUInt64BE(11);
+        if (payloadLength > MAX_PAYLOAD_SIZE || frame.length !== headerSize + payloadLength + trailerSize) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.LENGTH);
+        }
+
+        const dataEnd = headerSize + payloadLength + PROTOCOL.GCM_TAG_SIZE;
+        const sealed = frame.subarray(headerSize, dataEnd);
+        if (crc32(Buffer.concat([frame.subarray(0, 7), sealed])) !== checksum) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.CHECKSUM);
+        }
+        const replay = this.replayWindow.check(nonce);
+        if (replay) throw new ProtocolError(ERROR_CODE.REPLAY, replay);
+
+        const authentic = (keys) => {
+            const expected = crypto.createHmac('sha256', keys.hmacKey).update(frame.subarray(0, dataEnd)).digest();
+            return crypto.timingSafeEqual(expected, frame.subarray(dataEnd));
+        };
+        let keys = { encryptionKey: this.encryptionKey, hmacKey: this.hmacKey };
+        if (!authentic(keys)) {
+            if (this.previousKeys && authentic(this.previousKeys)) {
+                keys = this.previousKeys;
+            } else if (this.retiredKeys && authentic(this.retiredKeys)) {
+                throw new ProtocolError(ERROR_CODE.STALE_KEY, RejectReason.STALE_KEY);
+            } else {
+                throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.HMAC);
+            }
+        } else if (this.previousKeys) {
+            this.retiredKeys = this.previousKeys;
+            this.previousKeys = null;
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', keys.encryptionKey, this._iv(nonce));
+        decipher.setAuthTag(frame.subarray(headerSize + payloadLength, dataEnd));
+        let payload;
+        try {
+            payload = Buffer.concat([decipher.update(frame.subarray(headerSize, headerSize + payloadLength)), decipher.final()]);
+        } catch (error) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.DECRYPT);
+        }
+        this.replayWindow.accept(nonce);
+        return { packetId, nonce, payload };
+    }
+}
+
+// ==================== PAYLOAD CODECS ====================
+// Layouts mirror BinarySocket's _decode* (server → client) and _encode*
+// (client → server) methods field for field.
+
+function writeString(buffer, offset, value, size) {
+    buffer.fill(0, offset, offset + size);
+    Buffer.from(String(value || ''), 'utf8').subarray(0, size).copy(buffer, offset);
+    return offset + size;
+}
+
+function readString(buffer, offset, size) {
+    return buffer.subarray(offset, offset + size).toString('utf8').replace(/\0+$/, '');
+}
+
+const ServerPayloads = {
+    hitResult(data) {
+        const buffer = Buffer.alloc(4 + 1 + data.hits.length * 20 + 2 + 4 + 8);
+        let offset = buffer.writeUInt32BE(data.shotSequenceId >>> 0, 0);
+        offset = buffer.writeUInt8(data.hits.length, offset);
+        for (const hit of data.hits) {
+            offset = writeString(buffer, offset, hit.fishId, 16);
+            offset = buffer.writeUInt16BE(Math.min(0xFFFF, hit.damage), offset);
+            offset = buffer.writeUInt16BE(Math.min(0xFFFF, hit.newHealth), offset);
+        }
+        offset = buffer.writeUInt16BE(Math.min(0xFFFF, data.totalDamage), offset);
+        offset = buffer.writeUInt32BE(data.totalReward >>> 0, offset);
+        buffer.writeDoubleBE(data.newBalance, offset);
+        return buffer;
+    },
+
+    balanceUpdate(data) {
+        const buffer = Buffer.alloc(32 + 8 + 4 + 1);
+        let offset = writeString(buffer, 0, data.playerId, 32);
+        offset = buffer.writeDoubleBE(data.balance, offset);
+        offset = buffer.writeInt32BE(data.change, offset);
+        buffer.writeUInt8(data.reasonCode, offset);
+        return buffer;
+    },
+
+    fishSpawn(fish) {
+        const buffer = Buffer.alloc(16 + 1 + 12 + 6 + 12 + 1);
+        let offset = writeString(buffer, 0, fish.id, 16);
+        offset = buffer.writeUInt8(fish.typeId, offset);
+        offset = buffer.writeFloatBE(fish.x, offset);
+        offset = buffer.writeFloatBE(fish.y, offset);
+        offset = buffer.writeFloatBE(fish.z, offset);
+        offset = buffer.writeUInt16BE(fish.hp, offset);
+        offset = buffer.writeUInt16BE(fish.maxHp, offset);
+        offset = buffer.writeUInt16BE(0, offset);   // reward: payouts come from the RTP tier, not the fish
+        offset = buffer.writeFloatBE(fish.vx, offset);
+        offset = buffer.writeFloatBE(0, offset);
+        offset = buffer.writeFloatBE(fish.vz, offset);
+        buffer.writeUInt8(fish.isBoss ? 1 : 0, offset);
+        return buffer;
+    },
+
+    fishDeath(data) {
+        const buffer = Buffer.alloc(16 + 32 + 4);
+        let offset = writeString(buffer, 0, data.fishId, 16);
+        offset = writeString(buffer, offset, data.killedBy, 32);
+        buffer.writeUInt32BE(data.reward >>> 0, offset);
+        return buffer;
+    },
+
+    playerJoin(player) {
+        const buffer = Buffer.alloc(32 + 32 + 1 + 8 + 1);
+        let offset = writeString(buffer, 0, player.id, 32);
+        offset = writeString(buffer, offset, player.playerName, 32);
+        offset = buffer.writeUInt8(player.slotIndex, offset);
+        offset = buffer.writeDoubleBE(player.balance, offset);
+        buffer.writeUInt8(parseInt(player.weapon, 10) || 1, offset);
+        return buffer;
+    },
+
+    playerLeave(data) {
+        const buffer = Buffer.alloc(32 + 16);
+        const offset = writeString(buffer, 0, data.playerId, 32);
+        writeString(buffer, offset, data.reason, 16);
+        return buffer;
+    },
+
+    roomState(data) {
+        const buffer = Buffer.alloc(8 + 1 + 1);
+        let offset = writeString(buffer, 0, data.roomCode, 8);
+        offset = buffer.writeUInt8(data.playerCount, offset);
+        buffer.writeUInt8(data.gameStarted ? 1 : 0, offset);
+        return buffer;
+    },
+
+    sessionAck(data) {
+        const buffer = Buffer.alloc(1 + FieldSize.RESUME_TICKET + 4 + 4);
+        const flags = (data.resumed ? SessionAckFlags.RESUMED : 0) | (data.keyUpdate ? SessionAckFlags.KEY_UPDATE : 0);
+        let offset = buffer.writeUInt8(flags, 0);
+        offset += data.ticket.copy(buffer, offset);
+        offset = buffer.writeUInt32BE(data.resumeWindowMs >>> 0, offset);
+        buffer.writeUInt32BE(data.lastShotSequenceId >>> 0, offset);
+        return buffer;
+    },
+
+    timeSyncPong(data) {
+        const buffer = Buffer.alloc(4 + 8 + 8);
+        buffer.writeUInt32BE(data.seq >>> 0, 0);
+        buffer.writeBigUInt64BE(BigInt(Math.floor(data.serverTime)), 4);
+        buffer.writeBigUInt64BE(BigInt(Math.floor(data.clientSendTime)), 12);
+        return buffer;
+    },
+
+    chatMessage(data) {
+        const buffer = Buffer.alloc(32 + FieldSize.PLAYER_NAME + 3 + FieldSize.CHAT_TEXT + 8);
+        let offset = writeString(buffer, 0, data.senderId, 32);
+        offset = writeString(buffer, offset, data.senderName, FieldSize.PLAYER_NAME);
+        offset = buffer.writeUInt8(data.slotIndex === null ? NO_SLOT : data.slotIndex, offset);
+        offset = buffer.writeUInt8(data.kind, offset);
+        offset = buffer.writeUInt8(data.emoteId || 0, offset);
+        offset = writeString(buffer, offset, data.text, FieldSize.CHAT_TEXT);
+        buffer.writeBigUInt64BE(BigInt(Math.floor(data.timestamp)), offset);
+        return buffer;
+    },
+
+    error(data) {
+        const buffer = Buffer.alloc(1 + ERROR_MESSAGE_SIZE);
+        buffer.writeUInt8(data.code, 0);
+        writeString(buffer, 1, data.message, ERROR_MESSAGE_SIZE);
+        return buffer;
+    },
+
+    json(data) {
+        return Buffer.from(JSON.stringify(data));
+    }
+};
+
+// Minimum sizes of the client encoders' fixed layouts
+const CLIENT_PAYLOAD_SIZES = {
+    [PacketId.SHOT_FIRED]: 53,
+    [PacketId.WEAPON_SWITCH]: 25,
+    [PacketId.ROOM_CREATE]: 41,
+    [PacketId.ROOM_JOIN]: 46,
+    [PacketId.ROOM_SPECTATE]: 46,
+    [PacketId.ROOM_LEAVE]: 8,
+    [PacketId.ROOM_LIST_REQUEST]: 8,
+    [PacketId.QUICK_MATCH]: 41,
+    [PacketId.PLAYER_MOVEMENT]: 32,
+    [PacketId.TIME_SYNC_PING]: 12,
+    [PacketId.SNAPSHOT_ACK]: 5,
+    [PacketId.KEY_UPDATE]: 4,
+    [PacketId.CHAT_SEND]: 2 + FieldSize.CHAT_TEXT + 8
+};
+
+function decodeClientPayload(packetId, buffer) {
+    const minSize = CLIENT_PAYLOAD_SIZES[packetId];
+    if (minSize === undefined) {
+        // Same JSON fallback BinarySocket uses for packets without a binary encoder
+        try {
+            return JSON.parse(buffer.toString('utf8') || 'null') || {};
+        } catch (error) {
+            throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.PAYLOAD);
+        }
+    }
+    if (buffer.length < minSize) throw new ProtocolError(ERROR_CODE.BAD_PACKET, RejectReason.PAYLOAD);
+
+    switch (packetId) {
+        case PacketId.SHOT_FIRED: {
+            let offset = 0;
+            const playerId = readString(buffer, offset, FieldSize.PLAYER_ID); offset += FieldSize.PLAYER_ID;
+            const weaponId = buffer.readUInt8(offset); offset += 1;
+            const targetX = buffer.readFloatBE(offset); offset += 4;
+            const targetY = buffer.readFloatBE(offset); offset += 4;
+            const targetZ = buffer.readFloatBE(offset); offset += 4;
+            const directionX = buffer.readFloatBE(offset); offset += 4;
+            const directionY = buffer.readFloatBE(offset); offset += 4;
+            const directionZ = buffer.readFloatBE(offset); offset += 4;
+            const shotSequenceId = buffer.readUInt32BE(offset); offset += 4;
+            const timestamp = Number(buffer.readBigUInt64BE(offset));
+            return { playerId, weaponId, targetX, targetY, targetZ, directionX, directionY, directionZ, shotSequenceId, timestamp };
+        }
+        case PacketId.WEAPON_SWITCH:
+            return {
+                playerId: readString(buffer, 0, FieldSize.PLAYER_ID),
+                weaponId: buffer.readUInt8(FieldSize.PLAYER_ID),
+                timestamp: Number(buffer.readBigUInt64BE(FieldSize.PLAYER_ID + 1))
+            };
+        case PacketId.ROOM_CREATE: {
+            const data = {
+                playerName: readString(buffer, 0, FieldSize.PLAYER_NAME),
+                isPublic: buffer.readUInt8(FieldSize.PLAYER_NAME) === 1,
+                timestamp: Number(buffer.readBigUInt64BE(FieldSize.PLAYER_NAME + 1))
+            };
+            // Optional stake range after the fixed layout
+            if (buffer.length >= FieldSize.PLAYER_NAME + 11) {
+                data.minCoinValue = buffer.readUInt8(FieldSize.PLAYER_NAME + 9);
+                data.maxCoinValue = buffer.readUInt8(FieldSize.PLAYER_NAME + 10);
+            }
+            return data;
+        }
+        case PacketId.QUICK_MATCH:
+            return {
+                playerName: readString(buffer, 0, FieldSize.PLAYER_NAME),
+                coinValue: buffer.readUInt8(FieldSize.PLAYER_NAME),
+                timestamp: Number(buffer.readBigUInt64BE(FieldSize.PLAYER_NAME + 1))
+            };
+        case PacketId.ROOM_JOIN:
+        case PacketId.ROOM_SPECTATE:
+            return {
+                roomCode: readString(buffer, 0, FieldSize.ROOM_CODE),
+                playerName: readString(buffer, FieldSize.ROOM_CODE, FieldSize.PLAYER_NAME),
+                timestamp: Number(buffer.readBigUInt64BE(FieldSize.ROOM_CODE + FieldSize.PLAYER_NAME))
+            };
+        case PacketId.ROOM_LEAVE:
+        case PacketId.ROOM_LIST_REQUEST:
+            return { timestamp: Number(buffer.readBigUInt64BE(0)) };
+        case PacketId.PLAYER_MOVEMENT:
+            return {
+                playerId: readString(buffer, 0, FieldSize.PLAYER_ID),
+                x: buffer.readFloatBE(16),
+                y: buffer.readFloatBE(20),
+                z: buffer.readFloatBE(24),
+                timestamp: buffer.readUInt32BE(28)
+            };
+        case PacketId.TIME_SYNC_PING:
+            return { seq: buffer.readUInt32BE(0), clientSendTime: Number(buffer.readBigUInt64BE(4)) };
+        case PacketId.SNAPSHOT_ACK:
+            return { ackSeq: buffer.readUInt32BE(0), flags: buffer.readUInt8(4) };
+        case PacketId.KEY_UPDATE:
+            return { epoch: buffer.readUInt32BE(0) };
+        case PacketId.CHAT_SEND:
+            return {
+                kind: buffer.readUInt8(0),
+                emoteId: buffer.readUInt8(1),
+                text: readString(buffer, 2, FieldSize.CHAT_TEXT),
+                timestamp: Number(buffer.readBigUInt64BE(2 + FieldSize.CHAT_TEXT))
+            };
+    }
+    return {};
+}
+
+// ==================== SERVER ====================
+
+function loadDefaultProfile(name) {
+    const file = path.join(__dirname, 'rtp_profiles.json');
+    const set = loadRTPProfiles(JSON.parse(fs.readFileSync(file, 'utf8')));
+    const profile = set.profiles[name || set.defaultProfile];
+    if (!profile) throw new Error('Unknown RTP profile: ' + name);
+    return profile;
+}
+
+class LocalGameServer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.port] - 0 picks a free port (default 3000)
+     * @param {string} [options.host] - default 127.0.0.1
+     * @param {string} [options.wsPath] - default /ws-game (MULTIPLAYER_CONFIG.binaryWsPath)
+     * @param {string|null} [options.staticRoot] - directory served over HTTP; null disables (default: repo root)
+     * @param {number} [options.tickMs] - simulation step (default 50)
+     * @param {number} [options.snapshotEveryTicks] - ROOM_SNAPSHOT cadence (default 2)
+     * @param {number} [options.seed] - base seed; each room derives its own
+     * @param {string} [options.rtpProfile] - rtp_profiles.json profile for new rooms
+     * @param {object} [options.roomOptions] - extra LocalRoom options
+     * @param {number} [options.resumeWindowMs] - how long a dropped session stays resumable (default 15000)
+     * @param {number} [options.replayWindowSize] - client nonces accepted out of order (default 64)
+     * @param {boolean} [options.keyUpdate] - advertise and accept KEY_UPDATE rotation (default true)
+     * @param {number} [options.maxSpectators] - spectators per room (default 16)
+     * @param {{messages: number, windowMs: number}} [options.chatRateLimit] - per client (default 5 per 10 s)
+     * @param {function(string, object): (string|null)} [options.chatFilter] - rewrites a chat
+     *        line (e.g. masks profanity) or returns null to drop it; gets the text and the client
+     * @param {function} [options.log]
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.port = options.port === undefined ? 3000 : options.port;
+        this.host = options.host || '127.0.0.1';
+        this.wsPath = options.wsPath || '/ws-game';
+        this.staticRoot = options.staticRoot === undefined ? __dirname : options.staticRoot;
+        this.tickMs = options.tickMs || 50;
+        this.snapshotEveryTicks = options.snapshotEveryTicks || 2;
+        this.seed = options.seed === undefined ? crypto.randomBytes(4).readUInt32BE(0) : options.seed >>> 0;
+        this.profile = loadDefaultProfile(options.rtpProfile);
+        this.roomOptions = options.roomOptions || {};
+        this.resumeWindowMs = options.resumeWindowMs === undefined ? DEFAULT_RESUME_WINDOW_MS : options.resumeWindowMs;
+        this.keyUpdate = options.keyUpdate !== false;
+        this.replayWindowSize = options.replayWindowSize || 64;
+        this.maxSpectators = options.maxSpectators === undefined ? DEFAULT_MAX_SPECTATORS : options.maxSpectators;
+        this.chatRateLimit = Object.assign({}, DEFAULT_CHAT_RATE_LIMIT, options.chatRateLimit);
+        this.chatFilter = options.chatFilter || null;
+        this.log = options.log || ((...args) => console.log('[LOCAL-SERVER]', ...args));
+        this.now = options.now || Date.now;
+
+        this.rooms = new Map();
+        this.clients = new Set();
+        this.tickets = new Map();   // resume ticket (hex) -> client
+        this.httpServer = null;
+        this.timer = null;
+        this.tickCount = 0;
+        this.roomCounter = 0;
+    }
+
+    /** @returns {Promise<{host: string, port: number, url: string}>} */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.httpServer = http.createServer((req, res) => this._serveStatic(req, res));
+            this.httpServer.on('upgrade', (req, socket, head) => this._onUpgrade(req, socket, head));
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                const address = this.httpServer.address();
+                this.port = address.port;
+                this.timer = setInterval(() => this.tick(this.tickMs), this.tickMs);
+                const url = 'http://' + this.host + ':' + this.port;
+                this.log('Listening on ' + url + ' (WebSocket ' + this.wsPath + ', seed ' + this.seed + ', profile ' + this.profile.name + ')');
+                resolve({ host: this.host, port: this.port, url });
+            });
+        });
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        for (const client of this.clients) client.transport.close(1001, 'Server shutting down');
+        this.clients.clear();
+        this.tickets.clear();
+        this.rooms.clear();
+        if (!this.httpServer) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.httpServer.close(() => resolve());
+            if (this.httpServer.closeAllConnections) this.httpServer.closeAllConnections();
+            this.httpServer = null;
+        });
+    }
+
+    _serveStatic(req, res) {
+        if (!this.staticRoot || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+        const file = path.resolve(this.staticRoot, '.' + (urlPath === '/' ? '/index.html' : urlPath));
+        if (!file.startsWith(path.resolve(this.staticRoot) + path.sep)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        fs.readFile(file, (error, data) => {
+            if (error) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(file)] || 'application/octet-stream' });
+            res.end(req.method === 'HEAD' ? undefined : data);
+        });
+    }
+
+    _onUpgrade(req, socket, head) {
+        const key = req.headers['sec-websocket-key'];
+        if (new URL(req.url, 'http://localhost').pathname !== this.wsPath || !key ||
+            (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            'Sec-WebSocket-Accept: ' + webSocketAccept(key) + '\r\n\r\n');
+
+        const client = {
+            transport: new WebSocketTransport(socket),
+            session: new ProtocolSession({ replayWindowSize: this.replayWindowSize }),
+            room: null,
+            spectator: false,       // watching client.room without a seat
+            spectatorName: null,
+            chatSentAt: [],         // CHAT_SEND times inside the rate-limit window
+            snapshotEncoder: null,  // set once the client opts into deltas
+            badPackets: 0,
+            ticket: null,           // current resume ticket (hex)
+            suspendedAt: null,      // set while the connection is down but resumable
+            recentResults: []       // [{shotSequenceId, payload}] HIT_RESULTs, resent on resume
+        };
+        client.playerId = client.session.sessionId;
+        this.clients.add(client);
+        this._attachTransport(client, client.transport);
+        if (head && head.length > 0) client.transport._onData(head);
+    }
+
+    _attachTransport(client, transport) {
+        client.transport = transport;
+        transport.onMessage = (data, isBinary) => this._onMessage(client, data, isBinary);
+        transport.onClose = (code) => this._onClose(client, code);
+    }
+
+    _onMessage(client, frame, isBinary) {
+        if (!isBinary) return;
+        if (!client.session.isEstablished()) {
+            if (frame.length >= HANDSHAKE_HEADER_SIZE && frame[1] === HandshakeFlags.RESUME) {
+                this._resumeSession(client, frame);
+                return;
+            }
+            try {
+                client.transport.send(client.session.acceptHandshake(frame));
+                this.log('Session ' + client.playerId + ' established');
+            } catch (error) {
+                client.transport.close(1002, error.message);
+                return;
+            }
+            this._issueTicket(client, false);
+            return;
+        }
+
+        let packet;
+        try {
+            packet = client.session.decode(frame);
+            packet.data = decodeClientPayload(packet.packetId, packet.payload);
+        } catch (error) {
+            if (!(error instanceof ProtocolError)) throw error;
+            this._sendError(client, error.code, error.message);
+            if (++client.badPackets >= MAX_BAD_PACKETS) client.transport.close(1008, 'Too many bad packets');
+            return;
+        }
+        this._handlePacket(client, packet.packetId, packet.data);
+    }
+
+    /**
+     * A lost connection (1006, no close frame) leaves the session resumable;
+     * a clean close or a close the server initiated ends it.
+     */
+    _onClose(client, code) {
+        if (!this.clients.has(client)) return;
+        if (code === 1006 && client.ticket && this.resumeWindowMs > 0) {
+            client.suspendedAt = this.now();
+            this.log('Session ' + client.playerId + ' suspended, resumable for ' + this.resumeWindowMs + ' ms');
+            return;
+        }
+        this._dropClient(client, 'disconnected');
+    }
+
+    _dropClient(client, reason) {
+        if (!this.clients.delete(client)) return;
+        if (client.ticket) this.tickets.delete(client.ticket);
+        this._leaveRoom(client, reason);
+    }
+
+    /** Send SESSION_ACK with a fresh single-use resume ticket. */
+    _issueTicket(client, resumed) {
+        if (client.ticket) this.tickets.delete(client.ticket);
+        const ticket = crypto.randomBytes(FieldSize.RESUME_TICKET);
+        client.ticket = ticket.toString('hex');
+        this.tickets.set(client.ticket, client);
+        const player = client.room ? client.room.players.get(client.playerId) : null;
+        this._send(client, PacketId.SESSION_ACK, ServerPayloads.sessionAck({
+            resumed,
+            keyUpdate: this.keyUpdate,
+            ticket,
+            resumeWindowMs: this.resumeWindowMs,
+            lastShotSequenceId: player ? player.lastShotSequenceId : 0
+        }));
+    }
+
+    /**
+     * Resume request [version, RESUME, payloadLength u16] +
+     * [ticket 32][oldestPendingShot u32][HMAC 32] on a fresh connection.
+     * On success the connection takes over the ticket's session (keys,
+     * nonce window, room seat); otherwise the client is told to handshake.
+     */
+    _resumeSession(client, frame) {
+        const resumed = this._findResumable(frame);
+        if (!resumed) {
+            this.log('Session resume rejected');
+            client.transport.send(Buffer.from([PROTOCOL.PROTOCOL_VERSION, HandshakeFlags.RESUME_REJECTED, 0, 0]));
+            return;
+        }
+
+        // The placeholder client never joined anything; its transport moves over
+        this.clients.delete(client);
+        const stale = resumed.transport;
+        stale.onMessage = null;
+        stale.onClose = null;
+        stale.close(1000, 'Session resumed');
+        this._attachTransport(resumed, client.transport);
+        resumed.suspendedAt = null;
+        this.log('Session ' + resumed.playerId + ' resumed');
+
+        this._issueTicket(resumed, true);
+        const oldestPendingShot = frame.readUInt32BE(HANDSHAKE_HEADER_SIZE + FieldSize.RESUME_TICKET);
+        if (oldestPendingShot > 0) {
+            for (const result of resumed.recentResults) {
+                if (result.shotSequenceId >= oldestPendingShot) this._send(resumed, PacketId.HIT_RESULT, result.payload);
+            }
+        }
+        const player = resumed.room ? resumed.room.players.get(resumed.playerId) : null;
+        if (player) {
+            this._send(resumed, PacketId.BALANCE_UPDATE, ServerPayloads.balanceUpdate({
+                playerId: player.id,
+                balance: player.balanceFp / RTP_MONEY_SCALE,
+                change: 0,
+                reasonCode: BALANCE_REASON.RESUME
+            }));
+        }
+        if (resumed.snapshotEncoder) resumed.snapshotEncoder.requestFull();
+    }
+
+    /** @returns {object|null} the client whose ticket and proof the request carries */
+    _findResumable(frame) {
+        if (frame.length !== HANDSHAKE_HEADER_SIZE + RESUME_REQUEST_SIZE ||
+            frame[0] !== PROTOCOL.PROTOCOL_VERSION ||
+            frame.readUInt16BE(2) !== RESUME_REQUEST_SIZE) {
+            return null;
+        }
+        const bodyEnd = HANDSHAKE_HEADER_SIZE + FieldSize.RESUME_TICKET + 4;
+        const ticket = frame.subarray(HANDSHAKE_HEADER_SIZE, HANDSHAKE_HEADER_SIZE + FieldSize.RESUME_TICKET);
+        const client = this.tickets.get(ticket.toString('hex'));
+        if (!client) return null;
+        if (client.suspendedAt !== null && this.now() - client.suspendedAt >= this.resumeWindowMs) return null;
+        if (!client.session.verifyResume(frame.subarray(HANDSHAKE_HEADER_SIZE, bodyEnd), frame.subarray(bodyEnd))) return null;
+        return client;
+    }
+
+    /** End sessions whose resume window ran out. */
+    _expireSuspended() {
+        const now = this.now();
+        for (const client of this.clients) {
+            if (client.suspendedAt !== null && now - client.suspendedAt >= this.resumeWindowMs) {
+                this.log('Session ' + client.playerId + ' expired');
+                this._dropClient(client, 'disconnected');
+            }
+        }
+    }
+
+    _send(client, packetId, payload) {
+        if (client.transport.closed) return;
+        client.transport.send(client.session.encode(packetId, payload));
+    }
+
+    _sendError(client, code, message) {
+        this._send(client, PacketId.ERROR, ServerPayloads.error({ code, message }));
+    }
+
+    _broadcast(room, packetId, payload, exceptPlayerId = null) {
+        for (const client of this.clients) {
+            if (client.room === room && client.playerId !== exceptPlayerId) this._send(client, packetId, payload);
+        }
+    }
+
+    _clientFor(playerId) {
+        for (const client of this.clients) {
+            if (client.playerId === playerId) return client;
+        }
+        return null;
+    }
+
+    _handlePacket(client, packetId, data) {
+        switch (packetId) {
+            case PacketId.ROOM_CREATE:
+                this._createRoom(client, data);
+                break;
+            case PacketId.ROOM_JOIN:
+                this._joinRoom(client, (data.roomCode || '').toUpperCase(), data.playerName);
+                break;
+            case PacketId.ROOM_SPECTATE:
+                this._spectateRoom(client, (data.roomCode || '').toUpperCase(), data.playerName);
+                break;
+            case PacketId.ROOM_LEAVE:
+                this._leaveRoom(client, 'left');
+                break;
+            case PacketId.ROOM_LIST_REQUEST:
+                this._send(client, PacketId.ROOM_LIST, ServerPayloads.json({ rooms: this.listRooms() }));
+                break;
+            case PacketId.QUICK_MATCH:
+                this._quickMatch(client, data);
+                break;
+            case PacketId.SHOT_FIRED:
+                this._shoot(client, data);
+                break;
+            case PacketId.WEAPON_SWITCH:
+                if (!client.room) return this._sendError(client, ERROR_CODE.NOT_IN_ROOM, 'NOT_IN_ROOM');
+                if (client.spectator) return this._sendError(client, ERROR_CODE.SPECTATOR, 'SPECTATOR_READ_ONLY');
+                if (!client.room.setWeapon(client.playerId, WEAPON_BY_ID[data.weaponId])) {
+                    this._sendError(client, ERROR_CODE.SHOT_REJECTED, 'INVALID_WEAPON');
+                }
+                break;
+            case PacketId.PLAYER_MOVEMENT:
+                if (client.room && !client.spectator) client.room.setCannon(client.playerId, data.x, data.y, data.z);
+                break;
+            case PacketId.TIME_SYNC_PING:
+                this._send(client, PacketId.TIME_SYNC_PONG, ServerPayloads.timeSyncPong({
+                    seq: data.seq,
+                    serverTime: this.now(),
+                    clientSendTime: data.clientSendTime
+                }));
+                break;
+            case PacketId.SNAPSHOT_ACK:
+                this._acknowledgeSnapshot(client, data);
+                break;
+            case PacketId.CHAT_SEND:
+                this._chat(client, data);
+                break;
+            case PacketId.KEY_UPDATE:
+                if (!this.keyUpdate) {
+                    this._sendError(client, ERROR_CODE.UNSUPPORTED_PACKET, 'UNSUPPORTED_PACKET: 0x' + packetId.toString(16));
+                } else if (!client.session.rotateKeys(data.epoch)) {
+                    this._sendError(client, ERROR_CODE.BAD_PACKET, RejectReason.BAD_KEY_EPOCH);
+                }
+                break;
+            case PacketId.DISCONNECT:
+                client.transport.close(1000, 'Client disconnect');
+                break;
+            default:
+                this._sendError(client, ERROR_CODE.UNSUPPORTED_PACKET, 'UNSUPPORTED_PACKET: 0x' + packetId.toString(16));
+        }
+    }
+
+    _newRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (const byte of crypto.randomBytes(FieldSize.ROOM_CODE)) {
+                code += ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    _createRoom(client, data) {
+        const stake = {};
+        if (data.minCoinValue !== undefined) {
+            if (!ROOM_COIN_VALUES.includes(data.minCoinValue) || !ROOM_COIN_VALUES.includes(data.maxCoinValue) ||
+                data.minCoinValue > data.maxCoinValue) {
+                return this._sendError(client, ERROR_CODE.BAD_PACKET, 'INVALID_STAKE');
+            }
+            stake.minCoinValue = data.minCoinValue;
+            stake.maxCoinValue = data.maxCoinValue;
+        }
+        if (client.room) this._leaveRoom(client, 'left');
+        const code = this._newRoomCode();
+        const room = new LocalRoom(Object.assign({
+            code,
+            isPublic: data.isPublic,
+            seed: (this.seed + Math.imul(++this.roomCounter, 0x9E3779B9)) >>> 0,
+            profile: this.profile,
+            now: this.now
+        }, this.roomOptions, stake));
+        this.rooms.set(code, room);
+        this.log('Room ' + code + ' created by ' + client.playerId);
+        this._joinRoom(client, code, data.playerName);
+    }
+
+    _joinRoom(client, roomCode, playerName) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return this._sendError(client, ERROR_CODE.ROOM_NOT_FOUND, 'ROOM_NOT_FOUND');
+        if (client.room === room && !client.spectator) return;
+        if (room.players.size >= ROOM_MAX_PLAYERS) return this._sendError(client, ERROR_CODE.ROOM_FULL, 'ROOM_FULL');
+        if (client.room) this._leaveRoom(client, 'left');
+
+        const player = room.addPlayer(client.playerId, playerName);
+        client.room = room;
+        client.snapshotEncoder = null;
+        const joined = room.getPlayerList().find(p => p.id === player.id);
+
+        this._sendRoomState(room);
+        this._send(client, PacketId.GAME_START, ServerPayloads.json({
+            roomCode: room.code,
+            playerId: player.id,
+            slotIndex: player.slotIndex,
+            isHost: player.isHost,
+            players: room.getPlayerList(),
+            rtpProfile: this.profile.name,
+            rtpProfileVersion: this.profile.version,
+            rtpProfileHash: this.profile.hash
+        }));
+        for (const other of room.getPlayerList()) {
+            if (other.id !== player.id) this._send(client, PacketId.PLAYER_JOIN, ServerPayloads.playerJoin(other));
+        }
+        this._broadcast(room, PacketId.PLAYER_JOIN, ServerPayloads.playerJoin(joined), player.id);
+        this._send(client, PacketId.ROOM_SNAPSHOT, ServerPayloads.json(room.snapshot()));
+    }
+
+    /**
+     * Watch a room: GAME_START { spectator: true }, the players already in
+     * it and a snapshot, then the room's broadcasts like any player. Only
+     * the spectator hears about it; players see no PLAYER_JOIN.
+     */
+    _spectateRoom(client, roomCode, spectatorName) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return this._sendError(client, ERROR_CODE.ROOM_NOT_FOUND, 'ROOM_NOT_FOUND');
+        if (client.room === room && client.spectator) return;
+        if (this._spectatorsOf(room).length >= this.maxSpectators) {
+            return this._sendError(client, ERROR_CODE.ROOM_FULL, 'SPECTATORS_FULL');
+        }
+        if (client.room) this._leaveRoom(client, 'left');
+        // Leaving may have closed the room (its last player started watching it)
+        if (this.rooms.get(roomCode) !== room) return this._sendError(client, ERROR_CODE.ROOM_NOT_FOUND, 'ROOM_NOT_FOUND');
+
+        client.room = room;
+        client.spectator = true;
+        client.spectatorName = spectatorName || 'Spectator';
+        client.snapshotEncoder = null;
+        this.log('Room ' + room.code + ' watched by ' + client.playerId + ' (' + (spectatorName || 'Spectator') + ')');
+
+        this._send(client, PacketId.ROOM_STATE, ServerPayloads.roomState({
+            roomCode: room.code,
+            playerCount: room.players.size,
+            gameStarted: true
+        }));
+        this._send(client, PacketId.GAME_START, ServerPayloads.json({
+            roomCode: room.code,
+            playerId: client.playerId,
+            spectator: true,
+            slotIndex: null,
+            isHost: false,
+            players: room.getPlayerList(),
+            spectatorCount: this._spectatorsOf(room).length,
+            rtpProfile: this.profile.name,
+            rtpProfileVersion: this.profile.version,
+            rtpProfileHash: this.profile.hash
+        }));
+        for (const player of room.getPlayerList()) {
+            this._send(client, PacketId.PLAYER_JOIN, ServerPayloads.playerJoin(player));
+        }
+        this._send(client, PacketId.ROOM_SNAPSHOT, ServerPayloads.json(room.snapshot()));
+    }
+
+    /**
+     * Public rooms for ROOM_LIST, fullest first, then oldest (rooms is in
+     * creation order and the sort is stable). Full rooms stay listed: they
+     * can still be watched.
+     */
+    listRooms() {
+        return Array.from(this.rooms.values())
+            .filter(room => room.isPublic)
+            .sort((a, b) => b.players.size - a.players.size)
+            .map(room => Object.assign(room.getListing(), {
+                spectatorCount: this._spectatorsOf(room).length,
+                rtpProfile: this.profile.name,
+                rtpProfileVersion: this.profile.version
+            }));
+    }
+
+    /**
+     * QUICK_MATCH: the open public room for this coin value with the most
+     * players, ties going to the narrower stake range and then the older
+     * room. With none open, a new public room staked at exactly that coin
+     * value (any coin value: the default range).
+     */
+    _quickMatch(client, data) {
+        if (data.coinValue && !ROOM_COIN_VALUES.includes(data.coinValue)) {
+            return this._sendError(client, ERROR_CODE.BAD_PACKET, 'INVALID_STAKE');
+        }
+        const open = Array.from(this.rooms.values()).filter(room =>
+            room.isPublic && !room.isFull() && room !== client.room && room.acceptsCoinValue(data.coinValue));
+        open.sort((a, b) => b.players.size - a.players.size ||
+            (a.maxCoinValue - a.minCoinValue) - (b.maxCoinValue - b.minCoinValue));
+        if (open.length > 0) return this._joinRoom(client, open[0].code, data.playerName);
+
+        const stake = data.coinValue ? { minCoinValue: data.coinValue, maxCoinValue: data.coinValue } : {};
+        this._createRoom(client, Object.assign({ playerName: data.playerName, isPublic: true }, stake));
+    }
+
+    /**
+     * CHAT_SEND: relayed as CHAT_MESSAGE to the whole room, sender included,
+     * so every client shows the line the filter let through. Emotes are sent
+     * by id; the text is the client's own ChatEmotes entry.
+     */
+    _chat(client, data) {
+        const room = client.room;
+        if (!room) return this._sendError(client, ERROR_CODE.NOT_IN_ROOM, 'NOT_IN_ROOM');
+        let text = '';
+        if (data.kind === ChatKind.EMOTE) {
+            if (!(data.emoteId < PROTOCOL.ChatEmotes.length)) {
+                return this._sendError(client, ERROR_CODE.CHAT_REJECTED, 'CHAT_BAD_EMOTE');
+            }
+        } else if (data.kind === ChatKind.TEXT) {
+            text = String(data.text || '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+            if (!text) return this._sendError(client, ERROR_CODE.CHAT_REJECTED, 'CHAT_EMPTY');
+            if (Array.from(text).length > PROTOCOL.ChatLimits.MAX_LENGTH) {
+                return this._sendError(client, ERROR_CODE.CHAT_REJECTED, 'CHAT_TOO_LONG');
+            }
+        } else {
+            return this._sendError(client, ERROR_CODE.BAD_PACKET, RejectReason.PAYLOAD);
+        }
+
+        // Sliding window: rejected lines do not count against the limit
+        const now = this.now();
+        const windowStart = now - this.chatRateLimit.windowMs;
+        client.chatSentAt = client.chatSentAt.filter(t => t > windowStart);
+        if (client.chatSentAt.length >= this.chatRateLimit.messages) {
+            return this._sendError(client, ERROR_CODE.CHAT_REJECTED, 'CHAT_RATE_LIMITED');
+        }
+        if (text && this.chatFilter) {
+            text = this.chatFilter(text, client);
+            if (!text) return this._sendError(client, ERROR_CODE.CHAT_REJECTED, 'CHAT_BLOCKED');
+        }
+        client.chatSentAt.push(now);
+
+        const player = client.spectator ? null : room.players.get(client.playerId);
+        this._broadcast(room, PacketId.CHAT_MESSAGE, ServerPayloads.chatMessage({
+            senderId: client.playerId,
+            senderName: player ? player.playerName : client.spectatorName,
+            slotIndex: player ? player.slotIndex : null,
+            kind: data.kind,
+            emoteId: data.emoteId,
+            text,
+            timestamp: now
+        }));
+    }
+
+    _spectatorsOf(room) {
+        return Array.from(this.clients).filter(c => c.room === room && c.spectator);
+    }
+
+    _leaveRoom(client, reason) {
+        const room = client.room;
+        if (!room) return;
+        if (client.spectator) {
+            client.room = null;
+            client.spectator = false;
+            client.snapshotEncoder = null;
+            return;
+        }
+        this._flushRoomEvents(room);
+        room.removePlayer(client.playerId);
+        client.room = null;
+        client.snapshotEncoder = null;
+        this._broadcast(room, PacketId.PLAYER_LEAVE, ServerPayloads.playerLeave({ playerId: client.playerId, reason }));
+        if (room.isEmpty()) {
+            this.rooms.delete(room.code);
+            for (const spectator of this._spectatorsOf(room)) {
+                spectator.room = null;
+                spectator.spectator = false;
+                spectator.snapshotEncoder = null;
+                this._sendError(spectator, ERROR_CODE.ROOM_NOT_FOUND, 'ROOM_CLOSED');
+            }
+            this.log('Room ' + room.code + ' closed');
+        } else {
+            this._sendRoomState(room);
+        }
+    }
+
+    _sendRoomState(room) {
+        this._broadcast(room, PacketId.ROOM_STATE, ServerPayloads.roomState({
+            roomCode: room.code,
+            playerCount: room.players.size,
+            gameStarted: true
+        }));
+    }
+
+    /**
+     * SNAPSHOT_ACK: the first one (in a room) switches the client from JSON
+     * ROOM_SNAPSHOT to FISH_UPDATE deltas; later ones move the baseline.
+     */
+    _acknowledgeSnapshot(client, data) {
+        if (!client.room) return;
+        if (!client.snapshotEncoder) client.snapshotEncoder = new SnapshotDeltaEncoder();
+        if (data.flags & SNAPSHOT_ACK_FULL_REQUEST) client.snapshotEncoder.requestFull();
+        else client.snapshotEncoder.acknowledge(data.ackSeq);
+    }
+
+    _sendSnapshot(room, snapshot) {
+        let json = null;
+        for (const client of this.clients) {
+            if (client.room !== room) continue;
+            if (client.snapshotEncoder) {
+                this._send(client, PacketId.FISH_UPDATE, Buffer.from(client.snapshotEncoder.encode(snapshot)));
+            } else {
+                json = json || ServerPayloads.json(snapshot);
+                this._send(client, PacketId.ROOM_SNAPSHOT, json);
+            }
+        }
+    }
+
+    _shoot(client, data) {
+        if (!client.room) return this._sendError(client, ERROR_CODE.NOT_IN_ROOM, 'NOT_IN_ROOM');
+        if (client.spectator) return this._sendError(client, ERROR_CODE.SPECTATOR, 'SPECTATOR_READ_ONLY');
+        // The packet's playerId field is ignored: the session decides who shot
+        const weaponKey = WEAPON_BY_ID[data.weaponId];
+        if (!weaponKey) return this._sendError(client, ERROR_CODE.SHOT_REJECTED, 'INVALID_WEAPON');
+        const result = client.room.fire(client.playerId, {
+            weaponKey,
+            targetX: data.targetX,
+            targetZ: data.targetZ,
+            shotSequenceId: data.shotSequenceId
+        });
+        if (!result.ok) {
+            this._sendError(client, result.reason === 'SHOT_REPLAY' ? ERROR_CODE.REPLAY : ERROR_CODE.SHOT_REJECTED, result.reason);
+        }
+        this._flushRoomEvents(client.room);
+    }
+
+    /** Translate queued room events into packets. */
+    _flushRoomEvents(room) {
+        for (const event of room.drainEvents()) {
+            const target = event.to ? this._clientFor(event.to) : null;
+            if (event.to && (!target || target.room !== room)) continue;
+            const deliver = (packetId, payload) => {
+                if (target) this._send(target, packetId, payload);
+                else this._broadcast(room, packetId, payload);
+            };
+            switch (event.type) {
+                case 'fishSpawn': deliver(PacketId.FISH_SPAWN, ServerPayloads.fishSpawn(event.data)); break;
+                case 'fishDeath': deliver(PacketId.FISH_DEATH, ServerPayloads.fishDeath(event.data)); break;
+                case 'hitResult': {
+                    const payload = ServerPayloads.hitResult(event.data);
+                    if (target) {
+                        target.recentResults.push({ shotSequenceId: event.data.shotSequenceId, payload });
+                        if (target.recentResults.length > MAX_CACHED_RESULTS) target.recentResults.shift();
+                    }
+                    deliver(PacketId.HIT_RESULT, payload);
+                    break;
+                }
+                case 'balanceUpdate': deliver(PacketId.BALANCE_UPDATE, ServerPayloads.balanceUpdate(event.data)); break;
+                case 'bossSpawn': deliver(PacketId.BOSS_SPAWN, ServerPayloads.json(event.data)); break;
+                case 'bossDeath': deliver(PacketId.BOSS_DEATH, ServerPayloads.json(event.data)); break;
+                case 'bossDamage': deliver(PacketId.BOSS_DAMAGE, ServerPayloads.json(event.data)); break;
+            }
+        }
+    }
+
+    /** Step every room once; sends snapshots (JSON or delta) every snapshotEveryTicks. */
+    tick(dtMs) {
+        this.tickCount++;
+        const sendSnapshot = this.tickCount % this.snapshotEveryTicks === 0;
+        this._expireSuspended();
+        for (const room of this.rooms.values()) {
+            room.tick(dtMs);
+            this._flushRoomEvents(room);
+            if (sendSnapshot) this._sendSnapshot(room, room.snapshot());
+        }
+    }
+}
+
+module.exports = {
+    PacketId,
+    ERROR_CODE,
+    WEAPON_BY_ID,
+    SERVER_NONCE_BASE,
+    ProtocolError,
+    crc32,
+    encodeWebSocketFrame,
+    WebSocketFrameReader,
+    LocalWebSocketClient,
+    ProtocolSession,
+    ServerPayloads,
+    decodeClientPayload,
+    LocalGameServer
+};
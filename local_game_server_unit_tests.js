@@ -0,0 +1,877 @@
+const {
+    SERVER_NONCE_BASE,
+    crc32,
+    encodeWebSocketFrame,
+    WebSocketFrameReader,
+    LocalWebSocketClient,
+    LocalGameServer
+} = require('./local_game_server');
+const { LocalRoom, ROOM_FISH_TYPES, ROOM_START_BALANCE_FP, BALANCE_REASON } = require('./local_room');
+const { FISH_SPECIES_TO_RTP_TIER, RTP_WEAPON_COST_FP, loadRTPProfiles } = require('./rtp_engine');
+const { ResponsibleGamingLimits } = require('./responsible_gaming');
+const { SNAPSHOT_ACK_FULL_REQUEST, SNAPSHOT_FLAG_FULL, SnapshotDeltaDecoder } = require('./snapshot_delta');
+const BinarySocket = require('./BinarySocket');
+const { MultiplayerManager, MULTIPLAYER_CONFIG } = require('./multiplayer');
+
+// BinarySocket expects the browser WebSocket and logs every packet
+global.WebSocket = LocalWebSocketClient;
+const print = console.log;
+console.log = () => {};
+console.warn = () => {};
+// MultiplayerManager (spectator test) reports server errors it handles
+const printError = console.error;
+console.error = (...args) => { if (!String(args[0]).startsWith('[MULTIPLAYER]')) printError(...args); };
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; print('  FAIL: ' + msg); }
+}
+
+/**
+ * BinarySocket decrypts frames concurrently, so a later packet can finish
+ * first and events arrive out of order. Serialize them for deterministic tests.
+ */
+class OrderedBinarySocket extends BinarySocket {
+    _handleMessage(data) {
+        // Frames still queued after disconnect() have no keys left; drop them
+        this._queue = (this._queue || Promise.resolve()).then(() => this.ws ? super._handleMessage(data) : null);
+        return this._queue;
+    }
+}
+
+function nextEvent(socket, event, predicate = () => true, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error('Timed out waiting for ' + event));
+        }, timeoutMs);
+        const handler = (data) => {
+            if (!predicate(data)) return;
+            clearTimeout(timer);
+            socket.off(event, handler);
+            resolve(data);
+        };
+        socket.on(event, handler);
+    });
+}
+
+function until(predicate, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve) => {
+        const poll = () => {
+            if (predicate() || Date.now() >= deadline) resolve(predicate());
+            else setTimeout(poll, 5);
+        };
+        poll();
+    });
+}
+
+async function connectClient(url, options = {}) {
+    const socket = new OrderedBinarySocket(Object.assign({ url, autoReconnect: false }, options));
+    const connected = nextEvent(socket, 'connected');
+    await socket.connect();
+    await connected;
+    return socket;
+}
+
+function species(tier) {
+    return ROOM_FISH_TYPES.find(s => FISH_SPECIES_TO_RTP_TIER[s] === tier);
+}
+
+print('=== Local Game Server Unit Tests ===\n');
+
+print('--- TEST A: Framing and Checksums ---');
+{
+    assert(crc32(Buffer.from('123456789')) === 0xCBF43926, 'CRC32 check value matches BinarySocket table');
+
+    const reader = new WebSocketFrameReader();
+    const sizes = [0, 5, 125, 126, 65535, 65536];
+    const frames = Buffer.concat(sizes.map((n, i) => encodeWebSocketFrame(0x2, Buffer.alloc(n, i + 1), i % 2 === 0)));
+    const messages = [];
+    for (let offset = 0; offset < frames.length; offset += 7000) {
+        messages.push(...reader.push(frames.subarray(offset, offset + 7000)));
+    }
+    assert(messages.length === sizes.length, 'Every frame parsed from chunked input');
+    assert(messages.every((m, i) => m.payload.length === sizes[i] && (sizes[i] === 0 || m.payload[sizes[i] - 1] === i + 1)),
+        'Payload lengths and bytes survive masking and extended lengths');
+
+    const first = encodeWebSocketFrame(0x2, Buffer.from('ab'), true);
+    first[0] &= 0x7F;                                   // clear FIN
+    const rest = encodeWebSocketFrame(0x0, Buffer.from('cd'), true);
+    const ping = encodeWebSocketFrame(0x9, Buffer.from('p'), true);
+    const joined = new WebSocketFrameReader().push(Buffer.concat([first, ping, rest]));
+    assert(joined.length === 2 && joined[0].opcode === 0x9, 'Control frame delivered between fragments');
+    assert(joined[1].opcode === 0x2 && joined[1].payload.toString() === 'abcd', 'Fragments reassembled');
+}
+print('  Framing: OK\n');
+
+async function runServerTests() {
+    const profiles = loadRTPProfiles(JSON.parse(require('fs').readFileSync(__dirname + '/rtp_profiles.json', 'utf8')));
+    const t3RewardFp = profiles.profiles[profiles.defaultProfile].tiers.t3.rewardManualFp;
+
+    const server = new LocalGameServer({
+        port: 0,
+        staticRoot: null,
+        tickMs: 10,
+        seed: 1234,
+        log: () => {},
+        roomOptions: { targetFishCount: 0, bossIntervalMs: 0 }
+    });
+    const { port } = await server.start();
+    const url = 'ws://127.0.0.1:' + port + '/ws-game';
+    const clients = [];
+
+    try {
+        print('--- TEST B: Handshake and Room Create ---');
+        const alice = await connectClient(url);
+        clients.push(alice);
+        const aliceId = alice.getSessionId();
+        assert(/^[0-9a-f]{16}$/.test(aliceId), 'Session id is 16 hex chars');
+
+        const roomState = nextEvent(alice, 'roomState');
+        const gameStart = nextEvent(alice, 'gameStart');
+        const firstSnapshot = nextEvent(alice, 'roomSnapshot');
+        await alice.createRoom('Alice', true);
+        const state = await roomState;
+        const start = await gameStart;
+        assert(/^[A-Z2-9]{6}$/.test(state.roomCode) && state.playerCount === 1 && state.gameStarted, 'ROOM_STATE decoded');
+        assert(start.roomCode === state.roomCode && start.playerId === aliceId && start.isHost && start.slotIndex === 0,
+            'GAME_START names the room, player and host');
+        assert(start.rtpProfile === 'entertainment' && typeof start.rtpProfileHash === 'string', 'GAME_START carries RTP profile');
+        const snapshot = await firstSnapshot;
+        assert(Array.isArray(snapshot.fish) && snapshot.players.length === 1 && snapshot.players[0].id === aliceId,
+            'ROOM_SNAPSHOT in _handleGameState shape');
+        assert(alice.lastServerNonce > SERVER_NONCE_BASE, 'Server nonces start above 2^63');
+        print('  Handshake/Create: OK\n');
+
+        print('--- TEST C: Time Sync ---');
+        const pong = nextEvent(alice, 'timeSync');
+        await alice.sendTimeSyncPing(7);
+        const sync = await pong;
+        assert(sync.seq === 7 && sync.rtt >= 0 && Math.abs(sync.serverTime - Date.now()) < 1000, 'TIME_SYNC_PONG round trip');
+        assert(sync.serverSendTime <= sync.serverTime && sync.clientSendTime <= Date.now(), 'Raw pong stamps passed through for the clock filter');
+        print('  Time Sync: OK\n');
+
+        print('--- TEST D: Delta Snapshots ---');
+        {
+            const decoder = new SnapshotDeltaDecoder();
+            await alice.sendSnapshotAck(0, SNAPSHOT_ACK_FULL_REQUEST);
+            const first = await nextEvent(alice, 'fishUpdate', p => p.delta instanceof Uint8Array);
+            const full = decoder.decode(first.delta);
+            assert((first.delta[1] & SNAPSHOT_FLAG_FULL) !== 0 && full.snapshot.players[0].id === aliceId, 'First FISH_UPDATE is a full snapshot');
+            await alice.sendSnapshotAck(full.seq);
+            const next = await nextEvent(alice, 'fishUpdate', p => p.delta && (p.delta[1] & SNAPSHOT_FLAG_FULL) === 0);
+            const delta = decoder.decode(next.delta);
+            assert(delta && !delta.needFull && delta.snapshot.players[0].balance === 1000, 'Acked baseline yields decodable deltas');
+            const legacy = nextEvent(alice, 'roomSnapshot', () => true, 200).then(() => true, () => false);
+            assert(!(await legacy), 'No JSON snapshots once deltas are on');
+        }
+        print('  Delta Snapshots: OK\n');
+
+        print('--- TEST E: Shooting and Kills ---');
+        const room = server.rooms.get(state.roomCode);
+        // Cannon 0 sits at (-60, 55); a parked t3 fish straight ahead
+        const target = room.spawnFish(species('t3'), { x: -60, z: 0, vx: 0, vz: 0 });
+        const spawned = await nextEvent(alice, 'fishSpawn', p => p.fishId === target.id);
+        assert(ROOM_FISH_TYPES[spawned.type] === target.type && spawned.x === -60, 'FISH_SPAWN decoded');
+
+        const death = nextEvent(alice, 'fishDeath', p => p.fishId === target.id, 10000);
+        let seq = 0;
+        let result = null;
+        let shots = 0;
+        while (shots < 200) {
+            shots++;
+            result = await alice.shoot({ playerId: aliceId, weaponId: 1, targetX: -60, targetZ: 0, seq: ++seq });
+            if (result.totalReward > 0) break;
+        }
+        const dead = await death;
+        assert(!result.timeout && result.hits.length === 1 && result.hits[0].fishId === target.id, 'HIT_RESULT lists the fish');
+        assert(dead.killedBy === aliceId && dead.reward === t3RewardFp, 'FISH_DEATH reward is the t3 payout (' + dead.reward + ')');
+        const expectedFp = ROOM_START_BALANCE_FP - shots * 1000 + t3RewardFp;
+        assert(Math.abs(result.newBalance * 1000 - expectedFp) < 1e-6, 'Balance = start - bets + win (' + result.newBalance + ')');
+        assert(room.players.get(aliceId).balanceFp === expectedFp, 'Room wallet agrees');
+
+        const miss = await alice.shoot({ playerId: aliceId, weaponId: 1, targetX: 80, targetZ: -50, seq: ++seq });
+        assert(miss.hits.length === 0 && miss.totalReward === 0, 'Miss still answered with HIT_RESULT');
+
+        room.spawnFish(species('t3'), { x: -60, z: 20, vx: 0, vz: 0 });
+        room.spawnFish(species('t3'), { x: -60, z: -20, vx: 0, vz: 0 });
+        const laser = await alice.shoot({ playerId: aliceId, weaponId: 8, targetX: -60, targetZ: 40, seq: ++seq });
+        assert(laser.hits.length === 2 && laser.totalDamage === 160, 'Laser beam crosses both fish');
+        assert(room.players.get(aliceId).weapon === '8x', 'Weapon follows the shot');
+
+        // Responsible gaming through MultiplayerManager: room bets and wins count, limits gate shots
+        const wager = MULTIPLAYER_CONFIG.wager;
+        assert(Object.keys(RTP_WEAPON_COST_FP).every(w => wager.weaponCostFp[w] === RTP_WEAPON_COST_FP[w]) &&
+            wager.balanceReason.BET === BALANCE_REASON.BET && wager.balanceReason.WIN === BALANCE_REASON.WIN,
+            'Manager wager table matches local_room.js');
+        const mia = await connectClient(url);
+        clients.push(mia);
+        const rgManager = new MultiplayerManager();
+        rgManager.useBinaryProtocol = true;
+        rgManager.binarySocket = mia;
+        rgManager.connected = true;
+        rgManager._setupBinaryEventHandlers();
+        const limits = new ResponsibleGamingLimits();
+        rgManager.responsibleGaming = limits;
+        const refusedShots = [];
+        rgManager.onShootRejected = (data) => refusedShots.push(data.reason);
+        const miaStart = nextEvent(mia, 'gameStart');
+        rgManager.createRoom('Mia');
+        await miaStart;
+        await until(() => rgManager.roomCode !== null);
+        const miaRoom = server.rooms.get(rgManager.roomCode);
+        const miaId = mia.getSessionId();
+        miaRoom.spawnFish(species('t3'), { x: -60, z: 0, vx: 0, vz: 0 });
+        let miaShots = 0;
+        while (limits.getStatus().wonFp === 0 && miaShots < 200) {
+            rgManager.shoot(-60, 0);
+            miaShots++;
+            await until(() => limits.getStatus().wageredFp === miaShots * 1000);
+        }
+        await until(() => limits.getStatus().wonFp > 0);
+        const rgStatus = limits.getStatus();
+        assert(rgStatus.wageredFp === miaShots * 1000 && rgStatus.wonFp === t3RewardFp,
+            'Room bets and wins recorded from BALANCE_UPDATE (' + rgStatus.wageredFp + ' / ' + rgStatus.wonFp + ')');
+
+        limits.setLimits({ wagerLimitFp: rgStatus.wageredFp + 1000 });
+        rgManager.shoot(80, -50);
+        await until(() => limits.getStatus().wageredFp === rgStatus.wageredFp + 1000);
+        const miaBalance = miaRoom.players.get(miaId).balanceFp;
+        assert(rgManager.shoot(80, -50) === null && refusedShots.join() === 'wager_limit', 'Shot past the wager limit refused');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert(miaRoom.players.get(miaId).balanceFp === miaBalance && limits.getStatus().wageredFp === rgStatus.wageredFp + 1000,
+            'Refused shot never reaches the room');
+        rgManager.leaveRoom();
+        print('  Shooting: OK\n');
+
+        print('--- TEST F: Rejections ---');
+        let error = nextEvent(alice, 'serverError');
+        alice.shoot({ playerId: aliceId, weaponId: 1, targetX: 0, targetZ: 0, seq });
+        assert((await error).message === 'SHOT_REPLAY', 'Repeated shot sequence rejected');
+
+        error = nextEvent(alice, 'serverError');
+        await alice.switchWeapon(aliceId, 4);
+        assert((await error).message === 'INVALID_WEAPON', 'Unknown weapon id rejected');
+
+        room.players.get(aliceId).balanceFp = 500;
+        error = nextEvent(alice, 'serverError');
+        alice.shoot({ playerId: aliceId, weaponId: 1, targetX: 0, targetZ: 0, seq: ++seq });
+        assert((await error).message === 'INSUFFICIENT_BALANCE', 'Shot beyond balance rejected');
+        assert(room.players.get(aliceId).balanceFp === 500, 'Rejected shot is not charged');
+
+        // Capture one sealed packet, then replay and tamper with it on the wire
+        let sealed = null;
+        const rawSend = alice.ws.send.bind(alice.ws);
+        alice.ws.send = (packet) => { sealed = Buffer.from(packet); rawSend(packet); };
+        await alice.sendTimeSyncPing(8);
+        alice.ws.send = rawSend;
+        error = nextEvent(alice, 'serverError');
+        rawSend(sealed);
+        assert((await error).message === 'REPLAY_NONCE', 'Replayed packet rejected');
+
+        const tampered = Buffer.from(sealed);
+        tampered.writeBigUInt64BE(tampered.readBigUInt64BE(11) + BigInt(100), 11);
+        tampered[20] ^= 0xFF;
+        error = nextEvent(alice, 'serverError');
+        rawSend(tampered);
+        assert((await error).message.startsWith('BAD_PACKET'), 'Tampered packet rejected');
+        print('  Rejections: OK\n');
+
+        print('--- TEST G: Join, Leave, Disconnect ---');
+        const bob = await connectClient(url);
+        clients.push(bob);
+        const bobId = bob.getSessionId();
+
+        error = nextEvent(bob, 'serverError');
+        await bob.joinRoom('ZZZZZZ', 'Bob');
+        assert((await error).message === 'ROOM_NOT_FOUND', 'Unknown room code rejected');
+
+        const aliceSeesBob = nextEvent(alice, 'playerJoin', p => p.playerId === bobId);
+        const bobSeesAlice = nextEvent(bob, 'playerJoin', p => p.playerId === aliceId);
+        const bobStart = nextEvent(bob, 'gameStart');
+        await bob.joinRoom(state.roomCode.toLowerCase(), 'Bob');
+        const joinedBob = await aliceSeesBob;
+        assert(joinedBob.playerName === 'Bob' && joinedBob.position === 1 && joinedBob.balance === 1000, 'PLAYER_JOIN broadcast');
+        assert((await bobSeesAlice).playerName === 'Alice', 'Joiner learns existing players');
+        assert((await bobStart).slotIndex === 1 && !(await bobStart).isHost, 'Joiner gets slot 1');
+
+        const bobLeft = nextEvent(alice, 'playerLeave', p => p.playerId === bobId);
+        await bob.leaveRoom();
+        assert((await bobLeft).reason === 'left', 'ROOM_LEAVE broadcast');
+
+        const aliceLeft = nextEvent(bob, 'playerLeave', p => p.playerId === aliceId);
+        await bob.joinRoom(state.roomCode, 'Bob');
+        await nextEvent(bob, 'gameStart');
+        alice.disconnect();
+        assert((await aliceLeft).reason === 'disconnected', 'Disconnect broadcast');
+        assert(room.players.get(bobId).isHost, 'Host passes on');
+
+        bob.disconnect();
+        const deadline = Date.now() + 2000;
+        while (server.rooms.size > 0 && Date.now() < deadline) await new Promise(r => setTimeout(r, 10));
+        assert(server.rooms.size === 0, 'Empty room closed');
+        print('  Join/Leave: OK\n');
+
+        print('--- TEST H: Session Resume ---');
+        {
+            const carol = await connectClient(url, { autoReconnect: true, reconnectDelay: 300 });
+            clients.push(carol);
+            const carolId = carol.getSessionId();
+            assert(await until(() => carol.resumeTicket !== null), 'SESSION_ACK hands out a resume ticket');
+            const carolStart = nextEvent(carol, 'gameStart');
+            await carol.createRoom('Carol', true);
+            const resumeRoom = server.rooms.get((await carolStart).roomCode);
+            const seat = resumeRoom.players.get(carolId);
+            const serverSide = Array.from(server.clients).find(c => c.playerId === carolId);
+
+            // Shot 1 reaches the server but its HIT_RESULT comes due while the link is down
+            const bet = nextEvent(carol, 'balanceUpdate', p => p.reasonCode === 1);
+            const first = carol.shoot({ playerId: carolId, weaponId: 1, targetX: -60, targetZ: 45, seq: 1 });
+            await bet;
+            let sealed = null;
+            const rawSend = carol.ws.send.bind(carol.ws);
+            carol.ws.send = (packet) => { sealed = Buffer.from(packet); rawSend(packet); };
+            await carol.sendTimeSyncPing(1);
+            const nonceBeforeDrop = carol.lastServerNonce;
+
+            // Shot 2 is lost on the wire, then the connection drops without a close frame
+            carol.ws.send = () => {};
+            const second = carol.shoot({ playerId: carolId, weaponId: 1, targetX: 60, targetZ: 0, seq: 2 });
+            const resumed = nextEvent(carol, 'resumed');
+            const restated = nextEvent(carol, 'balanceUpdate', p => p.reasonCode === 3);
+            carol.ws.transport.socket.destroy();
+            assert(await until(() => serverSide.suspendedAt !== null && serverSide.recentResults.length === 1),
+                'Dropped session suspended, HIT_RESULT kept for it');
+            assert(resumeRoom.players.get(carolId) === seat, 'Player keeps the seat while suspended');
+
+            const resumedInfo = await resumed;
+            assert(resumedInfo.sessionId === carolId && carol.getSessionId() === carolId, 'Session resumed under the same id');
+            assert(resumedInfo.lastShotSequenceId === 1 && resumedInfo.replayedShots === 1, 'Only the shot the server never saw is replayed');
+            const [firstResult, secondResult] = await Promise.all([first, second]);
+            assert(firstResult.shotSequenceId === 1 && !firstResult.timeout, 'Missed HIT_RESULT resent after resume');
+            assert(secondResult.shotSequenceId === 2 && !secondResult.timeout, 'Replayed shot answered');
+            assert(seat.balanceFp === ROOM_START_BALANCE_FP - 2000 && carol.unackedShots.size === 0, 'Each shot charged exactly once');
+            assert((await restated).balance === (ROOM_START_BALANCE_FP - 1000) / 1000, 'Balance restated on resume, before the replay');
+
+            assert(carol.lastServerNonce > nonceBeforeDrop, 'Server nonces continue across the resume');
+            error = nextEvent(carol, 'serverError');
+            carol.ws.send(sealed);
+            assert((await error).message === 'REPLAY_NONCE', 'Pre-drop packet still rejected as a replay');
+
+            // A stolen ticket without the session key gets nowhere and does not burn the ticket
+            const thief = new LocalWebSocketClient(url);
+            const reply = new Promise((resolve) => { thief.onmessage = (event) => resolve(Buffer.from(event.data)); });
+            await new Promise((resolve) => { thief.onopen = resolve; });
+            const forged = Buffer.alloc(4 + 68);
+            forged.writeUInt8(2, 0);
+            forged.writeUInt8(carol.HandshakeFlags.RESUME, 1);
+            forged.writeUInt16BE(68, 2);
+            Buffer.from(carol.resumeTicket).copy(forged, 4);
+            thief.send(forged);
+            const rejection = await reply;
+            thief.close();
+            assert(rejection.length === 4 && rejection[1] === carol.HandshakeFlags.RESUME_REJECTED, 'Forged resume proof rejected');
+            assert(server.tickets.get(Buffer.from(carol.resumeTicket).toString('hex')) === serverSide, 'Ticket survives the forgery');
+
+            // Past the resume window the seat is gone; the client falls back to a new session
+            const fallback = nextEvent(carol, 'resumeFailed');
+            const reconnected = nextEvent(carol, 'connected');
+            carol.ws.transport.socket.destroy();
+            await until(() => serverSide.suspendedAt !== null);
+            serverSide.suspendedAt -= server.resumeWindowMs;
+            await fallback;
+            const fresh = await reconnected;
+            assert(fresh.sessionId !== carolId && !resumeRoom.players.has(carolId), 'Expired session replaced by a new one');
+            assert(!server.rooms.has(resumeRoom.code), 'Expired seat removed, empty room closed');
+            carol.disconnect();
+
+            // A server that never answers the resume request: the client gives up after resumeTimeoutMs
+            const quiet = await connectClient(url, { autoReconnect: true, reconnectDelay: 50, resumeTimeoutMs: 200 });
+            clients.push(quiet);
+            const quietId = quiet.getSessionId();
+            await until(() => quiet.resumeTicket !== null);
+            const resumeSession = server._resumeSession;
+            server._resumeSession = () => {};
+            const unanswered = nextEvent(quiet, 'resumeFailed');
+            const quietReconnected = nextEvent(quiet, 'connected');
+            quiet.ws.transport.socket.destroy();
+            await until(() => quiet.resuming);
+            const resumeSentAt = Date.now();
+            assert((await unanswered).sessionId === quietId && Date.now() - resumeSentAt >= 150, 'Unanswered resume request times out');
+            server._resumeSession = resumeSession;
+            const quietFresh = await quietReconnected;
+            assert(quietFresh.sessionId !== quietId && quiet.getSessionId() === quietFresh.sessionId, 'Handshake after the timeout starts a new session');
+            quiet.disconnect();
+        }
+        print('  Session Resume: OK\n');
+
+        print('--- TEST I: Replay Window and Key Rotation ---');
+        {
+            const window = new BinarySocket.NonceReplayWindow(64);
+            for (const n of [1, 2, 3, 5]) window.accept(BigInt(n));
+            assert(window.check(BigInt(4)) === null, 'Skipped nonce still accepted late');
+            assert(window.check(BigInt(3)) === 'REPLAY_NONCE', 'Seen nonce in the window is a replay');
+            window.accept(BigInt(100));
+            assert(window.check(BigInt(36)) === 'NONCE_TOO_OLD' && window.check(BigInt(37)) === null, 'Window is 64 nonces wide');
+
+            const dave = await connectClient(url);
+            clients.push(dave);
+            const serverSide = Array.from(server.clients).find(c => c.playerId === dave.getSessionId());
+
+            // Two packets delivered in reverse order: both inside the window
+            const held = [];
+            const rawSend = dave.ws.send.bind(dave.ws);
+            dave.ws.send = (packet) => held.push(Buffer.from(packet));
+            await dave.sendTimeSyncPing(1);
+            await dave.sendTimeSyncPing(2);
+            dave.ws.send = rawSend;
+            const pongs = [];
+            dave.on('timeSync', (data) => pongs.push(data.seq));
+            rawSend(held[1]);
+            rawSend(held[0]);
+            assert(await until(() => pongs.length === 2), 'Reordered packets both accepted');
+            error = nextEvent(dave, 'serverError');
+            rawSend(held[0]);
+            assert((await error).message === 'REPLAY_NONCE', 'Reordered packet replayed once more rejected');
+
+            // Server packets BinarySocket drops come back as local serverError events
+            let captured = null;
+            const process = dave._processBinaryPacket.bind(dave);
+            dave._processBinaryPacket = (buffer) => { captured = buffer.slice(0); return process(buffer); };
+            await dave.sendTimeSyncPing(3);
+            await until(() => pongs.length === 3);
+            dave._processBinaryPacket = process;
+            const local = [];
+            dave.on('serverError', (data) => { if (data.local) local.push(data.message); });
+            await dave._processBinaryPacket(captured.slice(0));
+            const forgedNonce = Buffer.from(captured);
+            forgedNonce.writeBigUInt64BE(forgedNonce.readBigUInt64BE(11) + BigInt(1000), 11);
+            await dave._processBinaryPacket(new Uint8Array(forgedNonce).buffer);
+            const corrupt = Buffer.from(captured);
+            corrupt[dave.HEADER_SIZE] ^= 0xFF;
+            await dave._processBinaryPacket(new Uint8Array(corrupt).buffer);
+            assert(local.join(',') === 'REPLAY_NONCE,BAD_PACKET: hmac,BAD_PACKET: checksum', 'Client reports each dropped packet (' + local.join(',') + ')');
+
+            // Packet budget reached: KEY_UPDATE, then both sides on epoch 1
+            assert(dave.keyEpoch === 0 && dave.packetsUnderKey > 0, 'Packets counted against the key epoch');
+            dave.keyRotationPackets = dave.packetsUnderKey;
+            const oldKeys = { encryptionKey: dave.encryptionKey, hmacKey: dave.hmacKey };
+            const rotated = nextEvent(dave, 'keyRotated');
+            await dave.sendTimeSyncPing(4);
+            assert((await rotated).epoch === 1, 'Client rotates after keyRotationPackets');
+            dave.keyRotationPackets = 1 << 20;
+            await until(() => serverSide.session.keyEpoch === 1);
+            assert(serverSide.session.keyEpoch === 1, 'Server follows KEY_UPDATE to epoch 1');
+            await dave.sendTimeSyncPing(5);
+            assert(await until(() => pongs.includes(5)), 'Traffic continues under the new keys');
+            assert(dave.previousKeys === null && serverSide.session.previousKeys === null, 'Old epoch retired on both sides');
+
+            error = nextEvent(dave, 'serverError', e => !e.local);
+            const current = { encryptionKey: dave.encryptionKey, hmacKey: dave.hmacKey };
+            Object.assign(dave, oldKeys);
+            dave.sendTimeSyncPing(6);
+            Object.assign(dave, current);
+            assert((await error).message === 'STALE_KEY', 'Packet under a retired key epoch rejected as STALE_KEY');
+
+            error = nextEvent(dave, 'serverError', e => !e.local);
+            await dave._sendSealed(dave.PacketId.KEY_UPDATE, { epoch: 5 });
+            assert((await error).message === 'BAD_KEY_EPOCH' && serverSide.session.keyEpoch === 1, 'Skipped key epoch refused');
+
+            // A shot still sealing under the old keys goes out before the KEY_UPDATE
+            const encrypt = dave._encryptPayload.bind(dave);
+            let slowOnce = true;
+            dave._encryptPayload = async (...args) => {
+                if (slowOnce) {
+                    slowOnce = false;
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+                return encrypt(...args);
+            };
+            const remote = [];
+            const onRemoteError = (data) => { if (!data.local) remote.push(data.message); };
+            dave.on('serverError', onRemoteError);
+            const slowPing = dave.sendTimeSyncPing(7);
+            await dave.rotateKeys();
+            await dave.sendTimeSyncPing(8);
+            await slowPing;
+            assert(await until(() => pongs.includes(7) && pongs.includes(8)), 'Packet sealed before a rotation still accepted after it');
+            assert(remote.length === 0 && serverSide.session.keyEpoch === 2, 'Wire order follows nonce and epoch order (' + remote.join(',') + ')');
+            dave.off('serverError', onRemoteError);
+            dave._encryptPayload = encrypt;
+
+            // A packet still sealing when the connection closes is dropped, not thrown
+            const unsent = dave.sendTimeSyncPing(9);
+            dave.disconnect();
+            assert(await unsent.then(() => true, () => false), 'Send racing disconnect() settles quietly');
+
+            // Rotation is off by default and waits for the server to advertise KEY_UPDATE
+            const plain = new BinarySocket({ autoReconnect: false });
+            assert(plain.keyRotationPackets === 0 && plain.keyRotationMs === 0, 'Key rotation off by default');
+            const legacy = new LocalGameServer({ port: 0, staticRoot: null, tickMs: 10, seed: 7, keyUpdate: false, log: () => {},
+                roomOptions: { targetFishCount: 0, bossIntervalMs: 0 } });
+            const legacyPort = (await legacy.start()).port;
+            try {
+                const erin = await connectClient('ws://127.0.0.1:' + legacyPort + '/ws-game', { keyRotationMs: 30 });
+                await until(() => erin.resumeTicket !== null);
+                assert(erin.serverKeyUpdate === false, 'SESSION_ACK without the KEY_UPDATE flag');
+                const errors = [];
+                erin.on('serverError', (data) => errors.push(data.message));
+                const legacyPongs = [];
+                erin.on('timeSync', (data) => legacyPongs.push(data.seq));
+                await new Promise(resolve => setTimeout(resolve, 60));
+                await erin.sendTimeSyncPing(1);
+                await erin.sendTimeSyncPing(2);
+                assert(await until(() => legacyPongs.includes(2)), 'Session keeps working past the time trigger');
+                assert(erin.keyEpoch === 0 && errors.length === 0, 'No KEY_UPDATE sent to a server without it (' + errors.join(',') + ')');
+                let refused = null;
+                await erin.rotateKeys().catch((error) => { refused = error.message; });
+                assert(refused === 'Server does not support KEY_UPDATE', 'Explicit rotation refused');
+                erin.disconnect();
+            } finally {
+                await legacy.stop();
+            }
+        }
+        print('  Replay Window: OK\n');
+
+        print('--- TEST J: Spectators ---');
+        {
+            const erin = await connectClient(url);
+            clients.push(erin);
+            const erinId = erin.getSessionId();
+            const erinStart = nextEvent(erin, 'gameStart');
+            await erin.createRoom('Erin', true);
+            const code = (await erinStart).roomCode;
+            const watched = server.rooms.get(code);
+
+            // Spectator driven through MultiplayerManager, as in the browser
+            const frank = await connectClient(url);
+            clients.push(frank);
+            const manager = new MultiplayerManager();
+            manager.useBinaryProtocol = true;
+            manager.binarySocket = frank;
+            manager.connected = true;
+            manager._setupBinaryEventHandlers();
+            const errors = [];
+            manager.onError = (message) => errors.push(message);
+            const views = [];
+            manager.onSpectatorViewChanged = (view) => views.push(view);
+
+            let noticed = false;
+            erin.on('playerJoin', () => { noticed = true; });
+            const frankStart = nextEvent(frank, 'gameStart');
+            const frankSnapshot = nextEvent(frank, 'roomSnapshot');
+            manager.spectateRoom(code, 'Frank');
+            const start = await frankStart;
+            await frankSnapshot;
+            assert(start.spectator === true && start.slotIndex === null && start.players.length === 1 && start.players[0].id === erinId,
+                'GAME_START marks the spectator and lists the players');
+            assert(watched.players.size === 1 && !watched.players.has(frank.getSessionId()), 'Spectator takes no seat or balance');
+            assert(manager.isSpectator && manager.roomCode === code && manager.slotIndex === null, 'Manager in spectator mode');
+            const camera = manager.getSpectatorCamera();
+            assert(camera.mode === 'cannon' && camera.slotIndex === 0 && camera.playerId === erinId && camera.playerName === 'Erin',
+                'Spectator starts on the first cannon');
+            assert(JSON.stringify(camera.position) === JSON.stringify(manager.getCannonPosition(0)), 'Cannon view from the watched cannon');
+
+            assert(manager.shoot(0, 0) === null && manager.changeWeapon('3x') === undefined && manager.currentWeapon !== '3x',
+                'Manager sends no shots or weapon switches');
+            error = nextEvent(frank, 'serverError');
+            frank.shoot({ playerId: frank.getSessionId(), weaponId: 1, targetX: 0, targetZ: 0, seq: 1 });
+            assert((await error).message === 'SPECTATOR_READ_ONLY', 'Server refuses spectator shots');
+            error = nextEvent(frank, 'serverError');
+            await frank.switchWeapon(frank.getSessionId(), 3);
+            assert((await error).message === 'SPECTATOR_READ_ONLY', 'Server refuses spectator weapon switches');
+
+            // Same fish, bullet and kill stream as the players
+            const fish = watched.spawnFish(species('t3'), { x: -60, z: 0, vx: 0, vz: 0 });
+            const seen = nextEvent(frank, 'fishSpawn', p => p.fishId === fish.id);
+            const dead = nextEvent(frank, 'fishDeath', p => p.fishId === fish.id, 10000);
+            await seen;
+            let shotSeq = 0;
+            while (watched.fish.has(fish.id) && shotSeq < 200) {
+                await erin.shoot({ playerId: erinId, weaponId: 1, targetX: -60, targetZ: 0, seq: ++shotSeq });
+            }
+            assert((await dead).killedBy === erinId, 'Spectator sees the kill');
+            await until(() => manager.killFeed.length === 1);
+            const kill = manager.getKillFeed(erinId)[0];
+            assert(kill && kill.playerName === 'Erin' && kill.slotIndex === 0 && kill.fishType === fish.type && kill.reward === t3RewardFp,
+                'Kill feed names the player and fish');
+            assert(manager.getKillFeed('nobody').length === 0, 'Kill feed filtered per player');
+            assert(!noticed, 'Players are not told about spectators');
+
+            // Cycle cannons and the free camera
+            const gina = await connectClient(url);
+            clients.push(gina);
+            const joined = nextEvent(frank, 'playerJoin');
+            await gina.joinRoom(code, 'Gina');
+            await joined;
+            assert(manager.cycleSpectatorView().slotIndex === 1, 'Next cannon');
+            assert(manager.cycleSpectatorView().mode === 'free', 'Then the free camera');
+            assert(manager.cycleSpectatorView().slotIndex === 0 && manager.cycleSpectatorView(-1).mode === 'free', 'Wraps both ways');
+            assert(manager.setSpectatorView({ mode: 'cannon', slotIndex: 3 }).mode === 'free', 'Empty slot falls back to the free camera');
+            manager.setSpectatorView({ mode: 'cannon', slotIndex: 1 });
+            const ginaLeft = nextEvent(frank, 'playerLeave');
+            await gina.leaveRoom();
+            await ginaLeft;
+            assert(manager.spectatorView.slotIndex === 0 && views[views.length - 1].playerId === erinId, 'Watched player left: camera moves on');
+
+            server.maxSpectators = 1;
+            const hank = await connectClient(url);
+            clients.push(hank);
+            error = nextEvent(hank, 'serverError');
+            await hank.spectateRoom(code, 'Hank');
+            assert((await error).message === 'SPECTATORS_FULL', 'Spectator limit enforced');
+            server.maxSpectators = 16;
+
+            // Last player leaves: the room closes under the spectator
+            error = nextEvent(frank, 'serverError');
+            await erin.leaveRoom();
+            assert((await error).message === 'ROOM_CLOSED' && !server.rooms.has(code), 'Spectator told the room closed');
+            assert(manager.roomCode === null && !manager.isSpectator && manager.killFeed.length === 0 && errors.includes('Room closed'),
+                'Manager leaves spectator mode');
+            for (const socket of [erin, frank, gina, hank]) socket.disconnect();
+        }
+        print('  Spectators: OK\n');
+
+        print('--- TEST K: Room Browser and Quick Match ---');
+        {
+            // Earlier tests' rooms stay out of the listing and the matching
+            for (const room of server.rooms.values()) room.isPublic = false;
+
+            const ivy = await connectClient(url);
+            const jack = await connectClient(url);
+            clients.push(ivy, jack);
+            let started = nextEvent(ivy, 'gameStart');
+            await ivy.createRoom('Ivy', true, { minCoinValue: 5, maxCoinValue: 10 });
+            const highStakes = (await started).roomCode;
+            assert(server.rooms.get(highStakes).minCoinValue === 5 && server.rooms.get(highStakes).maxCoinValue === 10,
+                'Stake range sent after the fixed ROOM_CREATE layout');
+            started = nextEvent(jack, 'gameStart');
+            await jack.createRoom('Jack', false);
+            const hidden = (await started).roomCode;
+            error = nextEvent(jack, 'serverError');
+            await jack.createRoom('Jack', true, { minCoinValue: 5, maxCoinValue: 3 });
+            assert((await error).message === 'INVALID_STAKE' && server.rooms.has(hidden), 'Bad stake range refused, player keeps the room');
+
+            // Listing through MultiplayerManager
+            const lena = await connectClient(url);
+            clients.push(lena);
+            const manager = new MultiplayerManager();
+            manager.useBinaryProtocol = true;
+            manager.binarySocket = lena;
+            manager.connected = true;
+            manager._setupBinaryEventHandlers();
+            let listed = new Promise((resolve) => { manager.onRoomList = resolve; });
+            manager.requestRoomList();
+            let rooms = await listed;
+            const entry = rooms.find(r => r.roomCode === highStakes);
+            assert(rooms.length === 1 && entry, 'Only public rooms listed (' + rooms.map(r => r.roomCode).join(',') + ')');
+            assert(entry.playerCount === 1 && entry.maxPlayers === 4 && !entry.isFull && entry.hostName === 'Ivy',
+                'Listing shows occupancy and host');
+            assert(entry.minCoinValue === 5 && entry.maxCoinValue === 10 && entry.rtpProfile === 'entertainment' && entry.spectatorCount === 0,
+                'Listing shows stake range and RTP profile');
+
+            // Quick match: best open room for the coin value, else a new room at that stake
+            started = nextEvent(lena, 'gameStart');
+            manager.quickMatch('Lena', 5);
+            const matched = await started;
+            assert(matched.roomCode === highStakes && matched.slotIndex === 1 && manager.roomCode === highStakes, 'Quick match joins the fitting room');
+            const mike = await connectClient(url);
+            clients.push(mike);
+            started = nextEvent(mike, 'gameStart');
+            await mike.quickMatch('Mike', 3);
+            const created = await started;
+            const lowStakes = server.rooms.get(created.roomCode);
+            assert(created.roomCode !== highStakes && created.isHost && lowStakes.isPublic &&
+                lowStakes.minCoinValue === 3 && lowStakes.maxCoinValue === 3, 'No fitting room: quick match creates one at that stake');
+
+            const extra = [];
+            for (const name of ['Nia', 'Oto']) {
+                const socket = await connectClient(url);
+                clients.push(socket);
+                extra.push(socket);
+                started = nextEvent(socket, 'gameStart');
+                await socket.quickMatch(name, 0);
+                assert((await started).roomCode === highStakes, name + ': any stake goes to the fullest open room');
+            }
+            const late = await connectClient(url);
+            clients.push(late);
+            started = nextEvent(late, 'gameStart');
+            await late.quickMatch('Pip', 10);
+            assert((await started).roomCode !== highStakes && server.rooms.get(highStakes).isFull(), 'Full room skipped');
+            error = nextEvent(late, 'serverError');
+            await late.quickMatch('Pip', 7);
+            assert((await error).message === 'INVALID_STAKE', 'Unknown coin value refused');
+
+            listed = new Promise((resolve) => { manager.onRoomList = resolve; });
+            manager.requestRoomList();
+            rooms = await listed;
+            assert(rooms[0].roomCode === highStakes && rooms[0].isFull && rooms.length === 3, 'Full rooms listed first, still shown');
+            assert(!rooms.some(r => r.roomCode === hidden), 'Private room never listed');
+            for (const socket of [ivy, jack, lena, mike, late, ...extra]) socket.disconnect();
+        }
+        print('  Room Browser: OK\n');
+
+        print('--- TEST L: Chat and Emotes ---');
+        {
+            const protocol = new BinarySocket({ autoReconnect: false });
+            assert(JSON.stringify(MULTIPLAYER_CONFIG.chat.emotes) === JSON.stringify(protocol.ChatEmotes) &&
+                MULTIPLAYER_CONFIG.chat.maxLength === protocol.ChatLimits.MAX_LENGTH, 'Manager emote table and length match BinarySocket');
+
+            const quin = await connectClient(url);
+            const rosa = await connectClient(url);
+            const sam = await connectClient(url);
+            clients.push(quin, rosa, sam);
+            const quinId = quin.getSessionId();
+            const rosaId = rosa.getSessionId();
+            let started = nextEvent(quin, 'gameStart');
+            await quin.createRoom('Quin', true);
+            const code = (await started).roomCode;
+            started = nextEvent(rosa, 'gameStart');
+            await rosa.joinRoom(code, 'Rosa');
+            await started;
+            started = nextEvent(sam, 'gameStart');
+            await sam.spectateRoom(code, 'Sam');
+            await started;
+
+            // Rosa's side through MultiplayerManager
+            const manager = new MultiplayerManager();
+            manager.useBinaryProtocol = true;
+            manager.binarySocket = rosa;
+            manager.connected = true;
+            manager.roomCode = code;
+            manager.playerId = rosaId;
+            manager._setupBinaryEventHandlers();
+            const shown = [];
+            const refused = [];
+            manager.onChatMessage = (message) => shown.push(message);
+            manager.onChatRejected = (data) => refused.push(data.reason);
+
+            const atQuin = nextEvent(quin, 'chatMessage');
+            const atSam = nextEvent(sam, 'chatMessage');
+            assert(manager.sendChat('  hello \u00e9\u00e8 tank  '), 'Line sent');
+            const line = await atQuin;
+            assert(line.senderId === rosaId && line.senderName === 'Rosa' && line.slotIndex === 1 && line.kind === 0 &&
+                line.text === 'hello \u00e9\u00e8 tank', 'CHAT_MESSAGE carries the trimmed line and the sender seat');
+            assert((await atSam).text === line.text, 'Spectators hear the room');
+            await until(() => shown.length === 1);
+            assert(shown[0].isOwn && shown[0].kind === 'text' && manager.getChatHistory().length === 1, 'Sender gets its own line back');
+
+            const emote = nextEvent(rosa, 'chatMessage');
+            await quin.sendEmote(1);
+            const bubble = await emote;
+            assert(bubble.kind === 1 && bubble.emoteId === 1 && bubble.text === '' && bubble.senderId === quinId, 'Emote sent by id');
+            await until(() => shown.length === 2);
+            assert(shown[1].kind === 'emote' && shown[1].text === 'Boss incoming' && shown[1].slotIndex === 0 && !shown[1].isOwn,
+                'Manager shows the emote text');
+            const watcher = nextEvent(quin, 'chatMessage');
+            await sam.sendChat('go go');
+            const fromSam = await watcher;
+            assert(fromSam.senderName === 'Sam' && fromSam.slotIndex === null, 'Spectators chat without a seat');
+            await until(() => shown.length === 3);
+            assert(shown[2].isSpectator, 'Manager marks spectator lines');
+
+            error = nextEvent(quin, 'serverError');
+            await quin.sendEmote(200);
+            assert((await error).message === 'CHAT_BAD_EMOTE', 'Unknown emote refused');
+            error = nextEvent(quin, 'serverError');
+            await quin.sendChat('x'.repeat(81));
+            assert((await error).message === 'CHAT_TOO_LONG', 'Over-long line refused');
+            error = nextEvent(quin, 'serverError');
+            await quin.sendChat(' \t ');
+            assert((await error).message === 'CHAT_EMPTY', 'Blank line refused');
+            assert(!manager.sendChat('') && !manager.sendChat('y'.repeat(81)) && !manager.sendEmote(9), 'Manager refuses the same locally');
+            assert(refused.join(',') === 'CHAT_EMPTY,CHAT_TOO_LONG,CHAT_BAD_EMOTE', 'onChatRejected says why');
+
+            // Filter hook: rewrite or block
+            server.chatFilter = (text) => /darn/i.test(text) ? null : text.replace(/heck/gi, '****');
+            const masked = nextEvent(rosa, 'chatMessage');
+            await quin.sendChat('what the heck');
+            assert((await masked).text === 'what the ****', 'Filter rewrites the relayed line');
+            error = nextEvent(quin, 'serverError');
+            await quin.sendChat('darn it');
+            assert((await error).message === 'CHAT_BLOCKED', 'Filter can block a line');
+            server.chatFilter = null;
+
+            // Muting is per client: Rosa stops seeing Quin, Sam does not
+            await until(() => shown.length === 4);
+            assert(manager.mutePlayer(quinId) && !manager.mutePlayer(rosaId), 'Mute another player, never yourself');
+            const stillHeard = nextEvent(sam, 'chatMessage');
+            const reachedRosa = nextEvent(rosa, 'chatMessage');
+            await quin.sendChat('anyone?');
+            await stillHeard;
+            await reachedRosa;
+            assert(shown.length === 4 && manager.isPlayerMuted(quinId), 'Muted player hidden');
+            manager.unmutePlayer(quinId);
+            manager.setChatFilter((text) => text.toUpperCase());
+            const unmuted = nextEvent(rosa, 'chatMessage');
+            await quin.sendChat('back');
+            await unmuted;
+            await until(() => shown.length === 5);
+            assert(shown[4].text === 'BACK', 'Unmuted, client filter applied');
+
+            // Rate limit: sliding window per client, refused lines not counted
+            server.chatRateLimit = { messages: 2, windowMs: 60000 };
+            const samClient = Array.from(server.clients).find(c => c.playerId === sam.getSessionId());
+            samClient.chatSentAt = [];
+            for (let i = 0; i < 2; i++) {
+                const relayed = nextEvent(rosa, 'chatMessage');
+                await sam.sendChat('spam ' + i);
+                await relayed;
+            }
+            error = nextEvent(sam, 'serverError');
+            await sam.sendChat('spam 2');
+            assert((await error).message === 'CHAT_RATE_LIMITED', 'Server rate limit');
+            samClient.chatSentAt = samClient.chatSentAt.map(t => t - 60000);
+            const again = nextEvent(rosa, 'chatMessage');
+            await sam.sendChat('spam 3');
+            assert((await again).text === 'spam 3', 'Window slides');
+            server.chatRateLimit = { messages: 5, windowMs: 10000 };
+
+            manager._chatSentAt = [];
+            let sent = 0;
+            while (manager.sendChat('hi ' + sent)) sent++;
+            assert(sent === 5 && refused[refused.length - 1] === 'CHAT_RATE_LIMITED', 'Manager applies the rate limit before sending');
+            manager.leaveRoom();
+            assert(manager.getChatHistory().length === 0 && !manager.sendChat('hello?') &&
+                refused[refused.length - 1] === 'NOT_IN_ROOM', 'Leaving clears the chat');
+            for (const socket of [quin, rosa, sam]) socket.disconnect();
+        }
+        print('  Chat: OK\n');
+    } finally {
+        for (const client of clients) client.disconnect();
+        await server.stop();
+    }
+}
+
+function runRoomTests() {
+    print('--- TEST M: Room Population ---');
+    const room = new LocalRoom({ code: 'TEST01', seed: 99, now: () => 0, bossIntervalMs: 1000 });
+    room.addPlayer('p1', 'One');
+    for (let i = 0; i < 100; i++) room.tick(50);
+    const events = room.drainEvents();
+    assert(room.fish.size === 13, 'One fish per spawn interval plus the boss (' + room.fish.size + ')');
+    assert(events.filter(e => e.type === 'bossSpawn').length === 1, 'Boss timer spawns one boss at a time');
+    assert(Array.from(room.fish.values()).every(f => ROOM_FISH_TYPES[f.typeId] === f.type), 'typeId indexes ROOM_FISH_TYPES');
+
+    const again = new LocalRoom({ code: 'TEST02', seed: 99, now: () => 0, bossIntervalMs: 1000 });
+    again.addPlayer('p1', 'One');
+    for (let i = 0; i < 100; i++) again.tick(50);
+    assert(JSON.stringify(again.snapshot()) === JSON.stringify(room.snapshot()).replace('TEST01', 'TEST02'), 'Same seed, same room');
+
+    for (let i = 2; i <= 4; i++) room.addPlayer('p' + i, 'P' + i);
+    assert(room.addPlayer('p5', 'Five') === null, 'Fifth player refused');
+    print('  Room Population: OK\n');
+}
+
+runServerTests().catch((error) => {
+    failed++;
+    print('  FAIL: ' + error.message);
+}).then(() => {
+    runRoomTests();
+    print('\n========================================');
+    print(`RESULTS: ${passed} passed, ${failed} failed`);
+    print('========================================');
+    process.exit(failed > 0 ? 1 : 0);
+});
@@ -0,0 +1,537 @@
+/**
+ * 3D Fish Shooting Game - Local Room Simulation
+ * Authoritative fish / bullet / wallet state for one room of the local
+ * reference server (local_game_server.js).
+ *
+ * Coordinates are the server 2D plane the client already maps with
+ * world = server * 10: x in [-90, 90], z in [-60, 60], cannons on z = 55.
+ * Kill decisions go through the shared RTP engine (rtp_engine.js) with the
+ * same weapon paths as single-player: 1x single target, 3x three shotgun
+ * pellets, 5x rocket splash, 8x laser line.
+ *
+ * The room owns no timers or sockets: the server calls tick(dtMs) and sends
+ * whatever drainEvents() returns, so tests can step it deterministically.
+ * All money is integer FP (RTP_MONEY_SCALE = 1000).
+ */
+
+const {
+    RTP_MONEY_SCALE,
+    RTP_WEAPON_COST_FP,
+    FISH_SPECIES_TO_RTP_TIER,
+    FISH_SPECIES_ABILITY,
+    createSeededRandom,
+    ClientRTPPhase1
+} = require('./rtp_engine');
+
+const ROOM_MAP_BOUNDS = { x: 90, z: 60 };
+const ROOM_MAX_PLAYERS = 4;
+const ROOM_CANNON_X = [-60, -20, 20, 60];
+const ROOM_CANNON_Z = 55;
+const ROOM_START_BALANCE_FP = 1000 * RTP_MONEY_SCALE;
+const ROOM_BULLET_SPEED = 150;          // units per second
+const ROOM_ROCKET_SPLASH_RADIUS = 12;
+const ROOM_SPAWN_INTERVAL_MS = 400;
+
+// Coin value stops (game.js COIN_VALUE_STOPS); a room's stake is a range of them
+const ROOM_COIN_VALUES = [1, 3, 5, 10];
+
+// FISH_SPAWN carries the species as a uint8 index into this list
+const ROOM_FISH_TYPES = Object.keys(FISH_SPECIES_TO_RTP_TIER);
+
+// Per-tier simulation stats; hp is cosmetic, the RTP engine decides kills
+const ROOM_FISH_TIER_SIM = {
+    boss: { hp: 800, radius: 9,   speedMin: 3, speedMax: 5 },
+    t1:   { hp: 400, radius: 6,   speedMin: 5, speedMax: 9 },
+    t2:   { hp: 180, radius: 4,   speedMin: 7, speedMax: 12 },
+    t3:   { hp: 60,  radius: 2.5, speedMin: 9, speedMax: 16 }
+};
+
+// Regular spawns only; bosses come from the boss timer
+const ROOM_SPAWN_TIER_WEIGHTS = [['t1', 0.1], ['t2', 0.3], ['t3', 0.6]];
+
+const ROOM_WEAPON_TYPES = { '1x': 'single', '3x': 'shotgun', '5x': 'rocket', '8x': 'laser' };
+
+// BALANCE_UPDATE reasonCode; RESUME restates the balance after a session resume (local_game_server.js)
+const BALANCE_REASON = { JOIN: 0, BET: 1, WIN: 2, RESUME: 3 };
+
+const ROOM_DEFAULTS = {
+    targetFishCount: 20,
+    bossIntervalMs: 60000,              // 0 disables the boss timer
+    startBalanceFp: ROOM_START_BALANCE_FP,
+    minCoinValue: ROOM_COIN_VALUES[0],
+    maxCoinValue: ROOM_COIN_VALUES[ROOM_COIN_VALUES.length - 1]
+};
+
+// Ability fish are single-player only for now: rooms do not run their strikes
+function speciesOfTier(tier) {
+    return ROOM_FISH_TYPES.filter(species => FISH_SPECIES_TO_RTP_TIER[species] === tier && !FISH_SPECIES_ABILITY[species]);
+}
+
+class LocalRoom {
+    /**
+     * @param {object} options
+     * @param {string} options.code - 6-character room code
+     * @param {boolean} [options.isPublic]
+     * @param {number} [options.seed] - spawn and kill-roll seed
+     * @param {object} [options.profile] - RTP profile (default: built-in)
+     * @param {function(): number} [options.now] - wall clock for snapshot timestamps
+     * @param {number} [options.targetFishCount]
+     * @param {number} [options.bossIntervalMs]
+     * @param {number} [options.startBalanceFp]
+     * @param {number} [options.minCoinValue] - stake range shown in the room list
+     * @param {number} [options.maxCoinValue]
+     */
+    constructor(options) {
+        const config = Object.assign({}, ROOM_DEFAULTS, options);
+        this.code = config.code;
+        this.isPublic = config.isPublic !== false;
+        this.now = config.now || Date.now;
+        this.targetFishCount = config.targetFishCount;
+        this.bossIntervalMs = config.bossIntervalMs;
+        this.startBalanceFp = config.startBalanceFp;
+        this.minCoinValue = config.minCoinValue;
+        this.maxCoinValue = config.maxCoinValue;
+
+        const seed = (config.seed >>> 0) || 1;
+        this.random = createSeededRandom(seed);
+        this.engine = new ClientRTPPhase1({ seed: (seed ^ 0x0C0FFEE) >>> 0, profile: config.profile });
+
+        this.players = new Map();
+        this.fish = new Map();
+        this.bullets = new Map();
+        this.events = [];
+        this.timeMs = 0;
+        this.spawnTimerMs = 0;
+        this.bossTimerMs = 0;
+        this.fishCounter = 0;
+        this.bulletCounter = 0;
+    }
+
+    _emit(type, data, to = null) {
+        this.events.push({ type, to, data });
+    }
+
+    /** Events produced since the last call, in order. */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    _randomRange(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    // ==================== PLAYERS ====================
+
+    /** @returns {object|null} the player, or null when every slot is taken */
+    addPlayer(playerId, playerName) {
+        if (this.players.has(playerId)) return this.players.get(playerId);
+        const used = new Set(Array.from(this.players.values(), p => p.slotIndex));
+        let slotIndex = 0;
+        while (used.has(slotIndex)) slotIndex++;
+        if (slotIndex >= ROOM_MAX_PLAYERS) return null;
+
+        const player = {
+            id: playerId,
+            playerName: playerName || 'Player',
+            slotIndex,
+            isHost: this.players.size === 0,
+            balanceFp: this.startBalanceFp,
+            weapon: '1x',
+            cannon: { x: ROOM_CANNON_X[slotIndex], y: 0, z: ROOM_CANNON_Z },
+            lastShotSequenceId: 0
+        };
+        this.players.set(playerId, player);
+        return player;
+    }
+
+    /** Host passes to the lowest remaining slot. */
+    removePlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return null;
+        this.players.delete(playerId);
+        for (const [bulletId, bullet] of this.bullets) {
+            if (bullet.owner === playerId) this.bullets.delete(bulletId);
+        }
+        if (player.isHost && this.players.size > 0) {
+            const next = Array.from(this.players.values()).sort((a, b) => a.slotIndex - b.slotIndex)[0];
+            next.isHost = true;
+        }
+        return player;
+    }
+
+    isEmpty() {
+        return this.players.size === 0;
+    }
+
+    isFull() {
+        return this.players.size >= ROOM_MAX_PLAYERS;
+    }
+
+    /** @param {number} coinValue - 0 matches any stake */
+    acceptsCoinValue(coinValue) {
+        return !coinValue || (coinValue >= this.minCoinValue && coinValue <= this.maxCoinValue);
+    }
+
+    setWeapon(playerId, weaponKey) {
+        const player = this.players.get(playerId);
+        if (!player || !ROOM_WEAPON_TYPES[weaponKey]) return false;
+        player.weapon = weaponKey;
+        return true;
+    }
+
+    setCannon(playerId, x, y, z) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        player.cannon.y = y;
+        // Cannons stay on their slot; only the aim point is mirrored to others
+        player.aim = { x, z };
+    }
+
+    // ==================== FISH ====================
+
+    /**
+     * Spawn one fish. Without a position it enters from a random side edge
+     * and swims across the tank.
+     * @param {string} species - key of FISH_SPECIES_TO_RTP_TIER
+     * @param {{x?: number, z?: number, vx?: number, vz?: number}} [options]
+     */
+    spawnFish(species, options = {}) {
+        const tier = FISH_SPECIES_TO_RTP_TIER[species];
+        if (!tier) throw new Error('Unknown fish species: ' + species);
+        const sim = ROOM_FISH_TIER_SIM[tier];
+
+        let { x, z, vx, vz } = options;
+        if (x === undefined || z === undefined) {
+            const fromLeft = this.random() < 0.5;
+            const speed = this._randomRange(sim.speedMin, sim.speedMax);
+            const angle = this._randomRange(-0.3, 0.3);
+            x = fromLeft ? -ROOM_MAP_BOUNDS.x - sim.radius : ROOM_MAP_BOUNDS.x + sim.radius;
+            z = this._randomRange(-ROOM_MAP_BOUNDS.z + 10, ROOM_CANNON_Z - 20);
+            vx = (fromLeft ? 1 : -1) * speed * Math.cos(angle);
+            vz = speed * Math.sin(angle);
+        }
+
+        const fish = {
+            id: 'f' + (++this.fishCounter),
+            type: species,
+            typeId: ROOM_FISH_TYPES.indexOf(species),
+            tier,
+            x, y: 0, z,
+            vx: vx || 0,
+            vz: vz || 0,
+            hp: sim.hp,
+            maxHp: sim.hp,
+            radius: sim.radius,
+            isBoss: tier === 'boss'
+        };
+        this.fish.set(fish.id, fish);
+        this._emit('fishSpawn', fish);
+        if (fish.isBoss) this._emit('bossSpawn', { fishId: fish.id, type: species, hp: fish.hp, maxHp: fish.maxHp });
+        return fish;
+    }
+
+    _spawnRandomFish() {
+        let roll = this.random();
+        let tier = ROOM_SPAWN_TIER_WEIGHTS[ROOM_SPAWN_TIER_WEIGHTS.length - 1][0];
+        for (const [candidate, weight] of ROOM_SPAWN_TIER_WEIGHTS) {
+            if (roll < weight) { tier = candidate; break; }
+            roll -= weight;
+        }
+        const choices = speciesOfTier(tier);
+        return this.spawnFish(choices[Math.floor(this.random() * choices.length)]);
+    }
+
+    _hasBoss() {
+        for (const fish of this.fish.values()) {
+            if (fish.isBoss) return true;
+        }
+        return false;
+    }
+
+    _removeFish(fish) {
+        this.fish.delete(fish.id);
+        this.engine.clearFishStates(fish.id);
+    }
+
+    // ==================== SHOOTING ====================
+
+    /**
+     * Charge a shot and launch it from the player's cannon toward the target.
+     * Lasers resolve immediately; other weapons fly as bullets until tick()
+     * finds a collision or they reach the target.
+     * @returns {{ok: boolean, reason?: string, bulletId?: string}}
+     */
+    fire(playerId, shot) {
+        const player = this.players.get(playerId);
+        if (!player) return { ok: false, reason: 'NOT_IN_ROOM' };
+        const weaponKey = shot.weaponKey || player.weapon;
+        if (!ROOM_WEAPON_TYPES[weaponKey]) return { ok: false, reason: 'INVALID_WEAPON' };
+        if (!Number.isFinite(shot.targetX) || !Number.isFinite(shot.targetZ)) {
+            return { ok: false, reason: 'INVALID_COORDINATES' };
+        }
+        if (!(shot.shotSequenceId > player.lastShotSequenceId)) return { ok: false, reason: 'SHOT_REPLAY' };
+
+        const costFp = RTP_WEAPON_COST_FP[weaponKey];
+        if (player.balanceFp < costFp) return { ok: false, reason: 'INSUFFICIENT_BALANCE' };
+
+        player.lastShotSequenceId = shot.shotSequenceId;
+        player.weapon = weaponKey;
+        player.balanceFp -= costFp;
+        this._emitBalance(player, -costFp, BALANCE_REASON.BET);
+
+        const origin = { x: player.cannon.x, z: player.cannon.z };
+        const target = {
+            x: Math.max(-ROOM_MAP_BOUNDS.x, Math.min(ROOM_MAP_BOUNDS.x, shot.targetX)),
+            z: Math.max(-ROOM_MAP_BOUNDS.z, Math.min(ROOM_MAP_BOUNDS.z, shot.targetZ))
+        };
+        const dx = target.x - origin.x;
+        const dz = target.z - origin.z;
+        const distance = Math.hypot(dx, dz) || 1;
+        const dirX = dx / distance;
+        const dirZ = dz / distance;
+
+        if (ROOM_WEAPON_TYPES[weaponKey] === 'laser') {
+            // The beam crosses the whole tank, not just up to the aim point
+            const reach = Math.hypot(ROOM_MAP_BOUNDS.x * 2, ROOM_MAP_BOUNDS.z * 2);
+            const hitFish = this._fishAlongSegment(origin.x, origin.z, dirX * reach, dirZ * reach, 0);
+            this._resolveHits(player, weaponKey, shot.shotSequenceId, hitFish);
+            return { ok: true };
+        }
+
+        const bullet = {
+            id: 'b' + (++this.bulletCounter),
+            owner: playerId,
+            weapon: weaponKey,
+            shotSequenceId: shot.shotSequenceId,
+            x: origin.x,
+            z: origin.z,
+            vx: dirX * ROOM_BULLET_SPEED,
+            vz: dirZ * ROOM_BULLET_SPEED,
+            remaining: distance,
+            target
+        };
+        this.bullets.set(bullet.id, bullet);
+        return { ok: true, bulletId: bullet.id };
+    }
+
+    /** Fish whose circle the segment passes through, nearest first. */
+    _fishAlongSegment(x, z, dx, dz, padding) {
+        const lengthSq = dx * dx + dz * dz;
+        const hits = [];
+        for (const fish of this.fish.values()) {
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((fish.x - x) * dx + (fish.z - z) * dz) / lengthSq)) : 0;
+            const px = x + dx * t - fish.x;
+            const pz = z + dz * t - fish.z;
+            const reach = fish.radius + padding;
+            if (px * px + pz * pz <= reach * reach) hits.push({ fish, t });
+        }
+        hits.sort((a, b) => a.t - b.t);
+        return hits.map(h => h.fish);
+    }
+
+    _fishInRadius(x, z, radius) {
+        const hits = [];
+        for (const fish of this.fish.values()) {
+            const d = Math.hypot(fish.x - x, fish.z - z);
+            if (d <= radius + fish.radius) hits.push({ fish, d });
+        }
+        hits.sort((a, b) => a.d - b.d);
+        return hits.map(h => h.fish);
+    }
+
+    /**
+     * Settle one shot against the fish it reached (nearest first) and send
+     * HIT_RESULT to the shooter, also for misses (empty hit list).
+     */
+    _resolveHits(player, weaponKey, shotSequenceId, hitFish) {
+        const results = new Map();
+        if (hitFish.length > 0) {
+            const weaponType = ROOM_WEAPON_TYPES[weaponKey];
+            if (weaponType === 'single') {
+                const fish = hitFish[0];
+                hitFish = [fish];
+                results.set(fish.id, this.engine.handleSingleTargetHit(player.id, fish.id, weaponKey, fish.tier, false, 1));
+            } else if (weaponType === 'shotgun') {
+                const fish = hitFish[0];
+                hitFish = [fish];
+                for (let pellet = 0; pellet < 3; pellet++) {
+                    const result = this.engine.handleShotgunHit(player.id, fish.id, weaponKey, fish.tier, false, 1);
+                    results.set(fish.id, result);
+                    if (result.kill) break;
+                }
+            } else {
+                const list = hitFish.map(fish => ({ fishId: fish.id, tier: fish.tier }));
+                for (const result of this.engine.handleMultiTargetHit(player.id, list, weaponKey, weaponType, false, 1)) {
+                    results.set(result.fishId, result);
+                }
+            }
+        }
+
+        const damage = Math.floor(RTP_WEAPON_COST_FP[weaponKey] / RTP_MONEY_SCALE) * 10;
+        const hits = [];
+        let totalReward = 0;
+        for (const fish of hitFish) {
+            const result = results.get(fish.id);
+            const killed = !!(result && result.kill);
+            fish.hp = killed ? 0 : Math.max(1, fish.hp - damage);
+            hits.push({ fishId: fish.id, damage, newHealth: fish.hp });
+            if (killed) {
+                totalReward += result.rewardFp;
+                this._removeFish(fish);
+                this._emit('fishDeath', {
+                    fishId: fish.id,
+                    killedBy: player.id,
+                    reward: result.rewardFp,
+                    typeName: fish.type,
+                    tier: fish.tier,
+                    isBoss: fish.isBoss,
+                    position: { x: fish.x, z: fish.z }
+                });
+                if (fish.isBoss) this._emit('bossDeath', { fishId: fish.id, killedBy: player.id, reward: result.rewardFp });
+            } else if (fish.isBoss) {
+                this._emit('bossDamage', { fishId: fish.id, playerId: player.id, hp: fish.hp, maxHp: fish.maxHp });
+            }
+        }
+
+        if (totalReward > 0) {
+            player.balanceFp += totalReward;
+            this._emitBalance(player, totalReward, BALANCE_REASON.WIN);
+        }
+        this._emit('hitResult', {
+            shotSequenceId,
+            hits,
+            totalDamage: damage * hits.length,
+            totalReward,
+            newBalance: player.balanceFp / RTP_MONEY_SCALE
+        }, player.id);
+    }
+
+    _emitBalance(player, changeFp, reasonCode) {
+        this._emit('balanceUpdate', {
+            playerId: player.id,
+            balance: player.balanceFp / RTP_MONEY_SCALE,
+            change: changeFp,
+            reasonCode
+        }, player.id);
+    }
+
+    // ==================== SIMULATION ====================
+
+    /** Advance fish, bullets, spawns and the boss timer by dtMs. */
+    tick(dtMs) {
+        const dt = dtMs / 1000;
+        this.timeMs += dtMs;
+
+        for (const fish of Array.from(this.fish.values())) {
+            fish.x += fish.vx * dt;
+            fish.z += fish.vz * dt;
+            if (Math.abs(fish.x) > ROOM_MAP_BOUNDS.x + fish.radius * 2 ||
+                Math.abs(fish.z) > ROOM_MAP_BOUNDS.z + fish.radius * 2) {
+                this._removeFish(fish);
+            }
+        }
+
+        for (const bullet of Array.from(this.bullets.values())) {
+            const player = this.players.get(bullet.owner);
+            const step = Math.min(ROOM_BULLET_SPEED * dt, bullet.remaining);
+            const dx = bullet.vx / ROOM_BULLET_SPEED * step;
+            const dz = bullet.vz / ROOM_BULLET_SPEED * step;
+            const struck = this._fishAlongSegment(bullet.x, bullet.z, dx, dz, 0);
+            bullet.remaining -= step;
+
+            if (struck.length > 0 || bullet.remaining <= 0) {
+                this.bullets.delete(bullet.id);
+                if (!player) continue;
+                let hitFish = struck;
+                if (ROOM_WEAPON_TYPES[bullet.weapon] === 'rocket') {
+                    // Rockets burst on contact or at the aim point
+                    const at = struck.length > 0 ? struck[0] : bullet.target;
+                    hitFish = this._fishInRadius(at.x, at.z, ROOM_ROCKET_SPLASH_RADIUS);
+                }
+                this._resolveHits(player, bullet.weapon, bullet.shotSequenceId, hitFish);
+            } else {
+                bullet.x += dx;
+                bullet.z += dz;
+            }
+        }
+
+        this.spawnTimerMs += dtMs;
+        while (this.spawnTimerMs >= ROOM_SPAWN_INTERVAL_MS) {
+            this.spawnTimerMs -= ROOM_SPAWN_INTERVAL_MS;
+            if (this.fish.size < this.targetFishCount) this._spawnRandomFish();
+        }
+
+        if (this.bossIntervalMs > 0) {
+            if (this._hasBoss()) {
+                this.bossTimerMs = 0;
+            } else {
+                this.bossTimerMs += dtMs;
+                if (this.bossTimerMs >= this.bossIntervalMs) {
+                    this.bossTimerMs = 0;
+                    const bosses = speciesOfTier('boss');
+                    this.spawnFish(bosses[Math.floor(this.random() * bosses.length)]);
+                }
+            }
+        }
+    }
+
+    getPlayerList() {
+        return Array.from(this.players.values()).map(p => ({
+            id: p.id,
+            playerName: p.playerName,
+            slotIndex: p.slotIndex,
+            isHost: p.isHost,
+            balance: p.balanceFp / RTP_MONEY_SCALE,
+            weapon: p.weapon,
+            aim: p.aim || null
+        }));
+    }
+
+    /** One room-list entry; the server adds what it owns (profile, spectators). */
+    getListing() {
+        const host = Array.from(this.players.values()).find(p => p.isHost);
+        return {
+            roomCode: this.code,
+            playerCount: this.players.size,
+            maxPlayers: ROOM_MAX_PLAYERS,
+            hostName: host ? host.playerName : null,
+            minCoinValue: this.minCoinValue,
+            maxCoinValue: this.maxCoinValue
+        };
+    }
+
+    /** ROOM_SNAPSHOT payload in the shape MultiplayerManager._handleGameState reads. */
+    snapshot() {
+        return {
+            timestamp: this.now(),
+            roomCode: this.code,
+            fish: Array.from(this.fish.values(), f => ({
+                id: f.id, type: f.type, tier: f.tier,
+                x: f.x, y: f.y, z: f.z, vx: f.vx, vz: f.vz,
+                hp: f.hp, maxHp: f.maxHp, isBoss: f.isBoss
+            })),
+            bullets: Array.from(this.bullets.values(), b => ({
+                id: b.id, owner: b.owner, weapon: b.weapon,
+                x: b.x, z: b.z, vx: b.vx, vz: b.vz
+            })),
+            players: this.getPlayerList()
+        };
+    }
+}
+
+module.exports = {
+    ROOM_MAP_BOUNDS,
+    ROOM_MAX_PLAYERS,
+    ROOM_COIN_VALUES,
+    ROOM_CANNON_X,
+    ROOM_CANNON_Z,
+    ROOM_START_BALANCE_FP,
+    ROOM_BULLET_SPEED,
+    ROOM_ROCKET_SPLASH_RADIUS,
+    ROOM_FISH_TYPES,
+    ROOM_FISH_TIER_SIM,
+    BALANCE_REASON,
+    LocalRoom
+};
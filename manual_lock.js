@@ -0,0 +1,94 @@
+/**
+ * 3D Fish Shooting Game - Manual Lock-On
+ * Which fish an L / middle click pins, and when a lock lets go.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./manual_lock') from Node tests.
+ *
+ * TargetingService keeps the lock state and drives the turret; these helpers
+ * only decide. Fish are the live game objects:
+ *   { rtpFishId, isActive, hp, boundingRadius, group }
+ * and anything that needs the camera is passed in:
+ *   projectNdc(fish)    normalised device coords { x, y, z } of the fish
+ *   inDropBounds(fish)  still on screen within DROP_SCREEN_MARGIN
+ */
+
+const MANUAL_LOCK_PICK = {
+    radius: 0.08,           // NDC pick radius around a fish centre
+    defaultSize: 30,        // boundingRadius assumed when a fish has none
+    sizeScale: 60,          // Every 60 units of boundingRadius widens the pick by one radius
+    maxSizeBonus: 2.0       // Big fish pick at most 3x wider
+};
+
+// Alive and not yet killed (hp may be absent on fish without an hp pool)
+function isLiveFish(fish) {
+    if (!fish || !fish.isActive) return false;
+    return !(fish.hp !== undefined && fish.hp <= 0);
+}
+
+// Fish a lock may hold: alive and on screen
+function isLockableFish(fish, inDropBounds) {
+    return isLiveFish(fish) && inDropBounds(fish);
+}
+
+// Live fish drawn closest to a screen point (pixels), or null.
+// Same NDC pick as the scope HUD: bigger fish get a bigger pick radius.
+function pickFishAtScreenPoint(fishes, screenX, screenY, viewport, projectNdc) {
+    const px = (screenX / viewport.width) * 2 - 1;
+    const py = -(screenY / viewport.height) * 2 + 1;
+    const p = MANUAL_LOCK_PICK;
+    let best = null, bestDist = Infinity;
+    for (let i = 0; i < fishes.length; i++) {
+        const fish = fishes[i];
+        if (!isLiveFish(fish) || !fish.group) continue;
+        const ndc = projectNdc(fish);
+        if (ndc.z < -1 || ndc.z > 1) continue;  // Behind the camera or past the far plane
+        const d = Math.sqrt((ndc.x - px) * (ndc.x - px) + (ndc.y - py) * (ndc.y - py));
+        const sizeBonus = Math.min((fish.boundingRadius || p.defaultSize) / p.sizeScale, p.maxSizeBonus);
+        if (d < p.radius * (1 + sizeBonus) && d < bestDist) {
+            best = fish;
+            bestDist = d;
+        }
+    }
+    return best;
+}
+
+// What a lock-on press does: 'pin' the picked fish, 'release' the pin, or null.
+//   ctx: { inGame, weaponSelected, autoShoot, spectator, picked, pinnedId }
+//   picked    fish under the press (null on open water)
+//   pinnedId  rtpFishId of the pinned fish, null when nothing is pinned
+// AUTO owns the turret, so a press does nothing while it is on.
+function manualLockAction(ctx) {
+    if (!ctx.inGame || !ctx.weaponSelected || ctx.autoShoot || ctx.spectator) return null;
+    if (ctx.picked && ctx.picked.rtpFishId !== ctx.pinnedId) return 'pin';
+    return ctx.pinnedId ? 'release' : null;
+}
+
+// Sticky lock check, run every tick for auto-fire locks and pins alike.
+// Returns { fish, reason: null } while lockedId still names a lockable fish,
+// else { fish: null, reason } for the drop log. The lookup goes by id: a
+// pooled fish that respawned carries a new rtpFishId and no longer matches.
+function resolveLockedFish(fishes, lockedId, inDropBounds) {
+    if (!lockedId) return { fish: null, reason: 'null' };
+    let fish = null;
+    for (let i = 0; i < fishes.length; i++) {
+        if (fishes[i] && fishes[i].rtpFishId === lockedId) { fish = fishes[i]; break; }
+    }
+    if (!fish) return { fish: null, reason: 'not-in-activeFish' };
+    if (!fish.isActive) return { fish: null, reason: 'dead/inactive' };
+    if (fish.hp !== undefined && fish.hp <= 0) return { fish: null, reason: 'hp<=0' };
+    if (!inDropBounds(fish)) return { fish: null, reason: 'off-screen' };
+    return { fish, reason: null };
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MANUAL_LOCK_PICK,
+        isLiveFish,
+        isLockableFish,
+        pickFishAtScreenPoint,
+        manualLockAction,
+        resolveLockedFish
+    };
+}
@@ -0,0 +1,157 @@
+const {
+    MANUAL_LOCK_PICK,
+    isLockableFish,
+    pickFishAtScreenPoint,
+    manualLockAction,
+    resolveLockedFish
+} = require('./manual_lock');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+const VIEWPORT = { width: 1000, height: 500 };
+
+// Live fish as game.js holds it; ndc stands in for its camera projection
+function fish(id, ndcX, ndcY, extra) {
+    return Object.assign({
+        rtpFishId: 'f' + id, isActive: true, hp: 100, boundingRadius: 30,
+        group: { position: {} },
+        ndc: { x: ndcX, y: ndcY, z: 0.5 }
+    }, extra);
+}
+const projectNdc = f => f.ndc;
+const onScreen = f => Math.abs(f.ndc.x) <= 1.3 && Math.abs(f.ndc.y) <= 1.3;
+
+// Pixel point over an NDC position
+function pixelsAt(ndcX, ndcY) {
+    return [(ndcX + 1) / 2 * VIEWPORT.width, (1 - ndcY) / 2 * VIEWPORT.height];
+}
+function pickAt(fishes, ndcX, ndcY) {
+    const [x, y] = pixelsAt(ndcX, ndcY);
+    return pickFishAtScreenPoint(fishes, x, y, VIEWPORT, projectNdc);
+}
+
+// Lock-on press with AUTO off and no pin unless the test says otherwise
+function press(extra) {
+    return manualLockAction(Object.assign({
+        inGame: true, weaponSelected: true, autoShoot: false, spectator: false,
+        picked: null, pinnedId: null
+    }, extra));
+}
+
+console.log('=== Manual Lock-On Unit Tests ===\n');
+
+console.log('--- TEST A: fishAtScreenPoint Picks ---');
+{
+    const a = fish(1, 0.2, -0.4);
+    const b = fish(2, 0.28, -0.4);
+    assert(pickAt([a, b], 0.2, -0.4) === a, 'Press over a fish centre picks it');
+    assert(pickAt([a, b], 0.25, -0.4) === b, 'Overlapping fish: the closer centre wins');
+    assert(pickAt([b, a], 0.2, -0.4) === a, 'Pick does not depend on activeFish order');
+
+    // Pixel conversion: +y is up in NDC, down on screen
+    assert(pickFishAtScreenPoint([a], 600, 350, VIEWPORT, projectNdc) === a, 'Pixels map to NDC with y flipped');
+
+    const edge = MANUAL_LOCK_PICK.radius * 1.5;  // 30-unit fish: bonus 0.5
+    assert(pickAt([a], 0.2 + edge - 0.001, -0.4) === a, 'Inside the size-scaled radius picks');
+    assert(pickAt([a], 0.2 + edge + 0.001, -0.4) === null, 'Just past the radius misses');
+
+    const whale = fish(3, -0.5, 0, { boundingRadius: 400 });
+    const cap = MANUAL_LOCK_PICK.radius * (1 + MANUAL_LOCK_PICK.maxSizeBonus);
+    assert(pickAt([whale], -0.5 + cap - 0.001, 0) === whale, 'Big fish pick wider');
+    assert(pickAt([whale], -0.5 + cap + 0.001, 0) === null, 'Size bonus is capped');
+
+    const unsized = fish(4, 0, 0, { boundingRadius: undefined });
+    assert(pickAt([unsized], MANUAL_LOCK_PICK.radius * 1.5 - 0.001, 0) === unsized, 'Missing boundingRadius counts as 30 units');
+}
+console.log('  Picks: OK\n');
+
+console.log('--- TEST B: Clicks That Hit No Fish ---');
+{
+    assert(pickAt([], 0, 0) === null, 'Empty tank picks nothing');
+    assert(pickAt([fish(1, 0.8, 0.8)], -0.8, -0.8) === null, 'Open water picks nothing');
+    assert(pickAt([fish(1, 0, 0, { hp: 0 })], 0, 0) === null, 'Fish at hp 0 is not picked');
+    assert(pickAt([fish(1, 0, 0, { isActive: false })], 0, 0) === null, 'Inactive fish is not picked');
+    assert(pickAt([fish(1, 0, 0, { ndc: { x: 0, y: 0, z: 1.2 } })], 0, 0) === null, 'Fish behind the camera is not picked');
+    assert(pickAt([fish(1, 0, 0, { group: null })], 0, 0) === null, 'Fish without a model is not picked');
+    assert(pickAt([null, fish(2, 0, 0, { hp: undefined })], 0, 0).rtpFishId === 'f2', 'Empty slots skipped; fish without an hp pool pickable');
+
+    // A miss releases an existing pin and is a no-op otherwise
+    assert(press({ picked: null }) === null, 'Miss with nothing pinned does nothing');
+    assert(press({ picked: null, pinnedId: 'f7' }) === 'release', 'Miss while pinned releases the pin');
+}
+console.log('  Misses: OK\n');
+
+console.log('--- TEST C: toggleManualLock and AUTO ---');
+{
+    const a = fish(1, 0, 0);
+    const b = fish(2, 0.5, 0);
+    assert(press({ picked: a }) === 'pin', 'Press on a fish pins it');
+    assert(press({ picked: a, pinnedId: 'f1' }) === 'release', 'Press on the pinned fish releases it');
+    assert(press({ picked: b, pinnedId: 'f1' }) === 'pin', 'Press on another fish moves the pin');
+
+    // AUTO owns the turret: no pin, no release while it is on
+    assert(press({ picked: a, autoShoot: true }) === null, 'AUTO on: a press does not pin');
+    assert(press({ picked: null, pinnedId: 'f1', autoShoot: true }) === null, 'AUTO on: a press does not release');
+
+    // An auto-fire lock on the fish is not a pin, so a press pins it
+    assert(press({ picked: a, pinnedId: null }) === 'pin', 'Fish held by an AUTO lock can still be pinned');
+
+    assert(press({ picked: a, spectator: true }) === null, 'Spectators cannot lock on');
+    assert(press({ picked: a, inGame: false }) === null, 'Outside the game scene nothing happens');
+    assert(press({ picked: a, weaponSelected: false }) === null, 'No weapon selected, nothing happens');
+}
+console.log('  Toggle: OK\n');
+
+console.log('--- TEST D: pinManualLock Validity and Drops ---');
+{
+    // pinManualLock refuses fish the lock would drop straight away
+    assert(isLockableFish(fish(1, 0, 0), onScreen), 'Live on-screen fish can be pinned');
+    assert(!isLockableFish(fish(1, 0, 0, { hp: 0 }), onScreen), 'Dying fish cannot be pinned');
+    assert(!isLockableFish(fish(1, 1.5, 0), onScreen), 'Fish past the drop margin cannot be pinned');
+    assert(!isLockableFish(null, onScreen), 'No fish, no pin');
+
+    const pinned = fish(5, 0.1, 0.1);
+    const other = fish(6, -0.3, 0);
+    const tank = [other, pinned];
+    let lock = resolveLockedFish(tank, 'f5', onScreen);
+    assert(lock.fish === pinned && lock.reason === null, 'Pin holds while the fish is alive and on screen');
+
+    pinned.ndc = { x: 1.2, y: 0, z: 0.5 };
+    assert(resolveLockedFish(tank, 'f5', onScreen).fish === pinned, 'Pin holds inside the drop hysteresis');
+
+    pinned.hp = 0;
+    lock = resolveLockedFish(tank, 'f5', onScreen);
+    assert(lock.fish === null && lock.reason === 'hp<=0', 'Pin drops when the fish is killed');
+
+    pinned.hp = 100;
+    pinned.isActive = false;
+    lock = resolveLockedFish(tank, 'f5', onScreen);
+    assert(lock.fish === null && lock.reason === 'dead/inactive', 'Pin drops when the fish dies or despawns');
+
+    lock = resolveLockedFish([other], 'f5', onScreen);
+    assert(lock.fish === null && lock.reason === 'not-in-activeFish', 'Pin drops when the fish leaves activeFish');
+
+    // Pooled fish come back as the same object with a fresh rtpFishId
+    pinned.isActive = true;
+    pinned.rtpFishId = 'f9';
+    lock = resolveLockedFish(tank, 'f5', onScreen);
+    assert(lock.fish === null && lock.reason === 'not-in-activeFish', 'Pin drops when the fish respawns under a new id');
+    assert(press({ picked: pinned, pinnedId: 'f5' }) === 'pin', 'Pressing the respawned fish pins it afresh, not a release');
+
+    pinned.rtpFishId = 'f5';
+    pinned.ndc = { x: 1.5, y: 0, z: 0.5 };
+    lock = resolveLockedFish(tank, 'f5', onScreen);
+    assert(lock.fish === null && lock.reason === 'off-screen', 'Pin drops past the drop margin');
+
+    assert(resolveLockedFish(tank, null, onScreen).reason === 'null', 'No lock id, nothing to resolve');
+}
+console.log('  Drops: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
@@ -7,6 +7,9 @@
  * - Real-time fish/bullet synchronization
  * - Player state synchronization
  * - Server-driven game state
+ * - Spectating (binary protocol): watch a room from any cannon or a free camera
+ * - Room browser and quick-match
+ * - Room chat and quick emotes, with muting and a filter hook
  */
 
 // Server URL - Change this for production
@@ -18,10 +21,40 @@ const MULTIPLAYER_CONFIG = {
     reconnectAttempts: 10,           // Increased for better reconnection
     reconnectDelay: 1000,
     reconnectDelayMax: 5000,         // Max delay between reconnect attempts
-    interpolationDelay: 100,         // ms delay for smooth interpolation
+    interpolationDelay: 100,         // ms delay for smooth interpolation (minimum; grows with jitter)
+    interpolationDelayMax: 500,      // Upper bound for the adaptive delay
+    jitterDelayMultiplier: 2,        // Adaptive delay = snapshot interval + multiplier × jitter
     predictionEnabled: true,         // Enable client-side prediction
     maxPredictionTime: 200,          // Max ms to predict ahead
     snapshotBufferSize: 20,          // Number of snapshots to keep for interpolation
+    timeSyncInterval: 2000,          // ms between background clock sync pings
+    timeSyncWindow: 8,               // Pongs considered by the clock filter (lowest RTT wins)
+    clockSlewRate: 20,               // Max ms per second the applied clock offset may drift toward the estimate
+    clockStepThreshold: 1000,        // Offset error (ms) above which the clock steps instead of slewing
+    timeSyncTimeout: 3000,           // ms before an unanswered ping counts as lost
+    snapshotDelta: true,             // Ask for binary delta snapshots (FISH_UPDATE, snapshot_delta.js)
+    killFeedSize: 30,                // Kills kept for the kill feed (all players)
+    chat: {
+        maxLength: 80,               // Characters per line (BinarySocket ChatLimits.MAX_LENGTH)
+        rateLimit: { messages: 5, windowMs: 10000 }, // Same sliding window the server enforces
+        historySize: 50,             // Lines kept for the chat log
+        // Quick emotes by emoteId; same order as BinarySocket ChatEmotes
+        emotes: ['Nice shot!', 'Boss incoming', 'Good luck!', 'Thanks!', 'Over here!', 'Oops!']
+    },
+    shotPrediction: {                // Local shot prediction (binary protocol; mirrors the server room layout)
+        cannonX: [-60, -20, 20, 60], // Cannon x by slotIndex, server units
+        cannonZ: 55,
+        mapBounds: { x: 90, z: 60 },
+        bulletSpeed: 150,            // Server units per second
+        rocketSplashRadius: 12,
+        fishRadius: { boss: 9, t1: 6, t2: 4, t3: 2.5 },
+        damagePerMultiplier: 10,     // Damage per shot = weapon multiplier × this
+        confirmTimeout: 2000         // ms after the predicted impact (at least 4 × RTT) before rolling back
+    },
+    wager: {                         // Responsible-gaming accounting (mirrors local_room.js)
+        weaponCostFp: { '1x': 1000, '3x': 3000, '5x': 5000, '8x': 8000 }, // Room bet per shot, FP
+        balanceReason: { BET: 1, WIN: 2 }  // BALANCE_UPDATE reasonCodes counted as wagers / wins
+    },
     networkOptimization: {
         positionPrecision: 2,        // Decimal places for position data
         anglePrecision: 3,           // Decimal places for angle data
@@ -29,6 +62,289 @@ const MULTIPLAYER_CONFIG = {
     }
 };
 
+// ?server=http://host:port points the client at another backend,
+// e.g. the local reference server (scripts/local-server.js)
+if (typeof window !== 'undefined' && window.location && window.location.search) {
+    const serverOverride = new URLSearchParams(window.location.search).get('server');
+    if (serverOverride && /^https?:\/\//.test(serverOverride)) {
+        MULTIPLAYER_CONFIG.serverUrl = serverOverride.replace(/\/+$/, '');
+    }
+}
+
+/**
+ * NTP-style filter for the server clock.
+ *
+ * Every ping/pong gives an offset estimate (serverTime + rtt/2 - now) that
+ * is off by at most rtt/2, so of the last timeSyncWindow samples the one
+ * with the lowest RTT is trusted. The applied offset slews toward that
+ * estimate at no more than clockSlewRate ms per second, so server time
+ * never jumps or runs backwards; only the first sample, or an error above
+ * clockStepThreshold, is applied at once.
+ *
+ * RTT, RTT jitter and ping loss are tracked for the network HUD.
+ */
+class ClockSync {
+    constructor(options = {}) {
+        const pick = (key, fallback) => (options[key] !== undefined ? options[key] : fallback);
+        this.windowSize = pick('windowSize', MULTIPLAYER_CONFIG.timeSyncWindow);
+        this.slewRate = pick('slewRate', MULTIPLAYER_CONFIG.clockSlewRate);
+        this.stepThreshold = pick('stepThreshold', MULTIPLAYER_CONFIG.clockStepThreshold);
+        this.pingTimeout = pick('pingTimeout', MULTIPLAYER_CONFIG.timeSyncTimeout);
+        this.lossWindow = pick('lossWindow', 20);
+        this.reset();
+    }
+    
+    reset() {
+        this.samples = [];            // [{ offset, rtt, at }], oldest first
+        this.offset = 0;              // applied offset (ms)
+        this.targetOffset = 0;        // filtered estimate the offset slews toward
+        this.synced = false;
+        this.rtt = 0;                 // smoothed RTT (ms)
+        this.minRtt = Infinity;
+        this.jitter = 0;              // smoothed |RTT(n) - RTT(n-1)| (ms)
+        this.sent = 0;
+        this.received = 0;
+        this.lost = 0;
+        this._lastRtt = null;
+        this._lastSlewAt = null;
+        this._outstanding = new Map(); // ping seq -> send time
+        this._outcomes = [];          // recent pings: true answered, false lost
+    }
+    
+    pingSent(seq, now) {
+        this._outstanding.set(seq, now);
+        this.sent++;
+    }
+    
+    /**
+     * Record a pong.
+     * @param {number} seq - ping sequence
+     * @param {number} clientSendTime - local time the ping left (ms)
+     * @param {number} serverTime - server clock when it answered (ms)
+     * @param {number} now - local receive time (ms)
+     * @returns {boolean} false if the sample was unusable
+     */
+    addSample(seq, clientSendTime, serverTime, now) {
+        const rtt = now - clientSendTime;
+        if (!Number.isFinite(rtt) || rtt < 0 || !Number.isFinite(serverTime)) return false;
+        
+        if (this._outstanding.delete(seq)) this._recordOutcome(true);
+        this.received++;
+        
+        if (this._lastRtt !== null) this.jitter += (Math.abs(rtt - this._lastRtt) - this.jitter) / 16;
+        this._lastRtt = rtt;
+        this.rtt = this.received === 1 ? rtt : this.rtt + (rtt - this.rtt) / 8;
+        this.minRtt = Math.min(this.minRtt, rtt);
+        
+        // Finish slewing toward the old estimate before switching to the new one
+        this.offsetAt(now);
+        this.samples.push({ offset: serverTime + rtt / 2 - now, rtt, at: now });
+        while (this.samples.length > this.windowSize) this.samples.shift();
+        const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.targetOffset = best.offset;
+        
+        if (!this.synced || Math.abs(this.targetOffset - this.offset) > this.stepThreshold) {
+            this.offset = this.targetOffset;
+            this.synced = true;
+        }
+        this._lastSlewAt = now;
+        return true;
+    }
+    
+    /** Count pings unanswered for pingTimeout as lost. */
+    expire(now) {
+        for (const [seq, sentAt] of this._outstanding) {
+            if (now - sentAt >= this.pingTimeout) {
+                this._outstanding.delete(seq);
+                this.lost++;
+                this._recordOutcome(false);
+            }
+        }
+    }
+    
+    _recordOutcome(answered) {
+        this._outcomes.push(answered);
+        if (this._outcomes.length > this.lossWindow) this._outcomes.shift();
+    }
+    
+    /** Applied offset at local time now, after slewing toward the estimate. */
+    offsetAt(now) {
+        if (this._lastSlewAt !== null && now > this._lastSlewAt) {
+            const maxStep = this.slewRate * (now - this._lastSlewAt) / 1000;
+            const error = this.targetOffset - this.offset;
+            this.offset += Math.max(-maxStep, Math.min(maxStep, error));
+            this._lastSlewAt = now;
+        }
+        return this.offset;
+    }
+    
+    /** Share of the recent pings that were lost, 0..1. */
+    get loss() {
+        if (this._outcomes.length === 0) return 0;
+        return this._outcomes.filter(answered => !answered).length / this._outcomes.length;
+    }
+    
+    getStats(now) {
+        return {
+            synced: this.synced,
+            offset: this.offsetAt(now),
+            offsetError: this.targetOffset - this.offset,
+            rtt: this.rtt,
+            minRtt: this.minRtt === Infinity ? 0 : this.minRtt,
+            jitter: this.jitter,
+            loss: this.loss,
+            sent: this.sent,
+            received: this.received,
+            lost: this.lost
+        };
+    }
+}
+
+/**
+ * Jitter buffer for server fish snapshots.
+ *
+ * Snapshots are kept in timestamp order (late packets are slotted in, not
+ * appended). Rendering samples the buffer at serverTime - delay, where delay
+ * tracks the snapshot interval plus a multiple of the measured arrival
+ * jitter (RFC 3550 estimator), clamped to [interpolationDelay,
+ * interpolationDelayMax]. Between two bracketing snapshots positions follow
+ * a cubic Hermite curve through both positions and velocities; past the
+ * newest snapshot they are extrapolated for at most maxPredictionTime.
+ *
+ * Positions are server plane units, velocities units per second,
+ * timestamps server milliseconds.
+ */
+class SnapshotInterpolationBuffer {
+    constructor(options = {}) {
+        const pick = (key, fallback) => (options[key] !== undefined ? options[key] : fallback);
+        this.capacity = pick('capacity', MULTIPLAYER_CONFIG.snapshotBufferSize);
+        this.minDelay = pick('minDelay', MULTIPLAYER_CONFIG.interpolationDelay);
+        this.maxDelay = pick('maxDelay', MULTIPLAYER_CONFIG.interpolationDelayMax);
+        this.jitterMultiplier = pick('jitterMultiplier', MULTIPLAYER_CONFIG.jitterDelayMultiplier);
+        this.maxExtrapolation = pick('maxExtrapolation', MULTIPLAYER_CONFIG.maxPredictionTime);
+        this.clear();
+    }
+    
+    clear() {
+        this.snapshots = [];          // [{ timestamp, fish: Map(id -> fish) }], oldest first
+        this.delay = this.minDelay;
+        this.jitter = 0;              // ms, smoothed |arrival spacing - timestamp spacing|
+        this.interval = 0;            // ms, smoothed server snapshot spacing
+        this.lateCount = 0;
+        this.networkJitter = 0;       // ms, RTT jitter from ClockSync; floor for the snapshot jitter
+        this._lastArrival = null;
+        this._lastTimestamp = null;
+    }
+    
+    size() {
+        return this.snapshots.length;
+    }
+    
+    /**
+     * Add a snapshot as it arrives.
+     * @param {number} timestamp - server time of the snapshot (ms)
+     * @param {Array} fish - snapshot fish ({id, x, y, z, vx, vz, ...})
+     * @param {number} arrivalTime - local receive time (ms); only differences matter
+     */
+    push(timestamp, fish, arrivalTime) {
+        if (typeof timestamp !== 'number' || !Array.isArray(fish)) return;
+        const entry = { timestamp, fish: new Map(fish.map(f => [f.id, f])) };
+        
+        if (this._lastTimestamp === null || timestamp > this._lastTimestamp) {
+            if (this._lastTimestamp !== null) {
+                const spacing = timestamp - this._lastTimestamp;
+                const transitDelta = (arrivalTime - this._lastArrival) - spacing;
+                this.jitter += (Math.abs(transitDelta) - this.jitter) / 16;
+                this.interval = this.interval === 0 ? spacing : this.interval + (spacing - this.interval) / 8;
+            }
+            this._lastTimestamp = timestamp;
+            this._lastArrival = arrivalTime;
+            this.snapshots.push(entry);
+        } else {
+            // Late packet: slot it in if it still falls inside the buffer
+            this.lateCount++;
+            const index = this.snapshots.findIndex(s => s.timestamp >= timestamp);
+            if (index === 0 && this.snapshots.length >= this.capacity) return;
+            if (index !== -1 && this.snapshots[index].timestamp === timestamp) return;
+            this.snapshots.splice(index === -1 ? this.snapshots.length : index, 0, entry);
+        }
+        
+        while (this.snapshots.length > this.capacity) this.snapshots.shift();
+        
+        const jitter = Math.max(this.jitter, this.networkJitter);
+        const target = Math.min(this.maxDelay, Math.max(this.minDelay, this.interval + this.jitterMultiplier * jitter));
+        this.delay += (target - this.delay) * 0.1;
+    }
+    
+    /**
+     * Fish state at server time renderTime. The fish set is that of the
+     * later bracketing snapshot; fish missing from it are gone.
+     * @returns {Array} fish copies with x/z/vx/vz resolved
+     */
+    sample(renderTime) {
+        const list = this.snapshots;
+        if (list.length === 0) return [];
+        
+        const newest = list[list.length - 1];
+        if (renderTime >= newest.timestamp) {
+            const ahead = Math.min(renderTime - newest.timestamp, this.maxExtrapolation) / 1000;
+            return Array.from(newest.fish.values(), f => this._extrapolate(f, ahead));
+        }
+        if (renderTime <= list[0].timestamp) {
+            return Array.from(list[0].fish.values(), f => ({ ...f }));
+        }
+        
+        let i = list.length - 2;
+        while (i > 0 && list[i].timestamp > renderTime) i--;
+        const before = list[i];
+        const after = list[i + 1];
+        const span = (after.timestamp - before.timestamp) / 1000;
+        const s = (renderTime - before.timestamp) / 1000 / span;
+        
+        const result = [];
+        for (const end of after.fish.values()) {
+            const start = before.fish.get(end.id);
+            if (!start) {
+                // Spawned inside this interval: run it back along its velocity
+                result.push(this._extrapolate(end, (renderTime - after.timestamp) / 1000));
+                continue;
+            }
+            result.push(SnapshotInterpolationBuffer.hermite(start, end, s, span));
+        }
+        return result;
+    }
+    
+    _extrapolate(fish, seconds) {
+        return {
+            ...fish,
+            x: fish.x + (fish.vx || 0) * seconds,
+            z: fish.z + (fish.vz || 0) * seconds
+        };
+    }
+    
+    /**
+     * Cubic Hermite between two fish states; s in [0, 1], span in seconds.
+     * Tangents are the snapshot velocities scaled to the interval.
+     */
+    static hermite(start, end, s, span) {
+        const s2 = s * s;
+        const s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1;
+        const h10 = s3 - 2 * s2 + s;
+        const h01 = -2 * s3 + 3 * s2;
+        const h11 = s3 - s2;
+        const v0x = (start.vx || 0) * span, v0z = (start.vz || 0) * span;
+        const v1x = (end.vx || 0) * span, v1z = (end.vz || 0) * span;
+        return {
+            ...end,
+            x: h00 * start.x + h10 * v0x + h01 * end.x + h11 * v1x,
+            z: h00 * start.z + h10 * v0z + h01 * end.z + h11 * v1z,
+            vx: (start.vx || 0) + ((end.vx || 0) - (start.vx || 0)) * s,
+            vz: (start.vz || 0) + ((end.vz || 0) - (start.vz || 0)) * s
+        };
+    }
+}
+
 /**
  * Multiplayer Manager Class
  * Handles all network communication and state synchronization
@@ -45,30 +361,44 @@ class MultiplayerManager {
         this.slotIndex = null;
         this.isHost = false;
         this.isSinglePlayer = false;
+        this.isSpectator = false;    // watching roomCode without a cannon (spectateRoom)
+        this.spectatorView = { mode: 'free', slotIndex: null };
+        this.killFeed = [];          // newest last, see _recordKill
+        this.roomList = [];          // public rooms from the last requestRoomList()
+        this.chatHistory = [];       // newest last, see _handleChatMessage
+        this.mutedPlayers = new Set(); // playerIds whose chat is hidden
+        this.chatFilter = null;      // (text, message) => text | null, see setChatFilter
+        this._chatSentAt = [];
         
         // Server state
         this.serverFish = new Map(); // fishId -> fish data
         this.serverBullets = new Map(); // bulletId -> bullet data
         this.serverPlayers = new Map(); // playerId -> player data
+        this.snapshotDecoder = null; // SnapshotDeltaDecoder once delta snapshots are negotiated
         
         // Interpolation buffers
-        this.fishSnapshots = []; // Array of {timestamp, fish[]}
+        this.fishInterpolation = new SnapshotInterpolationBuffer();
         this.bulletSnapshots = [];
         
         // Time sync
-        this.serverTimeOffset = 0;
-        this.timeSyncSamples = [];
+        this.clock = new ClockSync();
+        this._timeSyncSeq = 0;
+        this._timeSyncTimers = [];
         
         // Reconnection state
         this.reconnectAttempt = 0;
         this.lastRoomCode = null;
         this.lastPlayerId = null;
+        this.lastPlayerName = null;
+        this.lastSpectating = false;
         this.isReconnecting = false;
+        this.awaitingResume = false;  // binary session dropped but resumable; shots stay pending
+        this.rejectedPackets = 0;     // server packets BinarySocket dropped (replay window, HMAC, stale key...)
         
-        // Client-side prediction
-        this.pendingInputs = [];      // Inputs waiting for server confirmation
-        this.lastProcessedInput = 0;  // Last input ID confirmed by server
-        this.localBullets = new Map(); // Locally predicted bullets
+        // Client-side prediction (keyed by shotSequenceId)
+        this.pendingInputs = [];      // Predicted shots waiting for HIT_RESULT
+        this.lastProcessedInput = 0;  // Highest shotSequenceId reconciled with the server
+        this.localBullets = new Map(); // shotSequenceId -> locally predicted bullet
         
         // Network optimization
         this.lastUpdateTime = 0;
@@ -79,6 +409,13 @@ class MultiplayerManager {
         this.rulesVersion = null;
         this.rulesHash = null;
         this.enforcementPhase = null;
+        this.rtpProfile = null;
+        this.rtpProfileVersion = null;
+        this.rtpProfileHash = null;
+        
+        // ResponsibleGamingLimits (responsible_gaming.js): shots are checked
+        // against it before sending, BALANCE_UPDATE bets and wins recorded in it
+        this.responsibleGaming = null;
         
         // Callbacks
         this.onConnected = null;
@@ -87,6 +424,7 @@ class MultiplayerManager {
         this.onDisconnected = null;
         this.onRoomCreated = null;
         this.onRoomJoined = null;
+        this.onRoomList = null;          // (rooms) see requestRoomList
         this.onRoomState = null;
         this.onGameStarted = null;
         this.onGameState = null;
@@ -98,6 +436,14 @@ class MultiplayerManager {
         this.onAnomalyWarning = null;
         this.onAnomalyCooldown = null;
         this.onVersionMismatch = null;
+        this.onShotPredicted = null;     // (shot) predicted shot fired; shot.bullet is null for lasers
+        this.onPredictedImpact = null;   // (shot) predicted bullet reached its target; shot.hits = [{fishId, kill}]
+        this.onShotReconciled = null;    // ({seq, hits, rolledBack, unpredicted, timedOut}) see _reconcileShot
+        this.onNetworkStats = null;      // (stats) after every clock sync pong, see getNetworkStats
+        this.onKillFeed = null;          // (entry) every kill in the room, see _recordKill
+        this.onSpectatorViewChanged = null; // (camera) see getSpectatorCamera
+        this.onChatMessage = null;       // (message) see _handleChatMessage
+        this.onChatRejected = null;      // ({reason}) a line was not sent or the server refused it
     }
     
     /**
@@ -165,8 +511,11 @@ class MultiplayerManager {
             this.binarySocket.on('connected', (data) => {
                 console.log('[MULTIPLAYER] Binary session established:', data.sessionId);
                 this.connected = true;
+                this.awaitingResume = false;
                 this.playerId = data.sessionId;
                 this._startTimeSync();
+                // New session after a drop that could not be resumed: the server sees a new player
+                if (this.lastRoomCode) this._rejoinRoom();
                 if (this.onConnected) this.onConnected();
                 resolve();
             });
@@ -184,15 +533,34 @@ class MultiplayerManager {
         this.binarySocket.on('disconnect', (data) => {
             console.log('[MULTIPLAYER] Binary disconnected:', data.code, data.reason);
             this.connected = false;
+            this.awaitingResume = !!data.resumable;
+            this._stopTimeSync();
             
             if (this.roomCode) {
                 this.lastRoomCode = this.roomCode;
                 this.lastPlayerId = this.playerId;
+                this.lastSpectating = this.isSpectator;
             }
             
             if (this.onDisconnected) this.onDisconnected(data.reason);
         });
         
+        // Session resumed: same player, same seat; unanswered shots were replayed
+        this.binarySocket.on('resumed', (data) => {
+            console.log('[MULTIPLAYER] Binary session resumed:', data.sessionId, data.replayedShots, 'shots replayed');
+            this.connected = true;
+            this.awaitingResume = false;
+            this.lastRoomCode = null;
+            this.lastPlayerId = null;
+            this._startTimeSync();
+            if (this.onReconnected) this.onReconnected();
+        });
+        
+        this.binarySocket.on('resumeFailed', () => {
+            console.log('[MULTIPLAYER] Session resume rejected, reconnecting as a new player');
+            this.awaitingResume = false;
+        });
+        
         this.binarySocket.on('error', (error) => {
             console.error('[MULTIPLAYER] Binary error:', error);
             if (this.onError) this.onError(error.message || 'Connection error');
@@ -208,6 +576,10 @@ class MultiplayerManager {
             if (this.onRoomState) this.onRoomState(data);
         });
         
+        this.binarySocket.on('roomList', (data) => {
+            this._handleRoomList(data);
+        });
+        
         this.binarySocket.on('playerJoin', (data) => {
             console.log('[MULTIPLAYER] Player joined:', data);
             this.serverPlayers.set(data.playerId, data);
@@ -216,10 +588,28 @@ class MultiplayerManager {
         this.binarySocket.on('playerLeave', (data) => {
             console.log('[MULTIPLAYER] Player left:', data);
             this.serverPlayers.delete(data.playerId);
+            if (this.isSpectator) this._followSpectatorTarget();
+        });
+        
+        this.binarySocket.on('chatMessage', (data) => {
+            this._handleChatMessage(data);
         });
         
         this.binarySocket.on('gameStart', (data) => {
-            console.log('[MULTIPLAYER] Game started!');
+            console.log('[MULTIPLAYER] Game started!', data.spectator ? '(spectating)' : '');
+            this.isSpectator = !!data.spectator;
+            if (data.spectator) {
+                this.slotIndex = null;
+                this.isHost = false;
+                this.serverPlayers.clear();
+                for (const player of data.players || []) this.serverPlayers.set(player.id, player);
+                const first = this._spectatorTargets()[0];
+                this.setSpectatorView(first ? { mode: 'cannon', slotIndex: first.slotIndex } : { mode: 'free' });
+            }
+            this.killFeed = [];
+            this.fishInterpolation.clear();
+            this._clearPredictions();
+            this._requestSnapshotDeltas();
             if (this.onGameStarted) this.onGameStarted(data);
         });
         
@@ -242,6 +632,10 @@ class MultiplayerManager {
         });
         
         this.binarySocket.on('fishUpdate', (data) => {
+            if (data.delta) {
+                this._handleSnapshotDelta(data.delta);
+                return;
+            }
             // Update fish positions
             if (data.fish) {
                 for (const fish of data.fish) {
@@ -253,9 +647,14 @@ class MultiplayerManager {
         
         this.binarySocket.on('balanceUpdate', (data) => {
             console.log('[MULTIPLAYER] Balance update:', data);
+            this._recordWager(data);
             if (this.onBalanceUpdate) this.onBalanceUpdate(data);
         });
         
+        this.binarySocket.on('hitResult', (data) => {
+            this._reconcileShot(data);
+        });
+        
         // Boss events
         this.binarySocket.on('bossSpawn', (data) => {
             console.log('[MULTIPLAYER] Boss spawned!');
@@ -278,13 +677,25 @@ class MultiplayerManager {
         
         // Server errors
         this.binarySocket.on('serverError', (data) => {
-            console.error('[MULTIPLAYER] Server error:', data);
             const msg = data.message || '';
+            if (data.local) {
+                // Packet from the server dropped by BinarySocket itself: nothing the player did
+                this.rejectedPackets++;
+                console.warn('[MULTIPLAYER] Rejected server packet:', msg, data.packetId);
+                return;
+            }
+            console.error('[MULTIPLAYER] Server error:', data);
             if (msg.startsWith('ANOMALY_COOLDOWN')) {
                 const duration = parseInt(msg.split(':')[1]) || 10000;
                 if (this.onAnomalyCooldown) this.onAnomalyCooldown({ durationMs: duration });
             } else if (msg === 'ANOMALY_WARNING') {
                 if (this.onAnomalyWarning) this.onAnomalyWarning({});
+            } else if (msg === 'ROOM_CLOSED') {
+                // Last player left the room we were watching
+                this._resetRoomState();
+                if (this.onError) this.onError('Room closed');
+            } else if (msg.startsWith('CHAT_')) {
+                if (this.onChatRejected) this.onChatRejected({ reason: msg });
             } else if (msg === 'SEQ_REQUIRED' || msg === 'CLIENT_TIME_REQUIRED' ||
                        msg === 'INVALID_COORDINATES' || msg.includes('REPLAY') ||
                        msg.includes('LAG') || msg.includes('DRIFT')) {
@@ -317,6 +728,7 @@ class MultiplayerManager {
             this.socket.on('disconnect', (reason) => {
                 console.log('[MULTIPLAYER] Disconnected:', reason);
                 this.connected = false;
+                this._stopTimeSync();
                 
                 // Save state for reconnection
                 if (this.roomCode) {
@@ -392,6 +804,9 @@ class MultiplayerManager {
             if (data.rulesHash) this.rulesHash = data.rulesHash;
             if (data.rulesVersion) this.rulesVersion = data.rulesVersion;
             if (data.enforcementPhase != null) this.enforcementPhase = data.enforcementPhase;
+            if (data.rtpProfile) this.rtpProfile = data.rtpProfile;
+            if (data.rtpProfileVersion) this.rtpProfileVersion = data.rtpProfileVersion;
+            if (data.rtpProfileHash) this.rtpProfileHash = data.rtpProfileHash;
             this._sendVersionCheck();
             if (this.onRoomCreated) this.onRoomCreated(data);
         });
@@ -406,10 +821,17 @@ class MultiplayerManager {
             if (data.rulesHash) this.rulesHash = data.rulesHash;
             if (data.rulesVersion) this.rulesVersion = data.rulesVersion;
             if (data.enforcementPhase != null) this.enforcementPhase = data.enforcementPhase;
+            if (data.rtpProfile) this.rtpProfile = data.rtpProfile;
+            if (data.rtpProfileVersion) this.rtpProfileVersion = data.rtpProfileVersion;
+            if (data.rtpProfileHash) this.rtpProfileHash = data.rtpProfileHash;
             this._sendVersionCheck();
             if (this.onRoomJoined) this.onRoomJoined(data);
         });
         
+        this.socket.on('roomList', (data) => {
+            this._handleRoomList(data);
+        });
+        
         this.socket.on('joinError', (data) => {
             console.error('[MULTIPLAYER] Join error:', data.message);
             if (this.onError) this.onError(data.message);
@@ -430,6 +852,14 @@ class MultiplayerManager {
             this.serverPlayers.delete(data.playerId);
         });
         
+        this.socket.on('chatMessage', (data) => {
+            this._handleChatMessage(data);
+        });
+        
+        this.socket.on('chatRejected', (data) => {
+            if (this.onChatRejected) this.onChatRejected({ reason: data.reason || data.message });
+        });
+        
         this.socket.on('roomClosed', (data) => {
             console.log('[MULTIPLAYER] Room closed:', data.reason);
             this.roomCode = null;
@@ -456,6 +886,9 @@ class MultiplayerManager {
             if (data.rulesHash) this.rulesHash = data.rulesHash;
             if (data.rulesVersion) this.rulesVersion = data.rulesVersion;
             if (data.enforcementPhase != null) this.enforcementPhase = data.enforcementPhase;
+            if (data.rtpProfile) this.rtpProfile = data.rtpProfile;
+            if (data.rtpProfileVersion) this.rtpProfileVersion = data.rtpProfileVersion;
+            if (data.rtpProfileHash) this.rtpProfileHash = data.rtpProfileHash;
             this._sendVersionCheck();
             if (this.onGameStarted) this.onGameStarted(data);
         });
@@ -554,48 +987,116 @@ class MultiplayerManager {
     }
     
     /**
-     * Start time synchronization
+     * Start time synchronization: a burst of five pings to lock on, then one
+     * every timeSyncInterval for the rest of the connection
      */
     _startTimeSync() {
-        this.timeSyncSamples = [];
+        this._stopTimeSync();
+        this.clock.reset();
         for (let i = 0; i < 5; i++) {
-            setTimeout(() => {
-                if (this.useBinaryProtocol && this.binarySocket) {
-                    this.binarySocket.sendTimeSyncPing(i);
-                } else if (this.socket) {
-                    this.socket.emit('timeSyncPing', {
-                        seq: i,
-                        clientSendTime: Date.now()
-                    });
-                }
-            }, i * 200);
+            this._timeSyncTimers.push(setTimeout(() => this._sendTimeSyncPing(), i * 200));
+        }
+        this._timeSyncTimers.push(setInterval(() => this._sendTimeSyncPing(), MULTIPLAYER_CONFIG.timeSyncInterval));
+    }
+    
+    _stopTimeSync() {
+        for (const timer of this._timeSyncTimers) clearTimeout(timer);
+        this._timeSyncTimers = [];
+    }
+    
+    _sendTimeSyncPing() {
+        if (!this.connected) return;
+        const now = Date.now();
+        this.clock.expire(now);
+        const seq = ++this._timeSyncSeq;
+        if (this.useBinaryProtocol && this.binarySocket) {
+            this.clock.pingSent(seq, now);
+            this.binarySocket.sendTimeSyncPing(seq);
+        } else if (this.socket) {
+            this.clock.pingSent(seq, now);
+            this.socket.emit('timeSyncPing', {
+                seq,
+                clientSendTime: now
+            });
         }
     }
     
     /**
      * Handle time sync response
+     * Binary pongs carry the raw server stamp as serverSendTime (serverTime is
+     * already RTT-adjusted there); Socket.IO pongs send it as serverTime.
      */
     _handleTimeSync(data) {
         const now = Date.now();
-        const rtt = now - data.clientSendTime;
-        const serverTime = data.serverTime + rtt / 2;
-        const offset = serverTime - now;
+        const serverSendTime = data.serverSendTime !== undefined ? data.serverSendTime : data.serverTime;
+        const wasSynced = this.clock.synced;
+        if (!this.clock.addSample(data.seq, data.clientSendTime, serverSendTime, now)) return;
         
-        this.timeSyncSamples.push(offset);
-        
-        if (this.timeSyncSamples.length >= 5) {
-            // Use median offset
-            this.timeSyncSamples.sort((a, b) => a - b);
-            this.serverTimeOffset = this.timeSyncSamples[2];
-            console.log('[MULTIPLAYER] Time sync complete, offset:', this.serverTimeOffset, 'ms');
+        if (!wasSynced) {
+            console.log('[MULTIPLAYER] Time sync locked, offset:', Math.round(this.clock.offset), 'ms');
         }
+        this.fishInterpolation.networkJitter = this.clock.jitter;
+        if (this.onNetworkStats) this.onNetworkStats(this.getNetworkStats(now));
     }
     
     /**
      * Get estimated server time
      */
     getServerTime() {
-        return Date.now() + this.serverTimeOffset;
+        const now = Date.now();
+        return now + this.clock.offsetAt(now);
+    }
+    
+    /**
+     * Connection quality for the network HUD: clock sync, RTT, jitter and
+     * ping loss, plus the interpolation delay, shots awaiting HIT_RESULT and
+     * server packets rejected by BinarySocket.
+     */
+    getNetworkStats(now = Date.now()) {
+        return {
+            ...this.clock.getStats(now),
+            interpolationDelay: this.fishInterpolation.delay,
+            snapshotJitter: this.fishInterpolation.jitter,
+            pendingShots: this.pendingInputs.length,
+            rejectedPackets: this.rejectedPackets
+        };
+    }
+    
+    /**
+     * Opt into delta snapshots for the room just entered: a fresh decoder
+     * and an ack asking for a full baseline. Servers without delta support
+     * keep sending JSON roomSnapshot.
+     */
+    _requestSnapshotDeltas() {
+        if (!MULTIPLAYER_CONFIG.snapshotDelta || typeof SnapshotDeltaDecoder === 'undefined') return;
+        if (!this.snapshotDecoder) this.snapshotDecoder = new SnapshotDeltaDecoder();
+        this.snapshotDecoder.reset();
+        this.binarySocket.sendSnapshotAck(0, SNAPSHOT_ACK_FULL_REQUEST);
+    }
+    
+    /**
+     * Apply a FISH_UPDATE delta and acknowledge it. A delta whose baseline
+     * we never received (lost or rejected packet) triggers a full snapshot.
+     */
+    _handleSnapshotDelta(bytes) {
+        if (!this.snapshotDecoder) return;
+        let result;
+        try {
+            result = this.snapshotDecoder.decode(bytes);
+        } catch (error) {
+            console.warn('[MULTIPLAYER] Bad snapshot delta, requesting full snapshot:', error.message);
+            this.snapshotDecoder.reset();
+            this.binarySocket.sendSnapshotAck(0, SNAPSHOT_ACK_FULL_REQUEST);
+            return;
+        }
+        if (!result) return;
+        if (result.needFull) {
+            console.warn('[MULTIPLAYER] Snapshot baseline missing, requesting full snapshot (seq', result.seq + ')');
+            this.binarySocket.sendSnapshotAck(this.snapshotDecoder.lastSeq, SNAPSHOT_ACK_FULL_REQUEST);
+            return;
+        }
+        this.binarySocket.sendSnapshotAck(result.seq);
+        this._handleGameState(result.snapshot);
     }
     
     /**
@@ -633,15 +1134,7 @@ class MultiplayerManager {
         }
         
         // Store snapshot for interpolation
-        this.fishSnapshots.push({
-            timestamp: data.timestamp,
-            fish: data.fish
-        });
-        
-        // Keep only last 10 snapshots
-        if (this.fishSnapshots.length > 10) {
-            this.fishSnapshots.shift();
-        }
+        this.fishInterpolation.push(data.timestamp, data.fish, Date.now());
         
         // Update server state
         this.serverFish.clear();
@@ -701,11 +1194,13 @@ class MultiplayerManager {
      * We normalize field names for game.js compatibility
      */
     _handleFishKilled(data) {
+        const fish = this.serverFish.get(data.fishId);
         this.serverFish.delete(data.fishId);
         
         // Normalize field names from server to what game.js expects
-        const killedBy = data.topContributorId;
-        const reward = data.totalReward;
+        // (binary FISH_DEATH already carries killedBy / reward)
+        const killedBy = data.topContributorId !== undefined ? data.topContributorId : data.killedBy;
+        const reward = data.totalReward !== undefined ? data.totalReward : data.reward;
         
         console.log('[MULTIPLAYER] Fish killed:', data.fishId, data.typeName, 'by Player', killedBy, 'reward:', reward);
         
@@ -716,6 +1211,7 @@ class MultiplayerManager {
             reward: reward
         };
         
+        this._recordKill(enrichedData, fish);
         if (this.onFishKilled) this.onFishKilled(enrichedData);
         
         // Trigger death VFX in game
@@ -726,73 +1222,113 @@ class MultiplayerManager {
     
     /**
      * Get interpolated fish positions
+     * Samples the jitter buffer at serverTime - adaptive delay; falls back to
+     * the raw server fish until the first snapshot arrives.
      */
     getInterpolatedFish() {
-        if (this.fishSnapshots.length < 2) {
+        if (this.fishInterpolation.size() === 0) {
             return Array.from(this.serverFish.values());
         }
-        
-        const renderTime = this.getServerTime() - MULTIPLAYER_CONFIG.interpolationDelay;
-        
-        // Find two snapshots to interpolate between
-        let before = null;
-        let after = null;
-        
-        for (let i = 0; i < this.fishSnapshots.length - 1; i++) {
-            if (this.fishSnapshots[i].timestamp <= renderTime &&
-                this.fishSnapshots[i + 1].timestamp >= renderTime) {
-                before = this.fishSnapshots[i];
-                after = this.fishSnapshots[i + 1];
-                break;
-            }
-        }
-        
-        if (!before || !after) {
-            return Array.from(this.serverFish.values());
-        }
-        
-        // Interpolate
-        const t = (renderTime - before.timestamp) / (after.timestamp - before.timestamp);
-        const interpolatedFish = [];
-        
-        for (const afterFish of after.fish) {
-            const beforeFish = before.fish.find(f => f.id === afterFish.id);
-            
-            if (beforeFish) {
-                interpolatedFish.push({
-                    ...afterFish,
-                    x: beforeFish.x + (afterFish.x - beforeFish.x) * t,
-                    z: beforeFish.z + (afterFish.z - beforeFish.z) * t
-                });
-            } else {
-                interpolatedFish.push(afterFish);
-            }
-        }
-        
-        return interpolatedFish;
+        const renderTime = this.getServerTime() - this.fishInterpolation.delay;
+        return this.fishInterpolation.sample(renderTime);
     }
     
     // ============ ROOM ACTIONS ============
     
     /**
      * Create a new room
+     * @param {string} [rtpProfile] - Requested RTP profile (rtp_profiles.json key); the server
+     *   confirms the room's actual profile as rtpProfile/rtpProfileVersion/rtpProfileHash.
+     *   The binary ROOM_CREATE packet has no profile field, so binary rooms get the server default.
+     * @param {{minCoinValue: number, maxCoinValue: number}} [stake] - coin value range shown
+     *   in the room list (server default without it)
      */
-    createRoom(playerName, isPublic = true) {
+    createRoom(playerName, isPublic = true, rtpProfile = null, stake = null) {
         if (!this.connected) {
             console.error('[MULTIPLAYER] Not connected to server');
             return;
         }
         
+        this.lastPlayerName = playerName;
         if (this.useBinaryProtocol && this.binarySocket) {
-            this.binarySocket.createRoom(playerName, isPublic);
+            this.binarySocket.createRoom(playerName, isPublic, stake);
         } else if (this.socket) {
-            this.socket.emit('createRoom', {
+            const payload = {
                 playerName,
                 isPublic
-            });
+            };
+            if (rtpProfile) payload.rtpProfile = rtpProfile;
+            if (stake) Object.assign(payload, { minCoinValue: stake.minCoinValue, maxCoinValue: stake.maxCoinValue });
+            this.socket.emit('createRoom', payload);
+        }
+    }
+    
+    /**
+     * Ask the server for its public rooms; onRoomList(rooms) answers
+     * (Socket.IO 'listRooms' -> 'roomList', binary ROOM_LIST_REQUEST -> ROOM_LIST).
+     */
+    requestRoomList() {
+        if (!this.connected) {
+            console.error('[MULTIPLAYER] Not connected to server');
+            return;
+        }
+        
+        if (this.useBinaryProtocol && this.binarySocket) {
+            this.binarySocket.requestRoomList();
+        } else if (this.socket) {
+            this.socket.emit('listRooms');
+        }
+    }
+    
+    /**
+     * Join the best-fitting open public room, or have the server create one.
+     * The answer is the usual join (onRoomJoined / onRoomCreated, or GAME_START
+     * on the binary protocol).
+     * @param {number} [coinValue] - preferred coin value; 0 for any stake
+     * @param {string} [rtpProfile] - preferred RTP profile (Socket.IO only, like createRoom)
+     */
+    quickMatch(playerName, coinValue = 0, rtpProfile = null) {
+        if (!this.connected) {
+            console.error('[MULTIPLAYER] Not connected to server');
+            return;
+        }
+        
+        this.lastPlayerName = playerName;
+        if (this.useBinaryProtocol && this.binarySocket) {
+            this.binarySocket.quickMatch(playerName, coinValue);
+        } else if (this.socket) {
+            const payload = { playerName, coinValue };
+            if (rtpProfile) payload.rtpProfile = rtpProfile;
+            this.socket.emit('quickMatch', payload);
         }
     }
     
+    /**
+     * Normalize a room list from either protocol:
+     * { roomCode, playerCount, maxPlayers, spectatorCount, hostName,
+     *   minCoinValue, maxCoinValue, rtpProfile, rtpProfileVersion, isFull }
+     */
+    _handleRoomList(data) {
+        const rooms = Array.isArray(data) ? data : (data && data.rooms) || [];
+        this.roomList = rooms.map(room => {
+            const playerCount = room.playerCount !== undefined ? room.playerCount : (room.players || []).length;
+            const maxPlayers = room.maxPlayers || 4;
+            return {
+                roomCode: room.roomCode || room.code,
+                playerCount,
+                maxPlayers,
+                spectatorCount: room.spectatorCount || 0,
+                hostName: room.hostName || null,
+                minCoinValue: room.minCoinValue || null,     // null: server did not say
+                maxCoinValue: room.maxCoinValue || room.minCoinValue || null,
+                rtpProfile: room.rtpProfile || null,
+                rtpProfileVersion: room.rtpProfileVersion || null,
+                isFull: playerCount >= maxPlayers
+            };
+        });
+        if (this.onRoomList) this.onRoomList(this.roomList);
+    }
+    
     /**
      * Join an existing room
      */
@@ -802,6 +1338,7 @@ class MultiplayerManager {
             return;
         }
         
+        this.lastPlayerName = playerName;
         if (this.useBinaryProtocol && this.binarySocket) {
             this.binarySocket.joinRoom(roomCode, playerName);
         } else if (this.socket) {
@@ -823,10 +1360,24 @@ class MultiplayerManager {
         } else if (this.socket) {
             this.socket.emit('leaveRoom');
         }
+        this._resetRoomState();
+    }
+    
+    /**
+     * Forget the current room (left it, or the server closed it)
+     */
+    _resetRoomState() {
+        this.fishInterpolation.clear();
+        this._clearPredictions();
         this.roomCode = null;
         this.playerId = null;
         this.slotIndex = null;
         this.isHost = false;
+        this.rtpProfile = null;
+        this.rtpProfileVersion = null;
+        this.rtpProfileHash = null;
+        this.chatHistory = [];
+        this._resetSpectatorState();
     }
     
     /**
@@ -873,6 +1424,7 @@ class MultiplayerManager {
         if (this.useBinaryProtocol && this.binarySocket) {
             // For binary protocol, create a single-player room
             this.isSinglePlayer = true;
+            this.lastPlayerName = playerName;
             this.binarySocket.createRoom(playerName, false);
         } else if (this.socket) {
             this.socket.emit('startSinglePlayer', { playerName });
@@ -885,22 +1437,36 @@ class MultiplayerManager {
      * Send shoot action to server
      * @param {number} targetX - Target X position in 2D plane
      * @param {number} targetZ - Target Z position in 2D plane
+     * @returns {Object|null} the predicted shot (binary protocol only), see _predictShot
      */
     shoot(targetX, targetZ) {
-        if (!this.connected || !this.roomCode) return;
+        if (!this.connected || !this.roomCode || this.isSpectator) return null;
+        
+        // Wager / loss limits and time gates hold here too: the room's wallet is server-side
+        if (this.responsibleGaming) {
+            const check = this.responsibleGaming.checkBet(this.getShotCostFp());
+            if (!check.allowed) {
+                if (this.onShootRejected) this.onShootRejected({ reason: check.reason, retryAt: check.retryAt, local: true });
+                return null;
+            }
+        }
         
         this._shootSeq++;
         
         if (this.useBinaryProtocol && this.binarySocket) {
+            const prediction = this._predictShot(this._shootSeq, this.currentWeapon || '1x', targetX, targetZ);
             this.binarySocket.shoot({
                 targetX,
                 targetZ,
                 playerId: this.playerId,
                 weapon: this.currentWeapon || '1x',
+                weaponId: parseInt(this.currentWeapon || '1x', 10),   // wire format is the multiplier
                 seq: this._shootSeq,
                 clientTime: Date.now()
             });
+            return prediction;
         } else if (this.socket) {
+            // Socket.IO has no per-shot HIT_RESULT to reconcile against, so no prediction
             this.socket.emit('shoot', {
                 targetX,
                 targetZ,
@@ -908,6 +1474,201 @@ class MultiplayerManager {
                 clientTime: Date.now()
             });
         }
+        return null;
+    }
+    
+    /**
+     * Bet the room takes for one shot of the current weapon (FP)
+     */
+    getShotCostFp(weapon = this.currentWeapon || '1x') {
+        return MULTIPLAYER_CONFIG.wager.weaponCostFp[weapon] || MULTIPLAYER_CONFIG.wager.weaponCostFp['1x'];
+    }
+    
+    // Server BALANCE_UPDATE for this player: bets and wins count toward the limits
+    _recordWager(data) {
+        if (!this.responsibleGaming || (this.playerId && data.playerId !== this.playerId)) return;
+        const reason = MULTIPLAYER_CONFIG.wager.balanceReason;
+        if (data.reasonCode === reason.BET && data.change < 0) {
+            this.responsibleGaming.recordBet(-data.change);
+        } else if (data.reasonCode === reason.WIN && data.change > 0) {
+            this.responsibleGaming.recordWin(data.change);
+        }
+    }
+    
+    // ============ SHOT PREDICTION ============
+    
+    /**
+     * Predict a shot locally so the bullet and hit VFX show without waiting a
+     * round trip. The shot is traced against the fish as rendered
+     * (getInterpolatedFish), moved along their velocities while the bullet
+     * flies. Kills are guessed from hp only; the server decides, and
+     * _reconcileShot rolls back what it did not confirm. Balance is never
+     * predicted: it only changes through onBalanceUpdate.
+     * @returns {Object|null} { seq, weapon, firedAt, impactAt, bullet, hits, impacted }
+     */
+    _predictShot(seq, weapon, targetX, targetZ, now = Date.now()) {
+        const cfg = MULTIPLAYER_CONFIG.shotPrediction;
+        if (!MULTIPLAYER_CONFIG.predictionEnabled || this.slotIndex === null || cfg.cannonX[this.slotIndex] === undefined) {
+            return null;
+        }
+        
+        const origin = { x: cfg.cannonX[this.slotIndex], z: cfg.cannonZ };
+        const dx = targetX - origin.x;
+        const dz = targetZ - origin.z;
+        const distance = Math.hypot(dx, dz) || 1;
+        const dirX = dx / distance;
+        const dirZ = dz / distance;
+        const trace = this._traceShot(weapon, origin, dirX, dirZ, distance, this.getInterpolatedFish());
+        const damage = (parseInt(weapon, 10) || 1) * cfg.damagePerMultiplier;
+        
+        const shot = {
+            seq,
+            weapon,
+            firedAt: now,
+            impactAt: now + trace.flightMs,
+            bullet: null,
+            hits: trace.hits.map(fish => ({ fishId: fish.id, kill: fish.hp !== undefined && fish.hp <= damage })),
+            impacted: false
+        };
+        if (weapon !== '8x') {
+            shot.bullet = {
+                seq,
+                weapon,
+                x: origin.x,
+                z: origin.z,
+                originX: origin.x,
+                originZ: origin.z,
+                vx: dirX * cfg.bulletSpeed,
+                vz: dirZ * cfg.bulletSpeed
+            };
+            this.localBullets.set(seq, shot.bullet);
+        }
+        this.pendingInputs.push(shot);
+        
+        if (this.onShotPredicted) this.onShotPredicted(shot);
+        if (trace.flightMs === 0) this._impactShot(shot);
+        return shot;
+    }
+    
+    /**
+     * Fish a shot reaches, nearest first, and how long the bullet flies.
+     * Lasers cross the whole tank instantly; bullets stop at the first fish
+     * or the aim point (rockets then burst in rocketSplashRadius).
+     */
+    _traceShot(weapon, origin, dirX, dirZ, distance, fishList) {
+        const cfg = MULTIPLAYER_CONFIG.shotPrediction;
+        const radiusOf = fish => cfg.fishRadius[fish.isBoss ? 'boss' : fish.tier] || cfg.fishRadius.t3;
+        
+        if (weapon === '8x') {
+            const reach = Math.hypot(cfg.mapBounds.x * 2, cfg.mapBounds.z * 2);
+            const hits = [];
+            for (const fish of fishList) {
+                const along = (fish.x - origin.x) * dirX + (fish.z - origin.z) * dirZ;
+                if (along < 0 || along > reach) continue;
+                const side = Math.abs((fish.x - origin.x) * dirZ - (fish.z - origin.z) * dirX);
+                if (side <= radiusOf(fish)) hits.push({ fish, along });
+            }
+            hits.sort((a, b) => a.along - b.along);
+            return { flightMs: 0, hits: hits.map(h => h.fish) };
+        }
+        
+        // March the bullet in 10 ms steps against the fish moving on their velocities
+        const stepMs = 10;
+        const flightMs = distance / cfg.bulletSpeed * 1000;
+        let struck = null;
+        let elapsed = 0;
+        while (elapsed < flightMs && !struck) {
+            elapsed = Math.min(elapsed + stepMs, flightMs);
+            const t = elapsed / 1000;
+            const bx = origin.x + dirX * cfg.bulletSpeed * t;
+            const bz = origin.z + dirZ * cfg.bulletSpeed * t;
+            let nearest = Infinity;
+            for (const fish of fishList) {
+                const d = Math.hypot(fish.x + (fish.vx || 0) * t - bx, fish.z + (fish.vz || 0) * t - bz);
+                if (d <= radiusOf(fish) && d < nearest) {
+                    nearest = d;
+                    struck = fish;
+                }
+            }
+        }
+        
+        if (weapon !== '5x') return { flightMs: elapsed, hits: struck ? [struck] : [] };
+        
+        const t = elapsed / 1000;
+        const at = struck
+            ? { x: struck.x + (struck.vx || 0) * t, z: struck.z + (struck.vz || 0) * t }
+            : { x: origin.x + dirX * distance, z: origin.z + dirZ * distance };
+        const splash = fishList
+            .map(fish => ({ fish, d: Math.hypot(fish.x + (fish.vx || 0) * t - at.x, fish.z + (fish.vz || 0) * t - at.z) }))
+            .filter(h => h.d <= cfg.rocketSplashRadius + radiusOf(h.fish))
+            .sort((a, b) => a.d - b.d);
+        return { flightMs: elapsed, hits: splash.map(h => h.fish) };
+    }
+    
+    /**
+     * Advance predicted bullets and settle due impacts and timeouts.
+     * Call once per frame.
+     */
+    updatePredictions(now = Date.now()) {
+        const timeout = Math.max(MULTIPLAYER_CONFIG.shotPrediction.confirmTimeout, 4 * this.clock.rtt);
+        for (const shot of this.pendingInputs.slice()) {
+            if (!shot.impacted && now >= shot.impactAt) this._impactShot(shot);
+            if (shot.bullet) {
+                const t = (Math.min(now, shot.impactAt) - shot.firedAt) / 1000;
+                shot.bullet.x = shot.bullet.originX + shot.bullet.vx * t;
+                shot.bullet.z = shot.bullet.originZ + shot.bullet.vz * t;
+            }
+            if (!this.awaitingResume && now - shot.impactAt >= timeout) {
+                this._settleShot(shot, [], true);
+            }
+        }
+    }
+    
+    _impactShot(shot) {
+        shot.impacted = true;
+        this.localBullets.delete(shot.seq);
+        if (this.onPredictedImpact) this.onPredictedImpact(shot);
+    }
+    
+    /**
+     * Reconcile a predicted shot with the server's HIT_RESULT.
+     * newBalance in the result is ignored on purpose; balance follows
+     * BALANCE_UPDATE only.
+     */
+    _reconcileShot(result) {
+        if (!result || typeof result.shotSequenceId !== 'number') return;
+        this.lastProcessedInput = Math.max(this.lastProcessedInput, result.shotSequenceId);
+        const shot = this.pendingInputs.find(s => s.seq === result.shotSequenceId);
+        if (shot) this._settleShot(shot, result.hits || [], false);
+    }
+    
+    /**
+     * Drop a predicted shot and report what the game must correct:
+     * rolledBack - fish shown as killed that the server did not kill
+     * unpredicted - fish the server hit that were not shown as hit
+     */
+    _settleShot(shot, serverHits, timedOut) {
+        const index = this.pendingInputs.indexOf(shot);
+        if (index !== -1) this.pendingInputs.splice(index, 1);
+        this.localBullets.delete(shot.seq);
+        
+        const shown = shot.impacted ? shot.hits : [];
+        const serverKilled = new Set(serverHits.filter(h => h.newHealth === 0).map(h => h.fishId));
+        const shownIds = new Set(shown.map(h => h.fishId));
+        const rolledBack = shown.filter(h => h.kill && !serverKilled.has(h.fishId)).map(h => h.fishId);
+        const unpredicted = serverHits.filter(h => !shownIds.has(h.fishId)).map(h => h.fishId);
+        
+        if (rolledBack.length > 0) {
+            console.log(`[MULTIPLAYER] Shot ${shot.seq} mispredicted kill(s) rolled back:`, rolledBack);
+        }
+        if (this.onShotReconciled) {
+            this.onShotReconciled({ seq: shot.seq, hits: serverHits, rolledBack, unpredicted, timedOut });
+        }
+    }
+    
+    _clearPredictions() {
+        this.pendingInputs = [];
+        this.localBullets.clear();
     }
     
     /**
@@ -915,12 +1676,12 @@ class MultiplayerManager {
      * @param {string} weapon - Weapon type ('1x', '3x', '5x', '8x')
      */
     changeWeapon(weapon) {
-        if (!this.connected || !this.roomCode) return;
+        if (!this.connected || !this.roomCode || this.isSpectator) return;
         
         this.currentWeapon = weapon;
         
         if (this.useBinaryProtocol && this.binarySocket) {
-            this.binarySocket.switchWeapon(this.playerId, weapon);
+            this.binarySocket.switchWeapon(this.playerId, parseInt(weapon, 10));
         } else if (this.socket) {
             this.socket.emit('changeWeapon', { weapon });
         }
@@ -930,7 +1691,7 @@ class MultiplayerManager {
      * Update cannon rotation (for visual sync)
      */
     updateCannon(yaw, pitch) {
-        if (!this.connected || !this.roomCode) return;
+        if (!this.connected || !this.roomCode || this.isSpectator) return;
         
         if (this.useBinaryProtocol && this.binarySocket) {
             this.binarySocket.sendMovement({
@@ -971,6 +1732,299 @@ class MultiplayerManager {
         }
     }
     
+    // ============ SPECTATOR ============
+    
+    /**
+     * Watch a room without a cannon or balance (binary protocol only).
+     * GAME_START { spectator: true } then sets isSpectator and picks the
+     * first player's cannon view; shoot/changeWeapon/updateCannon are ignored.
+     */
+    spectateRoom(roomCode, spectatorName) {
+        if (!this.connected) {
+            console.error('[MULTIPLAYER] Not connected to server');
+            return;
+        }
+        if (!this.useBinaryProtocol || !this.binarySocket) {
+            console.error('[MULTIPLAYER] Spectating needs the binary protocol');
+            if (this.onError) this.onError('Spectating is not available on this server');
+            return;
+        }
+        
+        this.lastPlayerName = spectatorName;
+        this.binarySocket.spectateRoom(roomCode, spectatorName);
+    }
+    
+    /**
+     * Players that can be watched, by slot
+     * PLAYER_JOIN and ROOM_SNAPSHOT describe players differently; both are
+     * normalized to { playerId, playerName, slotIndex, balance, aim }.
+     * @returns {Array<Object>}
+     */
+    getSpectatorTargets() {
+        return this._spectatorTargets().map(player => ({ ...player }));
+    }
+    
+    _spectatorTargets() {
+        const targets = [];
+        for (const player of this.serverPlayers.values()) {
+            const slotIndex = player.slotIndex !== undefined ? player.slotIndex : player.position;
+            if (slotIndex === undefined || slotIndex === null) continue;
+            targets.push({
+                playerId: player.id || player.playerId,
+                playerName: player.playerName,
+                slotIndex,
+                balance: player.balance,
+                aim: player.aim || null
+            });
+        }
+        return targets.sort((a, b) => a.slotIndex - b.slotIndex);
+    }
+    
+    /**
+     * Switch the spectator camera
+     * @param {{mode: 'cannon'|'free', slotIndex?: number}} view - cannon views
+     *   need an occupied slot, anything else falls back to the free camera
+     * @returns {Object|null} the new camera, see getSpectatorCamera
+     */
+    setSpectatorView(view) {
+        if (!this.isSpectator) return null;
+        
+        const target = view && view.mode === 'cannon'
+            ? this._spectatorTargets().find(t => t.slotIndex === view.slotIndex)
+            : null;
+        this.spectatorView = target
+            ? { mode: 'cannon', slotIndex: target.slotIndex }
+            : { mode: 'free', slotIndex: null };
+        
+        const camera = this.getSpectatorCamera();
+        if (this.onSpectatorViewChanged) this.onSpectatorViewChanged(camera);
+        return camera;
+    }
+    
+    /**
+     * Step through the occupied cannons, then the free camera
+     * @param {number} [step=1] - 1 for next, -1 for previous
+     */
+    cycleSpectatorView(step = 1) {
+        if (!this.isSpectator) return null;
+        
+        // Index targets.length is the free camera
+        const targets = this._spectatorTargets();
+        const current = this.spectatorView.mode === 'cannon'
+            ? targets.findIndex(t => t.slotIndex === this.spectatorView.slotIndex)
+            : targets.length;
+        const count = targets.length + 1;
+        const next = (((current < 0 ? targets.length : current) + step) % count + count) % count;
+        return this.setSpectatorView(next < targets.length
+            ? { mode: 'cannon', slotIndex: targets[next].slotIndex }
+            : { mode: 'free' });
+    }
+    
+    /**
+     * Where the spectator camera should be
+     * Cannon views carry the watched player, the 3D cannon position and, once
+     * they have fired, their last aim point in 3D.
+     * @returns {Object|null} { mode, slotIndex, playerId, playerName, position, aim }
+     */
+    getSpectatorCamera() {
+        if (!this.isSpectator) return null;
+        
+        const view = this.spectatorView;
+        const target = view.mode === 'cannon'
+            ? this._spectatorTargets().find(t => t.slotIndex === view.slotIndex)
+            : null;
+        if (!target) {
+            return { mode: 'free', slotIndex: null, playerId: null, playerName: null, position: null, aim: null };
+        }
+        return {
+            mode: 'cannon',
+            slotIndex: target.slotIndex,
+            playerId: target.playerId,
+            playerName: target.playerName,
+            position: this.getCannonPosition(target.slotIndex),
+            aim: target.aim ? this.serverToWorld(target.aim.x, target.aim.z) : null
+        };
+    }
+    
+    /**
+     * Recent kills in the room, oldest first
+     * @param {string} [playerId] - only this player's kills
+     */
+    getKillFeed(playerId = null) {
+        return playerId === null
+            ? this.killFeed.slice()
+            : this.killFeed.filter(entry => entry.playerId === playerId);
+    }
+    
+    /**
+     * Add a FISH_DEATH to the kill feed (players and spectators alike)
+     * @param {Object} data - normalized kill, see _handleFishKilled
+     * @param {Object} [fish] - the fish as last seen, for its type
+     */
+    _recordKill(data, fish) {
+        if (!this.roomCode) return;
+        
+        const killer = this._spectatorTargets().find(t => t.playerId === data.killedBy);
+        const entry = {
+            fishId: data.fishId,
+            fishType: data.typeName || (fish && fish.type) || null,
+            isBoss: !!(data.isBoss || (fish && fish.isBoss)),
+            playerId: data.killedBy,
+            playerName: killer ? killer.playerName : null,
+            slotIndex: killer ? killer.slotIndex : null,
+            reward: data.reward,
+            time: Date.now()
+        };
+        this.killFeed.push(entry);
+        if (this.killFeed.length > MULTIPLAYER_CONFIG.killFeedSize) this.killFeed.shift();
+        if (this.onKillFeed) this.onKillFeed(entry);
+    }
+    
+    /**
+     * The watched player left: move on to the next cannon, or the free camera
+     */
+    _followSpectatorTarget() {
+        if (this.spectatorView.mode !== 'cannon') return;
+        if (this._spectatorTargets().some(t => t.slotIndex === this.spectatorView.slotIndex)) return;
+        
+        const next = this._spectatorTargets().find(t => t.slotIndex > this.spectatorView.slotIndex)
+            || this._spectatorTargets()[0];
+        this.setSpectatorView(next ? { mode: 'cannon', slotIndex: next.slotIndex } : { mode: 'free' });
+    }
+    
+    _resetSpectatorState() {
+        this.isSpectator = false;
+        this.spectatorView = { mode: 'free', slotIndex: null };
+        this.killFeed = [];
+    }
+    
+    // ============ CHAT ============
+    
+    /**
+     * Say something to the room (players and spectators)
+     * The line shows up through onChatMessage once the server relays it back.
+     * @returns {boolean} false if it was refused locally (onChatRejected says why)
+     */
+    sendChat(text) {
+        const line = String(text || '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+        if (!line) return this._rejectChat('CHAT_EMPTY');
+        if (Array.from(line).length > MULTIPLAYER_CONFIG.chat.maxLength) return this._rejectChat('CHAT_TOO_LONG');
+        if (!this._takeChatSlot()) return false;
+        
+        if (this.useBinaryProtocol && this.binarySocket) {
+            this.binarySocket.sendChat(line);
+        } else if (this.socket) {
+            this.socket.emit('chatMessage', { kind: 'text', text: line });
+        }
+        return true;
+    }
+    
+    /**
+     * Send a quick emote; it also shows as a bubble over the sender's cannon
+     * @param {number} emoteId - index into MULTIPLAYER_CONFIG.chat.emotes
+     */
+    sendEmote(emoteId) {
+        if (!(emoteId >= 0 && emoteId < MULTIPLAYER_CONFIG.chat.emotes.length)) return this._rejectChat('CHAT_BAD_EMOTE');
+        if (!this._takeChatSlot()) return false;
+        
+        if (this.useBinaryProtocol && this.binarySocket) {
+            this.binarySocket.sendEmote(emoteId);
+        } else if (this.socket) {
+            this.socket.emit('chatMessage', { kind: 'emote', emoteId });
+        }
+        return true;
+    }
+    
+    /**
+     * Hide a player's chat and emotes from now on (this connection only;
+     * lines already in the history stay)
+     */
+    mutePlayer(playerId) {
+        if (!playerId || playerId === this.playerId) return false;
+        this.mutedPlayers.add(playerId);
+        return true;
+    }
+    
+    unmutePlayer(playerId) {
+        return this.mutedPlayers.delete(playerId);
+    }
+    
+    isPlayerMuted(playerId) {
+        return this.mutedPlayers.has(playerId);
+    }
+    
+    /**
+     * Client-side hook for incoming text lines, e.g. a profanity filter
+     * @param {function(string, Object): (string|null)|null} filter - returns the
+     *   text to show, or null to hide the line; emotes are not filtered
+     */
+    setChatFilter(filter) {
+        this.chatFilter = typeof filter === 'function' ? filter : null;
+    }
+    
+    /**
+     * Recent chat in the room, oldest first
+     */
+    getChatHistory() {
+        return this.chatHistory.slice();
+    }
+    
+    /**
+     * Normalize a CHAT_MESSAGE / Socket.IO 'chatMessage' to
+     * { senderId, senderName, slotIndex, isSpectator, isOwn, kind: 'text'|'emote',
+     *   emoteId, text, time }, drop muted senders, then filter and record it
+     */
+    _handleChatMessage(data) {
+        if (!this.roomCode || !data) return null;
+        
+        const senderId = data.senderId || data.playerId || null;
+        if (senderId && this.mutedPlayers.has(senderId)) return null;
+        
+        const isEmote = data.kind === 'emote' || data.kind === 1;
+        const slotIndex = data.slotIndex === undefined || data.slotIndex === null ? null : data.slotIndex;
+        const message = {
+            senderId,
+            senderName: data.senderName || data.playerName || 'Player',
+            slotIndex,
+            isSpectator: slotIndex === null,
+            isOwn: senderId !== null && senderId === this.playerId,
+            kind: isEmote ? 'emote' : 'text',
+            emoteId: isEmote ? data.emoteId : null,
+            text: isEmote ? MULTIPLAYER_CONFIG.chat.emotes[data.emoteId] : String(data.text || ''),
+            time: Date.now()
+        };
+        if (message.text === undefined) return null;
+        if (!isEmote && this.chatFilter) {
+            const filtered = this.chatFilter(message.text, message);
+            if (!filtered) return null;
+            message.text = filtered;
+        }
+        
+        this.chatHistory.push(message);
+        if (this.chatHistory.length > MULTIPLAYER_CONFIG.chat.historySize) this.chatHistory.shift();
+        if (this.onChatMessage) this.onChatMessage(message);
+        return message;
+    }
+    
+    /**
+     * Client-side copy of the server's sliding-window rate limit, so a
+     * spamming player is told at once instead of after a round trip
+     */
+    _takeChatSlot() {
+        if (!this.connected || !this.roomCode) return this._rejectChat('NOT_IN_ROOM');
+        const now = Date.now();
+        const { messages, windowMs } = MULTIPLAYER_CONFIG.chat.rateLimit;
+        this._chatSentAt = this._chatSentAt.filter(t => t > now - windowMs);
+        if (this._chatSentAt.length >= messages) return this._rejectChat('CHAT_RATE_LIMITED');
+        this._chatSentAt.push(now);
+        return true;
+    }
+    
+    _rejectChat(reason) {
+        if (this.onChatRejected) this.onChatRejected({ reason });
+        return false;
+    }
+    
     // ============ UTILITY ============
     
     /**
@@ -1036,12 +2090,27 @@ class MultiplayerManager {
     
     /**
      * Rejoin previous room after reconnection
+     * On the binary protocol this only runs when the session could not be
+     * resumed; ROOM_STATE / GAME_START then carry the new seat.
      */
     _rejoinRoom() {
-        if (!this.lastRoomCode || !this.socket) return;
+        if (!this.lastRoomCode) return;
         
         console.log('[MULTIPLAYER] Attempting to rejoin room:', this.lastRoomCode);
         
+        if (this.useBinaryProtocol && this.binarySocket) {
+            if (this.lastSpectating) {
+                this.binarySocket.spectateRoom(this.lastRoomCode, this.lastPlayerName);
+            } else {
+                this.binarySocket.joinRoom(this.lastRoomCode, this.lastPlayerName);
+            }
+            this.lastRoomCode = null;
+            this.lastPlayerId = null;
+            this.lastSpectating = false;
+            return;
+        }
+        if (!this.socket) return;
+        
         this.socket.emit('rejoinRoom', {
             roomCode: this.lastRoomCode,
             playerId: this.lastPlayerId
@@ -1068,16 +2137,21 @@ class MultiplayerManager {
     
     /**
      * Predict fish position for smoother movement
-     * Uses velocity to extrapolate position between server updates
+     * Uses velocity to extrapolate position between server updates;
+     * deltaTime (seconds) is capped at maxPredictionTime.
      */
     predictFishPosition(fish, deltaTime) {
         if (!MULTIPLAYER_CONFIG.predictionEnabled) return fish;
         
+        const dt = Math.min(deltaTime, MULTIPLAYER_CONFIG.maxPredictionTime / 1000);
         const predicted = { ...fish };
-        if (fish.velocity) {
-            predicted.x += fish.velocity.x * deltaTime;
-            predicted.y += fish.velocity.y * deltaTime;
-            predicted.z += fish.velocity.z * deltaTime;
+        if (fish.vx !== undefined || fish.vz !== undefined) {
+            predicted.x += (fish.vx || 0) * dt;
+            predicted.z += (fish.vz || 0) * dt;
+        } else if (fish.velocity) {
+            predicted.x += fish.velocity.x * dt;
+            predicted.y += fish.velocity.y * dt;
+            predicted.z += fish.velocity.z * dt;
         }
         return predicted;
     }
@@ -1118,6 +2192,7 @@ class MultiplayerManager {
      * Disconnect from server
      */
     disconnect() {
+        this._stopTimeSync();
         if (this.useBinaryProtocol && this.binarySocket) {
             this.binarySocket.disconnect();
             this.binarySocket = null;
@@ -1127,23 +2202,28 @@ class MultiplayerManager {
             this.socket = null;
         }
         this.connected = false;
+        this._clearPredictions();
         this.roomCode = null;
         this.playerId = null;
         this.slotIndex = null;
         this.isHost = false;
         this.lastRoomCode = null;
         this.lastPlayerId = null;
+        this.lastSpectating = false;
         this.isReconnecting = false;
+        this._resetSpectatorState();
     }
 }
 
 // Export for use in game.js
 if (typeof window !== 'undefined') {
     window.MultiplayerManager = MultiplayerManager;
+    window.SnapshotInterpolationBuffer = SnapshotInterpolationBuffer;
+    window.ClockSync = ClockSync;
     window.MULTIPLAYER_CONFIG = MULTIPLAYER_CONFIG;
 }
 
 // Export for Node.js (testing)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MultiplayerManager, MULTIPLAYER_CONFIG };
+    module.exports = { MultiplayerManager, SnapshotInterpolationBuffer, ClockSync, MULTIPLAYER_CONFIG };
 }
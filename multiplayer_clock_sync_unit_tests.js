@@ -0,0 +1,156 @@
+const { MultiplayerManager, ClockSync, MULTIPLAYER_CONFIG } = require('./multiplayer');
+const { createSeededRandom } = require('./rtp_engine');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+// Keep the manager's own logging out of the test output
+const print = console.log;
+console.log = (...args) => { if (!String(args[0]).startsWith('[MULTIPLAYER]')) print(...args); };
+
+// One ping/pong: the server clock reads serverClock(t) when it answers
+function exchange(clock, seq, sendAt, upMs, downMs, serverClock) {
+    clock.pingSent(seq, sendAt);
+    return clock.addSample(seq, sendAt, serverClock(sendAt + upMs), sendAt + upMs + downMs);
+}
+
+console.log('=== Multiplayer Clock Sync Unit Tests ===\n');
+
+console.log('--- TEST A: NTP Filter ---');
+{
+    const clock = new ClockSync();
+    const server = t => t + 5000;
+    assert(exchange(clock, 1, 0, 40, 40, server) && clock.synced, 'First pong syncs');
+    assert(clock.offset === 5000, 'First sample applied at once (' + clock.offset + ')');
+
+    // Queueing on the way up only: each of these alone would be 100+ ms off
+    exchange(clock, 2, 1000, 400, 20, server);
+    exchange(clock, 3, 2000, 300, 20, server);
+    assert(clock.targetOffset === 5000, 'Lowest-RTT sample in the window wins');
+    assert(clock.rtt > 80 && clock.minRtt === 80, 'Smoothed and minimum RTT tracked');
+
+    const small = new ClockSync({ windowSize: 3 });
+    exchange(small, 1, 0, 10, 10, server);
+    for (let i = 2; i <= 4; i++) exchange(small, i, i * 1000, 200, 20, server);
+    assert(small.samples.length === 3 && small.targetOffset === 5000 + 90, 'Old samples leave the window (' + small.targetOffset + ')');
+
+    assert(!clock.addSample(9, NaN, 0, 10) && !clock.addSample(9, 50, 0, 10), 'Broken pongs rejected');
+}
+console.log('  Filter: OK\n');
+
+console.log('--- TEST B: Slewing ---');
+{
+    const clock = new ClockSync();
+    exchange(clock, 1, 0, 20, 20, t => t + 1000);
+    // Server clock moves 200 ms ahead
+    exchange(clock, 2, 1000, 10, 10, t => t + 1200);
+    assert(clock.targetOffset === 1200 && clock.offset < 1010, 'Offset not jumped on a small correction');
+
+    let previous = -Infinity, monotonic = true;
+    for (let t = 1020; t <= 20000; t += 16) {
+        const serverNow = t + clock.offsetAt(t);
+        if (serverNow < previous) monotonic = false;
+        previous = serverNow;
+    }
+    assert(monotonic, 'Server time never runs backwards while slewing');
+    assert(clock.offsetAt(20000) === 1200, 'Slew reaches the estimate and stays there');
+
+    const fresh = new ClockSync();
+    exchange(fresh, 1, 0, 20, 20, t => t + 1000);
+    exchange(fresh, 2, 1000, 10, 10, t => t + 1200);
+    const after4s = fresh.offsetAt(5020) - 1000;
+    assert(Math.abs(after4s - MULTIPLAYER_CONFIG.clockSlewRate * 4) < 1e-6, `Slew rate limited (${after4s.toFixed(1)} ms in 4 s)`);
+
+    const step = new ClockSync();
+    exchange(step, 1, 0, 20, 20, t => t);
+    exchange(step, 2, 1000, 10, 10, t => t + 60000);
+    assert(step.offset === 60000, 'Error above clockStepThreshold steps the clock');
+}
+console.log('  Slewing: OK\n');
+
+console.log('--- TEST C: Drift and Changing Latency ---');
+{
+    // Client clock runs 500 ppm slow; latency climbs from 30 to 150 ms with jitter
+    const random = createSeededRandom(42);
+    const server = t => 777777 + t * 1.0005;
+    const clock = new ClockSync();
+    let worst = 0;
+    for (let i = 0; i < 150; i++) {
+        const sendAt = i * MULTIPLAYER_CONFIG.timeSyncInterval;
+        const base = 15 + 60 * (i / 150);
+        exchange(clock, i + 1, sendAt, base + random() * 40, base + random() * 40, server);
+        if (i >= 20) {
+            const t = sendAt + 1000;
+            worst = Math.max(worst, Math.abs(t + clock.offsetAt(t) - server(t)));
+        }
+    }
+    assert(worst < 40, `Tracks drift within 40 ms over 5 min (worst ${worst.toFixed(1)} ms)`);
+    assert(clock.jitter > 5 && clock.jitter < 40, `RTT jitter measured (${clock.jitter.toFixed(1)} ms)`);
+}
+console.log('  Drift: OK\n');
+
+console.log('--- TEST D: Packet Loss ---');
+{
+    const clock = new ClockSync({ pingTimeout: 3000 });
+    for (let seq = 1; seq <= 10; seq++) {
+        if (seq % 5 === 0) clock.pingSent(seq, seq * 1000);
+        else exchange(clock, seq, seq * 1000, 20, 20, t => t);
+    }
+    clock.expire(12000);
+    assert(clock.lost === 1 && Math.abs(clock.loss - 1 / 9) < 1e-9, 'Ping past the timeout counted lost (' + clock.lost + ')');
+    clock.expire(13000);
+    assert(clock.lost === 2 && Math.abs(clock.loss - 0.2) < 1e-9, 'Loss ratio over recent pings');
+    clock.addSample(10, 10000, 10000, 13500);
+    assert(clock.lost === 2 && clock.received === 9, 'Late pong still feeds the clock but stays lost');
+    const stats = clock.getStats(14000);
+    assert(stats.sent === 10 && stats.synced && stats.minRtt === 40, 'Stats exposed');
+}
+console.log('  Loss: OK\n');
+
+console.log('--- TEST E: MultiplayerManager ---');
+{
+    const manager = new MultiplayerManager();
+    const pings = [];
+    manager.connected = true;
+    manager.binarySocket = { sendTimeSyncPing: seq => pings.push(seq), disconnect: () => {} };
+    const seen = [];
+    manager.onNetworkStats = stats => seen.push(stats);
+
+    manager._sendTimeSyncPing();
+    const now = Date.now();
+    // Binary pong: serverTime is already RTT-adjusted, serverSendTime is the raw stamp
+    manager._handleTimeSync({ seq: pings[0], rtt: 60, serverTime: now + 30030, clientSendTime: now - 60, serverSendTime: now + 30000 });
+    assert(Math.abs(manager.clock.offset - 30030) <= 2, 'Binary pong uses the raw server stamp (' + manager.clock.offset + ')');
+    assert(Math.abs(manager.getServerTime() - (Date.now() + 30030)) <= 5, 'getServerTime follows the clock filter');
+    assert(seen.length === 1 && seen[0].pendingShots === 0 && seen[0].interpolationDelay === MULTIPLAYER_CONFIG.interpolationDelay,
+        'onNetworkStats reports clock, interpolation and prediction state');
+    assert(seen[0].rejectedPackets === 0, 'onNetworkStats counts server packets BinarySocket rejected');
+
+    // Socket.IO pong: serverTime is the raw stamp
+    manager._sendTimeSyncPing();
+    const t2 = Date.now();
+    manager._handleTimeSync({ seq: pings[1], clientSendTime: t2 - 200, serverTime: t2 + 29930 });
+    assert(manager.clock.received === 2 && manager.clock.jitter > 0, 'Socket.IO pong accepted, jitter measured');
+    assert(manager.fishInterpolation.networkJitter === manager.clock.jitter, 'RTT jitter fed to the interpolation buffer');
+
+    manager.clock.rtt = 900;
+    manager.pendingInputs.push({ seq: 1, firedAt: 0, impactAt: 0, impacted: true, hits: [], bullet: null });
+    manager.updatePredictions(MULTIPLAYER_CONFIG.shotPrediction.confirmTimeout + 100);
+    assert(manager.pendingInputs.length === 1, 'Slow link stretches the prediction timeout');
+    manager.updatePredictions(3600);
+    assert(manager.pendingInputs.length === 0, 'Prediction timeout is 4 × RTT on a slow link');
+
+    manager._startTimeSync();
+    assert(manager._timeSyncTimers.length === 6 && manager.clock.received === 0, 'Burst plus periodic timer, clock reset');
+    manager.disconnect();
+    assert(manager._timeSyncTimers.length === 0, 'Disconnect stops background sync');
+}
+console.log('  Manager: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
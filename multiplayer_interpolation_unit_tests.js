@@ -0,0 +1,163 @@
+const { MultiplayerManager, SnapshotInterpolationBuffer, MULTIPLAYER_CONFIG } = require('./multiplayer');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+function close(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+// Fish swimming in a straight line at (vx, vz) units/s from (x0, z0) at t=0
+function linearFish(id, t, x0, z0, vx, vz) {
+    return { id, type: 'clownfish', x: x0 + vx * t / 1000, y: 0, z: z0 + vz * t / 1000, vx, vz, hp: 10, maxHp: 10 };
+}
+
+// Fish on a circle of radius r, angular speed w rad/s
+function circleFish(id, t, r, w) {
+    const a = w * t / 1000;
+    return { id, x: r * Math.cos(a), y: 0, z: r * Math.sin(a), vx: -r * w * Math.sin(a), vz: r * w * Math.cos(a) };
+}
+
+console.log('=== Multiplayer Interpolation Unit Tests ===\n');
+
+console.log('--- TEST A: Hermite Interpolation ---');
+{
+    const buffer = new SnapshotInterpolationBuffer();
+    for (let t = 0; t <= 400; t += 100) {
+        buffer.push(t, [linearFish('a', t, -20, 10, 6, -3)], t);
+    }
+    let exact = true;
+    for (let t = 0; t <= 400; t += 7) {
+        const fish = buffer.sample(t)[0];
+        const expected = linearFish('a', t, -20, 10, 6, -3);
+        exact = exact && close(fish.x, expected.x, 1e-9) && close(fish.z, expected.z, 1e-9);
+    }
+    assert(exact, 'Linear motion reproduced exactly between snapshots');
+
+    const curve = new SnapshotInterpolationBuffer();
+    for (let t = 0; t <= 1000; t += 100) curve.push(t, [circleFish('c', t, 30, 2)], t);
+    let hermiteError = 0, linearError = 0;
+    for (let t = 0; t < 1000; t += 10) {
+        const truth = circleFish('c', t, 30, 2);
+        const fish = curve.sample(t)[0];
+        hermiteError = Math.max(hermiteError, Math.hypot(fish.x - truth.x, fish.z - truth.z));
+        const t0 = Math.floor(t / 100) * 100;
+        const a = circleFish('c', t0, 30, 2), b = circleFish('c', t0 + 100, 30, 2);
+        const s = (t - t0) / 100;
+        linearError = Math.max(linearError, Math.hypot(a.x + (b.x - a.x) * s - truth.x, a.z + (b.z - a.z) * s - truth.z));
+    }
+    assert(hermiteError < linearError / 10, `Hermite beats linear on a curve (${hermiteError.toFixed(4)} vs ${linearError.toFixed(4)})`);
+
+    const sample = curve.sample(250)[0];
+    assert(sample.type === undefined && sample.id === 'c', 'Sampled fish carry the snapshot fields');
+    assert(curve.snapshots[2].fish.get('c').x === circleFish('c', 200, 30, 2).x, 'Sampling leaves the buffer untouched');
+}
+console.log('  Hermite: OK\n');
+
+console.log('--- TEST B: Ordering and Capacity ---');
+{
+    const buffer = new SnapshotInterpolationBuffer();
+    assert(buffer.capacity === MULTIPLAYER_CONFIG.snapshotBufferSize && buffer.capacity === 20, 'Capacity follows snapshotBufferSize');
+    for (let t = 0; t < 3000; t += 100) buffer.push(t, [], t);
+    assert(buffer.size() === 20 && buffer.snapshots[0].timestamp === 1000, 'Oldest snapshots evicted past capacity');
+
+    const late = new SnapshotInterpolationBuffer();
+    late.push(0, [linearFish('a', 0, 0, 0, 10, 0)], 0);
+    late.push(200, [linearFish('a', 200, 0, 0, 10, 0)], 200);
+    late.push(100, [linearFish('a', 100, 0, 0, 10, 0)], 260);
+    late.push(300, [linearFish('a', 300, 0, 0, 10, 0)], 300);
+    const order = late.snapshots.map(s => s.timestamp);
+    assert(order.join(',') === '0,100,200,300', 'Late packet slotted in by timestamp (' + order.join(',') + ')');
+    assert(late.lateCount === 1, 'Late packet counted');
+    late.push(100, [], 320);
+    assert(late.size() === 4 && late.snapshots[1].fish.size === 1, 'Duplicate timestamp ignored');
+
+    const full = new SnapshotInterpolationBuffer({ capacity: 3 });
+    for (const t of [100, 200, 300]) full.push(t, [], t);
+    full.push(50, [], 350);
+    assert(full.snapshots[0].timestamp === 100, 'Packet older than a full buffer dropped');
+
+    late.clear();
+    assert(late.size() === 0 && late.sample(100).length === 0 && late.delay === late.minDelay, 'clear() resets buffer and delay');
+}
+console.log('  Ordering: OK\n');
+
+console.log('--- TEST C: Adaptive Delay ---');
+{
+    const steady = new SnapshotInterpolationBuffer();
+    for (let t = 0; t <= 5000; t += 100) steady.push(t, [], t + 40);
+    assert(steady.jitter < 1e-9, 'Steady arrivals measure no jitter');
+    assert(close(steady.delay, 100, 1), `Steady 10 Hz settles at one interval (${steady.delay.toFixed(1)} ms)`);
+
+    const jittery = new SnapshotInterpolationBuffer();
+    let seed = 1;
+    const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+    for (let t = 0; t <= 5000; t += 100) jittery.push(t, [], t + 40 + random() * 120);
+    assert(jittery.jitter > 20, `Jittery arrivals measured (${jittery.jitter.toFixed(1)} ms)`);
+    assert(jittery.delay > steady.delay + 40, `Delay grows with jitter (${jittery.delay.toFixed(1)} ms)`);
+
+    const awful = new SnapshotInterpolationBuffer();
+    for (let t = 0; t <= 5000; t += 100) awful.push(t, [], t + ((t / 100) % 2) * 2000);
+    assert(awful.delay <= MULTIPLAYER_CONFIG.interpolationDelayMax, `Delay capped at interpolationDelayMax (${awful.delay.toFixed(1)} ms)`);
+
+    const fast = new SnapshotInterpolationBuffer();
+    for (let t = 0; t <= 5000; t += 20) fast.push(t, [], t);
+    assert(close(fast.delay, MULTIPLAYER_CONFIG.interpolationDelay, 1e-6), 'Delay never drops below interpolationDelay');
+}
+console.log('  Adaptive Delay: OK\n');
+
+console.log('--- TEST D: Extrapolation, Spawns and Removals ---');
+{
+    const buffer = new SnapshotInterpolationBuffer();
+    buffer.push(0, [linearFish('a', 0, 0, 0, 10, 5), linearFish('gone', 0, 5, 5, 0, 0)], 0);
+    buffer.push(100, [linearFish('a', 100, 0, 0, 10, 5), linearFish('new', 100, 20, 0, -10, 0)], 100);
+
+    const ahead = buffer.sample(250)[0];
+    assert(close(ahead.x, 2.5, 1e-9) && close(ahead.z, 1.25, 1e-9), 'Extrapolates along velocity past the newest snapshot');
+    const far = buffer.sample(5000)[0];
+    const cap = MULTIPLAYER_CONFIG.maxPredictionTime / 1000;
+    assert(close(far.x, 1 + 10 * cap, 1e-9), 'Extrapolation capped at maxPredictionTime');
+
+    const mid = buffer.sample(50);
+    const ids = mid.map(f => f.id).sort().join(',');
+    assert(ids === 'a,new', 'Fish set follows the later snapshot (' + ids + ')');
+    const spawned = mid.find(f => f.id === 'new');
+    assert(close(spawned.x, 19.5, 1e-9), 'Fish spawned mid-interval run back along its velocity');
+
+    const before = buffer.sample(-100);
+    assert(before.length === 2 && before[0].x === 0, 'Before the oldest snapshot the oldest is shown as-is');
+}
+console.log('  Extrapolation: OK\n');
+
+console.log('--- TEST E: MultiplayerManager Integration ---');
+{
+    const manager = Object.create(MultiplayerManager.prototype);
+    manager.serverFish = new Map([['raw', { id: 'raw', x: 1, z: 1 }]]);
+    manager.fishInterpolation = new SnapshotInterpolationBuffer();
+    let now = 0;
+    manager.getServerTime = () => now;
+    assert(manager.getInterpolatedFish()[0].id === 'raw', 'Falls back to raw server fish before any snapshot');
+
+    for (let t = 0; t <= 1000; t += 100) {
+        manager.fishInterpolation.push(t, [linearFish('a', t, 0, 0, 20, 0)], t);
+    }
+    now = 1000;
+    const rendered = manager.getInterpolatedFish()[0];
+    const delay = manager.fishInterpolation.delay;
+    assert(close(rendered.x, 20 * (1000 - delay) / 1000, 1e-9), `Renders at serverTime - delay (${delay.toFixed(1)} ms)`);
+
+    const predicted = manager.predictFishPosition({ id: 'p', x: 0, y: 0, z: 0, vx: 10, vz: -10 }, 5);
+    assert(close(predicted.x, 10 * MULTIPLAYER_CONFIG.maxPredictionTime / 1000, 1e-9) && predicted.z < 0,
+        'predictFishPosition uses vx/vz and caps the horizon');
+    const legacy = manager.predictFishPosition({ x: 0, y: 0, z: 0, velocity: { x: 1, y: 0, z: 2 } }, 0.1);
+    assert(close(legacy.x, 0.1, 1e-9) && close(legacy.z, 0.2, 1e-9), 'predictFishPosition still accepts velocity vectors');
+}
+console.log('  Integration: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
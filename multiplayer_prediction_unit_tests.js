@@ -0,0 +1,181 @@
+const { MultiplayerManager, MULTIPLAYER_CONFIG } = require('./multiplayer');
+const {
+    LocalRoom,
+    ROOM_MAP_BOUNDS,
+    ROOM_CANNON_X,
+    ROOM_CANNON_Z,
+    ROOM_BULLET_SPEED,
+    ROOM_ROCKET_SPLASH_RADIUS,
+    ROOM_FISH_TIER_SIM
+} = require('./local_room');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+// Keep the manager's own logging out of the test output
+const print = console.log;
+console.log = (...args) => { if (!String(args[0]).startsWith('[MULTIPLAYER]')) print(...args); };
+
+// Manager in a room on the binary protocol; shots are recorded instead of sent
+function roomManager(fish, slotIndex = 1) {
+    const manager = new MultiplayerManager();
+    manager.connected = true;
+    manager.roomCode = 'PRED01';
+    manager.playerId = 'me';
+    manager.slotIndex = slotIndex;
+    manager.sent = [];
+    manager.binarySocket = { shoot: (data) => manager.sent.push(data), leaveRoom: () => {} };
+    manager.getInterpolatedFish = () => fish;
+    manager.events = [];
+    manager.onShotPredicted = (shot) => manager.events.push(['predicted', shot.seq]);
+    manager.onPredictedImpact = (shot) => manager.events.push(['impact', shot.seq, shot.hits.map(h => h.fishId + (h.kill ? '!' : ''))]);
+    manager.onShotReconciled = (r) => manager.events.push(['reconciled', r.seq, r.rolledBack, r.unpredicted, r.timedOut]);
+    return manager;
+}
+
+function fish(id, x, z, extra) {
+    return Object.assign({ id, type: 'clownfish', tier: 't3', x, y: 0, z, vx: 0, vz: 0, hp: 60, maxHp: 60, isBoss: false }, extra);
+}
+
+console.log('=== Multiplayer Shot Prediction Unit Tests ===\n');
+
+console.log('--- TEST A: Layout Matches the Server Room ---');
+{
+    const cfg = MULTIPLAYER_CONFIG.shotPrediction;
+    assert(cfg.cannonX.join(',') === ROOM_CANNON_X.join(',') && cfg.cannonZ === ROOM_CANNON_Z, 'Cannon layout matches local_room.js');
+    assert(cfg.mapBounds.x === ROOM_MAP_BOUNDS.x && cfg.mapBounds.z === ROOM_MAP_BOUNDS.z, 'Map bounds match local_room.js');
+    assert(cfg.bulletSpeed === ROOM_BULLET_SPEED && cfg.rocketSplashRadius === ROOM_ROCKET_SPLASH_RADIUS, 'Bullet speed and splash match local_room.js');
+    assert(Object.keys(ROOM_FISH_TIER_SIM).every(tier => cfg.fishRadius[tier] === ROOM_FISH_TIER_SIM[tier].radius), 'Fish radii match local_room.js');
+}
+console.log('  Layout: OK\n');
+
+console.log('--- TEST B: Predicted Bullet and Impact ---');
+{
+    // Cannon slot 1 is at (-20, 55); fish 75 units straight ahead
+    const manager = roomManager([fish('f1', -20, -20, { hp: 200, maxHp: 200 })]);
+    const shot = manager.shoot(-20, -40);
+    assert(shot && shot.seq === 1 && manager.sent[0].seq === 1, 'Prediction keyed by the shotSequenceId sent to the server');
+    assert(manager.localBullets.has(1) && manager.pendingInputs.length === 1, 'Local bullet and pending input recorded');
+    assert(Math.abs(shot.impactAt - shot.firedAt - 500) <= 10, 'Impact after 75 units at 150 u/s (' + (shot.impactAt - shot.firedAt) + ' ms)');
+    assert(shot.hits.length === 1 && shot.hits[0].fishId === 'f1' && !shot.hits[0].kill, 'Hit predicted, no kill at 200 hp');
+
+    manager.updatePredictions(shot.firedAt + 200);
+    const bullet = manager.localBullets.get(1);
+    assert(Math.abs(bullet.z - (55 - 30)) < 1e-9 && bullet.x === -20, 'Bullet advances along the shot line');
+    manager.updatePredictions(shot.firedAt + 510);
+    assert(!manager.localBullets.has(1) && shot.impacted, 'Bullet gone on predicted impact');
+    assert(JSON.stringify(manager.events[1]) === JSON.stringify(['impact', 1, ['f1']]), 'Impact reported once');
+
+    manager._reconcileShot({ shotSequenceId: 1, hits: [{ fishId: 'f1', damage: 10, newHealth: 190 }], newBalance: 999 });
+    assert(manager.pendingInputs.length === 0 && manager.lastProcessedInput === 1, 'HIT_RESULT settles the shot');
+    assert(JSON.stringify(manager.events[2]) === JSON.stringify(['reconciled', 1, [], [], false]), 'Correct prediction needs no correction');
+}
+console.log('  Bullet: OK\n');
+
+console.log('--- TEST C: Mispredicted Kill Rolls Back ---');
+{
+    const balances = [];
+    const manager = roomManager([fish('weak', -20, 0, { hp: 5 }), fish('side', 30, 0)]);
+    manager.onBalanceUpdate = (data) => balances.push(data.balance);
+    const shot = manager.shoot(-20, -40);
+    assert(shot.hits[0].kill === true, 'Low-hp fish predicted as killed');
+    manager.updatePredictions(shot.impactAt);
+    manager._reconcileShot({ shotSequenceId: 1, hits: [{ fishId: 'weak', damage: 10, newHealth: 1 }], totalReward: 0, newBalance: 12345 });
+    const reconciled = manager.events.find(e => e[0] === 'reconciled');
+    assert(JSON.stringify(reconciled[2]) === '["weak"]', 'Kill the server did not confirm is rolled back');
+    assert(balances.length === 0, 'HIT_RESULT newBalance never reaches onBalanceUpdate');
+
+    // Confirmed kill: nothing to undo
+    const second = manager.shoot(-20, -40);
+    manager.updatePredictions(second.impactAt);
+    manager._reconcileShot({ shotSequenceId: 2, hits: [{ fishId: 'weak', damage: 10, newHealth: 0 }] });
+    assert(manager.events.filter(e => e[0] === 'reconciled')[1][2].length === 0, 'Confirmed kill is kept');
+
+    // Server answered before the predicted bullet landed: nothing was shown, so nothing to undo
+    const early = manager.shoot(-20, -40);
+    manager._reconcileShot({ shotSequenceId: 3, hits: [{ fishId: 'side', damage: 10, newHealth: 50 }] });
+    const r3 = manager.events.filter(e => e[0] === 'reconciled')[2];
+    assert(r3[2].length === 0 && JSON.stringify(r3[3]) === '["side"]', 'Unshown server hits reported as unpredicted');
+    manager.updatePredictions(early.impactAt + 1);
+    assert(!manager.events.some(e => e[0] === 'impact' && e[1] === 3), 'Settled shot never reports a late impact');
+}
+console.log('  Rollback: OK\n');
+
+console.log('--- TEST D: Timeout, Lasers and Guards ---');
+{
+    const manager = roomManager([fish('a', -20, 30, { hp: 5 }), fish('b', -20, 0, { hp: 5 }), fish('c', 40, 0)]);
+    manager.currentWeapon = '8x';
+    const laser = manager.shoot(-20, 40);
+    assert(laser.bullet === null && laser.impacted && !manager.localBullets.has(1), 'Laser resolves instantly without a bullet');
+    assert(laser.hits.map(h => h.fishId).join(',') === 'a,b', 'Laser hits every fish on its line, nearest first');
+    manager.updatePredictions(laser.firedAt + MULTIPLAYER_CONFIG.shotPrediction.confirmTimeout);
+    const timedOut = manager.events.find(e => e[0] === 'reconciled');
+    assert(timedOut[4] === true && timedOut[2].join(',') === 'a,b', 'Unanswered shot times out and rolls back its kills');
+    manager._reconcileShot({ shotSequenceId: 1, hits: [] });
+    assert(manager.events.filter(e => e[0] === 'reconciled').length === 1, 'Late HIT_RESULT after timeout ignored');
+
+    manager.slotIndex = null;
+    assert(manager.shoot(0, 0) === null && manager.sent.length === 2, 'No prediction without a cannon slot, shot still sent');
+    manager.slotIndex = 1;
+    MULTIPLAYER_CONFIG.predictionEnabled = false;
+    assert(manager.shoot(0, 0) === null, 'predictionEnabled=false disables prediction');
+    MULTIPLAYER_CONFIG.predictionEnabled = true;
+
+    manager.awaitingResume = true;
+    const held = manager.shoot(-20, 40);
+    manager.updatePredictions(held.firedAt + 10 * MULTIPLAYER_CONFIG.shotPrediction.confirmTimeout);
+    assert(manager.pendingInputs.includes(held), 'Shots stay pending while a dropped session may resume');
+    manager.awaitingResume = false;
+
+    manager.shoot(0, 0);
+    manager.leaveRoom();
+    assert(manager.pendingInputs.length === 0 && manager.localBullets.size === 0, 'Leaving the room drops predictions');
+}
+console.log('  Guards: OK\n');
+
+console.log('--- TEST E: Agreement with LocalRoom ---');
+{
+    // Same shots through the reference room; predictions should match its hits
+    let agree = 0, total = 0, kills = 0;
+    for (const weapon of ['1x', '3x', '5x', '8x']) {
+        const room = new LocalRoom({ code: 'PRED02', seed: 5, now: () => room.timeMs, targetFishCount: 0, bossIntervalMs: 0 });
+        room.addPlayer('me', 'Me');
+        room.spawnFish('clownfish', { x: 10, z: 10, vx: 6, vz: 0 });
+        room.spawnFish('clownfish', { x: -30, z: -10, vx: 0, vz: 4 });
+        room.spawnFish('clownfish', { x: 40, z: 30, vx: -8, vz: 2 });
+        room.spawnFish('clownfish', { x: -50, z: 20, vx: 5, vz: -5 });
+        room.drainEvents();
+        const manager = roomManager(null, 0);
+        manager.getInterpolatedFish = () => room.snapshot().fish;
+        manager.currentWeapon = weapon;
+
+        for (const [tx, tz] of [[14, 10], [-30, -6], [35, 31], [-46, 16], [0, -50]]) {
+            const shot = manager.shoot(tx, tz);
+            room.fire('me', { weaponKey: weapon, targetX: tx, targetZ: tz, shotSequenceId: shot.seq });
+            let result = null;
+            for (let i = 0; i < 200 && !result; i++) {
+                if (i > 0) room.tick(10);
+                result = room.drainEvents().find(e => e.type === 'hitResult');
+            }
+            const predicted = shot.hits.map(h => h.fishId).sort().join(',');
+            const actual = result.data.hits.map(h => h.fishId).sort().join(',');
+            total++;
+            if (predicted === actual) agree++;
+            kills += result.data.hits.filter(h => h.newHealth === 0).length;
+            manager.updatePredictions(shot.impactAt);
+            manager._reconcileShot(result.data);
+        }
+        assert(manager.pendingInputs.length === 0, weapon + ': every shot reconciled');
+    }
+    console.log(`  ${agree}/${total} predicted hit sets match the room (${kills} server kills)`);
+    assert(agree >= total - 1, 'Predicted hits agree with the reference room');
+}
+console.log('  LocalRoom: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
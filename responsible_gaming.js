@@ -0,0 +1,281 @@
+/**
+ * 3D Fish Shooting Game - Responsible Gaming Limits
+ * Player-set loss / wager / session-time limits, reality checks and cool-off.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./responsible_gaming') from Node tests.
+ *
+ * All money is integer FP on the game balance scale (BALANCE_SCALE = 1000).
+ * checkBet() must be called BEFORE any cost deduction; recordBet()/recordWin()
+ * after the wallet actually moves. State is written through the injected
+ * storage (localStorage in the browser) on every change, so reloading the
+ * page resumes the same period, session and cool-off.
+ *
+ * Rules:
+ *   - Loss and wager totals accumulate over a rolling RG_PERIOD_MS window.
+ *   - Tightening a limit applies immediately; loosening or removing one only
+ *     takes effect after RG_LIMIT_INCREASE_DELAY_MS.
+ *   - A session continues across reloads; it ends once the player has been
+ *     idle for RG_SESSION_BREAK_MS, so a session-time block lasts at least
+ *     that long.
+ *   - A cool-off can be extended but never shortened.
+ */
+
+const RG_STORAGE_VERSION = 1;
+const RG_PERIOD_MS = 24 * 60 * 60 * 1000;
+const RG_LIMIT_INCREASE_DELAY_MS = 24 * 60 * 60 * 1000;
+const RG_SESSION_BREAK_MS = 15 * 60 * 1000;
+
+// null = no limit. Reality checks are on by default (every 30 minutes).
+const RG_DEFAULT_LIMITS = {
+    lossLimitFp: null,
+    wagerLimitFp: null,
+    sessionTimeLimitMs: null,
+    realityCheckIntervalMs: 30 * 60 * 1000
+};
+
+function isValidLimit(value) {
+    return value === null || (Number.isInteger(value) && value > 0);
+}
+
+class ResponsibleGamingLimits {
+    /**
+     * @param {object} [options]
+     * @param {function(): number} [options.now] - clock in ms (default Date.now)
+     * @param {{getItem: function, setItem: function}} [options.storage] - persistence (omit for in-memory)
+     * @param {string} [options.storageKey]
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'responsibleGaming';
+        this.state = this._load() || this._freshState();
+        this._roll(this.now());
+    }
+
+    _freshState() {
+        return {
+            version: RG_STORAGE_VERSION,
+            limits: Object.assign({}, RG_DEFAULT_LIMITS),
+            pendingLimits: null,
+            pendingEffectiveAt: 0,
+            periodStart: this.now(),
+            wageredFp: 0,
+            wonFp: 0,
+            sessionStart: null,
+            lastActivity: null,
+            lastRealityCheck: null,
+            coolOffUntil: 0
+        };
+    }
+
+    _load() {
+        if (!this.storage) return null;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            if (!saved || saved.version !== RG_STORAGE_VERSION) return null;
+            const state = Object.assign(this._freshState(), saved);
+            state.limits = Object.assign({}, RG_DEFAULT_LIMITS, saved.limits);
+            return state;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            // Storage full or disabled: limits still apply for this page load
+        }
+    }
+
+    // Advance period, pending limit changes and session to `now`
+    _roll(now) {
+        const s = this.state;
+        if (now - s.periodStart >= RG_PERIOD_MS) {
+            s.periodStart = now;
+            s.wageredFp = 0;
+            s.wonFp = 0;
+        }
+        if (s.pendingLimits && now >= s.pendingEffectiveAt) {
+            Object.assign(s.limits, s.pendingLimits);
+            s.pendingLimits = null;
+            s.pendingEffectiveAt = 0;
+        }
+        if (s.sessionStart !== null && now - s.lastActivity >= RG_SESSION_BREAK_MS) {
+            s.sessionStart = null;
+            s.lastActivity = null;
+            s.lastRealityCheck = null;
+        }
+    }
+
+    /**
+     * Change limits. Stricter values apply now; looser ones (or null = remove)
+     * are queued for RG_LIMIT_INCREASE_DELAY_MS.
+     * @param {object} limits - any subset of RG_DEFAULT_LIMITS keys
+     * @returns {{applied: string[], pending: string[], effectiveAt: number}}
+     */
+    setLimits(limits) {
+        const now = this.now();
+        this._roll(now);
+        const s = this.state;
+        const applied = [];
+        const pending = [];
+        for (const key of Object.keys(limits)) {
+            if (!(key in RG_DEFAULT_LIMITS)) throw new Error('Unknown responsible gaming limit: ' + key);
+            const value = limits[key];
+            if (!isValidLimit(value)) throw new Error('Invalid ' + key + ': ' + value);
+            const current = s.limits[key];
+            if (value === current) continue;
+            if (value !== null && (current === null || value < current)) {
+                s.limits[key] = value;
+                if (s.pendingLimits) delete s.pendingLimits[key];
+                applied.push(key);
+            } else {
+                s.pendingLimits = s.pendingLimits || {};
+                s.pendingLimits[key] = value;
+                pending.push(key);
+            }
+        }
+        if (pending.length > 0) s.pendingEffectiveAt = now + RG_LIMIT_INCREASE_DELAY_MS;
+        if (s.pendingLimits && Object.keys(s.pendingLimits).length === 0) {
+            s.pendingLimits = null;
+            s.pendingEffectiveAt = 0;
+        }
+        this.save();
+        return { applied, pending, effectiveAt: s.pendingEffectiveAt };
+    }
+
+    // Called when the player enters a game; resumes a session left less than RG_SESSION_BREAK_MS ago
+    startSession() {
+        const now = this.now();
+        this._roll(now);
+        const s = this.state;
+        if (s.sessionStart === null) {
+            s.sessionStart = now;
+            s.lastRealityCheck = now;
+        }
+        s.lastActivity = now;
+        this.save();
+    }
+
+    /**
+     * Lock play for durationMs. An active cool-off can only be extended.
+     * @param {number} durationMs
+     * @returns {number} timestamp the cool-off ends
+     */
+    startCoolOff(durationMs) {
+        if (!Number.isInteger(durationMs) || durationMs <= 0) throw new Error('Invalid cool-off duration: ' + durationMs);
+        const now = this.now();
+        this.state.coolOffUntil = Math.max(this.state.coolOffUntil, now + durationMs);
+        this.save();
+        return this.state.coolOffUntil;
+    }
+
+    /**
+     * Time-based gates only (cool-off, session time). Used where the server
+     * owns the wallet and money limits are enforced there.
+     * @returns {{allowed: boolean, reason?: string, retryAt?: number}}
+     */
+    checkPlay() {
+        const now = this.now();
+        this._roll(now);
+        const s = this.state;
+        if (now < s.coolOffUntil) {
+            return { allowed: false, reason: 'cool_off', retryAt: s.coolOffUntil };
+        }
+        if (s.limits.sessionTimeLimitMs !== null && s.sessionStart !== null &&
+            now - s.sessionStart >= s.limits.sessionTimeLimitMs) {
+            return { allowed: false, reason: 'session_time', retryAt: s.lastActivity + RG_SESSION_BREAK_MS };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Full pre-deduction gate: time gates plus wager and loss limits, assuming
+     * the bet is lost.
+     * @param {number} betFp
+     * @returns {{allowed: boolean, reason?: string, retryAt?: number}}
+     */
+    checkBet(betFp) {
+        const play = this.checkPlay();
+        if (!play.allowed) return play;
+        const s = this.state;
+        const retryAt = s.periodStart + RG_PERIOD_MS;
+        if (s.limits.wagerLimitFp !== null && s.wageredFp + betFp > s.limits.wagerLimitFp) {
+            return { allowed: false, reason: 'wager_limit', retryAt };
+        }
+        if (s.limits.lossLimitFp !== null && s.wageredFp - s.wonFp + betFp > s.limits.lossLimitFp) {
+            return { allowed: false, reason: 'loss_limit', retryAt };
+        }
+        return { allowed: true };
+    }
+
+    recordBet(betFp) {
+        const now = this.now();
+        this._roll(now);
+        if (this.state.sessionStart === null) {
+            this.state.sessionStart = now;
+            this.state.lastRealityCheck = now;
+        }
+        this.state.wageredFp += betFp;
+        this.state.lastActivity = now;
+        this.save();
+    }
+
+    recordWin(winFp) {
+        this._roll(this.now());
+        this.state.wonFp += winFp;
+        this.save();
+    }
+
+    isRealityCheckDue() {
+        const now = this.now();
+        this._roll(now);
+        const s = this.state;
+        return s.limits.realityCheckIntervalMs !== null && s.sessionStart !== null &&
+            now - s.lastRealityCheck >= s.limits.realityCheckIntervalMs;
+    }
+
+    acknowledgeRealityCheck() {
+        const now = this.now();
+        this.state.lastRealityCheck = now;
+        if (this.state.sessionStart !== null) this.state.lastActivity = now;
+        this.save();
+    }
+
+    getStatus() {
+        const now = this.now();
+        this._roll(now);
+        const s = this.state;
+        return {
+            limits: Object.assign({}, s.limits),
+            pendingLimits: s.pendingLimits ? Object.assign({}, s.pendingLimits) : null,
+            pendingEffectiveAt: s.pendingEffectiveAt,
+            wageredFp: s.wageredFp,
+            wonFp: s.wonFp,
+            netLossFp: s.wageredFp - s.wonFp,
+            periodEndsAt: s.periodStart + RG_PERIOD_MS,
+            sessionElapsedMs: s.sessionStart !== null ? now - s.sessionStart : 0,
+            coolOffUntil: now < s.coolOffUntil ? s.coolOffUntil : 0
+        };
+    }
+}
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.ResponsibleGamingLimits = ResponsibleGamingLimits;
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RG_PERIOD_MS,
+        RG_LIMIT_INCREASE_DELAY_MS,
+        RG_SESSION_BREAK_MS,
+        RG_DEFAULT_LIMITS,
+        ResponsibleGamingLimits
+    };
+}
@@ -0,0 +1,162 @@
+const {
+    RG_PERIOD_MS,
+    RG_LIMIT_INCREASE_DELAY_MS,
+    RG_SESSION_BREAK_MS,
+    RG_DEFAULT_LIMITS,
+    ResponsibleGamingLimits
+} = require('./responsible_gaming');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (k) => (k in data ? data[k] : null),
+        setItem: (k, v) => { data[k] = String(v); },
+        data
+    };
+}
+
+const MIN = 60 * 1000;
+let clock = 1000000;
+const now = () => clock;
+
+console.log('=== Responsible Gaming Unit Tests ===\n');
+
+console.log('--- TEST A: Defaults ---');
+{
+    const rg = new ResponsibleGamingLimits({ now });
+    const status = rg.getStatus();
+    assert(status.limits.lossLimitFp === null && status.limits.wagerLimitFp === null, 'No money limits by default');
+    assert(status.limits.realityCheckIntervalMs === RG_DEFAULT_LIMITS.realityCheckIntervalMs, 'Reality check on by default');
+    assert(rg.checkBet(1000000).allowed, 'Unlimited bet allowed');
+}
+console.log('  Defaults: OK\n');
+
+console.log('--- TEST B: Loss and Wager Limits ---');
+{
+    clock = 1000000;
+    const rg = new ResponsibleGamingLimits({ now });
+    rg.setLimits({ lossLimitFp: 10000, wagerLimitFp: 50000 });
+    for (let i = 0; i < 10; i++) rg.recordBet(1000);
+    assert(!rg.checkBet(1000).allowed && rg.checkBet(1000).reason === 'loss_limit', 'Net loss 10 blocks next bet');
+    rg.recordWin(3000);
+    assert(rg.checkBet(3000).allowed, 'Win frees loss headroom');
+    assert(!rg.checkBet(3001).allowed, 'Bet exceeding remaining loss headroom blocked');
+    rg.recordWin(100000);
+    for (let i = 0; i < 40; i++) rg.recordBet(1000);
+    const blocked = rg.checkBet(1000);
+    assert(blocked.reason === 'wager_limit', 'Wager limit blocks despite net profit');
+    assert(blocked.retryAt === 1000000 + RG_PERIOD_MS, 'Retry at end of period');
+    clock += RG_PERIOD_MS;
+    assert(rg.checkBet(1000).allowed && rg.getStatus().wageredFp === 0, 'New period resets totals');
+}
+console.log('  Loss/Wager: OK\n');
+
+console.log('--- TEST C: Limit Changes ---');
+{
+    clock = 1000000;
+    const rg = new ResponsibleGamingLimits({ now });
+    let r = rg.setLimits({ lossLimitFp: 20000 });
+    assert(r.applied.includes('lossLimitFp'), 'Setting a first limit applies now');
+    r = rg.setLimits({ lossLimitFp: 5000 });
+    assert(r.applied.includes('lossLimitFp') && rg.getStatus().limits.lossLimitFp === 5000, 'Tightening applies now');
+    r = rg.setLimits({ lossLimitFp: 50000 });
+    assert(r.pending.includes('lossLimitFp') && rg.getStatus().limits.lossLimitFp === 5000, 'Loosening is queued');
+    r = rg.setLimits({ wagerLimitFp: null });
+    assert(r.applied.length === 0 && r.pending.length === 0, 'Unchanged limit is a no-op');
+    clock += RG_LIMIT_INCREASE_DELAY_MS - 1;
+    assert(rg.getStatus().limits.lossLimitFp === 5000, 'Still old limit before delay');
+    clock += 1;
+    assert(rg.getStatus().limits.lossLimitFp === 50000 && rg.getStatus().pendingLimits === null, 'Increase applies after delay');
+    r = rg.setLimits({ lossLimitFp: null });
+    assert(r.pending.includes('lossLimitFp'), 'Removing a limit is queued');
+    rg.setLimits({ lossLimitFp: 1000 });
+    clock += RG_LIMIT_INCREASE_DELAY_MS;
+    assert(rg.getStatus().limits.lossLimitFp === 1000, 'Tightening cancels queued removal');
+    let threw = false;
+    try { rg.setLimits({ lossLimitFp: -5 }); } catch (e) { threw = true; }
+    assert(threw, 'Rejects negative limit');
+    threw = false;
+    try { rg.setLimits({ bogus: 1 }); } catch (e) { threw = true; }
+    assert(threw, 'Rejects unknown limit key');
+}
+console.log('  Limit Changes: OK\n');
+
+console.log('--- TEST D: Session Time and Reality Checks ---');
+{
+    clock = 1000000;
+    const rg = new ResponsibleGamingLimits({ now });
+    rg.setLimits({ sessionTimeLimitMs: 60 * MIN, realityCheckIntervalMs: 20 * MIN });
+    rg.startSession();
+    let due = 0;
+    let allowedMinutes = 0;
+    for (let t = 0; t < 60; t++) {
+        clock += MIN;
+        if (rg.checkBet(1000).allowed) { allowedMinutes++; rg.recordBet(1000); }
+        if (rg.isRealityCheckDue()) { due++; rg.acknowledgeRealityCheck(); }
+    }
+    assert(allowedMinutes === 59, 'Bets allowed until the 60-minute mark (' + allowedMinutes + ')');
+    assert(due === 3, 'Reality check every 20 minutes (' + due + ')');
+    const blocked = rg.checkBet(1000);
+    assert(blocked.reason === 'session_time', 'Session time limit blocks');
+    clock = blocked.retryAt;
+    rg.startSession();
+    assert(rg.checkBet(1000).allowed && rg.getStatus().sessionElapsedMs === 0, 'Session resets after break');
+}
+{
+    clock = 1000000;
+    const rg = new ResponsibleGamingLimits({ now });
+    rg.startSession();
+    clock += RG_SESSION_BREAK_MS - 1;
+    rg.startSession();
+    assert(rg.getStatus().sessionElapsedMs === RG_SESSION_BREAK_MS - 1, 'Quick re-entry continues the session');
+}
+console.log('  Session/Reality Check: OK\n');
+
+console.log('--- TEST E: Cool-off ---');
+{
+    clock = 1000000;
+    const rg = new ResponsibleGamingLimits({ now });
+    const until = rg.startCoolOff(60 * MIN);
+    const blocked = rg.checkPlay();
+    assert(!blocked.allowed && blocked.reason === 'cool_off' && blocked.retryAt === until, 'Cool-off blocks play');
+    assert(rg.startCoolOff(MIN) === until, 'Cool-off cannot be shortened');
+    assert(rg.startCoolOff(120 * MIN) === clock + 120 * MIN, 'Cool-off can be extended');
+    clock += 120 * MIN;
+    assert(rg.checkBet(1000).allowed && rg.getStatus().coolOffUntil === 0, 'Play resumes after cool-off');
+}
+console.log('  Cool-off: OK\n');
+
+console.log('--- TEST F: Persistence ---');
+{
+    clock = 1000000;
+    const storage = memoryStorage();
+    const rg = new ResponsibleGamingLimits({ now, storage });
+    rg.setLimits({ lossLimitFp: 5000, sessionTimeLimitMs: 30 * MIN });
+    rg.setLimits({ lossLimitFp: 8000 });
+    rg.startSession();
+    for (let i = 0; i < 4; i++) rg.recordBet(1000);
+    rg.startCoolOff(10 * MIN);
+
+    clock += MIN;
+    const reloaded = new ResponsibleGamingLimits({ now, storage });
+    const status = reloaded.getStatus();
+    assert(status.limits.lossLimitFp === 5000 && status.pendingLimits.lossLimitFp === 8000, 'Limits and pending change survive reload');
+    assert(status.wageredFp === 4000, 'Period totals survive reload');
+    assert(status.sessionElapsedMs === MIN, 'Session clock survives reload');
+    assert(reloaded.checkPlay().reason === 'cool_off', 'Cool-off survives reload');
+
+    storage.setItem('responsibleGaming', '{not json');
+    assert(new ResponsibleGamingLimits({ now, storage }).getStatus().wageredFp === 0, 'Corrupt storage falls back to defaults');
+}
+console.log('  Persistence: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
@@ -0,0 +1,1473 @@
+/**
+ * 3D Fish Shooting Game - RTP Engine (Phase 1, v1.6.2)
+ * Single source of truth for kill decisions and payout tables.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./rtp_engine') from Node test and audit scripts, so both run
+ * the exact same code.
+ *
+ * Strict implementation of 《RTP Phase 1 系統聖經 v1.3》 (SSOT: 2026-02-22)
+ * §0 Precision: MONEY_SCALE=1000, RTP_SCALE=10000, P_SCALE=1000000
+ * All division → floor(); All state → integer FP; No floating-point in settlement path.
+ * v1.6.2: Convenience Tax — manual (98%) vs auto (96%) reward split
+ */
+
+const RTP_MONEY_SCALE = 1000;
+const RTP_SCALE = 10000;
+const RTP_P_SCALE = 1000000;
+const RTP_ROCKET_MAX_TARGETS = 6;
+const RTP_LASER_MAX_TARGETS = 6;
+
+const RTP_WEAPON_RTP_MANUAL_FP = {
+    '1x': 9200,
+    '3x': 9400,
+    '5x': 9600,
+    '8x': 9800
+};
+
+const RTP_WEAPON_RTP_AUTO_FP = {
+    '1x': 9000,
+    '3x': 9200,
+    '5x': 9400,
+    '8x': 9600
+};
+
+const RTP_WEAPON_COST_FP = {
+    '1x': 1000,
+    '3x': 3000,
+    '5x': 5000,
+    '8x': 8000
+};
+
+const RTP_TIER_CONFIG = {
+    'boss': { rewardManualFp: 39200, rewardAutoFp: 38420, n1Fp: 42000, pityCompFp: 1000000 },
+    't1':   { rewardManualFp: 15330, rewardAutoFp: 15020, n1Fp: 16000, pityCompFp: 1000000 },
+    't2':   { rewardManualFp: 9200,  rewardAutoFp: 9020,  n1Fp: 10000, pityCompFp: 1000000 },
+    't3':   { rewardManualFp: 7840,  rewardAutoFp: 7680,  n1Fp: 8000,  pityCompFp: 1000000 }
+};
+
+const FISH_SPECIES_TO_RTP_TIER = {
+    blueWhale: 'boss', killerWhale: 'boss', greatWhiteShark: 'boss',
+    hammerheadShark: 't1', mantaRay: 't1', marlin: 't1', grouper: 't1',
+    yellowfinTuna: 't2', mahiMahi: 't2', lionfish: 't2', parrotfish: 't2', pufferfish: 't2',
+    seahorse: 't3', blueTang: 't3', angelfish: 't3', damselfish: 't3', clownfish: 't3', anchovy: 't3', sardine: 't3',
+    shieldTurtle: 't1', bombCrab: 't2', electricEel: 't2', goldFish: 't3'
+};
+
+// Ability fish; CONFIG.fishTiers in game.js carries the same `ability` plus its visual parameters
+const FISH_SPECIES_ABILITY = {
+    bombCrab: 'bomb', electricEel: 'lightning', shieldTurtle: 'shield', goldFish: 'bonus'
+};
+
+// Built-in per-ability settings (profiles override them with "abilities").
+// bomb/lightning: fundShareFp of the kill reward is withheld and paid out through
+// the ability strike (handleAbilityHit); maxTargets caps the fish it can reach.
+// bonus: fixed reward multiplier. shield: hits absorbed before the fish can die.
+const RTP_ABILITY_CONFIG = {
+    bomb: { fundShareFp: 5000, maxTargets: 6 },
+    lightning: { fundShareFp: 5000, maxTargets: 4 },
+    bonus: { multiplier: 3 },
+    shield: { hits: 6 }
+};
+
+function getFishRTPTier(species) {
+    return FISH_SPECIES_TO_RTP_TIER[species] || 't3';
+}
+
+let rtpKillEventCounter = 0;
+function nextKillEventId() {
+    return 'ke_' + (++rtpKillEventCounter) + '_' + Date.now();
+}
+
+/**
+ * Deterministic random source (mulberry32). Returns a function with the same
+ * contract as Math.random: a float in [0, 1). Same seed → same sequence.
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function seededRandom() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ==================== RTP PROFILES ====================
+// Named table sets (entertainment / real-money / promotional) are defined in
+// rtp_profiles.json. The constants above are the built-in fallback and must
+// match its "entertainment" kill tables; the fallback has no jackpot.
+
+const RTP_PROFILE_WEAPONS = ['1x', '3x', '5x', '8x'];
+const RTP_PROFILE_MIN_RTP_FP = 8000;
+const RTP_PROFILE_MAX_RTP_FP = 9900;
+const RTP_JACKPOT_MAX_CONTRIBUTION_FP = 1000;
+// Roll order on an eligible kill: the rarest tier is checked first
+const RTP_JACKPOT_TIERS = ['grand', 'major', 'mini'];
+const RTP_FISH_MULTIPLIER_MAX = 100;
+const RTP_ABILITIES = ['bomb', 'lightning', 'bonus', 'shield'];
+
+// Keys sorted at every level so the hash does not depend on file formatting
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJSON).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort()
+            .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+// FNV-1a 32-bit over the canonical JSON, as 8 hex chars
+function hashRTPProfile(profile) {
+    const text = canonicalJSON({
+        version: profile.version,
+        weaponRtpManualFp: profile.weaponRtpManualFp,
+        weaponRtpAutoFp: profile.weaponRtpAutoFp,
+        tiers: profile.tiers,
+        jackpot: profile.jackpot || null,
+        fishMultipliers: profile.fishMultipliers || null,
+        abilities: profile.abilities || null
+    });
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return ('0000000' + h.toString(16)).slice(-8);
+}
+
+function isPositiveInt(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a parsed rtp_profiles.json document. Returns a list of error strings
+ * (empty when valid). Pass options.species (e.g. Object.keys(CONFIG.fishTiers))
+ * to also require every spawnable species to have an RTP tier.
+ */
+function validateRTPProfiles(doc, options = {}) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object') return ['document is not an object'];
+    if (typeof doc.version !== 'string' || !doc.version) errors.push('version must be a non-empty string');
+    if (!doc.profiles || typeof doc.profiles !== 'object' || Object.keys(doc.profiles).length === 0) {
+        errors.push('profiles must define at least one profile');
+        return errors;
+    }
+    if (!doc.profiles[doc.defaultProfile]) errors.push(`defaultProfile "${doc.defaultProfile}" is not defined`);
+
+    for (const species of options.species || []) {
+        if (!FISH_SPECIES_TO_RTP_TIER[species]) errors.push(`species ${species} has no entry in FISH_SPECIES_TO_RTP_TIER`);
+    }
+    const requiredTiers = [...new Set(Object.values(FISH_SPECIES_TO_RTP_TIER))];
+
+    for (const [name, profile] of Object.entries(doc.profiles)) {
+        for (const tableKey of ['weaponRtpManualFp', 'weaponRtpAutoFp']) {
+            const table = profile[tableKey] || {};
+            for (const weaponKey of RTP_PROFILE_WEAPONS) {
+                const rtpFp = table[weaponKey];
+                if (!Number.isInteger(rtpFp) || rtpFp < RTP_PROFILE_MIN_RTP_FP || rtpFp > RTP_PROFILE_MAX_RTP_FP) {
+                    errors.push(`${name}.${tableKey}.${weaponKey} = ${rtpFp} outside ${RTP_PROFILE_MIN_RTP_FP}..${RTP_PROFILE_MAX_RTP_FP}`);
+                }
+            }
+        }
+        for (const weaponKey of RTP_PROFILE_WEAPONS) {
+            const manualFp = (profile.weaponRtpManualFp || {})[weaponKey];
+            const autoFp = (profile.weaponRtpAutoFp || {})[weaponKey];
+            if (autoFp > manualFp) errors.push(`${name}: auto RTP above manual for ${weaponKey}`);
+        }
+
+        const tiers = profile.tiers || {};
+        for (const tier of requiredTiers) {
+            if (!tiers[tier]) errors.push(`${name}.tiers.${tier} is missing`);
+        }
+        for (const [tier, cfg] of Object.entries(tiers)) {
+            const fields = ['rewardManualFp', 'rewardAutoFp', 'n1Fp', 'pityCompFp'];
+            const bad = fields.filter(field => !isPositiveInt(cfg[field]));
+            if (bad.length > 0) {
+                errors.push(`${name}.tiers.${tier}: ${bad.join(', ')} must be positive integers`);
+                continue;
+            }
+            if (cfg.rewardManualFp >= cfg.n1Fp) errors.push(`${name}.tiers.${tier}: rewardManualFp must be below n1Fp`);
+            if (cfg.rewardAutoFp >= cfg.n1Fp) errors.push(`${name}.tiers.${tier}: rewardAutoFp must be below n1Fp`);
+        }
+        if (profile.jackpot) validateJackpotConfig(name, profile.jackpot, requiredTiers, errors);
+        if (profile.fishMultipliers) validateFishMultiplierConfig(name, profile.fishMultipliers, requiredTiers, errors);
+        if (profile.abilities) validateAbilityConfig(name, profile.abilities, errors);
+    }
+    return errors;
+}
+
+function validateAbilityConfig(name, abilities, errors) {
+    for (const [ability, cfg] of Object.entries(abilities)) {
+        const prefix = `${name}.abilities.${ability}`;
+        if (!RTP_ABILITIES.includes(ability)) {
+            errors.push(`${prefix} is not one of ${RTP_ABILITIES.join('/')}`);
+            continue;
+        }
+        if (ability === 'bomb' || ability === 'lightning') {
+            if (!Number.isInteger(cfg.fundShareFp) || cfg.fundShareFp < 0 || cfg.fundShareFp > RTP_SCALE) {
+                errors.push(`${prefix}.fundShareFp must be 0..${RTP_SCALE}`);
+            }
+            if (!isPositiveInt(cfg.maxTargets)) errors.push(`${prefix}.maxTargets must be a positive integer`);
+        } else if (ability === 'bonus') {
+            if (!Number.isInteger(cfg.multiplier) || cfg.multiplier < 2 || cfg.multiplier > RTP_FISH_MULTIPLIER_MAX) {
+                errors.push(`${prefix}.multiplier outside 2..${RTP_FISH_MULTIPLIER_MAX}`);
+            }
+        } else if (!isPositiveInt(cfg.hits)) {
+            errors.push(`${prefix}.hits must be a positive integer`);
+        }
+    }
+}
+
+function validateFishMultiplierConfig(name, config, rtpTiers, errors) {
+    const chance = config.spawnChancePFp;
+    if (!Number.isInteger(chance) || chance < 0 || chance > RTP_P_SCALE) {
+        errors.push(`${name}.fishMultipliers.spawnChancePFp must be 0..${RTP_P_SCALE}`);
+    }
+    for (const tier of config.tiers || []) {
+        if (!rtpTiers.includes(tier)) errors.push(`${name}.fishMultipliers.tiers: ${tier} is not an RTP tier`);
+    }
+    const weights = Object.entries(config.weights || {});
+    if (weights.length === 0) errors.push(`${name}.fishMultipliers.weights must list at least one multiplier`);
+    for (const [mult, weight] of weights) {
+        const m = Number(mult);
+        if (!Number.isInteger(m) || m < 2 || m > RTP_FISH_MULTIPLIER_MAX) {
+            errors.push(`${name}.fishMultipliers.weights: multiplier ${mult} outside 2..${RTP_FISH_MULTIPLIER_MAX}`);
+        }
+        if (!isPositiveInt(weight)) errors.push(`${name}.fishMultipliers.weights.${mult} must be a positive integer`);
+    }
+}
+
+/**
+ * Draw a spawn-time reward multiplier for a fish of `tier` from a profile's
+ * fishMultipliers config. Returns 1 for plain fish. The engine keeps the
+ * tier's expected return by dividing kill probability by the multiplier.
+ */
+function drawFishMultiplier(config, tier, random) {
+    if (!config || !(config.tiers || []).includes(tier)) return 1;
+    if (Math.floor(random() * RTP_P_SCALE) >= config.spawnChancePFp) return 1;
+    const entries = Object.entries(config.weights);
+    const total = entries.reduce((a, [, w]) => a + w, 0);
+    let pick = Math.floor(random() * total);
+    for (const [mult, weight] of entries) {
+        if (pick < weight) return Number(mult);
+        pick -= weight;
+    }
+    return Number(entries[entries.length - 1][0]);
+}
+
+function validateJackpotConfig(name, jackpot, rtpTiers, errors) {
+    const c = jackpot.contributionFp;
+    if (!Number.isInteger(c) || c < 0 || c > RTP_JACKPOT_MAX_CONTRIBUTION_FP) {
+        errors.push(`${name}.jackpot.contributionFp = ${c} outside 0..${RTP_JACKPOT_MAX_CONTRIBUTION_FP}`);
+    }
+    const tiers = jackpot.tiers || {};
+    let shareSum = 0;
+    for (const [tier, cfg] of Object.entries(tiers)) {
+        if (!RTP_JACKPOT_TIERS.includes(tier)) errors.push(`${name}.jackpot.tiers.${tier} is not one of ${RTP_JACKPOT_TIERS.join('/')}`);
+        if (!Number.isInteger(cfg.shareFp) || cfg.shareFp < 0) errors.push(`${name}.jackpot.tiers.${tier}.shareFp must be a non-negative integer`);
+        if (!Number.isInteger(cfg.seedFp) || cfg.seedFp < 0) errors.push(`${name}.jackpot.tiers.${tier}.seedFp must be a non-negative integer`);
+        shareSum += cfg.shareFp || 0;
+    }
+    if (shareSum !== RTP_SCALE) errors.push(`${name}.jackpot tier shares sum to ${shareSum}, expected ${RTP_SCALE}`);
+    for (const [rtpTier, odds] of Object.entries(jackpot.triggers || {})) {
+        if (!rtpTiers.includes(rtpTier)) errors.push(`${name}.jackpot.triggers.${rtpTier} is not an RTP tier`);
+        for (const [tier, pFp] of Object.entries(odds)) {
+            if (!tiers[tier]) errors.push(`${name}.jackpot.triggers.${rtpTier}.${tier} names an undefined jackpot tier`);
+            if (!Number.isInteger(pFp) || pFp < 0 || pFp > RTP_P_SCALE) errors.push(`${name}.jackpot.triggers.${rtpTier}.${tier} must be 0..${RTP_P_SCALE}`);
+        }
+    }
+}
+
+/**
+ * Validate a parsed rtp_profiles.json document and resolve it into
+ * { version, defaultProfile, profiles: { name: profile } } where each profile
+ * carries its name, the file version and a hash of its tables. Throws if invalid.
+ */
+function loadRTPProfiles(doc, options = {}) {
+    const errors = validateRTPProfiles(doc, options);
+    if (errors.length > 0) {
+        throw new Error('Invalid RTP profiles: ' + errors.join('; '));
+    }
+    const profiles = {};
+    for (const [name, body] of Object.entries(doc.profiles)) {
+        const profile = {
+            name,
+            version: doc.version,
+            description: body.description || '',
+            weaponRtpManualFp: Object.assign({}, body.weaponRtpManualFp),
+            weaponRtpAutoFp: Object.assign({}, body.weaponRtpAutoFp),
+            tiers: JSON.parse(JSON.stringify(body.tiers)),
+            jackpot: body.jackpot ? JSON.parse(JSON.stringify(body.jackpot)) : null,
+            fishMultipliers: body.fishMultipliers ? JSON.parse(JSON.stringify(body.fishMultipliers)) : null,
+            abilities: body.abilities ? JSON.parse(JSON.stringify(body.abilities)) : null
+        };
+        profile.hash = hashRTPProfile(profile);
+        profiles[name] = profile;
+    }
+    return { version: doc.version, defaultProfile: doc.defaultProfile, profiles };
+}
+
+const RTP_BUILTIN_PROFILE = {
+    name: 'entertainment',
+    version: 'builtin',
+    description: 'Built-in v1.6.2 tables',
+    weaponRtpManualFp: RTP_WEAPON_RTP_MANUAL_FP,
+    weaponRtpAutoFp: RTP_WEAPON_RTP_AUTO_FP,
+    tiers: RTP_TIER_CONFIG,
+    jackpot: null,
+    fishMultipliers: null,
+    abilities: RTP_ABILITY_CONFIG
+};
+RTP_BUILTIN_PROFILE.hash = hashRTPProfile(RTP_BUILTIN_PROFILE);
+
+/**
+ * Client-side RTP engine. Has no dependency on game globals: callers pass
+ * the bet's coinValue (gameState.coinValue in the browser) on every hit.
+ *
+ * Options:
+ *   random      - custom random source, () => float in [0, 1)
+ *   seed        - uint32 seed for the built-in seeded generator (ignored if random is given)
+ *   recordShots - keep an ordered log of every hit call so the session can be
+ *                 replayed bit-for-bit with ClientRTPPhase1.replay(seed, shotLog).
+ *                 A number N bounds the log to the last N..2N calls: every N
+ *                 calls a 'checkpoint' entry (engine state + rolls drawn so far)
+ *                 opens a new window and the window before the previous one is dropped
+ *   ledger      - RTPLedger that receives budget changes and every kill (reward, reason)
+ *   profile     - resolved RTP profile from loadRTPProfiles() (default: built-in tables)
+ */
+class ClientRTPPhase1 {
+    constructor(options = {}) {
+        this.fishStates = new Map();
+        this.fishMultipliers = new Map();
+        this.fishAbilities = new Map();
+        this.playerStates = new Map();
+        this.processedKillEvents = new Set();
+        this.seed = null;
+        this.random = null;
+        this.shotLog = options.recordShots ? [] : null;
+        this.shotLogLimit = typeof options.recordShots === 'number' ? options.recordShots : 0;
+        this.shotLogCheckpoint = 0;
+        this.rollCount = 0;
+        this.ledger = options.ledger || null;
+        this.setProfile(options.profile || RTP_BUILTIN_PROFILE);
+        if (options.random) {
+            this.setRandomSource(options.random);
+        } else {
+            this.setSeed(options.seed);
+        }
+    }
+
+    /**
+     * Replace the random source. Without one, Math.random is looked up on
+     * every roll so callers that stub it globally still take effect.
+     */
+    setRandomSource(random) {
+        this.seed = null;
+        this.random = typeof random === 'function' ? random : () => Math.random();
+    }
+
+    /**
+     * Switch weapon RTP and tier tables. Budgets and per-fish cost carry over,
+     * so a room should pick its profile before the first shot.
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        if (this.ledger) this.ledger.setProfile(this.getProfileInfo());
+    }
+
+    getProfileInfo() {
+        return { name: this.profile.name, version: this.profile.version, hash: this.profile.hash };
+    }
+
+    setSeed(seed) {
+        if (seed === undefined || seed === null) {
+            this.setRandomSource(null);
+            return;
+        }
+        this.seed = seed >>> 0;
+        this.random = createSeededRandom(this.seed);
+        this.rollCount = 0;
+    }
+
+    _rollFp() {
+        this.rollCount++;
+        return Math.floor(this.random() * RTP_P_SCALE);
+    }
+
+    _recordShot(kind, args) {
+        if (!this.shotLog) return;
+        if (this.shotLogLimit && this.shotLog.length - this.shotLogCheckpoint >= this.shotLogLimit) {
+            this.shotLog.splice(0, this.shotLogCheckpoint);
+            this.shotLogCheckpoint = this.shotLog.length;
+            this.shotLog.push({ kind: 'checkpoint', args: [this._exportCheckpoint()] });
+        }
+        this.shotLog.push({ kind, args });
+    }
+
+    // Full engine state for a bounded shot log; replay() resumes from it
+    _exportCheckpoint() {
+        const copyEntries = (map) => Array.from(map, ([key, value]) => [key, Object.assign({}, value)]);
+        return {
+            rollCount: this.rollCount,
+            fishStates: copyEntries(this.fishStates),
+            fishMultipliers: Array.from(this.fishMultipliers),
+            fishAbilities: copyEntries(this.fishAbilities),
+            playerStates: Array.from(this.playerStates, ([playerId, pState]) => [playerId, {
+                budgetRemainingFp: pState.budgetRemainingFp,
+                reset_debt_on_session_end: pState.reset_debt_on_session_end,
+                pityCarryFp: Object.assign({}, pState.pityCarryFp),
+                abilityFunds: copyEntries(pState.abilityFunds)
+            }])
+        };
+    }
+
+    _restoreCheckpoint(checkpoint) {
+        const copyEntries = (entries) => entries.map(([key, value]) => [key, Object.assign({}, value)]);
+        this.fishStates = new Map(copyEntries(checkpoint.fishStates));
+        this.fishMultipliers = new Map(checkpoint.fishMultipliers);
+        this.fishAbilities = new Map(copyEntries(checkpoint.fishAbilities));
+        this.playerStates = new Map(checkpoint.playerStates.map(([playerId, pState]) => [playerId, {
+            budgetRemainingFp: pState.budgetRemainingFp,
+            reset_debt_on_session_end: pState.reset_debt_on_session_end,
+            pityCarryFp: Object.assign({}, pState.pityCarryFp),
+            abilityFunds: new Map(copyEntries(pState.abilityFunds))
+        }]));
+        // Skip the seeded stream forward to where the checkpoint was taken
+        this.setSeed(this.seed);
+        while (this.rollCount < checkpoint.rollCount) this._rollFp();
+    }
+
+    /**
+     * Re-run a recorded session on a fresh engine seeded like the original.
+     * Pass the session's profile if it was not the built-in one. A bounded
+     * log starts at a 'checkpoint' entry, restored before the calls after it.
+     * Returns the engine (for inspecting final state) and every hit result in order.
+     */
+    static replay(seed, shotLog, profile) {
+        const engine = new ClientRTPPhase1({ seed, profile });
+        const results = [];
+        for (const shot of shotLog) {
+            if (shot.kind === 'single') {
+                results.push(engine.handleSingleTargetHit(...shot.args));
+            } else if (shot.kind === 'multi') {
+                results.push(engine.handleMultiTargetHit(...shot.args));
+            } else if (shot.kind === 'shotgun') {
+                results.push(engine.handleShotgunHit(...shot.args));
+            } else if (shot.kind === 'ability') {
+                results.push(engine.handleAbilityHit(...shot.args));
+            } else if (shot.kind === 'fish_multiplier') {
+                engine.setFishMultiplier(...shot.args);
+            } else if (shot.kind === 'fish_ability') {
+                engine.setFishAbility(...shot.args);
+            } else if (shot.kind === 'clear_fish') {
+                engine.clearFishStates(...shot.args);
+            } else if (shot.kind === 'reset_debt') {
+                engine._getOrCreatePlayerState(shot.args[0]).reset_debt_on_session_end = true;
+                engine.resetPlayerDebtIfEnabled(shot.args[0]);
+            } else if (shot.kind === 'import_state') {
+                engine.importPlayerState(...shot.args);
+            } else if (shot.kind === 'checkpoint') {
+                engine._restoreCheckpoint(...shot.args);
+            }
+        }
+        return { engine, results };
+    }
+
+    _getOrCreateFishState(playerId, fishId, tier) {
+        const key = playerId + ':' + fishId;
+        let state = this.fishStates.get(key);
+        if (!state) {
+            state = { sumCostFp: 0, killed: false, tier };
+            // A resumed session hands its pity progress to the first fish of each tier
+            const pState = this.playerStates.get(playerId);
+            if (pState && pState.pityCarryFp[tier]) {
+                state.sumCostFp = pState.pityCarryFp[tier];
+                delete pState.pityCarryFp[tier];
+            }
+            this.fishStates.set(key, state);
+        }
+        return state;
+    }
+
+    _getOrCreatePlayerState(playerId) {
+        let state = this.playerStates.get(playerId);
+        if (!state) {
+            state = {
+                budgetRemainingFp: 0,
+                reset_debt_on_session_end: false,
+                pityCarryFp: {},
+                abilityFunds: new Map()
+            };
+            this.playerStates.set(playerId, state);
+        }
+        return state;
+    }
+
+    /**
+     * Snapshot of a player's budget and pity progress for RTPBudgetPersistence.
+     * Pity is kept per tier: the largest sumCostFp among the player's live
+     * (not killed) fish of that tier, plus any carry not yet handed out.
+     */
+    exportPlayerState(playerId) {
+        const pState = this.playerStates.get(playerId);
+        const pityFp = Object.assign({}, pState ? pState.pityCarryFp : {});
+        const prefix = playerId + ':';
+        for (const [key, fState] of this.fishStates) {
+            if (!key.startsWith(prefix) || fState.killed || !fState.tier || fState.sumCostFp <= 0) continue;
+            pityFp[fState.tier] = Math.max(pityFp[fState.tier] || 0, fState.sumCostFp);
+        }
+        return {
+            playerId,
+            profileHash: this.profile.hash,
+            // Ability strikes that never fired go back to the budget they came from
+            budgetRemainingFp: pState ? pState.budgetRemainingFp + this._pendingAbilityFundFp(pState) : 0,
+            resetDebtOnSessionEnd: pState ? pState.reset_debt_on_session_end : false,
+            pityFp
+        };
+    }
+
+    /**
+     * Resume a snapshot from exportPlayerState(). The saved budget is added to
+     * whatever the player accrued since this engine started (budgets are
+     * running sums), and per-tier pity waits for the next fish of that tier.
+     */
+    importPlayerState(snapshot) {
+        this._recordShot('import_state', [snapshot]);
+        const pState = this._getOrCreatePlayerState(snapshot.playerId);
+        pState.budgetRemainingFp += snapshot.budgetRemainingFp || 0;
+        pState.reset_debt_on_session_end = !!snapshot.resetDebtOnSessionEnd;
+        for (const [tier, fp] of Object.entries(snapshot.pityFp || {})) {
+            if (this.profile.tiers[tier] && fp > 0) {
+                pState.pityCarryFp[tier] = Math.max(pState.pityCarryFp[tier] || 0, fp);
+            }
+        }
+        if (this.ledger) this.ledger.recordBudget(snapshot.playerId, pState.budgetRemainingFp);
+    }
+
+    /**
+     * Attach a spawn-time reward multiplier to a fish (1 = plain fish).
+     * Kills pay reward × multiplier; kill probability and the hard-pity
+     * threshold scale with it so the tier's expected return is unchanged.
+     */
+    setFishMultiplier(fishId, multiplier) {
+        const m = Math.floor(multiplier) || 1;
+        this._recordShot('fish_multiplier', [fishId, m]);
+        if (m > 1) {
+            this.fishMultipliers.set(fishId, m);
+        } else {
+            this.fishMultipliers.delete(fishId);
+        }
+    }
+
+    getFishMultiplier(fishId) {
+        return this.fishMultipliers.get(fishId) || 1;
+    }
+
+    /**
+     * Give a fish one of the profile's abilities at spawn (null = none).
+     * 'bonus' multiplies the fish's reward like setFishMultiplier (call it
+     * after the spawn multiplier); 'shield' absorbs the profile's hit count;
+     * 'bomb' and 'lightning' withhold part of the kill reward for
+     * handleAbilityHit. Abilities missing from the profile are ignored.
+     */
+    setFishAbility(fishId, ability) {
+        this._recordShot('fish_ability', [fishId, ability || null]);
+        const cfg = ability && this.profile.abilities ? this.profile.abilities[ability] : null;
+        if (!cfg) {
+            this.fishAbilities.delete(fishId);
+            return;
+        }
+        const state = { ability, shieldHits: ability === 'shield' ? cfg.hits : 0 };
+        this.fishAbilities.set(fishId, state);
+        if (ability === 'bonus') {
+            this.fishMultipliers.set(fishId, this.getFishMultiplier(fishId) * cfg.multiplier);
+        }
+    }
+
+    getFishAbility(fishId) {
+        const state = this.fishAbilities.get(fishId);
+        return state ? state.ability : null;
+    }
+
+    getFishShield(fishId) {
+        const state = this.fishAbilities.get(fishId);
+        return state ? state.shieldHits : 0;
+    }
+
+    // A shielded fish takes the hit (budget and pity still accrue) without a kill roll
+    _absorbShieldHit(fishId) {
+        const state = this.fishAbilities.get(fishId);
+        if (!state || state.shieldHits <= 0) return null;
+        state.shieldHits--;
+        return { fishId, kill: false, reason: 'shielded', shieldHits: state.shieldHits };
+    }
+
+    _pendingAbilityFundFp(pState) {
+        let total = 0;
+        for (const fund of pState.abilityFunds.values()) total += fund.fundFp;
+        return total;
+    }
+
+    getBudgetRemainingFp(playerId) {
+        const pState = this.playerStates.get(playerId);
+        return pState ? pState.budgetRemainingFp : 0;
+    }
+
+    /**
+     * Bet a player still has to put into a fish before it reaches its
+     * hard-pity threshold (FP money); a hit costing at least this much
+     * reaches it. Uses the threshold
+     * of the shotgun / multi-target paths, which 1x singles share. Read-only:
+     * a fish never hit counts the tier's carried-over pity progress.
+     * Killed fish and unknown tiers return Infinity.
+     */
+    getPityCostRemainingFp(playerId, fishId, tier, coinValueArg) {
+        const config = this.profile.tiers[tier];
+        if (!config) return Infinity;
+        const fState = this.fishStates.get(playerId + ':' + fishId);
+        if (fState && fState.killed) return Infinity;
+        const pState = this.playerStates.get(playerId);
+        const coinValue = coinValueArg || 1;
+        const hardPityThreshold = Math.floor(config.n1Fp * coinValue * this.getFishMultiplier(fishId));
+        const spentFp = fState ? fState.sumCostFp : ((pState && pState.pityCarryFp[tier]) || 0);
+        return Math.max(0, hardPityThreshold - spentFp);
+    }
+
+    // Logged for replay: an unfired ability strike is refunded to the budget here
+    clearFishStates(fishId) {
+        this._recordShot('clear_fish', [fishId]);
+        this.fishMultipliers.delete(fishId);
+        this.fishAbilities.delete(fishId);
+        for (const [playerId, pState] of this.playerStates) {
+            const fund = pState.abilityFunds.get(fishId);
+            if (!fund) continue;
+            pState.abilityFunds.delete(fishId);
+            pState.budgetRemainingFp += fund.fundFp;
+            if (this.ledger) this.ledger.recordBudget(playerId, pState.budgetRemainingFp);
+        }
+        for (const key of this.fishStates.keys()) {
+            if (key.endsWith(':' + fishId)) {
+                this.fishStates.delete(key);
+            }
+        }
+    }
+
+    pruneKilledFishStates() {
+        for (const [key, state] of this.fishStates) {
+            if (state.killed) {
+                this.fishStates.delete(key);
+            }
+        }
+    }
+
+    resetPlayerDebtIfEnabled(playerId) {
+        const pState = this.playerStates.get(playerId);
+        if (pState && pState.reset_debt_on_session_end) {
+            this._recordShot('reset_debt', [playerId]);
+            pState.budgetRemainingFp = 0;
+        }
+    }
+
+    _resolveMode(isAuto) {
+        return isAuto ? 'auto' : 'manual';
+    }
+
+    // Weapon RTP left for kill rewards: the jackpot contribution is paid back
+    // through JackpotPool instead, so weapon RTP = kills + jackpot. Free shots
+    // (isPromo) feed no jackpot, so their kills get the full weapon RTP.
+    _getRtp(weaponKey, isAuto, isPromo) {
+        const table = isAuto ? this.profile.weaponRtpAutoFp : this.profile.weaponRtpManualFp;
+        const jackpotFp = this.profile.jackpot && !isPromo ? this.profile.jackpot.contributionFp : 0;
+        return (table[weaponKey] || (isAuto ? 9000 : 9200)) - jackpotFp;
+    }
+
+    _getReward(config, isAuto) {
+        return isAuto ? config.rewardAutoFp : config.rewardManualFp;
+    }
+
+    _calcProbability(pState, config, isAuto, coinValue) {
+        const M = coinValue || 1;
+        const rewardFp = this._getReward(config, isAuto) * M;
+        const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
+        const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
+        if (pBaseRawFp >= RTP_P_SCALE) {
+            return RTP_P_SCALE;
+        }
+        return Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
+    }
+
+    handleSingleTargetHit(playerId, fishId, weaponKey, tier, isAuto, coinValueArg, isPromo) {
+        this._recordShot('single', [playerId, fishId, weaponKey, tier, !!isAuto, coinValueArg || 1, !!isPromo]);
+        const config = this.profile.tiers[tier];
+        if (!config) return { kill: false, error: 'invalid_tier' };
+
+        const fState = this._getOrCreateFishState(playerId, fishId, tier);
+        if (fState.killed) return { kill: false, reason: 'already_killed' };
+
+        const pState = this._getOrCreatePlayerState(playerId);
+        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
+        const coinValue = coinValueArg || 1;
+        const weaponMult = weaponCostFp / RTP_MONEY_SCALE;
+        const rtpWeaponFp = this._getRtp(weaponKey, isAuto, isPromo);
+
+        const budgetTotalFp = Math.floor(weaponCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
+        pState.budgetRemainingFp += budgetTotalFp;
+        if (this.ledger) this.ledger.recordBudget(playerId, pState.budgetRemainingFp);
+        fState.sumCostFp += weaponCostFp * coinValue;
+
+        const shielded = this._absorbShieldHit(fishId);
+        if (shielded) return shielded;
+
+        const fishMult = this.getFishMultiplier(fishId);
+        const hardPityThreshold = Math.floor(config.n1Fp * coinValue * fishMult / weaponMult);
+        // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
+        if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
+            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto, coinValue, { playerId, weaponKey, tier, multiplier: fishMult });
+        }
+
+        const pFp = this._calcProbability(pState, config, isAuto, coinValue * fishMult);
+
+        const rand = this._rollFp();
+        if (rand < pFp) {
+            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto, coinValue, { playerId, weaponKey, tier, multiplier: fishMult });
+        }
+        return { kill: false, reason: 'roll_failed', pFp };
+    }
+
+    handleMultiTargetHit(playerId, hitList, weaponKey, weaponType, isAuto, coinValueArg, isPromo) {
+        if (!hitList || hitList.length === 0) return [];
+        this._recordShot('multi', [
+            playerId,
+            hitList.map(entry => ({ fishId: entry.fishId, tier: entry.tier })),
+            weaponKey, weaponType, !!isAuto, coinValueArg || 1, !!isPromo
+        ]);
+
+        const maxTargets = weaponType === 'laser' ? RTP_LASER_MAX_TARGETS : RTP_ROCKET_MAX_TARGETS;
+        const trimmedList = hitList.slice(0, maxTargets);
+        const hitCount = trimmedList.length;
+
+        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
+        const coinValue = coinValueArg || 1;
+        const weaponMult = weaponCostFp / RTP_MONEY_SCALE;
+        const rtpWeaponFp = this._getRtp(weaponKey, isAuto, isPromo);
+        const budgetTotalFp = Math.floor(weaponCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
+
+        const pState = this._getOrCreatePlayerState(playerId);
+
+        pState.budgetRemainingFp += budgetTotalFp;
+        if (this.ledger) this.ledger.recordBudget(playerId, pState.budgetRemainingFp);
+
+        const results = [];
+        let energyCarry = false;
+        for (let i = 0; i < hitCount; i++) {
+            const entry = trimmedList[i];
+            const config = this.profile.tiers[entry.tier];
+            if (!config) {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'invalid_tier' });
+                continue;
+            }
+
+            const fState = this._getOrCreateFishState(playerId, entry.fishId, entry.tier);
+            if (fState.killed) {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'already_killed' });
+                continue;
+            }
+
+            if (i === 0) {
+                fState.sumCostFp += weaponCostFp * coinValue;
+            }
+
+            const shielded = this._absorbShieldHit(entry.fishId);
+            if (shielded) {
+                results.push(shielded);
+                continue;
+            }
+
+            const fishMult = this.getFishMultiplier(entry.fishId);
+            const hit = { playerId, weaponKey, tier: entry.tier, multiplier: fishMult };
+            const hardPityThreshold = Math.floor(config.n1Fp * coinValue * fishMult);
+            // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
+            if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
+                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'hard_pity', isAuto, coinValue, hit);
+                results.push(killResult);
+                energyCarry = true;
+                continue;
+            }
+
+            const rewardFp = this._getReward(config, isAuto) * coinValue * fishMult;
+            const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
+            const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
+
+            if (pBaseRawFp >= RTP_P_SCALE) {
+                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto, coinValue, hit);
+                results.push(killResult);
+                energyCarry = true;
+                continue;
+            }
+
+            const pIFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
+
+            const randI = this._rollFp();
+            if (randI < pIFp) {
+                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto, coinValue, hit);
+                results.push(killResult);
+                energyCarry = (pState.budgetRemainingFp > 0);
+            } else {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp });
+                if (i > 0 && !energyCarry) break;
+                energyCarry = false;
+            }
+        }
+        return results;
+    }
+
+    handleShotgunHit(playerId, fishId, weaponKey, tier, isAuto, coinValueArg, isPromo) {
+        this._recordShot('shotgun', [playerId, fishId, weaponKey, tier, !!isAuto, coinValueArg || 1, !!isPromo]);
+        const config = this.profile.tiers[tier];
+        if (!config) return { kill: false, error: 'invalid_tier' };
+
+        const fState = this._getOrCreateFishState(playerId, fishId, tier);
+        if (fState.killed) return { kill: false, reason: 'already_killed' };
+
+        const pState = this._getOrCreatePlayerState(playerId);
+        const pelletCostFp = 1000;
+        const coinValue = coinValueArg || 1;
+        const rtpWeaponFp = this._getRtp('3x', isAuto, isPromo);
+
+        const budgetTotalFp = Math.floor(pelletCostFp * coinValue * rtpWeaponFp / RTP_SCALE);
+        pState.budgetRemainingFp += budgetTotalFp;
+        if (this.ledger) this.ledger.recordBudget(playerId, pState.budgetRemainingFp);
+        fState.sumCostFp += pelletCostFp * coinValue;
+
+        const shielded = this._absorbShieldHit(fishId);
+        if (shielded) return shielded;
+
+        // FIX A: 3x Scatter uses same N1 threshold as 1x (pellets share state, each cost=1)
+        // Previously divided by 3, causing T3 fish to die in 1 shot (RTP 224%)
+        const fishMult = this.getFishMultiplier(fishId);
+        const hardPityThreshold = Math.floor(config.n1Fp * coinValue * fishMult);
+        // FIX C: Budget-Locked Hard Pity — only trigger if budget is non-negative
+        if (fState.sumCostFp >= hardPityThreshold && pState.budgetRemainingFp >= 0) {
+            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto, coinValue, { playerId, weaponKey, tier, multiplier: fishMult });
+        }
+
+        const pFp = this._calcProbability(pState, config, isAuto, coinValue * fishMult);
+
+        const rand = this._rollFp();
+        if (rand < pFp) {
+            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto, coinValue, { playerId, weaponKey, tier, multiplier: fishMult });
+        }
+        return { kill: false, reason: 'roll_failed', pFp };
+    }
+
+    /**
+     * Resolve the strike of a killed bomb / lightning fish. hitList is the
+     * fish it reaches ({ fishId, tier }), nearest or chain order first. No
+     * new budget is accrued: the share withheld from the source kill is split
+     * evenly over the targets and each rolls p = share / reward, so the strike
+     * pays out the withheld share on average. A lightning chain stops at its
+     * first failed roll; shares not paid out stay in the player's budget.
+     */
+    handleAbilityHit(playerId, sourceFishId, hitList) {
+        const list = (hitList || []).map(entry => ({ fishId: entry.fishId, tier: entry.tier }));
+        this._recordShot('ability', [playerId, sourceFishId, list]);
+        const pState = this._getOrCreatePlayerState(playerId);
+        const fund = pState.abilityFunds.get(sourceFishId);
+        if (!fund) return [];
+        pState.abilityFunds.delete(sourceFishId);
+        pState.budgetRemainingFp += fund.fundFp;
+        if (this.ledger) this.ledger.recordBudget(playerId, pState.budgetRemainingFp);
+
+        const targets = list.filter(entry => entry.fishId !== sourceFishId).slice(0, fund.maxTargets);
+        if (targets.length === 0) return [];
+        const shareFp = Math.floor(fund.fundFp / targets.length);
+
+        const results = [];
+        for (const entry of targets) {
+            const config = this.profile.tiers[entry.tier];
+            if (!config) {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'invalid_tier' });
+                continue;
+            }
+            const fState = this._getOrCreateFishState(playerId, entry.fishId, entry.tier);
+            if (fState.killed) {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'already_killed' });
+                continue;
+            }
+            const shielded = this._absorbShieldHit(entry.fishId);
+            if (shielded) {
+                results.push(shielded);
+                continue;
+            }
+
+            const fishMult = this.getFishMultiplier(entry.fishId);
+            const rewardFp = this._getReward(config, fund.isAuto) * fund.coinValue * fishMult;
+            const pFp = Math.min(RTP_P_SCALE, Math.floor(shareFp * RTP_P_SCALE / rewardFp));
+            if (this._rollFp() < pFp) {
+                const hit = { playerId, weaponKey: fund.weaponKey, tier: entry.tier, multiplier: fishMult };
+                results.push(this._executeKill(fState, pState, config, entry.fishId, 'ability', fund.isAuto, fund.coinValue, hit));
+            } else {
+                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp });
+                if (fund.ability === 'lightning') break;
+            }
+        }
+        return results;
+    }
+
+    _executeKill(fState, pState, config, fishId, reason, isAuto, coinValue, hit) {
+        const M = coinValue || 1;
+        const killEventId = nextKillEventId();
+        if (this.processedKillEvents.has(killEventId)) {
+            return { kill: false, reason: 'duplicate_kill_event' };
+        }
+        this.processedKillEvents.add(killEventId);
+
+        const multiplier = (hit && hit.multiplier) || 1;
+        const rewardFp = (isAuto ? config.rewardAutoFp : config.rewardManualFp) * M * multiplier;
+        // FIX B: Enable Debt Memory — allow budget to go deeply negative
+        // Previously clamped to -(rewardManualFp * M), erasing debt and preventing profit recovery
+        pState.budgetRemainingFp -= rewardFp;
+        fState.killed = true;
+
+        // Bomb / lightning fish hold part of the reward back for their strike;
+        // it returns to the budget when handleAbilityHit (or clearFishStates) runs
+        const abilityState = this.fishAbilities.get(fishId);
+        const ability = abilityState ? abilityState.ability : null;
+        const abilityCfg = ability && this.profile.abilities ? this.profile.abilities[ability] : null;
+        let abilityFundFp = 0;
+        if (abilityCfg && abilityCfg.fundShareFp && hit) {
+            abilityFundFp = Math.floor(rewardFp * abilityCfg.fundShareFp / RTP_SCALE);
+            pState.abilityFunds.set(fishId, {
+                ability,
+                fundFp: abilityFundFp,
+                maxTargets: abilityCfg.maxTargets,
+                weaponKey: hit.weaponKey,
+                isAuto: !!isAuto,
+                coinValue: M
+            });
+        }
+        const paidFp = rewardFp - abilityFundFp;
+
+        if (this.ledger && hit) {
+            this.ledger.recordKill(hit.playerId, hit.weaponKey, hit.tier, M, isAuto, reason, paidFp, pState.budgetRemainingFp);
+        }
+        return {
+            fishId,
+            kill: true,
+            reason,
+            killEventId,
+            rewardFp: paidFp,
+            reward: paidFp / RTP_MONEY_SCALE,
+            multiplier,
+            ability,
+            abilityFundFp,
+            isAuto: !!isAuto
+        };
+    }
+}
+
+/**
+ * Progressive jackpot pool (mini / major / grand), amounts in integer FP.
+ *
+ * contribute(betFp) moves contributionFp / RTP_SCALE of a bet into the tiers
+ * by shareFp. rollOnKill(rtpTier, coinValue) gives kills listed in `triggers`
+ * one chance per tier, grand first; odds scale with coinValue so each bet
+ * size wins in proportion to what it pays in. A won tier restarts at its
+ * seed and that seed is repaid from the tier's next contributions before the
+ * meter grows, so paid + meters === contributed + seed debt at all times.
+ */
+class JackpotPool {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.random = typeof options.random === 'function' ? options.random : () => Math.random();
+        this.contributedFp = 0;
+        this.paidFp = 0;
+        this.tiers = {};
+        for (const [tier, cfg] of Object.entries(config.tiers)) {
+            this.tiers[tier] = { amountFp: cfg.seedFp, seedDebtFp: cfg.seedFp, wins: 0, paidFp: 0 };
+        }
+    }
+
+    contribute(betFp) {
+        const totalFp = Math.floor(betFp * this.config.contributionFp / RTP_SCALE);
+        if (totalFp <= 0) return 0;
+        let remainingFp = totalFp;
+        const names = Object.keys(this.tiers);
+        names.forEach((tier, i) => {
+            // Rounding remainder goes to the last tier so nothing is lost
+            const shareFp = i === names.length - 1
+                ? remainingFp
+                : Math.floor(totalFp * this.config.tiers[tier].shareFp / RTP_SCALE);
+            remainingFp -= shareFp;
+            const state = this.tiers[tier];
+            const repayFp = Math.min(shareFp, state.seedDebtFp);
+            state.seedDebtFp -= repayFp;
+            state.amountFp += shareFp - repayFp;
+        });
+        this.contributedFp += totalFp;
+        return totalFp;
+    }
+
+    rollOnKill(rtpTier, coinValue) {
+        const odds = (this.config.triggers || {})[rtpTier];
+        if (!odds) return null;
+        const M = coinValue || 1;
+        for (const tier of RTP_JACKPOT_TIERS) {
+            if (!odds[tier] || !this.tiers[tier]) continue;
+            const pFp = Math.min(RTP_P_SCALE, odds[tier] * M);
+            if (Math.floor(this.random() * RTP_P_SCALE) < pFp) {
+                return this._payout(tier);
+            }
+        }
+        return null;
+    }
+
+    _payout(tier) {
+        const state = this.tiers[tier];
+        const seedFp = this.config.tiers[tier].seedFp;
+        const amountFp = state.amountFp;
+        state.amountFp = seedFp;
+        state.seedDebtFp += seedFp;
+        state.wins++;
+        state.paidFp += amountFp;
+        this.paidFp += amountFp;
+        return { tier, amountFp, amount: amountFp / RTP_MONEY_SCALE };
+    }
+
+    getMeters() {
+        const meters = {};
+        for (const [tier, state] of Object.entries(this.tiers)) meters[tier] = state.amountFp;
+        return meters;
+    }
+
+    toJSON() {
+        return { contributedFp: this.contributedFp, paidFp: this.paidFp, tiers: JSON.parse(JSON.stringify(this.tiers)) };
+    }
+
+    // Restore meters saved by toJSON(); tiers not in the current config are ignored
+    restore(saved) {
+        if (!saved || !saved.tiers) return;
+        this.contributedFp = saved.contributedFp || 0;
+        this.paidFp = saved.paidFp || 0;
+        for (const tier of Object.keys(this.tiers)) {
+            if (saved.tiers[tier]) Object.assign(this.tiers[tier], saved.tiers[tier]);
+        }
+    }
+}
+
+/**
+ * Per-player RTP ledger for session statements.
+ *
+ * Buckets bets, wins and kills (by reason: probability / hard_pity) per
+ * weapon × mode × coinValue, with a per-tier breakdown of wins and kills,
+ * plus a time series of the player's budget (debt) after hits and kills.
+ * Bets come from the game's fire path (recordBet); budget and kills come
+ * from the engine when it is constructed with { ledger }; jackpot wins come
+ * from the game (recordJackpot) and count towards the player's RTP.
+ *
+ * All amounts are integer FP (RTP_MONEY_SCALE); exports convert to credits.
+ */
+class RTPLedger {
+    constructor(options = {}) {
+        this.sessionId = options.sessionId || null;
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this.now = options.now || (() => Date.now());
+        this.budgetSampleIntervalMs = options.budgetSampleIntervalMs !== undefined ? options.budgetSampleIntervalMs : 1000;
+        this.maxBudgetSamples = options.maxBudgetSamples || 2000;
+        this.startedAt = this.now();
+        this.profile = null;
+        this.players = new Map();
+    }
+
+    setProfile(profileInfo) {
+        this.profile = profileInfo;
+    }
+
+    _getOrCreatePlayer(playerId) {
+        let player = this.players.get(playerId);
+        if (!player) {
+            player = {
+                rows: new Map(),
+                jackpots: {},
+                budget: { currentFp: 0, minFp: 0, lastSampleAt: -Infinity, samples: [] }
+            };
+            this.players.set(playerId, player);
+        }
+        return player;
+    }
+
+    _getOrCreateRow(player, weaponKey, isAuto, coinValue) {
+        const mode = isAuto ? 'auto' : 'manual';
+        const key = weaponKey + '|' + mode + '|' + coinValue;
+        let row = player.rows.get(key);
+        if (!row) {
+            row = {
+                weaponKey,
+                mode,
+                coinValue,
+                shots: 0,
+                betFp: 0,
+                promoShots: 0,
+                promoFp: 0,
+                winFp: 0,
+                kills: { probability: 0, hard_pity: 0, ability: 0 },
+                tiers: {}
+            };
+            player.rows.set(key, row);
+        }
+        return row;
+    }
+
+    _sampleBudget(player, budgetFp, force) {
+        const budget = player.budget;
+        const t = this.now();
+        budget.currentFp = budgetFp;
+        budget.minFp = Math.min(budget.minFp, budgetFp);
+        if (!force && t - budget.lastSampleAt < this.budgetSampleIntervalMs) return;
+        budget.lastSampleAt = t;
+        budget.samples.push({ t, budgetFp });
+        if (budget.samples.length > this.maxBudgetSamples) {
+            // Halve resolution, always keeping the newest sample
+            budget.samples = budget.samples.filter((s, i, arr) => i % 2 === 0 || i === arr.length - 1);
+        }
+    }
+
+    // isPromo: free shot paid by the operator (bonus round) - kept out of the player's betFp
+    recordBet(playerId, weaponKey, coinValue, isAuto, betFp, isPromo = false) {
+        const player = this._getOrCreatePlayer(playerId);
+        const row = this._getOrCreateRow(player, weaponKey, isAuto, coinValue || 1);
+        if (isPromo) {
+            row.promoShots++;
+            row.promoFp += betFp;
+        } else {
+            row.shots++;
+            row.betFp += betFp;
+        }
+    }
+
+    recordBudget(playerId, budgetFp) {
+        this._sampleBudget(this._getOrCreatePlayer(playerId), budgetFp, false);
+    }
+
+    recordKill(playerId, weaponKey, tier, coinValue, isAuto, reason, rewardFp, budgetFp) {
+        const player = this._getOrCreatePlayer(playerId);
+        const row = this._getOrCreateRow(player, weaponKey, isAuto, coinValue || 1);
+        let tierRow = row.tiers[tier];
+        if (!tierRow) {
+            tierRow = { winFp: 0, kills: { probability: 0, hard_pity: 0, ability: 0 } };
+            row.tiers[tier] = tierRow;
+        }
+        row.winFp += rewardFp;
+        tierRow.winFp += rewardFp;
+        if (row.kills[reason] !== undefined) {
+            row.kills[reason]++;
+            tierRow.kills[reason]++;
+        }
+        this._sampleBudget(player, budgetFp, true);
+    }
+
+    recordJackpot(playerId, tier, amountFp) {
+        const player = this._getOrCreatePlayer(playerId);
+        const jackpot = player.jackpots[tier] || (player.jackpots[tier] = { wins: 0, winFp: 0 });
+        jackpot.wins++;
+        jackpot.winFp += amountFp;
+    }
+
+    getStatement() {
+        const players = [];
+        for (const [playerId, player] of this.players) {
+            const rows = [...player.rows.values()].map(row => ({
+                weaponKey: row.weaponKey,
+                mode: row.mode,
+                coinValue: row.coinValue,
+                shots: row.shots,
+                betFp: row.betFp,
+                promoShots: row.promoShots,
+                promoFp: row.promoFp,
+                winFp: row.winFp,
+                kills: { ...row.kills },
+                tiers: JSON.parse(JSON.stringify(row.tiers))
+            }));
+            const totals = rows.reduce((acc, row) => {
+                acc.shots += row.shots;
+                acc.betFp += row.betFp;
+                acc.promoShots += row.promoShots;
+                acc.promoFp += row.promoFp;
+                acc.winFp += row.winFp;
+                acc.kills.probability += row.kills.probability;
+                acc.kills.hard_pity += row.kills.hard_pity;
+                acc.kills.ability += row.kills.ability;
+                return acc;
+            }, { shots: 0, betFp: 0, promoShots: 0, promoFp: 0, winFp: 0, kills: { probability: 0, hard_pity: 0, ability: 0 } });
+            totals.jackpotFp = Object.values(player.jackpots).reduce((a, j) => a + j.winFp, 0);
+            // Game RTP over all spend (player + promotional); free-shot wins are not player-funded
+            const spendFp = totals.betFp + totals.promoFp;
+            totals.rtpPct = spendFp > 0 ? Math.round((totals.winFp + totals.jackpotFp) * 10000 / spendFp) / 100 : 0;
+            players.push({
+                playerId,
+                totals,
+                rows,
+                jackpots: JSON.parse(JSON.stringify(player.jackpots)),
+                budget: {
+                    currentFp: player.budget.currentFp,
+                    maxDebtFp: Math.max(0, -player.budget.minFp),
+                    samples: player.budget.samples.slice()
+                }
+            });
+        }
+        return {
+            statementVersion: 1,
+            sessionId: this.sessionId,
+            seed: this.seed,
+            rtpProfile: this.profile,
+            startedAt: this.startedAt,
+            generatedAt: this.now(),
+            moneyScale: RTP_MONEY_SCALE,
+            players
+        };
+    }
+
+    toJSON() {
+        return this.getStatement();
+    }
+
+    /**
+     * One line per weapon × mode × coinValue bucket (tier = ALL), followed by
+     * its per-tier win/kill lines, then one jackpot_<tier> line per jackpot
+     * tier won (wins in the shots column). Free shots are in promo_shots /
+     * promo_spend, not shots / bet. Amounts are in credits.
+     */
+    toCSV() {
+        const money = (fp) => (fp / RTP_MONEY_SCALE).toFixed(3);
+        const lines = ['session_id,player_id,weapon,mode,coin_value,tier,shots,bet,win,kills_probability,kills_hard_pity,kills_ability,promo_shots,promo_spend'];
+        const statement = this.getStatement();
+        const sessionId = statement.sessionId || '';
+        for (const player of statement.players) {
+            for (const row of player.rows) {
+                const prefix = [sessionId, player.playerId, row.weaponKey, row.mode, row.coinValue];
+                lines.push(prefix.concat(['ALL', row.shots, money(row.betFp), money(row.winFp),
+                    row.kills.probability, row.kills.hard_pity, row.kills.ability, row.promoShots, money(row.promoFp)]).join(','));
+                for (const tier of Object.keys(row.tiers)) {
+                    const t = row.tiers[tier];
+                    lines.push(prefix.concat([tier, '', '', money(t.winFp),
+                        t.kills.probability, t.kills.hard_pity, t.kills.ability, '', '']).join(','));
+                }
+            }
+            for (const [tier, j] of Object.entries(player.jackpots)) {
+                lines.push([sessionId, player.playerId, '', '', '', 'jackpot_' + tier, j.wins, '', money(j.winFp), '', '', '', '', ''].join(','));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ============================================================
+// BUDGET STATE PERSISTENCE
+// ============================================================
+
+/**
+ * What happens to a saved player state older than maxAgeMs:
+ *   discard      - start over: budget 0, no pity
+ *   forgive_debt - keep budget still owed to the player, drop debt and pity
+ *   keep         - never expires
+ * A state saved under a different RTP profile (hash) is always discarded:
+ * its budget was accrued against other tables.
+ */
+const RTP_STATE_EXPIRY = {
+    DISCARD: 'discard',
+    FORGIVE_DEBT: 'forgive_debt',
+    KEEP: 'keep'
+};
+
+const RTP_STATE_RECORD_VERSION = 1;
+
+/**
+ * Storage adapters share one async interface, so the server adapter (or any
+ * custom one) can be swapped in without touching the engine:
+ *   load(key)         -> Promise<record | null>
+ *   save(key, record) -> Promise<void>
+ *   remove(key)       -> Promise<void>
+ */
+class LocalStorageRTPStateAdapter {
+    constructor(storage, prefix = 'rtpState:') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async load(key) {
+        const raw = this.storage.getItem(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async save(key, record) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(record));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+}
+
+/**
+ * REST adapter: GET / PUT / DELETE {baseUrl}/{key} with a JSON body.
+ * 404 on load means "no saved state". Pass fetchImpl in Node or to add auth.
+ */
+class ServerRTPStateAdapter {
+    constructor(options = {}) {
+        if (!options.baseUrl) throw new Error('ServerRTPStateAdapter requires baseUrl');
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.headers = options.headers || {};
+        this.fetch = options.fetchImpl || ((...args) => fetch(...args));
+    }
+
+    _url(key) {
+        return this.baseUrl + '/' + encodeURIComponent(key);
+    }
+
+    async load(key) {
+        const response = await this.fetch(this._url(key), { headers: this.headers });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error('RTP state load failed: HTTP ' + response.status);
+        return response.json();
+    }
+
+    async save(key, record) {
+        const response = await this.fetch(this._url(key), {
+            method: 'PUT',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.headers),
+            body: JSON.stringify(record),
+            keepalive: true  // lets the final save on page exit complete
+        });
+        if (!response.ok) throw new Error('RTP state save failed: HTTP ' + response.status);
+    }
+
+    async remove(key) {
+        const response = await this.fetch(this._url(key), { method: 'DELETE', headers: this.headers });
+        if (!response.ok && response.status !== 404) throw new Error('RTP state remove failed: HTTP ' + response.status);
+    }
+}
+
+/**
+ * Saves and resumes ClientRTPPhase1 player state through an adapter.
+ *
+ * Options:
+ *   engine   - ClientRTPPhase1 instance
+ *   adapter  - storage adapter (see LocalStorageRTPStateAdapter)
+ *   maxAgeMs - age after which a saved state is stale (default 24h)
+ *   expiry   - RTP_STATE_EXPIRY policy for stale state (default forgive_debt)
+ *   now      - clock in ms (default Date.now)
+ *
+ * resume(playerId) applies at most once per player per instance, so calling
+ * it again (e.g. on every game start) never double-counts the saved budget.
+ */
+class RTPBudgetPersistence {
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.adapter = options.adapter;
+        this.maxAgeMs = options.maxAgeMs !== undefined ? options.maxAgeMs : 24 * 60 * 60 * 1000;
+        this.expiry = options.expiry || RTP_STATE_EXPIRY.FORGIVE_DEBT;
+        if (!Object.values(RTP_STATE_EXPIRY).includes(this.expiry)) {
+            throw new Error('Unknown RTP state expiry policy: ' + this.expiry);
+        }
+        this.now = options.now || (() => Date.now());
+        this.resumed = new Set();
+    }
+
+    async save(playerId) {
+        await this.adapter.save(playerId, {
+            version: RTP_STATE_RECORD_VERSION,
+            savedAt: this.now(),
+            state: this.engine.exportPlayerState(playerId)
+        });
+    }
+
+    /**
+     * @returns {Promise<{resumed: boolean, reason: string}>}
+     *   reason: 'resumed' | 'expired_forgiven' | 'already_resumed' | 'none' |
+     *           'expired' | 'profile_mismatch' | 'invalid'
+     */
+    async resume(playerId) {
+        if (this.resumed.has(playerId)) return { resumed: false, reason: 'already_resumed' };
+        this.resumed.add(playerId);
+
+        const record = await this.adapter.load(playerId);
+        if (!record) return { resumed: false, reason: 'none' };
+        const state = record.state;
+        if (record.version !== RTP_STATE_RECORD_VERSION || !state || state.playerId !== playerId ||
+            !Number.isInteger(state.budgetRemainingFp) || !Number.isInteger(record.savedAt)) {
+            await this.adapter.remove(playerId);
+            return { resumed: false, reason: 'invalid' };
+        }
+        if (state.profileHash !== this.engine.profile.hash) {
+            await this.adapter.remove(playerId);
+            return { resumed: false, reason: 'profile_mismatch' };
+        }
+
+        const stale = this.expiry !== RTP_STATE_EXPIRY.KEEP && this.now() - record.savedAt > this.maxAgeMs;
+        if (!stale) {
+            this.engine.importPlayerState(state);
+            return { resumed: true, reason: 'resumed' };
+        }
+        if (this.expiry === RTP_STATE_EXPIRY.FORGIVE_DEBT && state.budgetRemainingFp > 0) {
+            this.engine.importPlayerState(Object.assign({}, state, { pityFp: {} }));
+            return { resumed: true, reason: 'expired_forgiven' };
+        }
+        await this.adapter.remove(playerId);
+        return { resumed: false, reason: 'expired' };
+    }
+
+    async clear(playerId) {
+        await this.adapter.remove(playerId);
+    }
+}
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.ClientRTPPhase1 = ClientRTPPhase1;
+    window.RTPLedger = RTPLedger;
+    window.JackpotPool = JackpotPool;
+    window.drawFishMultiplier = drawFishMultiplier;
+    window.loadRTPProfiles = loadRTPProfiles;
+    window.RTP_STATE_EXPIRY = RTP_STATE_EXPIRY;
+    window.LocalStorageRTPStateAdapter = LocalStorageRTPStateAdapter;
+    window.ServerRTPStateAdapter = ServerRTPStateAdapter;
+    window.RTPBudgetPersistence = RTPBudgetPersistence;
+}
+
+// Export for Node.js (tests, audit scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RTP_MONEY_SCALE,
+        RTP_SCALE,
+        RTP_P_SCALE,
+        RTP_ROCKET_MAX_TARGETS,
+        RTP_LASER_MAX_TARGETS,
+        RTP_WEAPON_RTP_MANUAL_FP,
+        RTP_WEAPON_RTP_AUTO_FP,
+        RTP_WEAPON_COST_FP,
+        RTP_TIER_CONFIG,
+        FISH_SPECIES_TO_RTP_TIER,
+        FISH_SPECIES_ABILITY,
+        RTP_ABILITY_CONFIG,
+        getFishRTPTier,
+        nextKillEventId,
+        createSeededRandom,
+        drawFishMultiplier,
+        hashRTPProfile,
+        validateRTPProfiles,
+        loadRTPProfiles,
+        RTP_BUILTIN_PROFILE,
+        ClientRTPPhase1,
+        JackpotPool,
+        RTPLedger,
+        RTP_STATE_EXPIRY,
+        LocalStorageRTPStateAdapter,
+        ServerRTPStateAdapter,
+        RTPBudgetPersistence
+    };
+}
@@ -1,165 +1,13 @@
-const RTP_MONEY_SCALE = 1000;
-const RTP_SCALE = 10000;
-const RTP_PROGRESS_SCALE = 1000000;
-const RTP_P_SCALE = 1000000;
-const RTP_LATE_RAMP_START = 800000;
-const RTP_ROCKET_MAX_TARGETS = 6;
-const RTP_LASER_MAX_TARGETS = 10;
-const RTP_PRIMARY_WEIGHT = 700000;
-const RTP_SECONDARY_WEIGHT = 300000;
-
-const RTP_WEAPON_RTP_FP = { '1x': 9200, '3x': 9400, '5x': 9600, '8x': 9800 };
-const RTP_WEAPON_COST_FP = { '1x': 1000, '3x': 3000, '5x': 5000, '8x': 8000 };
-
-const RTP_TIER_CONFIG = {
-    1: { rewardFp: 6440, n1Fp: 7000, pityCompFp: 367000 },
-    2: { rewardFp: 9200, n1Fp: 10000, pityCompFp: 344000 },
-    3: { rewardFp: 14720, n1Fp: 16000, pityCompFp: 332000 },
-    4: { rewardFp: 27600, n1Fp: 30000, pityCompFp: 326400 },
-    5: { rewardFp: 41400, n1Fp: 45000, pityCompFp: 322600 },
-    6: { rewardFp: 110400, n1Fp: 120000, pityCompFp: 316000 }
-};
-
-let rtpKillEventCounter = 0;
-function nextKillEventId() { return 'ke_' + (++rtpKillEventCounter) + '_' + Date.now(); }
-
-class ClientRTPPhase1 {
-    constructor() {
-        this.fishStates = new Map();
-        this.playerStates = new Map();
-        this.processedKillEvents = new Set();
-    }
-    _getOrCreateFishState(playerId, fishId) {
-        const key = playerId + ':' + fishId;
-        let state = this.fishStates.get(key);
-        if (!state) { state = { sumCostFp: 0, killed: false }; this.fishStates.set(key, state); }
-        return state;
-    }
-    _getOrCreatePlayerState(playerId) {
-        let state = this.playerStates.get(playerId);
-        if (!state) { state = { budgetRemainingFp: 0, reset_debt_on_session_end: false }; this.playerStates.set(playerId, state); }
-        return state;
-    }
-    clearFishStates(fishId) {
-        for (const key of this.fishStates.keys()) { if (key.endsWith(':' + fishId)) this.fishStates.delete(key); }
-    }
-    pruneKilledFishStates() {
-        for (const [key, state] of this.fishStates) { if (state.killed) this.fishStates.delete(key); }
-    }
-    resetPlayerDebtIfEnabled(playerId) {
-        const pState = this.playerStates.get(playerId);
-        if (pState && pState.reset_debt_on_session_end) pState.budgetRemainingFp = 0;
-    }
-    handleSingleTargetHit(playerId, fishId, weaponKey, tier) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
-        const pState = this._getOrCreatePlayerState(playerId);
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const rtpWeaponFp = RTP_WEAPON_RTP_FP[weaponKey] || 9200;
-        const budgetTotalFp = Math.floor(weaponCostFp * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += weaponCostFp;
-        if (fState.sumCostFp >= config.n1Fp) return this._executeKill(fState, pState, config, fishId, 'hard_pity');
-        const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-        const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / config.rewardFp);
-        const pBaseFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
-        const progressFp = Math.floor(fState.sumCostFp * RTP_PROGRESS_SCALE / config.n1Fp);
-        let rampBoostFp = 0;
-        if (progressFp > RTP_LATE_RAMP_START) {
-            rampBoostFp = Math.min(RTP_PROGRESS_SCALE, Math.floor((progressFp - RTP_LATE_RAMP_START) * RTP_PROGRESS_SCALE / (RTP_PROGRESS_SCALE - RTP_LATE_RAMP_START)));
-        }
-        const pFp = Math.min(RTP_P_SCALE, pBaseFp + Math.floor(pBaseFp * rampBoostFp / RTP_PROGRESS_SCALE));
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) return this._executeKill(fState, pState, config, fishId, 'probability');
-        return { kill: false, reason: 'roll_failed', pFp };
-    }
-    handleMultiTargetHit(playerId, hitList, weaponKey, weaponType) {
-        if (!hitList || hitList.length === 0) return [];
-        const maxTargets = weaponType === 'laser' ? RTP_LASER_MAX_TARGETS : RTP_ROCKET_MAX_TARGETS;
-        const cap = maxTargets;
-        const trimmedList = hitList.slice(0, maxTargets);
-        const M = trimmedList.length;
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const rtpWeaponFp = RTP_WEAPON_RTP_FP[weaponKey] || 9200;
-        const budgetTotalFp = Math.floor(weaponCostFp * rtpWeaponFp / RTP_SCALE);
-        const pState = this._getOrCreatePlayerState(playerId);
-        let budget0Fp, budgetSecondaryEachFp;
-        if (M === 1) { budget0Fp = budgetTotalFp; budgetSecondaryEachFp = 0; }
-        else {
-            budget0Fp = Math.floor(budgetTotalFp * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-            const secondaryTotalFp = budgetTotalFp - budget0Fp;
-            budgetSecondaryEachFp = Math.floor(secondaryTotalFp / (M - 1));
-        }
-        const usedBudgetFp = budget0Fp + budgetSecondaryEachFp * (M - 1);
-        const remainderFp = budgetTotalFp - usedBudgetFp;
-        if (remainderFp > 0) {
-            budget0Fp += remainderFp;
-        }
-        const cost0Fp = Math.floor(weaponCostFp * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-        const costSecondaryEachFp = M > 1 ? Math.floor((weaponCostFp - cost0Fp) / (M - 1)) : 0;
-        const results = [];
-        for (let i = 0; i < M; i++) {
-            const entry = trimmedList[i];
-            const config = RTP_TIER_CONFIG[entry.tier];
-            if (!config) { results.push({ fishId: entry.fishId, kill: false, reason: 'invalid_tier' }); continue; }
-            const fState = this._getOrCreateFishState(playerId, entry.fishId);
-            if (fState.killed) { results.push({ fishId: entry.fishId, kill: false, reason: 'already_killed' }); continue; }
-            const budgetIFp = (i === 0) ? budget0Fp : budgetSecondaryEachFp;
-            const costIFp = (i === 0) ? cost0Fp : costSecondaryEachFp;
-            pState.budgetRemainingFp += budgetIFp;
-            fState.sumCostFp += costIFp;
-            if (fState.sumCostFp >= config.n1Fp) { results.push(this._executeKill(fState, pState, config, entry.fishId, 'hard_pity')); continue; }
-            const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-            const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / config.rewardFp);
-            const pBaseFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
-            const progressFp = Math.floor(fState.sumCostFp * RTP_PROGRESS_SCALE / config.n1Fp);
-            let rampBoostFp = 0;
-            if (progressFp > RTP_LATE_RAMP_START) {
-                rampBoostFp = Math.min(RTP_PROGRESS_SCALE, Math.floor((progressFp - RTP_LATE_RAMP_START) * RTP_PROGRESS_SCALE / (RTP_PROGRESS_SCALE - RTP_LATE_RAMP_START)));
-            }
-            const pIFp = Math.min(RTP_P_SCALE, pBaseFp + Math.floor(pBaseFp * rampBoostFp / RTP_PROGRESS_SCALE));
-            const randI = Math.floor(Math.random() * RTP_P_SCALE);
-            if (randI < pIFp) { results.push(this._executeKill(fState, pState, config, entry.fishId, 'probability')); }
-            else { results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp }); }
-        }
-        return results;
-    }
-    handleShotgunHit(playerId, fishId, weaponKey, tier) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
-        const pState = this._getOrCreatePlayerState(playerId);
-        const pelletCostFp = 1000;
-        const rtpWeaponFp = RTP_WEAPON_RTP_FP['3x'] || 9400;
-        const budgetTotalFp = Math.floor(pelletCostFp * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += pelletCostFp;
-        if (fState.sumCostFp >= config.n1Fp) return this._executeKill(fState, pState, config, fishId, 'hard_pity');
-        const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-        const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / config.rewardFp);
-        const pBaseFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
-        const progressFp = Math.floor(fState.sumCostFp * RTP_PROGRESS_SCALE / config.n1Fp);
-        let rampBoostFp = 0;
-        if (progressFp > RTP_LATE_RAMP_START) {
-            rampBoostFp = Math.min(RTP_PROGRESS_SCALE, Math.floor((progressFp - RTP_LATE_RAMP_START) * RTP_PROGRESS_SCALE / (RTP_PROGRESS_SCALE - RTP_LATE_RAMP_START)));
-        }
-        const pFp = Math.min(RTP_P_SCALE, pBaseFp + Math.floor(pBaseFp * rampBoostFp / RTP_PROGRESS_SCALE));
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) return this._executeKill(fState, pState, config, fishId, 'probability');
-        return { kill: false, reason: 'roll_failed', pFp };
-    }
-    _executeKill(fState, pState, config, fishId, reason) {
-        const killEventId = nextKillEventId();
-        if (this.processedKillEvents.has(killEventId)) return { kill: false, reason: 'duplicate_kill_event' };
-        this.processedKillEvents.add(killEventId);
-        pState.budgetRemainingFp -= config.rewardFp;
-        fState.killed = true;
-        return { fishId, kill: true, reason, killEventId, rewardFp: config.rewardFp, reward: config.rewardFp / RTP_MONEY_SCALE };
-    }
-}
+const {
+    RTP_MONEY_SCALE,
+    RTP_SCALE,
+    RTP_P_SCALE,
+    RTP_LASER_MAX_TARGETS,
+    RTP_WEAPON_RTP_MANUAL_FP,
+    RTP_WEAPON_COST_FP,
+    RTP_TIER_CONFIG,
+    ClientRTPPhase1
+} = require('./rtp_engine');
 
 let passed = 0, failed = 0;
 function assert(cond, msg) { if (cond) { console.log(`  PASS: ${msg}`); passed++; } else { console.log(`  FAIL: ${msg}`); failed++; } }
@@ -168,109 +16,118 @@ console.log('='.repeat(70));
 console.log('RTP v1.3 Unit Tests — 8x T1 Must-Kill & Cross-Fish Debt');
 console.log('='.repeat(70));
 
-console.log('\n--- TEST A: 8x Laser T1 Must-Kill (Hard Pity in 2 shots) ---');
+console.log('\n--- TEST A: 8x Laser T3 Must-Kill (Hard Pity on first shot) ---');
 {
     const engine = new ClientRTPPhase1();
-    const t1 = RTP_TIER_CONFIG[1];
-    const cost0 = Math.floor(RTP_WEAPON_COST_FP['8x'] * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-    console.log(`  T1: n1=${t1.n1Fp}, reward=${t1.rewardFp}`);
-    console.log(`  8x primary cost/shot = floor(8000*700000/1000000) = ${cost0}`);
-    console.log(`  After 2 shots: sumCost = ${cost0 * 2} >= n1=${t1.n1Fp} -> hard_pity`);
+    const t3 = RTP_TIER_CONFIG.t3;
+    console.log(`  T3: n1=${t3.n1Fp}, reward=${t3.rewardManualFp}`);
+    console.log(`  8x primary cost/shot = ${RTP_WEAPON_COST_FP['8x']} (100% to primary since v1.6.2)`);
 
     const origRandom = Math.random;
     Math.random = () => 0.999999;
 
     const hitList = [
-        { fishId: 'primary', tier: 1, distance: 1 },
-        { fishId: 'sec1', tier: 2, distance: 2 },
-        { fishId: 'sec2', tier: 3, distance: 3 }
+        { fishId: 'primary', tier: 't3', distance: 1 },
+        { fishId: 'sec1', tier: 't2', distance: 2 },
+        { fishId: 'sec2', tier: 't1', distance: 3 }
     ];
 
     const r1 = engine.handleMultiTargetHit('p', hitList, '8x', 'laser');
     console.log(`  Shot 1: primary kill=${r1[0].kill} reason=${r1[0].reason}`);
+
+    assert(r1[0].kill === true, 'Shot 1: primary KILLED');
+    assert(r1[0].reason === 'hard_pity', 'Shot 1: reason = hard_pity');
+    assert(r1[0].rewardFp === t3.rewardManualFp, `Shot 1: reward = ${t3.rewardManualFp} (${t3.rewardManualFp / RTP_MONEY_SCALE})`);
+    assert(r1[0].killEventId !== undefined, 'Kill has killEventId for idempotency');
+
+    Math.random = origRandom;
+}
+
+console.log('\n--- TEST B: 8x Laser T1 Must-Kill (primary gets 100% progress, Hard Pity in 2 shots) ---');
+{
+    const engine = new ClientRTPPhase1();
+    const t1 = RTP_TIER_CONFIG.t1;
+    const cost0 = RTP_WEAPON_COST_FP['8x'];
+    console.log(`  T1: n1=${t1.n1Fp}, reward=${t1.rewardManualFp}`);
+    console.log(`  After 2 shots: sumCost = ${cost0 * 2} >= n1=${t1.n1Fp} -> hard_pity`);
+
+    const origRandom = Math.random;
+    Math.random = () => 0.999999;
+
+    const hitList = [
+        { fishId: 'primary', tier: 't1', distance: 1 },
+        { fishId: 'sec1', tier: 't1', distance: 2 }
+    ];
+
+    const r1 = engine.handleMultiTargetHit('p', hitList, '8x', 'laser');
     const fs1 = engine.fishStates.get('p:primary');
-    console.log(`  Shot 1: primary sumCost=${fs1.sumCostFp}`);
+    const fsSec = engine.fishStates.get('p:sec1');
+    console.log(`  Shot 1: primary kill=${r1[0].kill} sumCost=${fs1.sumCostFp}`);
 
     assert(r1[0].kill === false, `Shot 1: primary NOT killed yet (sumCost=${fs1.sumCostFp} < n1=${t1.n1Fp})`);
     assert(fs1.sumCostFp === cost0, `Shot 1: primary sumCost = ${cost0}`);
+    assert(fsSec.sumCostFp === 0, `Shot 1: secondary sumCost = ${fsSec.sumCostFp} (no cost)`);
 
     const r2 = engine.handleMultiTargetHit('p', hitList, '8x', 'laser');
     console.log(`  Shot 2: primary kill=${r2[0].kill} reason=${r2[0].reason}`);
 
     assert(r2[0].kill === true, 'Shot 2: primary KILLED');
     assert(r2[0].reason === 'hard_pity', 'Shot 2: reason = hard_pity');
-    assert(r2[0].rewardFp === t1.rewardFp, `Shot 2: reward = ${t1.rewardFp} (${t1.rewardFp / RTP_MONEY_SCALE})`);
-    assert(r2[0].killEventId !== undefined, 'Kill has killEventId for idempotency');
+    assert(r2[0].rewardFp === t1.rewardManualFp, `Shot 2: reward = ${t1.rewardManualFp}`);
 
     Math.random = origRandom;
 }
 
-console.log('\n--- TEST B: 8x Primary gets 70% progress (sum_cost weighted) ---');
-{
-    const cost0 = Math.floor(8000 * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-    const costSec = Math.floor((8000 - cost0) / 2);
-    console.log(`  Primary cost/shot: ${cost0} (70% of 8000)`);
-    console.log(`  Secondary cost/shot each: ${costSec}`);
-
-    assert(cost0 === 5600, '70% of 8000 cost -> primary = 5600');
-    assert(costSec === 1200, '30%/2 -> each secondary = 1200');
-    assert(cost0 + costSec * 2 === 8000, 'Cost conservation: 5600 + 1200*2 = 8000');
-    assert(cost0 * 2 >= RTP_TIER_CONFIG[1].n1Fp, `2 shots primary (${cost0 * 2}) >= T1 n1 (${RTP_TIER_CONFIG[1].n1Fp})`);
-}
-
 console.log('\n--- TEST C: Cross-Fish Debt Repayment (forced early kill) ---');
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
 
-    console.log('  Phase 1: Force probability kill on T6 shot 1 (rand=0) -> massive debt');
+    console.log('  Phase 1: Force probability kill on Boss shot 1 (rand=0) -> massive debt');
     Math.random = () => 0.0;
-    const r = engine.handleSingleTargetHit('p', 'bigfish', '1x', 6);
+    const r = engine.handleSingleTargetHit('p', 'bigfish', '1x', 'boss');
     Math.random = origRandom;
 
-    assert(r.kill === true, 'T6 killed on shot 1 via probability');
+    assert(r.kill === true, 'Boss killed on shot 1 via probability');
     assert(r.reason === 'probability', 'Kill reason = probability (early kill)');
 
     const ps = engine.playerStates.get('p');
     const budgetInjected = Math.floor(1000 * 9200 / RTP_SCALE);
-    const expectedBudget = budgetInjected - RTP_TIER_CONFIG[6].rewardFp;
-    console.log(`  Budget: injected=${budgetInjected}, reward=${RTP_TIER_CONFIG[6].rewardFp}, net=${ps.budgetRemainingFp}`);
+    const expectedBudget = budgetInjected - RTP_TIER_CONFIG.boss.rewardManualFp;
+    console.log(`  Budget: injected=${budgetInjected}, reward=${RTP_TIER_CONFIG.boss.rewardManualFp}, net=${ps.budgetRemainingFp}`);
 
-    assert(ps.budgetRemainingFp === expectedBudget, `Budget = ${expectedBudget} (920 - 110400)`);
+    assert(ps.budgetRemainingFp === expectedBudget, `Budget = ${expectedBudget} (920 - 39200)`);
     assert(ps.budgetRemainingFp < 0, `Deep debt: ${ps.budgetRemainingFp}`);
 
-    console.log('\n  Phase 2: Switch to T1 fish — debt carries over');
+    console.log('\n  Phase 2: Switch to T3 fish — debt carries over');
     Math.random = () => 0.999999;
 
-    const r2 = engine.handleSingleTargetHit('p', 'smallfish', '1x', 1);
+    const r2 = engine.handleSingleTargetHit('p', 'smallfish', '1x', 't3');
     const ps2 = engine.playerStates.get('p');
-    console.log(`  Shot 1 at T1: budget=${ps2.budgetRemainingFp}, kill=${r2.kill}`);
-
-    assert(ps2.budgetRemainingFp < 0, 'Budget still negative (debt inherited from T6)');
-    assert(r2.kill === false, 'T1 NOT killed (soft gate: max(0,budget)=0 -> P_base=0)');
-
-    console.log('\n  Phase 3: Use 8x on T1 to repay debt (8x RTP=98%, net +1400/kill)');
-    console.log('  Math: 8x budget/shot=7840, T1 reward=6440, net=+1400 per hard pity kill');
-    let debtRepaidShot = -1;
-    let fishCounter = 0;
-    const netPerKill = Math.floor(8000 * 9800 / RTP_SCALE) - RTP_TIER_CONFIG[1].rewardFp;
-    const expectedKills = Math.ceil(Math.abs(ps2.budgetRemainingFp) / netPerKill);
-    console.log(`  Net per 8x T1 kill: +${netPerKill}, need ~${expectedKills} kills to repay`);
-
-    for (let shot = 2; shot <= 300; shot++) {
-        const fid = 'tf_' + fishCounter;
-        const r3 = engine.handleSingleTargetHit('p', fid, '8x', 1);
-        if (r3.kill) { engine.clearFishStates(fid); fishCounter++; }
-        const psN = engine.playerStates.get('p');
-        if (psN.budgetRemainingFp >= 0 && debtRepaidShot < 0) {
-            debtRepaidShot = shot;
-            console.log(`  Debt repaid on shot ${shot}, budget=${psN.budgetRemainingFp}, kills=${fishCounter}`);
+    console.log(`  Shot 1 at T3: budget=${ps2.budgetRemainingFp}, kill=${r2.kill}`);
+
+    assert(ps2.budgetRemainingFp < 0, 'Budget still negative (debt inherited from Boss)');
+    assert(r2.kill === false, 'T3 NOT killed (soft gate: max(0,budget)=0 -> P_base=0)');
+
+    console.log('\n  Phase 3: Use 8x on T3 to repay debt (FIX C: no kills while in debt)');
+    const budget8xFp = Math.floor(8000 * RTP_WEAPON_RTP_MANUAL_FP['8x'] / RTP_SCALE);
+    const expectedShots = Math.ceil(Math.abs(ps2.budgetRemainingFp) / budget8xFp);
+    console.log(`  8x budget/shot=${budget8xFp}, need ${expectedShots} shots to clear ${ps2.budgetRemainingFp}`);
+    let firstKillShot = -1;
+    let killsWhileInDebt = 0;
+    for (let shot = 1; shot <= 300 && firstKillShot < 0; shot++) {
+        const budgetBefore = engine.playerStates.get('p').budgetRemainingFp;
+        const r3 = engine.handleSingleTargetHit('p', 'tf_0', '8x', 't3');
+        if (r3.kill) {
+            firstKillShot = shot;
+            if (budgetBefore + budget8xFp < 0) killsWhileInDebt++;
+            console.log(`  First kill on shot ${shot}, reason=${r3.reason}, budget=${engine.playerStates.get('p').budgetRemainingFp}`);
         }
     }
     Math.random = origRandom;
 
-    assert(debtRepaidShot > 0, `Debt eventually repaid via 8x (shot ${debtRepaidShot})`);
-    assert(debtRepaidShot > 50, `Took many shots to repay T6 debt (${debtRepaidShot} > 50)`);
+    assert(firstKillShot === expectedShots, `Debt repaid before next kill (shot ${firstKillShot} === ${expectedShots})`);
+    assert(killsWhileInDebt === 0, 'No hard pity kill while budget is negative');
 }
 
 console.log('\n--- TEST D: Debt crosses fish boundaries ---');
@@ -278,21 +135,21 @@ console.log('\n--- TEST D: Debt crosses fish boundaries ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    engine.handleSingleTargetHit('p', 'fishA', '1x', 6);
+    engine.handleSingleTargetHit('p', 'fishA', '1x', 'boss');
     Math.random = origRandom;
 
     const budgetAfterA = engine.playerStates.get('p').budgetRemainingFp;
-    console.log(`  After killing T6 fishA: budget=${budgetAfterA}`);
+    console.log(`  After killing Boss fishA: budget=${budgetAfterA}`);
 
     engine.clearFishStates('fishA');
 
     Math.random = () => 0.999999;
-    engine.handleSingleTargetHit('p', 'fishB', '1x', 1);
+    engine.handleSingleTargetHit('p', 'fishB', '1x', 't3');
     Math.random = origRandom;
 
     const budgetAfterB = engine.playerStates.get('p').budgetRemainingFp;
     const injected = Math.floor(1000 * 9200 / RTP_SCALE);
-    console.log(`  After 1 shot on T1 fishB: budget=${budgetAfterB} (expected ${budgetAfterA + injected})`);
+    console.log(`  After 1 shot on T3 fishB: budget=${budgetAfterB} (expected ${budgetAfterA + injected})`);
 
     assert(budgetAfterB === budgetAfterA + injected, 'Debt carries across fish switch');
     assert(budgetAfterB < 0, `Still in debt: ${budgetAfterB}`);
@@ -303,11 +160,11 @@ console.log('\n--- TEST E: reset_debt_on_session_end switch ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    engine.handleSingleTargetHit('p', 'f1', '1x', 6);
+    engine.handleSingleTargetHit('p', 'f1', '1x', 'boss');
     Math.random = origRandom;
 
     const ps = engine.playerStates.get('p');
-    assert(ps.budgetRemainingFp < 0, 'Player has debt after early T6 kill');
+    assert(ps.budgetRemainingFp < 0, 'Player has debt after early Boss kill');
     assert(ps.reset_debt_on_session_end === false, 'Default = false');
 
     engine.resetPlayerDebtIfEnabled('p');
@@ -318,23 +175,25 @@ console.log('\n--- TEST E: reset_debt_on_session_end switch ---');
     assert(ps.budgetRemainingFp === 0, 'Debt CLEARED when switch=true');
 }
 
-console.log('\n--- TEST F: 70/30 Budget allocation math ---');
+console.log('\n--- TEST F: Multi-target budget injected once per shot ---');
 {
-    const bTotal = Math.floor(8000 * 9800 / RTP_SCALE);
-    const b0 = Math.floor(bTotal * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-    const secTotal = bTotal - b0;
-    console.log(`  8x budget_total=${bTotal}, primary(70%)=${b0}, secondary(30%)=${secTotal}`);
-
-    assert(b0 === 5488, 'Primary budget = floor(7840*0.7) = 5488');
-    assert(secTotal === 2352, 'Secondary total = 2352');
-
-    for (const M of [2, 3, 5]) {
-        const secEach = Math.floor(secTotal / (M - 1));
-        const used = b0 + secEach * (M - 1);
-        const recovered = bTotal - used;
-        console.log(`  M=${M}: secEach=${secEach}, used=${used}, recovered=${recovered}`);
-        assert(used <= bTotal, `M=${M}: used(${used}) <= total(${bTotal})`);
+    const bTotal = Math.floor(8000 * RTP_WEAPON_RTP_MANUAL_FP['8x'] / RTP_SCALE);
+    console.log(`  8x budget_total=${bTotal}`);
+    assert(bTotal === 7840, 'budget_total = floor(8000*0.98) = 7840');
+
+    const origRandom = Math.random;
+    Math.random = () => 0.999999;
+    for (const M of [1, 2, 3, 5]) {
+        const engine = new ClientRTPPhase1();
+        const hitList = Array.from({ length: M }, (_, i) => ({ fishId: 'm' + M + '_' + i, tier: 't1', distance: i + 1 }));
+        const results = engine.handleMultiTargetHit('p', hitList, '8x', 'laser');
+        const ps = engine.playerStates.get('p');
+        const kills = results.filter(r => r.kill).length;
+        console.log(`  M=${M}: budget=${ps.budgetRemainingFp}, kills=${kills}`);
+        assert(kills === 0, `M=${M}: no kills with worst roll (T1 P1 < 100%)`);
+        assert(ps.budgetRemainingFp === bTotal, `M=${M}: budget(${ps.budgetRemainingFp}) === total(${bTotal})`);
     }
+    Math.random = origRandom;
 }
 
 console.log('\n--- TEST G: kill_event_id idempotency ---');
@@ -342,18 +201,18 @@ console.log('\n--- TEST G: kill_event_id idempotency ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.999999;
-    for (let i = 0; i < 7; i++) engine.handleSingleTargetHit('p', 'f1', '1x', 1);
+    for (let i = 0; i < 8; i++) engine.handleSingleTargetHit('p', 'f1', '1x', 't3');
     Math.random = origRandom;
 
     const fs = engine.fishStates.get('p:f1');
-    assert(fs.killed === true, 'Fish killed at hard pity (shot 7)');
+    assert(fs.killed === true, 'Fish killed at hard pity (shot 8)');
 
-    const dup = engine.handleSingleTargetHit('p', 'f1', '1x', 1);
+    const dup = engine.handleSingleTargetHit('p', 'f1', '1x', 't3');
     assert(dup.kill === false, 'Duplicate returns kill=false');
     assert(dup.reason === 'already_killed', 'Reason = already_killed');
 }
 
-console.log('\n--- TEST H: 1x T1 RTP convergence (10k fish, single engine) ---');
+console.log('\n--- TEST H: 1x T3 RTP convergence (10k fish, single engine) ---');
 {
     const engine = new ClientRTPPhase1();
     const FISH = 10000;
@@ -362,7 +221,7 @@ console.log('\n--- TEST H: 1x T1 RTP convergence (10k fish, single engine) ---')
         const fid = 'h_' + f;
         for (let shot = 1; shot <= 100; shot++) {
             totalBet += 1;
-            const r = engine.handleSingleTargetHit('p', fid, '1x', 1);
+            const r = engine.handleSingleTargetHit('p', fid, '1x', 't3');
             if (r.kill) { totalWin += r.reward; engine.clearFishStates(fid); break; }
         }
     }
@@ -371,21 +230,20 @@ console.log('\n--- TEST H: 1x T1 RTP convergence (10k fish, single engine) ---')
     assert(rtp >= 0.85 && rtp <= 1.0, `RTP in [85%,100%]: ${(rtp * 100).toFixed(2)}%`);
 }
 
-console.log('\n--- TEST I: v1.3 Master Matrix values ---');
+console.log('\n--- TEST I: v1.6.2 Master Matrix values ---');
 {
     const expected = [
-        { tier: 1, reward: 6.44, n1: 7, pityComp: 0.367 },
-        { tier: 2, reward: 9.2, n1: 10, pityComp: 0.344 },
-        { tier: 3, reward: 14.72, n1: 16, pityComp: 0.332 },
-        { tier: 4, reward: 27.6, n1: 30, pityComp: 0.3264 },
-        { tier: 5, reward: 41.4, n1: 45, pityComp: 0.3226 },
-        { tier: 6, reward: 110.4, n1: 120, pityComp: 0.316 }
+        { tier: 't3', rewardManual: 7.84, rewardAuto: 7.68, n1: 8 },
+        { tier: 't2', rewardManual: 9.2, rewardAuto: 9.02, n1: 10 },
+        { tier: 't1', rewardManual: 15.33, rewardAuto: 15.02, n1: 16 },
+        { tier: 'boss', rewardManual: 39.2, rewardAuto: 38.42, n1: 42 }
     ];
     for (const e of expected) {
         const c = RTP_TIER_CONFIG[e.tier];
-        assert(c.rewardFp === e.reward * RTP_MONEY_SCALE, `T${e.tier} reward=${c.rewardFp}`);
-        assert(c.n1Fp === e.n1 * RTP_MONEY_SCALE, `T${e.tier} n1=${c.n1Fp}`);
-        assert(c.pityCompFp === e.pityComp * RTP_PROGRESS_SCALE, `T${e.tier} pityComp=${c.pityCompFp}`);
+        assert(c.rewardManualFp === Math.round(e.rewardManual * RTP_MONEY_SCALE), `${e.tier} rewardManual=${c.rewardManualFp}`);
+        assert(c.rewardAutoFp === Math.round(e.rewardAuto * RTP_MONEY_SCALE), `${e.tier} rewardAuto=${c.rewardAutoFp}`);
+        assert(c.n1Fp === e.n1 * RTP_MONEY_SCALE, `${e.tier} n1=${c.n1Fp}`);
+        assert(c.pityCompFp === RTP_P_SCALE, `${e.tier} pityComp=${c.pityCompFp}`);
     }
 }
 
@@ -394,7 +252,7 @@ console.log('\n--- TEST J: 3x Shotgun per-pellet cost = 1 ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.999999;
-    for (let p = 0; p < 3; p++) engine.handleShotgunHit('p', 'f1', '3x', 1);
+    for (let p = 0; p < 3; p++) engine.handleShotgunHit('p', 'f1', '3x', 't3');
     Math.random = origRandom;
 
     const fs = engine.fishStates.get('p:f1');
@@ -407,86 +265,62 @@ console.log('\n--- TEST J: 3x Shotgun per-pellet cost = 1 ---');
     assert(ps.budgetRemainingFp === expectedBudget, `3 pellets budget = 3*940 = ${expectedBudget}`);
 }
 
-console.log('\n--- TEST K: Targets > Cap (15 fish, Cap=10) — Truncation & Budget Conservation ---');
+console.log(`\n--- TEST K: Targets > Cap (15 fish, Cap=${RTP_LASER_MAX_TARGETS}) — Truncation & Budget Conservation ---`);
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.999999;
 
+    const cap = RTP_LASER_MAX_TARGETS;
+    const startBudgetFp = 100000;
+    const ps = engine._getOrCreatePlayerState('p');
+    ps.budgetRemainingFp = startBudgetFp;
+
     const hitList = [];
     for (let i = 0; i < 15; i++) {
-        hitList.push({ fishId: 'oc_' + i, tier: 1, distance: i + 1 });
+        hitList.push({ fishId: 'oc_' + i, tier: 't3', distance: i + 1 });
     }
-    console.log(`  Input: 15 T1 fish, 8x laser (Cap=10, RTP=98%)`);
+    console.log(`  Input: 15 T3 fish, 8x laser (Cap=${cap}, RTP=98%), pre-accumulated budget=${startBudgetFp}`);
 
     const results = engine.handleMultiTargetHit('p', hitList, '8x', 'laser');
 
-    console.log(`  Results length: ${results.length} (expected 10 = Cap)`);
-    assert(results.length === 10, `Truncation: only 10 results returned (got ${results.length})`);
+    console.log(`  Results length: ${results.length} (expected ${cap} = Cap)`);
+    assert(results.length === cap, `Truncation: only ${cap} results returned (got ${results.length})`);
 
-    let updatedCount = 0;
-    for (let i = 0; i < 10; i++) {
+    for (let i = 0; i < cap; i++) {
         const fs = engine.fishStates.get('p:oc_' + i);
         assert(fs !== undefined, `Fish oc_${i} (index ${i}) has RTP state`);
-        assert(fs.sumCostFp > 0, `Fish oc_${i} sumCost=${fs.sumCostFp} > 0 (updated)`);
-        updatedCount++;
     }
-    console.log(`  First 10 fish: all have updated sumCost`);
 
     let isolatedCount = 0;
-    for (let i = 10; i < 15; i++) {
+    for (let i = cap; i < 15; i++) {
         const fs = engine.fishStates.get('p:oc_' + i);
         assert(fs === undefined, `Fish oc_${i} (index ${i}) has NO state (isolated)`);
         isolatedCount++;
     }
-    console.log(`  Fish 11-15: ${isolatedCount} fish completely isolated (no state created)`);
+    console.log(`  Fish ${cap + 1}-15: ${isolatedCount} fish completely isolated (no state created)`);
 
     const weaponCostFp = RTP_WEAPON_COST_FP['8x'];
-    const rtpWeaponFp = RTP_WEAPON_RTP_FP['8x'];
-    const budgetTotalFp = Math.floor(weaponCostFp * rtpWeaponFp / RTP_SCALE);
+    const budgetTotalFp = Math.floor(weaponCostFp * RTP_WEAPON_RTP_MANUAL_FP['8x'] / RTP_SCALE);
     console.log(`  Expected budget_total = floor(8000 * 9800 / 10000) = ${budgetTotalFp}`);
 
-    const M = 10;
-    let budget0Fp = Math.floor(budgetTotalFp * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-    const secTotal = budgetTotalFp - budget0Fp;
-    const secEach = Math.floor(secTotal / (M - 1));
-    const usedBeforeRemainder = budget0Fp + secEach * (M - 1);
-    const remainder = budgetTotalFp - usedBeforeRemainder;
-    budget0Fp += remainder;
-    const distributedBudget = budget0Fp + secEach * (M - 1);
-
-    console.log(`  Primary budget (before remainder): ${budget0Fp - remainder}`);
-    console.log(`  Floor remainder: ${remainder} (added to primary)`);
-    console.log(`  Primary budget (after remainder): ${budget0Fp}`);
-    console.log(`  Secondary each: ${secEach} x ${M - 1} = ${secEach * (M - 1)}`);
-    console.log(`  Total distributed: ${distributedBudget}`);
-
-    const ps = engine.playerStates.get('p');
     let totalRewardDeducted = 0;
-    for (let i = 0; i < 10; i++) {
-        const r = results[i];
+    for (const r of results) {
         if (r.kill) totalRewardDeducted += r.rewardFp;
     }
-    const netBudget = distributedBudget - totalRewardDeducted;
+    const netBudget = startBudgetFp + budgetTotalFp - totalRewardDeducted;
     console.log(`  Rewards deducted: ${totalRewardDeducted}`);
-    console.log(`  Player budget: ${ps.budgetRemainingFp} (expected: distributed - rewards = ${netBudget})`);
-
-    assert(distributedBudget === budgetTotalFp,
-        `Budget conservation: distributed(${distributedBudget}) === total(${budgetTotalFp})`);
-
-    const cost0Fp = Math.floor(weaponCostFp * RTP_PRIMARY_WEIGHT / RTP_PROGRESS_SCALE);
-    const costSecEach = Math.floor((weaponCostFp - cost0Fp) / (M - 1));
-    const totalCostDistributed = cost0Fp + costSecEach * (M - 1);
-    console.log(`  Cost distributed: primary=${cost0Fp} + sec=${costSecEach}x${M-1} = ${totalCostDistributed}`);
+    console.log(`  Player budget: ${ps.budgetRemainingFp} (expected: start + total - rewards = ${netBudget})`);
+    assert(ps.budgetRemainingFp === netBudget,
+        `Budget conservation: ${ps.budgetRemainingFp} === ${netBudget}`);
 
     let actualSumCost = 0;
-    for (let i = 0; i < 10; i++) {
-        const fs = engine.fishStates.get('p:oc_' + i);
-        actualSumCost += fs.sumCostFp;
+    for (let i = 0; i < cap; i++) {
+        actualSumCost += engine.fishStates.get('p:oc_' + i).sumCostFp;
     }
-    console.log(`  Actual total sumCost across 10 fish: ${actualSumCost}`);
-    assert(actualSumCost === totalCostDistributed,
-        `Cost conservation: actual(${actualSumCost}) === expected(${totalCostDistributed})`);
+    console.log(`  Actual total sumCost across ${cap} fish: ${actualSumCost}`);
+    assert(actualSumCost === weaponCostFp,
+        `Cost conservation: actual(${actualSumCost}) === weapon cost(${weaponCostFp}), all on primary`);
 
     Math.random = origRandom;
 }
@@ -525,7 +359,7 @@ console.log('\n--- TEST L: Insufficient Balance — fire rejected, RTP state unt
     assert(psBefore === 0, `playerStates untouched (size=${psBefore})`);
 
     console.log('  Verifying: 1x CAN fire, RTP engine DOES update');
-    const r = engine.handleSingleTargetHit('p', 'fish1', '1x', 1);
+    const r = engine.handleSingleTargetHit('p', 'fish1', '1x', 't3');
     assert(engine.fishStates.size === 1, `After 1x fire: fishStates.size=1`);
     assert(engine.playerStates.size === 1, `After 1x fire: playerStates.size=1`);
     const fs = engine.fishStates.get('p:fish1');
@@ -544,7 +378,7 @@ console.log('\n--- TEST M: Race Condition — concurrent kill on same fish_id --
     const killEventIds = new Set();
 
     for (let i = 0; i < 10; i++) {
-        const r = engine.handleSingleTargetHit('p', 'race_fish', '1x', 1);
+        const r = engine.handleSingleTargetHit('p', 'race_fish', '1x', 't3');
         if (r.kill) {
             killCount++;
             if (r.killEventId) {
@@ -568,9 +402,9 @@ console.log('\n--- TEST M: Race Condition — concurrent kill on same fish_id --
     const engine2 = new ClientRTPPhase1();
     Math.random = () => 0.0;
     const dupeHitList = [
-        { fishId: 'dup_fish', tier: 1, distance: 1 },
-        { fishId: 'dup_fish', tier: 1, distance: 2 },
-        { fishId: 'dup_fish', tier: 1, distance: 3 }
+        { fishId: 'dup_fish', tier: 't3', distance: 1 },
+        { fishId: 'dup_fish', tier: 't3', distance: 2 },
+        { fishId: 'dup_fish', tier: 't3', distance: 3 }
     ];
     const results = engine2.handleMultiTargetHit('p', dupeHitList, '8x', 'laser');
     let multiKillCount = results.filter(r => r.kill).length;
@@ -579,8 +413,8 @@ console.log('\n--- TEST M: Race Condition — concurrent kill on same fish_id --
     assert(multiKillCount <= 1, `At most 1 kill from duplicate fish in hit_list (got ${multiKillCount})`);
 
     const pState = engine2.playerStates.get('p');
-    const rewardDeducted = multiKillCount * RTP_TIER_CONFIG[1].rewardFp;
-    console.log(`  Reward deducted: ${rewardDeducted} (${multiKillCount} kill x ${RTP_TIER_CONFIG[1].rewardFp})`);
+    const rewardDeducted = multiKillCount * RTP_TIER_CONFIG.t3.rewardManualFp;
+    console.log(`  Reward deducted: ${rewardDeducted} (${multiKillCount} kill x ${RTP_TIER_CONFIG.t3.rewardManualFp})`);
     assert(multiKillCount <= 1, `No double payout: reward deducted exactly ${multiKillCount} time(s)`);
 
     Math.random = origRandom;
@@ -591,25 +425,25 @@ console.log('\n--- TEST N: Debt Floor Guardrail — extreme negative budget ---'
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
 
-    console.log('  Phase 1: Force massive debt via T6 early kill');
+    console.log('  Phase 1: Force massive debt via Boss early kill');
     Math.random = () => 0.0;
-    engine.handleSingleTargetHit('p', 'boss', '1x', 6);
+    engine.handleSingleTargetHit('p', 'boss', '1x', 'boss');
     Math.random = origRandom;
 
     const pState = engine.playerStates.get('p');
-    const debtAfterT6 = pState.budgetRemainingFp;
-    console.log(`  Debt after T6 kill: ${debtAfterT6}`);
-    assert(debtAfterT6 < 0, `Player in debt: ${debtAfterT6}`);
+    const debtAfterBoss = pState.budgetRemainingFp;
+    console.log(`  Debt after Boss kill: ${debtAfterBoss}`);
+    assert(debtAfterBoss < 0, `Player in debt: ${debtAfterBoss}`);
 
     console.log('  Phase 2: Force budget to -rewardFp exactly');
-    pState.budgetRemainingFp = -RTP_TIER_CONFIG[1].rewardFp;
+    pState.budgetRemainingFp = -RTP_TIER_CONFIG.t3.rewardManualFp;
     console.log(`  Set budgetRemainingFp = ${pState.budgetRemainingFp}`);
 
     Math.random = () => 0.999999;
     let crashed = false;
     let result;
     try {
-        result = engine.handleSingleTargetHit('p', 'test_fish_n', '1x', 1);
+        result = engine.handleSingleTargetHit('p', 'test_fish_n', '1x', 't3');
     } catch (e) {
         crashed = true;
         console.log(`  CRASH: ${e.message}`);
@@ -620,8 +454,8 @@ console.log('\n--- TEST N: Debt Floor Guardrail — extreme negative budget ---'
     console.log(`  budgetEffFp = max(0, ${pState.budgetRemainingFp}) = ${budgetEffFp}`);
     assert(budgetEffFp === 0, `budgetEffFp clamped to 0 (not negative)`);
 
-    const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / RTP_TIER_CONFIG[1].rewardFp);
-    console.log(`  P_base_raw = floor(0 * 1000000 / 6440) = ${pBaseRawFp}`);
+    const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / RTP_TIER_CONFIG.t3.rewardManualFp);
+    console.log(`  P_base_raw = floor(0 * 1000000 / 7840) = ${pBaseRawFp}`);
     assert(pBaseRawFp === 0, `P_base = 0 when budget is negative`);
 
     console.log('  Phase 3: Verify P_base=0 means no probability kill (only hard pity possible)');
@@ -632,7 +466,7 @@ console.log('\n--- TEST N: Debt Floor Guardrail — extreme negative budget ---'
 
     let probKills = 0;
     for (let i = 0; i < 100; i++) {
-        const r = engine2.handleSingleTargetHit('p', 'nf_' + i, '1x', 1);
+        const r = engine2.handleSingleTargetHit('p', 'nf_' + i, '1x', 't3');
         if (r.kill && r.reason === 'probability') probKills++;
     }
     console.log(`  100 shots with deep debt: probability kills = ${probKills}`);
@@ -645,7 +479,7 @@ console.log('\n--- TEST N: Debt Floor Guardrail — extreme negative budget ---'
     let crashedExtreme = false;
     let resultExtreme;
     try {
-        resultExtreme = engine3.handleSingleTargetHit('p', 'extreme_fish', '8x', 6);
+        resultExtreme = engine3.handleSingleTargetHit('p', 'extreme_fish', '8x', 'boss');
     } catch (e) {
         crashedExtreme = true;
     }
@@ -659,11 +493,12 @@ console.log('\n--- TEST N: Debt Floor Guardrail — extreme negative budget ---'
     pState4.budgetRemainingFp = -500000;
     let crashedMulti = false;
     try {
-        const hitList = Array.from({ length: 5 }, (_, i) => ({ fishId: 'df_' + i, tier: 1, distance: i + 1 }));
+        const hitList = Array.from({ length: 5 }, (_, i) => ({ fishId: 'df_' + i, tier: 't3', distance: i + 1 }));
         Math.random = () => 0.5;
         const results = engine4.handleMultiTargetHit('p', hitList, '5x', 'aoe');
         assert(Array.isArray(results), `handleMultiTargetHit returns array with deep debt`);
-        assert(results.length === 5, `All 5 targets processed (got ${results.length})`);
+        assert(results.length === 2, `Chain stops at first secondary miss (got ${results.length})`);
+        assert(results.every(r => !r.kill), 'No kills with deep debt');
     } catch (e) {
         crashedMulti = true;
     }
@@ -682,7 +517,7 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
     const pid = 'dc_player';
     const origRandom = Math.random;
 
-    // Scenario: Player fires 5 shots at T1 fish, "disconnect" happens mid-settlement on shot 3
+    // Scenario: Player fires 5 shots at T3 fish, "disconnect" happens mid-settlement on shot 3
     // We verify that budget_remaining is ALWAYS = sum(budget_injected) - sum(reward_paid)
     // regardless of where the interruption occurs.
 
@@ -693,7 +528,7 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
 
     for (let i = 0; i < 2; i++) {
         const fishId = 'dc_fish_' + i;
-        const r = engine.handleSingleTargetHit(pid, fishId, '1x', 1);
+        const r = engine.handleSingleTargetHit(pid, fishId, '1x', 't3');
         totalBudgetInjected += Math.floor(1000 * 9200 / 10000); // 920
         if (r.kill) totalRewardPaid += r.rewardFp;
     }
@@ -708,7 +543,7 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
 
     // Case A: Shot 3 completes before disconnect (budget updated)
     const fishId3 = 'dc_fish_3';
-    const r3 = engine.handleSingleTargetHit(pid, fishId3, '1x', 1);
+    const r3 = engine.handleSingleTargetHit(pid, fishId3, '1x', 't3');
     totalBudgetInjected += 920;
     if (r3.kill) totalRewardPaid += r3.rewardFp;
     const expectedBudget2 = totalBudgetInjected - totalRewardPaid;
@@ -726,7 +561,7 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
     // Phase 3: After reconnect, fire 2 more shots — budget must remain consistent
     for (let i = 4; i < 6; i++) {
         const fid = 'dc_fish_' + i;
-        const r = engine2.handleSingleTargetHit(pid, fid, '1x', 1);
+        const r = engine2.handleSingleTargetHit(pid, fid, '1x', 't3');
         totalBudgetInjected += 920;
         if (r.kill) totalRewardPaid += r.rewardFp;
     }
@@ -738,8 +573,9 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
     // Force a kill (hard pity) and verify budget = injected - rewards
     Math.random = () => 0.999; // No probability kill
     const pityFishId = 'dc_pity_fish';
-    for (let shot = 0; shot < 7; shot++) {
-        const r = engine2.handleSingleTargetHit(pid, pityFishId, '1x', 1);
+    for (let shot = 0; shot < 8; shot++) {
+        const r = engine2.handleSingleTargetHit(pid, pityFishId, '1x', 't3');
+        if (r.reason === 'already_killed') continue;
         totalBudgetInjected += 920;
         if (r.kill) {
             totalRewardPaid += r.rewardFp;
@@ -760,7 +596,7 @@ console.log('\n--- TEST O: Disconnection Recovery — Budget/Balance Strong Cons
 
     const multiHitList = [];
     for (let i = 0; i < 5; i++) {
-        multiHitList.push({ fishId: 'dcm_' + i, tier: 1, distance: i + 1 });
+        multiHitList.push({ fishId: 'dcm_' + i, tier: 't3', distance: i + 1 });
     }
     const multiResults = engine3.handleMultiTargetHit('dc_multi', multiHitList, '8x', 'laser');
     const budget8x = Math.floor(8000 * 9800 / 10000); // 7840
@@ -801,7 +637,7 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
     // 2. 1x shots inject 920 budget each, 8x injects 7840 — the budget tracks weapon used
     // 3. The player's TOTAL spend is honest regardless of weapon order
 
-    console.log('  Scenario A: Pure 1x strategy (7 shots to T1 hard pity)');
+    console.log('  Scenario A: Pure 1x strategy (8 shots to T3 hard pity)');
     {
         const engine = new ClientRTPPhase1();
         Math.random = () => 0.999;
@@ -813,7 +649,7 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
             const fid = 'arb1_' + i;
             let killed = false;
             for (let s = 0; !killed && s < 20; s++) {
-                const r = engine.handleSingleTargetHit(pid, fid, '1x', 1);
+                const r = engine.handleSingleTargetHit(pid, fid, '1x', 't3');
                 totalCost += 1000;
                 if (r.kill) { totalReward += r.rewardFp; killed = true; }
             }
@@ -834,9 +670,9 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
 
         for (let i = 0; i < 100; i++) {
             const fid = 'arbs_' + i;
-            // Phase 1: Farm with 1x for 6 shots (sum_cost = 6000, near n1=7000)
+            // Phase 1: Farm with 1x for 6 shots (sum_cost = 6000, near n1=8000)
             for (let s = 0; s < 6; s++) {
-                const r = engine.handleSingleTargetHit(pid, fid, '1x', 1);
+                const r = engine.handleSingleTargetHit(pid, fid, '1x', 't3');
                 totalCost += 1000;
                 if (r.kill) { totalReward += r.rewardFp; break; }
             }
@@ -844,7 +680,7 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
             if (fState.killed) continue;
 
             // Phase 2: Switch to 8x for the "harvest" shot
-            const r8 = engine.handleSingleTargetHit(pid, fid, '8x', 1);
+            const r8 = engine.handleSingleTargetHit(pid, fid, '8x', 't3');
             totalCost += 8000;
             if (r8.kill) totalReward += r8.rewardFp;
         }
@@ -862,24 +698,25 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
         const fid = 'arb_fish_p';
 
         // 3 shots with 1x (cost 1000 each) + 1 shot with 3x shotgun (cost 1000 per pellet)
-        engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        engine.handleShotgunHit(pid, fid, '3x', 1);
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        engine.handleShotgunHit(pid, fid, '3x', 't3');
 
         const fState = engine._getOrCreateFishState(pid, fid);
         assert(fState.sumCostFp === 4000,
             `3x1x + 1x3x_pellet: sumCost=${fState.sumCostFp} === 4000`);
 
-        // 2 more 1x shots (total 6000) + 1 more (total 7000 = n1 → hard pity)
-        engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        assert(fState.sumCostFp === 6000, `After 6 total: sumCost=${fState.sumCostFp} === 6000`);
+        // 3 more 1x shots (total 7000) + 1 more (total 8000 = n1 → hard pity)
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        assert(fState.sumCostFp === 7000, `After 7 total: sumCost=${fState.sumCostFp} === 7000`);
 
-        const r = engine.handleSingleTargetHit(pid, fid, '1x', 1);
-        assert(r.kill === true, `Hard pity at sumCost=7000: kill=${r.kill}`);
+        const r = engine.handleSingleTargetHit(pid, fid, '1x', 't3');
+        assert(r.kill === true, `Hard pity at sumCost=8000: kill=${r.kill}`);
         assert(r.reason === 'hard_pity', `Reason: ${r.reason}`);
-        assert(fState.sumCostFp === 7000, `sumCost at pity: ${fState.sumCostFp} === 7000`);
+        assert(fState.sumCostFp === 8000, `sumCost at pity: ${fState.sumCostFp} === 8000`);
     }
 
     console.log('  Scenario D: Budget injection rate — 1x vs 8x per-shot comparison');
@@ -903,11 +740,11 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
         const engine = new ClientRTPPhase1();
         Math.random = () => 0.999;
         const pid = 'arb_d';
-        engine.handleSingleTargetHit(pid, 'fd1', '1x', 1); // sumCost += 1000
-        engine.handleSingleTargetHit(pid, 'fd1', '8x', 1); // sumCost += 8000
+        engine.handleSingleTargetHit(pid, 'fd1', '1x', 't3'); // sumCost += 1000
+        engine.handleSingleTargetHit(pid, 'fd1', '8x', 't3'); // sumCost += 8000
         const fState = engine._getOrCreateFishState(pid, 'fd1');
         assert(fState.sumCostFp === 9000, `Mixed weapon sumCost: ${fState.sumCostFp} === 9000 (1000+8000)`);
-        assert(fState.killed === true, `Fish killed at sumCost=9000 >= n1=7000 (hard pity)`);
+        assert(fState.killed === true, `Fish killed at sumCost=9000 >= 8x threshold (hard pity)`);
     }
 
     console.log('  Scenario E: 1000-fish mixed weapon session — RTP stays in band');
@@ -917,10 +754,11 @@ console.log('\n--- TEST P: Weapon Switch Arbitrage — 1x Farm + 8x Harvest ---'
         let totalCost = 0;
         let totalReward = 0;
         const weapons = ['1x', '1x', '1x', '3x', '5x', '8x']; // weighted toward 1x
+        const tiers = ['t3', 't2', 't1', 'boss'];
 
         for (let i = 0; i < 1000; i++) {
             const fid = 'mx_' + i;
-            const tier = (i % 6) + 1;
+            const tier = tiers[i % tiers.length];
             const weapon = weapons[i % weapons.length];
             let killed = false;
 
@@ -950,7 +788,7 @@ console.log('\n--- TEST Q: Million Monte Carlo — 1,000,000 Shots RTP Convergen
     console.log('  Running 250,000 shots per weapon (1M total), each weapon uses dedicated fish...');
 
     const weaponKeys = ['1x', '3x', '5x', '8x'];
-    const tiers = [1, 2, 3, 4, 5, 6];
+    const tiers = ['t3', 't2', 't1', 'boss'];
     const expectedRTP = { '1x': 92, '3x': 94, '5x': 96, '8x': 98 };
     const SHOTS_PER_WEAPON = 250000;
 
@@ -966,7 +804,7 @@ console.log('\n--- TEST Q: Million Monte Carlo — 1,000,000 Shots RTP Convergen
         let totalCost = 0, totalReward = 0, kills = 0, shots = 0;
         let fishId = 0;
         let currentFishId = pid + '_f0';
-        let currentTier = 1;
+        let currentTier = tiers[0];
 
         for (let s = 0; s < SHOTS_PER_WEAPON; s++) {
             let result, costThisShot;
@@ -1014,14 +852,14 @@ console.log('\n--- TEST Q: Million Monte Carlo — 1,000,000 Shots RTP Convergen
     assert(parseFloat(houseEdge) > 0, `House Edge ${houseEdge}% is positive (casino profitable)`);
 
     // Convergence: run 1x weapon in 10 buckets of 100k shots
-    console.log('\n  Convergence analysis (10 x 100k shots, 1x weapon, T1 fish):');
+    console.log('\n  Convergence analysis (10 x 100k shots, 1x weapon, T3 fish):');
     const bucketRTPs = [];
     for (let b = 0; b < 10; b++) {
         const eng = new ClientRTPPhase1();
         let bCost = 0, bReward = 0;
         let fid = 0, curFid = 'cv_' + b + '_f0';
         for (let s = 0; s < 100000; s++) {
-            const r = eng.handleSingleTargetHit('cv', curFid, '1x', 1);
+            const r = eng.handleSingleTargetHit('cv', curFid, '1x', 't3');
             bCost += 1000;
             if (r.kill) {
                 bReward += r.rewardFp;
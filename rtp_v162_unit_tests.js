@@ -1,162 +1,30 @@
-const RTP_MONEY_SCALE = 1000;
-const RTP_SCALE = 10000;
-const RTP_P_SCALE = 1000000;
-const RTP_ROCKET_MAX_TARGETS = 6;
-const RTP_LASER_MAX_TARGETS = 10;
-
-const RTP_WEAPON_RTP_MANUAL_FP = { '1x': 9200, '3x': 9400, '5x': 9600, '8x': 9800 };
-const RTP_WEAPON_RTP_AUTO_FP = { '1x': 9000, '3x': 9200, '5x': 9400, '8x': 9600 };
-const RTP_WEAPON_COST_FP = { '1x': 1000, '3x': 3000, '5x': 5000, '8x': 8000 };
-
-const RTP_TIER_CONFIG = {
-    1: { rewardManualFp: 7840, rewardAutoFp: 7680, n1Fp: 8000, pityCompFp: 367000 },
-    2: { rewardManualFp: 11200, rewardAutoFp: 10970, n1Fp: 12000, pityCompFp: 344000 },
-    3: { rewardManualFp: 17920, rewardAutoFp: 17550, n1Fp: 18000, pityCompFp: 332000 },
-    4: { rewardManualFp: 33600, rewardAutoFp: 32910, n1Fp: 34000, pityCompFp: 326400 },
-    5: { rewardManualFp: 50400, rewardAutoFp: 49370, n1Fp: 51000, pityCompFp: 322600 },
-    6: { rewardManualFp: 134400, rewardAutoFp: 131660, n1Fp: 135000, pityCompFp: 316000 }
-};
-
-let rtpKillEventCounter = 0;
-function nextKillEventId() { return 'ke_' + (++rtpKillEventCounter) + '_' + Date.now(); }
-
-class ClientRTPPhase1 {
-    constructor() {
-        this.fishStates = new Map();
-        this.playerStates = new Map();
-        this.processedKillEvents = new Set();
-    }
-    _getOrCreateFishState(playerId, fishId) {
-        const key = playerId + ':' + fishId;
-        let state = this.fishStates.get(key);
-        if (!state) { state = { sumCostFp: 0, killed: false }; this.fishStates.set(key, state); }
-        return state;
-    }
-    _getOrCreatePlayerState(playerId) {
-        let state = this.playerStates.get(playerId);
-        if (!state) { state = { budgetRemainingFp: 0, reset_debt_on_session_end: false }; this.playerStates.set(playerId, state); }
-        return state;
-    }
-    clearFishStates(fishId) {
-        for (const key of this.fishStates.keys()) { if (key.endsWith(':' + fishId)) this.fishStates.delete(key); }
-    }
-    pruneKilledFishStates() {
-        for (const [key, state] of this.fishStates) { if (state.killed) this.fishStates.delete(key); }
-    }
-    resetPlayerDebtIfEnabled(playerId) {
-        const pState = this.playerStates.get(playerId);
-        if (pState && pState.reset_debt_on_session_end) pState.budgetRemainingFp = 0;
-    }
-    _getRtp(weaponKey, isAuto) {
-        const table = isAuto ? RTP_WEAPON_RTP_AUTO_FP : RTP_WEAPON_RTP_MANUAL_FP;
-        return table[weaponKey] || (isAuto ? 9000 : 9200);
-    }
-    _getReward(config, isAuto) {
-        return isAuto ? config.rewardAutoFp : config.rewardManualFp;
-    }
-    _calcProbability(pState, config, isAuto) {
-        const rewardFp = this._getReward(config, isAuto);
-        const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-        const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
-        if (pBaseRawFp >= RTP_P_SCALE) return RTP_P_SCALE;
-        return Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
-    }
-    handleSingleTargetHit(playerId, fishId, weaponKey, tier, isAuto) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
-        const pState = this._getOrCreatePlayerState(playerId);
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const rtpWeaponFp = this._getRtp(weaponKey, isAuto);
-        const budgetTotalFp = Math.floor(weaponCostFp * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += weaponCostFp;
-        if (fState.sumCostFp >= config.n1Fp) {
-            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto);
-        }
-        const pFp = this._calcProbability(pState, config, isAuto);
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) {
-            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto);
-        }
-        return { kill: false, reason: 'roll_failed', pFp };
-    }
-    handleMultiTargetHit(playerId, hitList, weaponKey, weaponType, isAuto) {
-        if (!hitList || hitList.length === 0) return [];
-        const maxTargets = weaponType === 'laser' ? RTP_LASER_MAX_TARGETS : RTP_ROCKET_MAX_TARGETS;
-        const trimmedList = hitList.slice(0, maxTargets);
-        const M = trimmedList.length;
-        const weaponCostFp = RTP_WEAPON_COST_FP[weaponKey] || 1000;
-        const rtpWeaponFp = this._getRtp(weaponKey, isAuto);
-        const budgetTotalFp = Math.floor(weaponCostFp * rtpWeaponFp / RTP_SCALE);
-        const pState = this._getOrCreatePlayerState(playerId);
-        pState.budgetRemainingFp += budgetTotalFp;
-        const results = [];
-        let energyCarry = false;
-        for (let i = 0; i < M; i++) {
-            const entry = trimmedList[i];
-            const config = RTP_TIER_CONFIG[entry.tier];
-            if (!config) { results.push({ fishId: entry.fishId, kill: false, reason: 'invalid_tier' }); continue; }
-            const fState = this._getOrCreateFishState(playerId, entry.fishId);
-            if (fState.killed) { results.push({ fishId: entry.fishId, kill: false, reason: 'already_killed' }); continue; }
-            if (i === 0) fState.sumCostFp += weaponCostFp;
-            if (fState.sumCostFp >= config.n1Fp) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'hard_pity', isAuto);
-                results.push(killResult); energyCarry = true; continue;
-            }
-            const rewardFp = this._getReward(config, isAuto);
-            const budgetEffFp = Math.max(0, pState.budgetRemainingFp);
-            const pBaseRawFp = Math.floor(budgetEffFp * RTP_P_SCALE / rewardFp);
-            if (pBaseRawFp >= RTP_P_SCALE) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto);
-                results.push(killResult); energyCarry = true; continue;
-            }
-            const pIFp = Math.min(RTP_P_SCALE, Math.floor(pBaseRawFp * config.pityCompFp / RTP_P_SCALE));
-            const randI = Math.floor(Math.random() * RTP_P_SCALE);
-            if (randI < pIFp) {
-                const killResult = this._executeKill(fState, pState, config, entry.fishId, 'probability', isAuto);
-                results.push(killResult); energyCarry = (pState.budgetRemainingFp > 0);
-            } else {
-                results.push({ fishId: entry.fishId, kill: false, reason: 'roll_failed', pFp: pIFp });
-                if (i > 0 && !energyCarry) break;
-                energyCarry = false;
-            }
-        }
-        return results;
-    }
-    handleShotgunHit(playerId, fishId, weaponKey, tier, isAuto) {
-        const config = RTP_TIER_CONFIG[tier];
-        if (!config) return { kill: false, error: 'invalid_tier' };
-        const fState = this._getOrCreateFishState(playerId, fishId);
-        if (fState.killed) return { kill: false, reason: 'already_killed' };
-        const pState = this._getOrCreatePlayerState(playerId);
-        const pelletCostFp = 1000;
-        const rtpWeaponFp = this._getRtp('3x', isAuto);
-        const budgetTotalFp = Math.floor(pelletCostFp * rtpWeaponFp / RTP_SCALE);
-        pState.budgetRemainingFp += budgetTotalFp;
-        fState.sumCostFp += pelletCostFp;
-        if (fState.sumCostFp >= config.n1Fp) {
-            return this._executeKill(fState, pState, config, fishId, 'hard_pity', isAuto);
-        }
-        const pFp = this._calcProbability(pState, config, isAuto);
-        const rand = Math.floor(Math.random() * RTP_P_SCALE);
-        if (rand < pFp) {
-            return this._executeKill(fState, pState, config, fishId, 'probability', isAuto);
-        }
-        return { kill: false, reason: 'roll_failed', pFp };
-    }
-    _executeKill(fState, pState, config, fishId, reason, isAuto) {
-        const killEventId = nextKillEventId();
-        if (this.processedKillEvents.has(killEventId)) return { kill: false, reason: 'duplicate_kill_event' };
-        this.processedKillEvents.add(killEventId);
-        const rewardFp = isAuto ? config.rewardAutoFp : config.rewardManualFp;
-        pState.budgetRemainingFp -= rewardFp;
-        pState.budgetRemainingFp = Math.max(-config.rewardManualFp, pState.budgetRemainingFp);
-        fState.killed = true;
-        return { fishId, kill: true, reason, killEventId, rewardFp, reward: rewardFp / RTP_MONEY_SCALE, isAuto: !!isAuto };
-    }
-}
+const {
+    RTP_MONEY_SCALE,
+    RTP_SCALE,
+    RTP_P_SCALE,
+    RTP_ROCKET_MAX_TARGETS,
+    RTP_LASER_MAX_TARGETS,
+    RTP_WEAPON_RTP_MANUAL_FP,
+    RTP_WEAPON_RTP_AUTO_FP,
+    RTP_WEAPON_COST_FP,
+    RTP_TIER_CONFIG,
+    FISH_SPECIES_TO_RTP_TIER,
+    FISH_SPECIES_ABILITY,
+    RTP_ABILITY_CONFIG,
+    createSeededRandom,
+    drawFishMultiplier,
+    validateRTPProfiles,
+    loadRTPProfiles,
+    RTP_BUILTIN_PROFILE,
+    ClientRTPPhase1,
+    JackpotPool,
+    RTPLedger,
+    RTP_STATE_EXPIRY,
+    LocalStorageRTPStateAdapter,
+    ServerRTPStateAdapter,
+    RTPBudgetPersistence
+} = require('./rtp_engine');
+const RTP_PROFILES_DOC = require('./rtp_profiles.json');
 
 let passed = 0, failed = 0;
 function assert(cond, msg) {
@@ -183,29 +51,27 @@ console.log('  Constants: OK\n');
 
 console.log('--- TEST B: Tier Config — Manual vs Auto Rewards ---');
 for (const [tier, cfg] of Object.entries(RTP_TIER_CONFIG)) {
-    assert(cfg.rewardManualFp > cfg.rewardAutoFp, `T${tier}: manual reward (${cfg.rewardManualFp}) > auto reward (${cfg.rewardAutoFp})`);
-    assert(cfg.n1Fp > 0, `T${tier}: n1Fp = ${cfg.n1Fp}`);
-    assert(cfg.pityCompFp > 0 && cfg.pityCompFp < RTP_P_SCALE, `T${tier}: pityComp in range`);
-}
-assert(RTP_TIER_CONFIG[1].rewardManualFp === 7840, 'T1 manual = 7.84');
-assert(RTP_TIER_CONFIG[1].rewardAutoFp === 7680, 'T1 auto = 7.68');
-assert(RTP_TIER_CONFIG[6].rewardManualFp === 134400, 'T6 manual = 134.40');
-assert(RTP_TIER_CONFIG[6].rewardAutoFp === 131660, 'T6 auto = 131.66');
+    assert(cfg.rewardManualFp > cfg.rewardAutoFp, `${tier}: manual reward (${cfg.rewardManualFp}) > auto reward (${cfg.rewardAutoFp})`);
+    assert(cfg.rewardManualFp < cfg.n1Fp, `${tier}: manual reward (${cfg.rewardManualFp}) < n1Fp (${cfg.n1Fp})`);
+    assert(cfg.pityCompFp > 0 && cfg.pityCompFp <= RTP_P_SCALE, `${tier}: pityComp in range`);
+}
+assert(RTP_TIER_CONFIG.t3.rewardManualFp === 7840, 'T3 manual = 7.84');
+assert(RTP_TIER_CONFIG.t3.rewardAutoFp === 7680, 'T3 auto = 7.68');
+assert(RTP_TIER_CONFIG.boss.rewardManualFp === 39200, 'Boss manual = 39.20');
+assert(RTP_TIER_CONFIG.boss.rewardAutoFp === 38420, 'Boss auto = 38.42');
 console.log('  Tier Config: OK\n');
 
 console.log('--- TEST C: P1 Matrix Verification (Budget per shot / Reward) ---');
 const p1Expected = {
-    '1x_1_manual': 0.117, '3x_1_manual': 0.360, '5x_1_manual': 0.612, '8x_1_manual': 1.000,
-    '1x_1_auto': 0.117, '8x_1_auto': 1.000,
-    '1x_2_manual': 0.082, '8x_2_manual': 0.700,
-    '1x_3_manual': 0.051, '8x_3_manual': 0.438,
-    '1x_4_manual': 0.027, '8x_4_manual': 0.233,
-    '1x_5_manual': 0.018, '8x_5_manual': 0.156,
-    '1x_6_manual': 0.007, '8x_6_manual': 0.058,
+    '1x_t3_manual': 0.117, '3x_t3_manual': 0.360, '5x_t3_manual': 0.612, '8x_t3_manual': 1.000,
+    '1x_t3_auto': 0.117, '8x_t3_auto': 1.000,
+    '1x_t2_manual': 0.100, '8x_t2_manual': 0.852,
+    '1x_t1_manual': 0.060, '8x_t1_manual': 0.511,
+    '1x_boss_manual': 0.023, '8x_boss_manual': 0.200,
 };
 for (const [key, expected] of Object.entries(p1Expected)) {
     const parts = key.split('_');
-    const wk = parts[0], tier = parseInt(parts[1]), isAuto = parts[2] === 'auto';
+    const wk = parts[0], tier = parts[1], isAuto = parts[2] === 'auto';
     const cfg = RTP_TIER_CONFIG[tier];
     const costFp = RTP_WEAPON_COST_FP[wk];
     const rtpFp = isAuto ? RTP_WEAPON_RTP_AUTO_FP[wk] : RTP_WEAPON_RTP_MANUAL_FP[wk];
@@ -216,44 +82,44 @@ for (const [key, expected] of Object.entries(p1Expected)) {
 }
 console.log('  P1 Matrix: OK\n');
 
-console.log('--- TEST D: 8x T1 First-Shot Guaranteed Kill (Manual) ---');
+console.log('--- TEST D: 8x T3 First-Shot Guaranteed Kill (Manual) ---');
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.999;
-    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 1, false);
+    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 't3', false);
     Math.random = origRandom;
-    assert(result.kill === true, '8x T1 manual: first shot kills');
-    assert(result.rewardFp === 7840, '8x T1 manual: reward = 7840fp');
-    assert(result.isAuto === false, '8x T1 manual: isAuto = false');
+    assert(result.kill === true, '8x T3 manual: first shot kills');
+    assert(result.rewardFp === 7840, '8x T3 manual: reward = 7840fp');
+    assert(result.isAuto === false, '8x T3 manual: isAuto = false');
     const pState = engine._getOrCreatePlayerState('p1');
-    assert(pState.budgetRemainingFp >= -7840, '8x T1 manual: debt floor respected');
+    assert(pState.budgetRemainingFp === 0, `8x T3 manual: budget settles at 0 (${pState.budgetRemainingFp})`);
 }
-console.log('  8x T1 Manual Kill: OK\n');
+console.log('  8x T3 Manual Kill: OK\n');
 
-console.log('--- TEST E: 8x T1 First-Shot Guaranteed Kill (Auto) ---');
+console.log('--- TEST E: 8x T3 First-Shot Guaranteed Kill (Auto) ---');
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.999;
-    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 1, true);
+    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 't3', true);
     Math.random = origRandom;
-    assert(result.kill === true, '8x T1 auto: first shot kills');
-    assert(result.rewardFp === 7680, '8x T1 auto: reward = 7680fp (lower)');
-    assert(result.isAuto === true, '8x T1 auto: isAuto = true');
-    assert(result.reward === 7.68, '8x T1 auto: reward in credits = 7.68');
+    assert(result.kill === true, '8x T3 auto: first shot kills');
+    assert(result.rewardFp === 7680, '8x T3 auto: reward = 7680fp (lower)');
+    assert(result.isAuto === true, '8x T3 auto: isAuto = true');
+    assert(result.reward === 7.68, '8x T3 auto: reward in credits = 7.68');
 }
-console.log('  8x T1 Auto Kill: OK\n');
+console.log('  8x T3 Auto Kill: OK\n');
 
 console.log('--- TEST F: Convenience Tax — Manual vs Auto Budget Injection ---');
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 1.0;
-    engine.handleSingleTargetHit('p_manual', 'f1', '1x', 1, false);
+    engine.handleSingleTargetHit('p_manual', 'f1', '1x', 't3', false);
     const pManual = engine._getOrCreatePlayerState('p_manual');
     const budgetManual = pManual.budgetRemainingFp;
-    engine.handleSingleTargetHit('p_auto', 'f2', '1x', 1, true);
+    engine.handleSingleTargetHit('p_auto', 'f2', '1x', 't3', true);
     const pAuto = engine._getOrCreatePlayerState('p_auto');
     const budgetAuto = pAuto.budgetRemainingFp;
     Math.random = origRandom;
@@ -272,7 +138,7 @@ console.log('--- TEST G: P_base >= 1.0 Defense — Skip pityComp ---');
     pState.budgetRemainingFp = 10000;
     const origRandom = Math.random;
     Math.random = () => 0.999;
-    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 1, false);
+    const result = engine.handleSingleTargetHit('p1', 'f1', '8x', 't3', false);
     Math.random = origRandom;
     assert(result.kill === true, 'P_base>=1.0: force kill even with worst roll');
 }
@@ -280,7 +146,7 @@ console.log('--- TEST G: P_base >= 1.0 Defense — Skip pityComp ---');
     const engine = new ClientRTPPhase1();
     const pState = engine._getOrCreatePlayerState('p1');
     pState.budgetRemainingFp = 50000;
-    const cfg = RTP_TIER_CONFIG[1];
+    const cfg = RTP_TIER_CONFIG.t3;
     const pFp = engine._calcProbability(pState, cfg, false);
     assert(pFp === RTP_P_SCALE, `P_base>=1.0: _calcProbability returns P_SCALE (${pFp})`);
 }
@@ -291,12 +157,13 @@ console.log('--- TEST H: Hard Pity — N1 Shots per Weapon ---');
     const origRandom = Math.random;
     Math.random = () => 1.0;
     const testCases = [
-        { weapon: '1x', tier: 1, expectedShots: 8 },
-        { weapon: '8x', tier: 1, expectedShots: 1 },
-        { weapon: '1x', tier: 2, expectedShots: 12 },
-        { weapon: '8x', tier: 2, expectedShots: 2 },
-        { weapon: '1x', tier: 3, expectedShots: 18 },
-        { weapon: '8x', tier: 3, expectedShots: 3 },
+        { weapon: '1x', tier: 't3', expectedShots: 8 },
+        { weapon: '8x', tier: 't3', expectedShots: 1 },
+        { weapon: '1x', tier: 't2', expectedShots: 10 },
+        { weapon: '8x', tier: 't2', expectedShots: 1 },
+        { weapon: '1x', tier: 't1', expectedShots: 16 },
+        { weapon: '8x', tier: 't1', expectedShots: 1 },
+        { weapon: '1x', tier: 'boss', expectedShots: 42 },
     ];
     for (const tc of testCases) {
         const engine = new ClientRTPPhase1();
@@ -307,42 +174,40 @@ console.log('--- TEST H: Hard Pity — N1 Shots per Weapon ---');
             const r = engine.handleSingleTargetHit('p1', 'f1', tc.weapon, tc.tier, false);
             if (r.kill) killed = true;
         }
-        assert(killed, `${tc.weapon} T${tc.tier}: fish dies`);
-        assert(shots <= tc.expectedShots, `${tc.weapon} T${tc.tier}: killed in ${shots} shots (expected <= ${tc.expectedShots})`);
+        assert(killed, `${tc.weapon} ${tc.tier}: fish dies`);
+        assert(shots <= tc.expectedShots, `${tc.weapon} ${tc.tier}: killed in ${shots} shots (expected <= ${tc.expectedShots})`);
     }
     Math.random = origRandom;
 }
 console.log('  Hard Pity: OK\n');
 
-console.log('--- TEST I: Debt Floor — Clamped to -rewardManualFp ---');
+console.log('--- TEST I: Debt Memory (FIX B) — Kill Debt Is Not Clamped ---');
 {
     const engine = new ClientRTPPhase1();
     const pState = engine._getOrCreatePlayerState('p1');
-    pState.budgetRemainingFp = -5000;
     const origRandom = Math.random;
-    Math.random = () => 1.0;
-    for (let i = 0; i < 8; i++) {
-        engine.handleSingleTargetHit('p1', 'f_' + i, '1x', 1, false);
-    }
+    Math.random = () => 0.0;
+    const result = engine.handleSingleTargetHit('p1', 'f1', '1x', 'boss', false);
     Math.random = origRandom;
-    const cfg = RTP_TIER_CONFIG[1];
-    assert(pState.budgetRemainingFp >= -cfg.rewardManualFp,
-        `Debt floor: ${pState.budgetRemainingFp} >= ${-cfg.rewardManualFp}`);
+    const expectedDebt = 920 - RTP_TIER_CONFIG.boss.rewardManualFp;
+    assert(result.kill === true && result.reason === 'probability', 'Boss early kill on first 1x shot (rand=0)');
+    assert(pState.budgetRemainingFp === expectedDebt,
+        `Debt kept in full: ${pState.budgetRemainingFp} === ${expectedDebt}`);
 }
 {
     const engine = new ClientRTPPhase1();
     const pState = engine._getOrCreatePlayerState('p1');
-    pState.budgetRemainingFp = 0;
+    pState.budgetRemainingFp = -5000;
     const origRandom = Math.random;
-    Math.random = () => 0.0;
-    const result = engine.handleSingleTargetHit('p1', 'f1', '1x', 1, false);
-    Math.random = origRandom;
-    if (result.kill) {
-        assert(pState.budgetRemainingFp >= -RTP_TIER_CONFIG[1].rewardManualFp,
-            `After early kill: debt floor = ${pState.budgetRemainingFp}`);
+    Math.random = () => 1.0;
+    for (let i = 0; i < 8; i++) {
+        engine.handleSingleTargetHit('p1', 'f_' + i, '1x', 't3', false);
     }
+    Math.random = origRandom;
+    assert(pState.budgetRemainingFp === -5000 + 8 * 920,
+        `Debt repaid shot by shot: ${pState.budgetRemainingFp} === ${-5000 + 8 * 920}`);
 }
-console.log('  Debt Floor: OK\n');
+console.log('  Debt Memory: OK\n');
 
 console.log('--- TEST J: Shotgun (3x) — Per-Pellet Budget + isAuto ---');
 {
@@ -350,7 +215,7 @@ console.log('--- TEST J: Shotgun (3x) — Per-Pellet Budget + isAuto ---');
     const origRandom = Math.random;
     Math.random = () => 1.0;
     for (let pellet = 0; pellet < 3; pellet++) {
-        engine.handleShotgunHit('p1', 'f1', '3x', 1, false);
+        engine.handleShotgunHit('p1', 'f1', '3x', 't3', false);
     }
     const pState = engine._getOrCreatePlayerState('p1');
     const expectedBudget = 3 * Math.floor(1000 * 9400 / 10000);
@@ -363,7 +228,7 @@ console.log('--- TEST J: Shotgun (3x) — Per-Pellet Budget + isAuto ---');
     const origRandom = Math.random;
     Math.random = () => 1.0;
     for (let pellet = 0; pellet < 3; pellet++) {
-        engine.handleShotgunHit('p1', 'f1', '3x', 1, true);
+        engine.handleShotgunHit('p1', 'f1', '3x', 't3', true);
     }
     const pState = engine._getOrCreatePlayerState('p1');
     const expectedBudget = 3 * Math.floor(1000 * 9200 / 10000);
@@ -379,9 +244,9 @@ console.log('--- TEST K: Multi-Target — 100% Primary Allocation ---');
     const origRandom = Math.random;
     Math.random = () => 1.0;
     const hitList = [
-        { fishId: 'f1', tier: 1 },
-        { fishId: 'f2', tier: 1 },
-        { fishId: 'f3', tier: 1 },
+        { fishId: 'f1', tier: 't3' },
+        { fishId: 'f2', tier: 't3' },
+        { fishId: 'f3', tier: 't3' },
     ];
     const pStateBefore = engine._getOrCreatePlayerState('p1');
     const budgetBefore = pStateBefore.budgetRemainingFp;
@@ -403,7 +268,7 @@ console.log('--- TEST L: Multi-Target Cap Enforcement ---');
     Math.random = () => 1.0;
     const hitList = [];
     for (let i = 0; i < 15; i++) {
-        hitList.push({ fishId: 'f' + i, tier: 1 });
+        hitList.push({ fishId: 'f' + i, tier: 't3' });
     }
     const results = engine.handleMultiTargetHit('p1', hitList, '8x', 'laser', false);
     Math.random = origRandom;
@@ -412,10 +277,9 @@ console.log('--- TEST L: Multi-Target Cap Enforcement ---');
     Math.random = () => 1.0;
     const hitList2 = [];
     for (let i = 0; i < 10; i++) {
-        hitList2.push({ fishId: 'g' + i, tier: 1 });
+        hitList2.push({ fishId: 'g' + i, tier: 't3' });
     }
     const results2 = engine2.handleMultiTargetHit('p1', hitList2, '5x', 'aoe', false);
-    Math.random = () => Math.random;
     assert(results2.length <= RTP_ROCKET_MAX_TARGETS, `Rocket cap: ${results2.length} <= ${RTP_ROCKET_MAX_TARGETS}`);
     Math.random = origRandom;
 }
@@ -430,11 +294,11 @@ console.log('--- TEST M: 8x Laser Penetration — P1>=100% Energy Inheritance --
     Math.random = () => 0.999;
     const hitList = [];
     for (let i = 0; i < 5; i++) {
-        hitList.push({ fishId: 'f' + i, tier: 1 });
+        hitList.push({ fishId: 'f' + i, tier: 't3' });
     }
     const results = engine.handleMultiTargetHit('p1', hitList, '8x', 'laser', false);
     Math.random = origRandom;
-    assert(results[0].kill === true, 'Primary T1 killed (P1=100%)');
+    assert(results[0].kill === true, 'Primary T3 killed (P1=100%)');
     let killCount = 0;
     for (const r of results) { if (r.kill) killCount++; }
     assert(killCount >= 2, `With pre-accumulated budget (20000): ${killCount} kills (>= 2)`);
@@ -446,10 +310,10 @@ console.log('--- TEST N: Kill Event Records isAuto Tag ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    const manualResult = engine.handleSingleTargetHit('p1', 'f1', '8x', 1, false);
+    const manualResult = engine.handleSingleTargetHit('p1', 'f1', '8x', 't3', false);
     assert(manualResult.kill === true, 'Manual kill happened');
     assert(manualResult.isAuto === false, 'Manual kill: isAuto = false');
-    const autoResult = engine.handleSingleTargetHit('p1', 'f2', '8x', 1, true);
+    const autoResult = engine.handleSingleTargetHit('p1', 'f2', '8x', 't3', true);
     assert(autoResult.kill === true, 'Auto kill happened');
     assert(autoResult.isAuto === true, 'Auto kill: isAuto = true');
     Math.random = origRandom;
@@ -461,11 +325,11 @@ console.log('--- TEST O: Manual vs Auto Reward Difference ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    const manualResult = engine.handleSingleTargetHit('p1', 'f1', '8x', 1, false);
-    const autoResult = engine.handleSingleTargetHit('p1', 'f2', '8x', 1, true);
+    const manualResult = engine.handleSingleTargetHit('p1', 'f1', '8x', 't3', false);
+    const autoResult = engine.handleSingleTargetHit('p1', 'f2', '8x', 't3', true);
     Math.random = origRandom;
-    assert(manualResult.rewardFp === 7840, `Manual T1 reward = ${manualResult.rewardFp}`);
-    assert(autoResult.rewardFp === 7680, `Auto T1 reward = ${autoResult.rewardFp}`);
+    assert(manualResult.rewardFp === 7840, `Manual T3 reward = ${manualResult.rewardFp}`);
+    assert(autoResult.rewardFp === 7680, `Auto T3 reward = ${autoResult.rewardFp}`);
     assert(manualResult.rewardFp > autoResult.rewardFp, 'Manual reward > Auto reward');
     const diff = manualResult.rewardFp - autoResult.rewardFp;
     assert(diff === 160, `Reward diff = ${diff} (160 expected)`);
@@ -477,14 +341,14 @@ console.log('--- TEST P: Cross-Fish Debt Inheritance ---');
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    const r1 = engine.handleSingleTargetHit('p1', 'f1', '1x', 1, false);
+    const r1 = engine.handleSingleTargetHit('p1', 'f1', '1x', 't3', false);
     Math.random = origRandom;
     if (r1.kill) {
         const pState = engine._getOrCreatePlayerState('p1');
         const debtAfterKill = pState.budgetRemainingFp;
-        assert(debtAfterKill < 0, `After early T1 kill: debt = ${debtAfterKill}`);
+        assert(debtAfterKill < 0, `After early T3 kill: debt = ${debtAfterKill}`);
         Math.random = () => 1.0;
-        engine.handleSingleTargetHit('p1', 'f2', '1x', 1, false);
+        engine.handleSingleTargetHit('p1', 'f2', '1x', 't3', false);
         Math.random = origRandom;
         assert(pState.budgetRemainingFp > debtAfterKill, `Debt decreases after next shot: ${pState.budgetRemainingFp} > ${debtAfterKill}`);
     }
@@ -498,7 +362,7 @@ console.log('--- TEST Q: No Ramp Boost — Removed in v1.6.2 ---');
     Math.random = () => 1.0;
     const probs = [];
     for (let i = 0; i < 7; i++) {
-        const r = engine.handleSingleTargetHit('p1', 'f1', '1x', 1, false);
+        const r = engine.handleSingleTargetHit('p1', 'f1', '1x', 't3', false);
         if (r.pFp !== undefined) probs.push(r.pFp);
     }
     Math.random = origRandom;
@@ -519,13 +383,13 @@ console.log('--- TEST R: Multi-Target handleMultiTargetHit — isAuto propagatio
     pState.budgetRemainingFp = 30000;
     const origRandom = Math.random;
     Math.random = () => 0.0;
-    const hitList = [{ fishId: 'f1', tier: 1 }, { fishId: 'f2', tier: 1 }];
+    const hitList = [{ fishId: 'f1', tier: 't3' }, { fishId: 'f2', tier: 't3' }];
     const results = engine.handleMultiTargetHit('p1', hitList, '8x', 'laser', true);
     Math.random = origRandom;
     for (const r of results) {
         if (r.kill) {
             assert(r.isAuto === true, `Multi-target auto kill: isAuto = ${r.isAuto}`);
-            assert(r.rewardFp === 7680, `Multi-target auto: reward = ${r.rewardFp} (auto T1)`);
+            assert(r.rewardFp === 7680, `Multi-target auto: reward = ${r.rewardFp} (auto T3)`);
         }
     }
 }
@@ -558,7 +422,7 @@ console.log('--- TEST T: 1000-Shot Monte Carlo — Manual vs Auto RTP ---');
             const costPerShot = RTP_WEAPON_COST_FP[wk];
             for (let s = 0; s < SHOTS; s++) {
                 const fishId = 'f_' + s;
-                const r = engine.handleSingleTargetHit('p1', fishId, wk, 1, isAuto);
+                const r = engine.handleSingleTargetHit('p1', fishId, wk, 't3', isAuto);
                 totalCost += costPerShot;
                 if (r.kill) {
                     totalReward += r.rewardFp;
@@ -589,7 +453,7 @@ console.log('--- TEST U: Weapon Switch Arbitrage Prevention ---');
         const fishId = 'f_' + s;
         const wk = (s % 5 === 0) ? '8x' : '1x';
         const isAuto = (s % 3 === 0);
-        const r = engine.handleSingleTargetHit('p1', fishId, wk, 1, isAuto);
+        const r = engine.handleSingleTargetHit('p1', fishId, wk, 't3', isAuto);
         totalCost += RTP_WEAPON_COST_FP[wk];
         if (r.kill) {
             totalReward += r.rewardFp;
@@ -609,30 +473,43 @@ console.log('--- TEST V: Insufficient Balance Guard ---');
     pState.budgetRemainingFp = -100000;
     const origRandom = Math.random;
     Math.random = () => 0.5;
-    const r = engine.handleSingleTargetHit('p1', 'f1', '1x', 1, false);
+    const r = engine.handleSingleTargetHit('p1', 'f1', '1x', 't3', false);
     Math.random = origRandom;
     assert(r.kill === false || r.reason === 'hard_pity', 'Deep debt: kill unlikely (soft gate uses max(0, budget))');
-    const pFp = engine._calcProbability(pState, RTP_TIER_CONFIG[1], false);
+    const pFp = engine._calcProbability(pState, RTP_TIER_CONFIG.t3, false);
     assert(pFp === 0 || pState.budgetRemainingFp <= 0, `Deep debt: P = 0 or budget still negative`);
 }
 console.log('  Insufficient Balance: OK\n');
 
-console.log('--- TEST W: Debt Floor on Large Fish Kill ---');
+console.log('--- TEST W: Boss Hard Pity — Budget-Locked (FIX C) ---');
 {
     const engine = new ClientRTPPhase1();
     const origRandom = Math.random;
     Math.random = () => 1.0;
-    for (let i = 0; i < 135; i++) {
-        engine.handleSingleTargetHit('p1', 'f1', '1x', 6, false);
+    for (let i = 0; i < 42; i++) {
+        engine.handleSingleTargetHit('p1', 'f1', '1x', 'boss', false);
     }
     Math.random = origRandom;
     const pState = engine._getOrCreatePlayerState('p1');
     const fState = engine._getOrCreateFishState('p1', 'f1');
-    assert(fState.killed === true, 'T6 fish killed via hard pity at 135 shots');
-    assert(pState.budgetRemainingFp >= -RTP_TIER_CONFIG[6].rewardManualFp,
-        `T6 debt floor: ${pState.budgetRemainingFp} >= ${-RTP_TIER_CONFIG[6].rewardManualFp}`);
+    assert(fState.killed === true, 'Boss fish killed via hard pity at 42 shots');
+    assert(pState.budgetRemainingFp === 42 * 920 - RTP_TIER_CONFIG.boss.rewardManualFp,
+        `Boss debt after pity: ${pState.budgetRemainingFp} === ${42 * 920 - RTP_TIER_CONFIG.boss.rewardManualFp}`);
+}
+{
+    const engine = new ClientRTPPhase1();
+    const pState = engine._getOrCreatePlayerState('p1');
+    pState.budgetRemainingFp = -100000;
+    const origRandom = Math.random;
+    Math.random = () => 1.0;
+    let killed = false;
+    for (let i = 0; i < 42; i++) {
+        if (engine.handleSingleTargetHit('p1', 'f1', '1x', 'boss', false).kill) killed = true;
+    }
+    Math.random = origRandom;
+    assert(killed === false, 'Hard pity withheld while budget is negative');
 }
-console.log('  Large Fish Debt Floor: OK\n');
+console.log('  Boss Hard Pity: OK\n');
 
 console.log('--- TEST X: Multi-Target Budget — Total Injection = budgetTotalFp ---');
 {
@@ -642,23 +519,692 @@ console.log('--- TEST X: Multi-Target Budget — Total Injection = budgetTotalFp
     Math.random = () => 1.0;
     const budgetBefore = pState.budgetRemainingFp;
     const hitList = [
-        { fishId: 'f1', tier: 2 },
-        { fishId: 'f2', tier: 2 },
-        { fishId: 'f3', tier: 2 },
+        { fishId: 'f1', tier: 't2' },
+        { fishId: 'f2', tier: 't2' },
+        { fishId: 'f3', tier: 't2' },
     ];
     engine.handleMultiTargetHit('p1', hitList, '8x', 'laser', false);
     const budgetAfter = pState.budgetRemainingFp;
     Math.random = origRandom;
     const expectedInjection = Math.floor(8000 * 9800 / 10000);
     const totalKillReward = [...engine.fishStates.values()]
-        .filter(s => s.killed).length * RTP_TIER_CONFIG[2].rewardManualFp;
+        .filter(s => s.killed).length * RTP_TIER_CONFIG.t2.rewardManualFp;
     const actualInjection = budgetAfter - budgetBefore + totalKillReward;
     assert(actualInjection <= expectedInjection + 1 && actualInjection >= expectedInjection - 1,
         `Multi-target injection: ${actualInjection} ≈ ${expectedInjection}`);
 }
 console.log('  Multi-Target Budget: OK\n');
 
+console.log('--- TEST Y: coinValue Scales Budget, Reward and Hard Pity ---');
+{
+    const engine = new ClientRTPPhase1();
+    const origRandom = Math.random;
+    Math.random = () => 1.0;
+    let shots = 0, result = null;
+    for (let i = 0; i < 20; i++) {
+        shots++;
+        result = engine.handleSingleTargetHit('p1', 'f1', '1x', 't3', false, 5);
+        if (result.kill) break;
+    }
+    Math.random = origRandom;
+    const pState = engine._getOrCreatePlayerState('p1');
+    assert(result.kill === true && result.reason === 'hard_pity', `coinValue=5: hard pity kill (${result.reason})`);
+    assert(shots === 8, `coinValue=5: pity after ${shots} shots (same N1 as coinValue=1)`);
+    assert(result.rewardFp === 5 * RTP_TIER_CONFIG.t3.rewardManualFp, `coinValue=5: reward = ${result.rewardFp}`);
+    assert(pState.budgetRemainingFp === 8 * 4600 - result.rewardFp, `coinValue=5: budget = ${pState.budgetRemainingFp}`);
+}
+console.log('  coinValue Scaling: OK\n');
+
+console.log('--- TEST Z: Seeded RNG — Deterministic Outcomes and Session Replay ---');
+{
+    const rand = createSeededRandom(42);
+    let inRange = true;
+    for (let i = 0; i < 10000; i++) {
+        const v = rand();
+        if (!(v >= 0 && v < 1)) inRange = false;
+    }
+    assert(inRange, 'createSeededRandom: 10k draws in [0, 1)');
+    const a = createSeededRandom(7), b = createSeededRandom(7), c = createSeededRandom(8);
+    const seqA = [a(), a(), a()], seqB = [b(), b(), b()], seqC = [c(), c(), c()];
+    assert(seqA.every((v, i) => v === seqB[i]), 'Same seed → same sequence');
+    assert(seqA.some((v, i) => v !== seqC[i]), 'Different seed → different sequence');
+
+    const runSession = (engine) => {
+        const out = [];
+        for (let s = 0; s < 2000; s++) {
+            const wk = ['1x', '3x', '5x', '8x'][s % 4];
+            const tier = ['t3', 't2', 't1', 'boss'][s % 3];
+            const cv = (s % 7 === 0) ? 5 : 1;
+            if (wk === '3x') {
+                out.push(engine.handleShotgunHit('p1', 'f_' + (s >> 2), wk, tier, s % 2 === 0, cv));
+            } else if (wk === '1x') {
+                out.push(engine.handleSingleTargetHit('p1', 'f_' + (s >> 2), wk, tier, s % 2 === 0, cv));
+            } else {
+                const hitList = [{ fishId: 'f_' + (s >> 2), tier }, { fishId: 'g_' + s, tier: 't3' }];
+                out.push(engine.handleMultiTargetHit('p1', hitList, wk, wk === '8x' ? 'laser' : 'aoe', s % 2 === 0, cv));
+            }
+        }
+        return out;
+    };
+    const strip = (results) => JSON.stringify(results, (k, v) => (k === 'killEventId' ? undefined : v));
+
+    const e1 = new ClientRTPPhase1({ seed: 1234, recordShots: true });
+    const e2 = new ClientRTPPhase1({ seed: 1234 });
+    const r1 = runSession(e1);
+    const r2 = runSession(e2);
+    assert(strip(r1) === strip(r2), 'Same seed: 2000 mixed shots give identical outcomes');
+    assert(e1.playerStates.get('p1').budgetRemainingFp === e2.playerStates.get('p1').budgetRemainingFp,
+        'Same seed: identical final budget');
+
+    const e3 = new ClientRTPPhase1({ seed: 4321 });
+    assert(strip(runSession(e3)) !== strip(r1), 'Different seed: outcomes differ');
+
+    assert(e1.shotLog.length === 2000, `Shot log records every hit (${e1.shotLog.length})`);
+    const replay = ClientRTPPhase1.replay(e1.seed, e1.shotLog);
+    assert(strip(replay.results) === strip(r1), 'Replay from seed + shot log reproduces every result');
+    assert(replay.engine.playerStates.get('p1').budgetRemainingFp === e1.playerStates.get('p1').budgetRemainingFp,
+        'Replay reproduces final budget');
+
+    // Bounded log (CONFIG.rtp.replayLogShots in game.js): the kept window replays from its checkpoint
+    const bounded = new ClientRTPPhase1({ seed: 1234, recordShots: 300 });
+    const rBounded = runSession(bounded);
+    assert(strip(rBounded) === strip(r1), 'Bounded log does not change outcomes');
+    assert(bounded.shotLog.length <= 601 && bounded.shotLog[0].kind === 'checkpoint',
+        `Bounded log keeps the last window behind a checkpoint (${bounded.shotLog.length} entries)`);
+    const kept = bounded.shotLog.filter(shot => shot.kind !== 'checkpoint').length;
+    const boundedReplay = ClientRTPPhase1.replay(bounded.seed, bounded.shotLog);
+    assert(kept >= 300 && strip(boundedReplay.results) === strip(rBounded.slice(-kept)), `Bounded log replays the last ${kept} hits`);
+    assert(boundedReplay.engine.playerStates.get('p1').budgetRemainingFp === bounded.playerStates.get('p1').budgetRemainingFp,
+        'Bounded replay reproduces final budget');
+
+    const origRandom = Math.random;
+    Math.random = () => 0.0;
+    const injected = new ClientRTPPhase1({ random: () => 0.999999 });
+    const rInjected = injected.handleSingleTargetHit('p1', 'f1', '1x', 't3', false);
+    Math.random = origRandom;
+    assert(rInjected.kill === false, 'Injected random source is used instead of Math.random');
+    assert(injected.seed === null, 'Injected random source has no seed');
+}
+console.log('  Seeded RNG: OK\n');
+
+console.log('--- TEST AA: RTPLedger — Per-Player Session Statement ---');
+{
+    let clock = 1000;
+    const ledger = new RTPLedger({ sessionId: 'sess1', now: () => clock, budgetSampleIntervalMs: 0 });
+    const engine = new ClientRTPPhase1({ seed: 99, ledger });
+    let betFp = 0, winFp = 0, kills = 0;
+    for (let s = 0; s < 500; s++) {
+        clock += 100;
+        const cv = s < 250 ? 1 : 2;
+        const isAuto = s % 2 === 1;
+        ledger.recordBet('p1', '1x', cv, isAuto, 1000 * cv);
+        betFp += 1000 * cv;
+        const r = engine.handleSingleTargetHit('p1', 'f_' + Math.floor(s / 4), '1x', s % 3 === 0 ? 't2' : 't3', isAuto, cv);
+        if (r.kill) { winFp += r.rewardFp; kills++; }
+    }
+    ledger.recordBet('p2', '8x', 1, false, 8000);
+    engine.handleSingleTargetHit('p2', 'g1', '8x', 't3', false, 1);
+
+    const st = ledger.getStatement();
+    const p1 = st.players.find(p => p.playerId === 'p1');
+    const p2 = st.players.find(p => p.playerId === 'p2');
+    assert(st.sessionId === 'sess1' && st.players.length === 2, 'Statement covers both players');
+    assert(p1.totals.betFp === betFp, `p1 bets: ${p1.totals.betFp} === ${betFp}`);
+    assert(p1.totals.winFp === winFp, `p1 wins: ${p1.totals.winFp} === ${winFp}`);
+    assert(p1.totals.kills.probability + p1.totals.kills.hard_pity === kills, `p1 kills by reason sum to ${kills}`);
+    assert(p1.rows.length === 4, `p1 rows: 1x × {manual, auto} × {cv1, cv2} = ${p1.rows.length}`);
+    const tierWin = p1.rows.reduce((sum, row) => sum + Object.values(row.tiers).reduce((a, t) => a + t.winFp, 0), 0);
+    assert(tierWin === winFp, 'Per-tier wins add up to total wins');
+    assert(p1.budget.currentFp === engine.getBudgetRemainingFp('p1'), 'Ledger budget tracks engine budget');
+    assert(p1.budget.samples.length > 0 && p1.budget.maxDebtFp >= 0, `Budget timeline sampled (${p1.budget.samples.length} points)`);
+    assert(p2.totals.kills.hard_pity === 1 && p2.rows[0].tiers.t3.winFp === 7840, 'p2 8x T3 hard pity recorded');
+
+    const csv = ledger.toCSV().trim().split('\n');
+    assert(csv[0].startsWith('session_id,player_id,weapon,mode,coin_value,tier'), 'CSV header');
+    const allRows = csv.filter(l => l.split(',')[5] === 'ALL');
+    const csvBet = allRows.reduce((sum, l) => sum + Math.round(parseFloat(l.split(',')[7]) * RTP_MONEY_SCALE), 0);
+    assert(csvBet === betFp + 8000, `CSV bet total: ${csvBet} === ${betFp + 8000}`);
+    assert(JSON.parse(JSON.stringify(ledger)).players.length === 2, 'JSON export round-trips');
+
+    const small = new RTPLedger({ now: () => clock++, budgetSampleIntervalMs: 0, maxBudgetSamples: 100 });
+    for (let i = 0; i < 1000; i++) small.recordBudget('p', i);
+    const samples = small.getStatement().players[0].budget.samples;
+    assert(samples.length <= 100, `Budget timeline bounded: ${samples.length} <= 100`);
+    assert(samples[samples.length - 1].budgetFp === 999, 'Newest budget sample kept after downsampling');
+}
+console.log('  RTPLedger: OK\n');
+
+console.log('--- TEST AB: RTP Profiles — rtp_profiles.json ---');
+{
+    const set = loadRTPProfiles(RTP_PROFILES_DOC, { species: Object.keys(FISH_SPECIES_TO_RTP_TIER) });
+    for (const name of ['entertainment', 'real-money', 'promotional']) {
+        assert(!!set.profiles[name], `Profile ${name} defined`);
+        assert(/^[0-9a-f]{8}$/.test(set.profiles[name].hash), `${name} hash = ${set.profiles[name].hash}`);
+        assert(set.profiles[name].version === RTP_PROFILES_DOC.version, `${name} carries file version`);
+    }
+    const ent = set.profiles.entertainment;
+    assert(JSON.stringify(ent.weaponRtpManualFp) === JSON.stringify(RTP_WEAPON_RTP_MANUAL_FP) &&
+        JSON.stringify(ent.weaponRtpAutoFp) === JSON.stringify(RTP_WEAPON_RTP_AUTO_FP) &&
+        JSON.stringify(ent.tiers) === JSON.stringify(RTP_TIER_CONFIG),
+        'entertainment profile matches built-in tables');
+    assert(loadRTPProfiles(RTP_PROFILES_DOC).profiles.promotional.hash === set.profiles.promotional.hash, 'Hash is stable across loads');
+    assert(set.profiles.promotional.hash !== ent.hash, 'Different tables give different hashes');
+
+    const broken = (mutate) => {
+        const doc = JSON.parse(JSON.stringify(RTP_PROFILES_DOC));
+        mutate(doc);
+        return validateRTPProfiles(doc, { species: ['clownfish'] });
+    };
+    assert(validateRTPProfiles(RTP_PROFILES_DOC).length === 0, 'Shipped profiles validate');
+    assert(broken(d => { d.profiles.promotional.tiers.t2.rewardManualFp = 10000; }).some(e => e.includes('t2') && e.includes('n1Fp')), 'Rejects reward >= n1');
+    assert(broken(d => { d.profiles['real-money'].weaponRtpManualFp['8x'] = 10500; }).some(e => e.includes('real-money.weaponRtpManualFp.8x')), 'Rejects RTP above range');
+    assert(broken(d => { d.profiles.entertainment.weaponRtpAutoFp['1x'] = 7000; }).length > 0, 'Rejects RTP below range');
+    assert(broken(d => { delete d.profiles.entertainment.tiers.boss; }).some(e => e.includes('tiers.boss is missing')), 'Rejects missing mapped tier');
+    assert(broken(d => { d.defaultProfile = 'vip'; }).some(e => e.includes('defaultProfile')), 'Rejects unknown default profile');
+    assert(validateRTPProfiles(RTP_PROFILES_DOC, { species: ['kraken'] }).some(e => e.includes('kraken')), 'Rejects species without an RTP tier');
+    let threw = false;
+    try { loadRTPProfiles(Object.assign({}, RTP_PROFILES_DOC, { version: '' })); } catch (e) { threw = true; }
+    assert(threw, 'loadRTPProfiles throws on invalid document');
+
+    const ledger = new RTPLedger();
+    const promo = new ClientRTPPhase1({ seed: 5, profile: set.profiles.promotional, ledger });
+    const builtin = new ClientRTPPhase1({ seed: 5 });
+    promo.handleSingleTargetHit('p1', 'f1', '1x', 'boss', false, 1);
+    builtin.handleSingleTargetHit('p1', 'f1', '1x', 'boss', false, 1);
+    assert(promo.getBudgetRemainingFp('p1') === 930 && builtin.getBudgetRemainingFp('p1') === 920, 'Promotional profile injects 94% minus 1% jackpot on 1x manual');
+    assert(builtin.getProfileInfo().name === 'entertainment' && builtin.getProfileInfo().hash === RTP_BUILTIN_PROFILE.hash, 'Engine defaults to built-in profile');
+    assert(ledger.getStatement().rtpProfile.name === 'promotional' && ledger.getStatement().rtpProfile.hash === set.profiles.promotional.hash, 'Statement records active profile');
+
+    const rec = new ClientRTPPhase1({ seed: 77, recordShots: true, profile: set.profiles.promotional });
+    const live = [];
+    for (let i = 0; i < 300; i++) live.push(rec.handleSingleTargetHit('p1', 'f' + (i >> 3), '3x', 't2', i % 2 === 0, 1));
+    const replayed = ClientRTPPhase1.replay(77, rec.shotLog, set.profiles.promotional);
+    assert(JSON.stringify(replayed.results.map(r => r.kill)) === JSON.stringify(live.map(r => r.kill)), 'Replay with profile reproduces kills');
+}
+console.log('  RTP Profiles: OK\n');
+
+console.log('--- TEST AC: JackpotPool — Progressive Mini/Major/Grand ---');
+{
+    const jackpotCfg = loadRTPProfiles(RTP_PROFILES_DOC).profiles.entertainment.jackpot;
+    const pool = new JackpotPool(jackpotCfg, { random: createSeededRandom(4242) });
+    const seeds = { mini: 20000, major: 200000, grand: 1000000 };
+    assert(JSON.stringify(pool.getMeters()) === JSON.stringify(seeds), 'Meters start at their seeds');
+    assert(pool.contribute(1000) === 10 && pool.contribute(3333) === 33, '1% of each bet, floored');
+    assert(pool.tiers.mini.amountFp === 20000 && pool.tiers.mini.seedDebtFp === 20000 - 21, 'Contributions repay seed before the meter grows');
+
+    const invariant = () => {
+        const meters = Object.values(pool.tiers).reduce((a, t) => a + t.amountFp, 0);
+        const debt = Object.values(pool.tiers).reduce((a, t) => a + t.seedDebtFp, 0);
+        return pool.paidFp + meters === pool.contributedFp + debt;
+    };
+    assert(invariant(), 'paid + meters === contributed + seed debt');
+
+    const wins = { mini: 0, major: 0, grand: 0 };
+    let payoutsOk = true;
+    for (let i = 0; i < 200000; i++) {
+        pool.contribute(8000 * 10);
+        const tier = i % 4 === 0 ? 'boss' : (i % 4 === 1 ? 't1' : 't3');
+        const win = pool.rollOnKill(tier, 10);
+        if (win) {
+            wins[win.tier]++;
+            if (win.amountFp < seeds[win.tier] || pool.tiers[win.tier].amountFp !== seeds[win.tier]) payoutsOk = false;
+        }
+    }
+    assert(payoutsOk, 'Every win pays at least the seed and resets the meter to it');
+    assert(wins.mini > wins.major && wins.major > wins.grand && wins.grand > 0, `Win frequency mini > major > grand (${wins.mini}/${wins.major}/${wins.grand})`);
+    assert(invariant(), 'Accounting invariant holds after wins');
+    assert(pool.paidFp > pool.contributedFp * 0.9, `Long run pays back contributions (${pool.paidFp} vs ${pool.contributedFp})`);
+    assert(pool.rollOnKill('t3', 10) === null, 't3 kills never trigger');
+
+    const restored = new JackpotPool(jackpotCfg);
+    restored.restore(JSON.parse(JSON.stringify(pool)));
+    assert(JSON.stringify(restored.getMeters()) === JSON.stringify(pool.getMeters()) && restored.paidFp === pool.paidFp, 'Meters restore from JSON');
+
+    const ledger = new RTPLedger();
+    ledger.recordBet('p1', '1x', 1, false, 1000);
+    ledger.recordJackpot('p1', 'mini', 20000);
+    const p1 = ledger.getStatement().players[0];
+    assert(p1.totals.jackpotFp === 20000 && p1.totals.rtpPct === 2000, 'Jackpot wins count toward statement RTP');
+    assert(ledger.toCSV().includes(',jackpot_mini,1,,20.000,'), 'CSV lists jackpot wins');
+
+    const bad = JSON.parse(JSON.stringify(RTP_PROFILES_DOC));
+    bad.profiles.entertainment.jackpot.tiers.mini.shareFp = 4000;
+    bad.profiles.entertainment.jackpot.triggers.t9 = { mini: 10 };
+    const errs = validateRTPProfiles(bad);
+    assert(errs.some(e => e.includes('shares sum')) && errs.some(e => e.includes('t9')), 'Rejects bad jackpot shares and trigger tiers');
+}
+console.log('  JackpotPool: OK\n');
+
+console.log('--- TEST AD: Random Multiplier Fish — EV Preserved ---');
+{
+    const runRtp = (mult, tier, weaponKey) => {
+        const engine = new ClientRTPPhase1({ seed: 31337 });
+        const cost = RTP_WEAPON_COST_FP[weaponKey];
+        let bet = 0, win = 0, fish = 0, maxReward = 0;
+        let fishId = 'm' + fish;
+        engine.setFishMultiplier(fishId, mult);
+        for (let i = 0; i < 200000; i++) {
+            bet += cost;
+            const r = weaponKey === '1x'
+                ? engine.handleSingleTargetHit('p1', fishId, weaponKey, tier, false, 1)
+                : engine.handleMultiTargetHit('p1', [{ fishId, tier }], weaponKey, 'rocket', false, 1)[0];
+            if (r.kill) {
+                win += r.rewardFp;
+                maxReward = Math.max(maxReward, r.rewardFp);
+                engine.clearFishStates(fishId);
+                fishId = 'm' + (++fish);
+                engine.setFishMultiplier(fishId, mult);
+            }
+        }
+        return { rtp: win / bet * 100, kills: fish, maxReward };
+    };
+    const plain = runRtp(1, 't2', '1x');
+    const x10 = runRtp(10, 't2', '1x');
+    const x50rocket = runRtp(50, 't3', '5x');
+    assert(Math.abs(plain.rtp - 92) < 1 && Math.abs(x10.rtp - 92) < 1, `×10 fish keep 1x RTP: ${x10.rtp.toFixed(2)}% vs plain ${plain.rtp.toFixed(2)}%`);
+    assert(Math.abs(x50rocket.rtp - 96) < 2, `×50 fish keep 5x RTP: ${x50rocket.rtp.toFixed(2)}%`);
+    assert(x10.kills * 5 < plain.kills, `×10 fish die far less often (${x10.kills} vs ${plain.kills})`);
+    assert(x10.maxReward === 9200 * 10, 'Kill pays tier reward × multiplier');
+
+    const engine = new ClientRTPPhase1({ seed: 1 });
+    engine.setFishMultiplier('a', 20);
+    engine._getOrCreatePlayerState('p1').budgetRemainingFp = 10000000;
+    const r = engine.handleSingleTargetHit('p1', 'a', '1x', 't3', true, 3);
+    assert(r.kill && r.multiplier === 20 && r.rewardFp === 7680 * 3 * 20, 'Multiplier stacks with coinValue (auto reward × 3 × 20)');
+    engine.clearFishStates('a');
+    assert(engine.getFishMultiplier('a') === 1, 'clearFishStates drops the multiplier');
+
+    const noPity = new ClientRTPPhase1({ random: () => 0.999999 });
+    noPity.setFishMultiplier('b', 5);
+    let shotsToPity = 0;
+    for (let i = 0; i < 100; i++) {
+        shotsToPity++;
+        if (noPity.handleSingleTargetHit('p1', 'b', '1x', 't3', false, 1).kill) break;
+    }
+    assert(shotsToPity === 40, `Hard pity threshold scales with multiplier: ${shotsToPity} shots (8 × 5)`);
+
+    const cfg = loadRTPProfiles(RTP_PROFILES_DOC).profiles.entertainment.fishMultipliers;
+    const rng = createSeededRandom(7);
+    const counts = {};
+    let special = 0;
+    for (let i = 0; i < 100000; i++) {
+        const m = drawFishMultiplier(cfg, 't3', rng);
+        if (m > 1) { special++; counts[m] = (counts[m] || 0) + 1; }
+    }
+    assert(Math.abs(special / 100000 - cfg.spawnChancePFp / RTP_P_SCALE) < 0.005, `Spawn chance ≈ ${cfg.spawnChancePFp / 10000}% (${(special / 1000).toFixed(2)}%)`);
+    assert(counts[2] > counts[10] && counts[10] > counts[50] && counts[50] > 0, 'Weights favour small multipliers');
+    assert(drawFishMultiplier(cfg, 'boss', rng) === 1 && drawFishMultiplier(null, 't3', rng) === 1, 'Ineligible tiers / no config → ×1');
+
+    const rec = new ClientRTPPhase1({ seed: 9, recordShots: true });
+    const live = [];
+    for (let i = 0; i < 400; i++) {
+        if (i % 10 === 0) rec.setFishMultiplier('r' + (i / 10), 1 + (i / 10) % 4);
+        live.push(rec.handleSingleTargetHit('p1', 'r' + Math.floor(i / 10), '1x', 't3', false, 1));
+    }
+    const replayed = ClientRTPPhase1.replay(9, rec.shotLog);
+    assert(JSON.stringify(replayed.results.map(x => x.rewardFp || 0)) === JSON.stringify(live.map(x => x.rewardFp || 0)), 'Replay reproduces multiplier payouts');
+
+    const bad = JSON.parse(JSON.stringify(RTP_PROFILES_DOC));
+    bad.profiles.promotional.fishMultipliers.weights['1'] = 10;
+    assert(validateRTPProfiles(bad).some(e => e.includes('multiplier 1')), 'Rejects ×1 in multiplier weights');
+}
+console.log('  Multiplier Fish: OK\n');
+
+console.log('--- TEST AE: RTPLedger — Free-Shot Promotional Spend ---');
+{
+    const ledger = new RTPLedger({ sessionId: 'promo', now: () => 0 });
+    const engine = new ClientRTPPhase1({ seed: 5, ledger });
+    let winFp = 0;
+    for (let s = 0; s < 200; s++) {
+        const isPromo = s < 50;
+        ledger.recordBet('p1', '3x', 1, false, 3000, isPromo);
+        const r = engine.handleSingleTargetHit('p1', 'f' + s, '3x', 't3', false, 1);
+        if (r.kill) winFp += r.rewardFp;
+    }
+    const p1 = ledger.getStatement().players[0];
+    assert(p1.totals.shots === 150 && p1.totals.betFp === 450000, 'Paid shots/bet exclude free shots');
+    assert(p1.totals.promoShots === 50 && p1.totals.promoFp === 150000, 'Free shots tracked as promotional spend');
+    assert(p1.rows.length === 1, 'Free and paid shots share the weapon bucket');
+    assert(p1.totals.rtpPct === Math.round(winFp * 10000 / 600000) / 100, 'Statement RTP is over paid + promotional spend');
+    const csv = ledger.toCSV().trim().split('\n');
+    assert(csv[0].endsWith(',promo_shots,promo_spend'), 'CSV has promo columns');
+    assert(csv[1].split(',')[5] === 'ALL' && csv[1].endsWith(',50,150.000'), 'CSV row lists promo shots/spend');
+
+    // Free shots feed no jackpot, so their budget keeps the full weapon RTP
+    const entertainment = loadRTPProfiles(RTP_PROFILES_DOC).profiles.entertainment;
+    const jackpotShareFp = entertainment.jackpot.contributionFp;
+    const budgetAfter = (hit) => {
+        const e = new ClientRTPPhase1({ random: () => 0.999999, profile: entertainment });
+        hit(e);
+        return e.getBudgetRemainingFp('p1');
+    };
+    const paidManual = entertainment.weaponRtpManualFp;
+    assert(budgetAfter(e => e.handleSingleTargetHit('p1', 'f', '1x', 't3', false, 2)) === 2000 * (paidManual['1x'] - jackpotShareFp) / RTP_SCALE &&
+        budgetAfter(e => e.handleSingleTargetHit('p1', 'f', '1x', 't3', false, 2, true)) === 2000 * paidManual['1x'] / RTP_SCALE,
+        'Single hit: paid shot loses the jackpot share, free shot does not');
+    assert(budgetAfter(e => e.handleShotgunHit('p1', 'f', '3x', 't3', true, 1, true)) === 1000 * entertainment.weaponRtpAutoFp['3x'] / RTP_SCALE,
+        'Shotgun pellet from a free shot gets the full weapon RTP');
+    const multiHit = (e, isPromo) => e.handleMultiTargetHit('p1', [{ fishId: 'a', tier: 't3' }, { fishId: 'b', tier: 't2' }], '8x', 'laser', false, 1, isPromo);
+    assert(budgetAfter(e => multiHit(e, true)) - budgetAfter(e => multiHit(e, false)) === 8000 * jackpotShareFp / RTP_SCALE,
+        'Multi-target free shot keeps the jackpot share in the budget');
+    const promoRec = new ClientRTPPhase1({ seed: 6, recordShots: true, profile: entertainment });
+    for (let s = 0; s < 300; s++) promoRec.handleSingleTargetHit('p1', 'f' + (s >> 3), '1x', 't3', false, 1, s % 2 === 0);
+    const promoReplay = ClientRTPPhase1.replay(6, promoRec.shotLog, entertainment);
+    assert(promoReplay.engine.getBudgetRemainingFp('p1') === promoRec.getBudgetRemainingFp('p1'), 'Replay keeps the free-shot flag');
+}
+console.log('  Promotional Spend: OK\n');
+
+console.log('--- TEST AF: Budget State Persistence — Resume Across Sessions ---');
+(async () => {
+    const memory = {};
+    const storage = {
+        getItem: (k) => (k in memory ? memory[k] : null),
+        setItem: (k, v) => { memory[k] = String(v); },
+        removeItem: (k) => { delete memory[k]; }
+    };
+    let clock = 1000;
+    const HOUR = 60 * 60 * 1000;
+    const profiles = loadRTPProfiles(RTP_PROFILES_DOC);
+
+    // Session 1: build up debt and pity on a boss, then "refresh"
+    const e1 = new ClientRTPPhase1({ seed: 3, profile: profiles.profiles.entertainment });
+    const p1 = new RTPBudgetPersistence({ engine: e1, adapter: new LocalStorageRTPStateAdapter(storage), now: () => clock });
+    for (let i = 0; i < 300; i++) e1.handleSingleTargetHit('p1', 'k' + i, '1x', 't3', false, 1);
+    for (let i = 0; i < 5; i++) e1.handleSingleTargetHit('p1', 'big', '1x', 'boss', false, 1);
+    const budgetBefore = e1.getBudgetRemainingFp('p1');
+    const snapshot = e1.exportPlayerState('p1');
+    assert(snapshot.pityFp.boss === 5000 && snapshot.pityFp.t3 === 1000, `Most-advanced live fish per tier exported (${snapshot.pityFp.boss})`);
+    await p1.save('p1');
+
+    // Session 2: same budget, pity handed to the next boss
+    clock += HOUR;
+    const e2 = new ClientRTPPhase1({ seed: 4, profile: profiles.profiles.entertainment, recordShots: true });
+    const p2 = new RTPBudgetPersistence({ engine: e2, adapter: new LocalStorageRTPStateAdapter(storage), now: () => clock });
+    let r = await p2.resume('p1');
+    assert(r.resumed && r.reason === 'resumed', 'Fresh state resumes');
+    assert(e2.getBudgetRemainingFp('p1') === budgetBefore, `Budget resumed: ${e2.getBudgetRemainingFp('p1')} === ${budgetBefore}`);
+    r = await p2.resume('p1');
+    assert(r.reason === 'already_resumed' && e2.getBudgetRemainingFp('p1') === budgetBefore, 'Second resume does not double-count');
+    e2.handleSingleTargetHit('p1', 'next', '1x', 'boss', false, 1);
+    assert(e2.fishStates.get('p1:next').sumCostFp === 6000, 'Next boss inherits pity progress');
+    assert(e2.exportPlayerState('p1').pityFp.t3 === 1000, 'Carry is per tier: T3 progress still pending');
+    const replayed = ClientRTPPhase1.replay(4, e2.shotLog, profiles.profiles.entertainment);
+    assert(replayed.engine.getBudgetRemainingFp('p1') === e2.getBudgetRemainingFp('p1'), 'Replay includes the resumed state');
+
+    // Expiry policies
+    const stale = (budgetFp) => ({ version: 1, savedAt: clock - 2 * HOUR,
+        state: { playerId: 'p9', profileHash: profiles.profiles.entertainment.hash, budgetRemainingFp: budgetFp, pityFp: { t1: 5000 } } });
+    const run = async (expiry, budgetFp) => {
+        storage.setItem('rtpState:p9', JSON.stringify(stale(budgetFp)));
+        const engine = new ClientRTPPhase1({ profile: profiles.profiles.entertainment });
+        const persistence = new RTPBudgetPersistence({ engine, adapter: new LocalStorageRTPStateAdapter(storage), maxAgeMs: HOUR, expiry, now: () => clock });
+        const result = await persistence.resume('p9');
+        return { result, engine, stored: storage.getItem('rtpState:p9') };
+    };
+    let out = await run(RTP_STATE_EXPIRY.DISCARD, 5000);
+    assert(!out.result.resumed && out.result.reason === 'expired' && out.stored === null, 'discard: stale state dropped');
+    out = await run(RTP_STATE_EXPIRY.FORGIVE_DEBT, 5000);
+    assert(out.result.reason === 'expired_forgiven' && out.engine.getBudgetRemainingFp('p9') === 5000 &&
+        !out.engine.exportPlayerState('p9').pityFp.t1, 'forgive_debt: credit kept, pity dropped');
+    out = await run(RTP_STATE_EXPIRY.FORGIVE_DEBT, -90000);
+    assert(!out.result.resumed && out.engine.getBudgetRemainingFp('p9') === 0, 'forgive_debt: stale debt forgiven');
+    out = await run(RTP_STATE_EXPIRY.KEEP, -90000);
+    assert(out.result.resumed && out.engine.getBudgetRemainingFp('p9') === -90000, 'keep: never expires');
+
+    storage.setItem('rtpState:p9', JSON.stringify(Object.assign(stale(100), { savedAt: clock })));
+    const promo = new ClientRTPPhase1({ profile: profiles.profiles.promotional });
+    r = await new RTPBudgetPersistence({ engine: promo, adapter: new LocalStorageRTPStateAdapter(storage), now: () => clock }).resume('p9');
+    assert(r.reason === 'profile_mismatch' && storage.getItem('rtpState:p9') === null, 'State from another profile discarded');
+    let threw = false;
+    try { new RTPBudgetPersistence({ engine: promo, adapter: {}, expiry: 'sometimes' }); } catch (e) { threw = true; }
+    assert(threw, 'Unknown expiry policy rejected');
+
+    // Server adapter speaks plain REST through an injectable fetch
+    const server = {};
+    const calls = [];
+    const fetchImpl = async (url, init = {}) => {
+        const method = init.method || 'GET';
+        calls.push(method + ' ' + url);
+        const key = decodeURIComponent(url.split('/').pop());
+        if (method === 'PUT') { server[key] = init.body; return { ok: true, status: 204 }; }
+        if (method === 'DELETE') { delete server[key]; return { ok: true, status: 204 }; }
+        if (!(key in server)) return { ok: false, status: 404 };
+        return { ok: true, status: 200, json: async () => JSON.parse(server[key]) };
+    };
+    const adapter = new ServerRTPStateAdapter({ baseUrl: 'https://rtp.example/state/', fetchImpl });
+    assert(await adapter.load('p 1') === null, 'Server 404 → no saved state');
+    const srv = new RTPBudgetPersistence({ engine: e1, adapter, now: () => clock });
+    await srv.save('p1');
+    const e3 = new ClientRTPPhase1({ profile: profiles.profiles.entertainment });
+    r = await new RTPBudgetPersistence({ engine: e3, adapter, now: () => clock }).resume('p1');
+    assert(r.resumed && e3.getBudgetRemainingFp('p1') === budgetBefore, 'Server adapter round-trips state');
+    assert(calls[0] === 'GET https://rtp.example/state/p%201' && calls.includes('PUT https://rtp.example/state/p1'), 'Server adapter URLs');
+
+    console.log('  Budget Persistence: OK\n');
+})().then(() => {
+
+console.log('--- TEST AG: Ability Fish — Strikes Paid Through the Engine ---');
+{
+    assert(Object.keys(FISH_SPECIES_ABILITY).every(species => FISH_SPECIES_TO_RTP_TIER[species]), 'Every ability fish has an RTP tier');
+
+    // CONFIG.fishTiers in game.js (browser-only, read as source) carries the same `ability` names
+    const gameSource = require('fs').readFileSync(__dirname + '/game.js', 'utf8');
+    const fishTiersStart = gameSource.indexOf('\n    fishTiers: {');
+    const fishTiersSource = gameSource.slice(fishTiersStart, gameSource.indexOf('\n    },', fishTiersStart));
+    const gameAbilities = {};
+    let tierSpecies = null;
+    for (const line of fishTiersSource.split('\n')) {
+        const speciesMatch = /^ {8}(\w+): \{/.exec(line);
+        if (speciesMatch) tierSpecies = speciesMatch[1];
+        const abilityMatch = /\bability: '(\w+)'/.exec(line);
+        if (abilityMatch) gameAbilities[tierSpecies] = abilityMatch[1];
+    }
+    assert(fishTiersStart > 0 && Object.keys(gameAbilities).length > 0, 'Found CONFIG.fishTiers abilities in game.js');
+    assert(JSON.stringify(gameAbilities, Object.keys(gameAbilities).sort()) ===
+        JSON.stringify(FISH_SPECIES_ABILITY, Object.keys(FISH_SPECIES_ABILITY).sort()) &&
+        Object.keys(gameAbilities).length === Object.keys(FISH_SPECIES_ABILITY).length,
+        'FISH_SPECIES_ABILITY matches the ability fields of CONFIG.fishTiers (' + JSON.stringify(gameAbilities) + ')');
+    const profile = loadRTPProfiles(RTP_PROFILES_DOC).profiles.entertainment;
+    assert(JSON.stringify(profile.abilities) === JSON.stringify(RTP_ABILITY_CONFIG), 'Shipped abilities match the built-in fallback');
+
+    // Bomb kill: half the reward is held back for the strike
+    const engine = new ClientRTPPhase1({ seed: 21 });
+    engine.setFishAbility('crab', 'bomb');
+    engine._getOrCreatePlayerState('p1').budgetRemainingFp = 100000;
+    const kill = engine.handleSingleTargetHit('p1', 'crab', '1x', 't2', false, 1);
+    assert(kill.kill && kill.ability === 'bomb' && kill.abilityFundFp === 4600 && kill.rewardFp === 4600, `Bomb kill pays 50%, funds 50% (${kill.rewardFp} + ${kill.abilityFundFp})`);
+    const afterKill = engine.getBudgetRemainingFp('p1');
+    assert(afterKill === 100000 + 920 - 9200, 'Budget debited the full reward');
+    assert(engine.exportPlayerState('p1').budgetRemainingFp === afterKill + 4600, 'Pending strike counts toward the saved budget');
+
+    const targets = [];
+    for (let i = 0; i < 8; i++) targets.push({ fishId: 'n' + i, tier: 't3' });
+    const strike = engine.handleAbilityHit('p1', 'crab', targets);
+    assert(strike.length === RTP_ABILITY_CONFIG.bomb.maxTargets, `Bomb reaches maxTargets fish (${strike.length})`);
+    assert(strike.every(r => !r.kill || (r.reason === 'ability' && r.rewardFp === 7840)), 'Strike kills pay the target reward');
+    const strikePaid = strike.reduce((a, r) => a + (r.kill ? r.rewardFp : 0), 0);
+    assert(engine.getBudgetRemainingFp('p1') === afterKill + 4600 - strikePaid, 'Strike adds no budget beyond the held-back share');
+    assert(engine.handleAbilityHit('p1', 'crab', targets).length === 0, 'A strike resolves once');
+
+    // Lightning: the chain breaks at the first failed roll
+    const eel = new ClientRTPPhase1({ random: () => 0.999999 });
+    eel.setFishAbility('eel', 'lightning');
+    eel._getOrCreatePlayerState('p1').budgetRemainingFp = 100000;
+    for (let i = 0; i < 20 && !eel.handleSingleTargetHit('p1', 'eel', '1x', 't2', false, 1).kill; i++);
+    const chain = eel.handleAbilityHit('p1', 'eel', targets);
+    assert(chain.length === 1 && chain[0].reason === 'roll_failed', 'Lightning stops at its first miss');
+
+    // Chained ability fish: a bomb killed by a strike funds its own strike
+    const chained = new ClientRTPPhase1({ random: () => 0 });
+    chained.setFishAbility('b1', 'bomb');
+    chained.setFishAbility('b2', 'bomb');
+    chained._getOrCreatePlayerState('p1').budgetRemainingFp = 1000000;
+    chained.handleSingleTargetHit('p1', 'b1', '1x', 't2', false, 1);
+    const first = chained.handleAbilityHit('p1', 'b1', [{ fishId: 'b2', tier: 't2' }]);
+    assert(first[0].kill && first[0].ability === 'bomb' && first[0].abilityFundFp > 0, 'Bomb caught in a blast holds back its own share');
+    const second = chained.handleAbilityHit('p1', 'b2', [{ fishId: 'x', tier: 't3' }]);
+    assert(second.length === 1, 'Chained bomb strikes in turn');
+
+    // Shield: hits still accrue budget, no kill until the shield is gone
+    const turtle = new ClientRTPPhase1({ random: () => 0 });
+    turtle.setFishAbility('t', 'shield');
+    turtle._getOrCreatePlayerState('p1').budgetRemainingFp = 1000000;
+    const shieldResults = [];
+    for (let i = 0; i < RTP_ABILITY_CONFIG.shield.hits; i++) shieldResults.push(turtle.handleSingleTargetHit('p1', 't', '1x', 't1', false, 1));
+    assert(shieldResults.every(r => !r.kill && r.reason === 'shielded'), 'Shield absorbs its hit count');
+    assert(turtle.getBudgetRemainingFp('p1') === 1000000 + 920 * RTP_ABILITY_CONFIG.shield.hits && turtle.getFishShield('t') === 0, 'Shielded hits still accrue budget');
+    assert(turtle.handleMultiTargetHit('p1', [{ fishId: 't', tier: 't1' }], '5x', 'rocket', false, 1)[0].kill, 'Shield down: fish can die');
+
+    // Bonus: fixed multiplier on top of the spawn multiplier
+    const gold = new ClientRTPPhase1({ random: () => 0 });
+    gold.setFishMultiplier('g', 2);
+    gold.setFishAbility('g', 'bonus');
+    gold._getOrCreatePlayerState('p1').budgetRemainingFp = 1000000;
+    assert(gold.getFishMultiplier('g') === 6 && gold.handleSingleTargetHit('p1', 'g', '1x', 't3', false, 1).rewardFp === 7840 * 6, 'Gold fish pays reward × spawn × bonus multiplier');
+
+    // Long run: ability fish in the tank keep the weapon RTP, and every
+    // credit paid is matched by budget accrued from bets
+    const runTank = (seed) => {
+        const mc = new ClientRTPPhase1({ seed });
+        const species = ['bombCrab', 'electricEel', 'shieldTurtle', 'goldFish', 'clownfish', 'sardine', 'lionfish', 'grouper'];
+        const tank = [];
+        let next = 0, bet = 0, win = 0, injected = 0, abilityWin = 0;
+        const spawn = (slot) => {
+            const kind = species[next % species.length];
+            const fish = { fishId: 'f' + (next++), tier: FISH_SPECIES_TO_RTP_TIER[kind] };
+            mc.setFishAbility(fish.fishId, FISH_SPECIES_ABILITY[kind] || null);
+            tank[slot] = fish;
+        };
+        for (let i = 0; i < 12; i++) spawn(i);
+        const settle = (result) => {
+            if (!result.kill) return;
+            win += result.rewardFp;
+            if (result.reason === 'ability') abilityWin += result.rewardFp;
+            const slot = tank.findIndex(f => f.fishId === result.fishId);
+            if (result.abilityFundFp > 0) {
+                const hits = tank.filter(f => f.fishId !== result.fishId);
+                mc.handleAbilityHit('p1', result.fishId, hits).forEach(settle);
+            }
+            mc.clearFishStates(result.fishId);
+            spawn(slot);
+        };
+        for (let i = 0; i < 150000; i++) {
+            bet += 1000;
+            injected += 920;
+            settle(mc.handleSingleTargetHit('p1', tank[i % 12].fishId, '1x', tank[i % 12].tier, false, 1));
+        }
+        return { mc, rtp: win / bet * 100, abilityWin, conserved: win + mc.exportPlayerState('p1').budgetRemainingFp === injected };
+    };
+    const tank = runTank(5);
+    assert(Math.abs(tank.rtp - 92) < 1, `Tank with ability fish holds 1x RTP: ${tank.rtp.toFixed(2)}%`);
+    assert(tank.abilityWin > 0, `Strikes paid ${tank.abilityWin / RTP_MONEY_SCALE} credits`);
+    assert(tank.conserved, 'Paid + remaining budget === budget accrued from bets');
+    assert(runTank(6).conserved, 'Conservation holds for another seed');
+
+    const live = [];
+    const rec = new ClientRTPPhase1({ seed: 44, recordShots: true });
+    rec._getOrCreatePlayerState('p1').budgetRemainingFp = 0;
+    rec.setFishAbility('c', 'bomb');
+    for (let i = 0; i < 60; i++) {
+        const r = rec.handleSingleTargetHit('p1', 'c', '1x', 't2', false, 1);
+        live.push(r);
+        if (r.kill) { live.push(...rec.handleAbilityHit('p1', 'c', targets)); break; }
+    }
+    const replayed = ClientRTPPhase1.replay(44, rec.shotLog);
+    const flat = replayed.results.flat();
+    assert(JSON.stringify(flat.map(r => r.rewardFp || 0)) === JSON.stringify(live.map(r => r.rewardFp || 0)), 'Replay reproduces ability strikes');
+
+    const held = new ClientRTPPhase1({ random: () => 0 });
+    held.setFishAbility('c', 'bomb');
+    held._getOrCreatePlayerState('p1').budgetRemainingFp = 50000;
+    held.handleSingleTargetHit('p1', 'c', '1x', 't2', false, 1);
+    held.clearFishStates('c');
+    assert(held.getBudgetRemainingFp('p1') === 50000 + 920 - 4600, 'Clearing a fish before its strike returns the share to the budget');
+
+    // A bomb crab that escapes before its strike: the refund is part of the replay
+    const escape = new ClientRTPPhase1({ seed: 45, recordShots: true });
+    escape.setFishAbility('c', 'bomb');
+    const escapeLive = [];
+    for (let i = 0; i < 60; i++) {
+        const r = escape.handleSingleTargetHit('p1', 'c', '1x', 't2', false, 1);
+        escapeLive.push(r);
+        if (r.kill) break;
+    }
+    assert(escapeLive[escapeLive.length - 1].abilityFundFp > 0, 'Crab died holding a strike');
+    escape.clearFishStates('c');
+    for (let i = 0; i < 40; i++) escapeLive.push(escape.handleSingleTargetHit('p1', 's' + (i % 3), '1x', 't3', false, 1));
+    const escapeReplay = ClientRTPPhase1.replay(45, escape.shotLog);
+    assert(escape.shotLog.some(s => s.kind === 'clear_fish'), 'Clearing a fish is logged');
+    assert(escapeReplay.engine.getBudgetRemainingFp('p1') === escape.getBudgetRemainingFp('p1'), 'Replay refunds the escaped strike like the live engine');
+    const outcome = (r) => [r.kill, r.reason, r.rewardFp || 0].join(':');
+    assert(escapeReplay.results.map(outcome).join() === escapeLive.map(outcome).join(), 'Replay matches every hit after the escape');
+
+    // Bounded log: a gold fish and a strike funded before the checkpoint still replay
+    const windowed = new ClientRTPPhase1({ seed: 46, recordShots: 4 });
+    windowed.setFishAbility('g', 'bonus');
+    windowed.setFishAbility('c', 'bomb');
+    const windowedLive = [];
+    for (let i = 0; i < 60; i++) {
+        const r = windowed.handleSingleTargetHit('p1', 'c', '1x', 't2', false, 1);
+        windowedLive.push(r);
+        if (r.kill) break;
+    }
+    for (let i = 0; i < 5; i++) windowedLive.push(windowed.handleSingleTargetHit('p1', 's' + i, '1x', 't3', false, 1));
+    windowedLive.push(...windowed.handleAbilityHit('p1', 'c', [{ fishId: 'g', tier: 't3' }, { fishId: 's9', tier: 't3' }]));
+    for (let i = 0; i < 40 && !windowedLive[windowedLive.length - 1].kill; i++) {
+        windowedLive.push(windowed.handleSingleTargetHit('p1', 'g', '1x', 't3', false, 1));
+    }
+    assert(windowed.shotLog[0].kind === 'checkpoint' && !windowed.shotLog.some(shot => shot.kind === 'fish_ability'),
+        'Ability setup fell out of the bounded log');
+    const windowedReplay = ClientRTPPhase1.replay(46, windowed.shotLog);
+    const windowedResults = windowedReplay.results.flat();
+    assert(windowedResults.map(outcome).join() === windowedLive.slice(-windowedResults.length).map(outcome).join(),
+        'Bounded replay restores abilities and held strikes from the checkpoint');
+    assert(windowedReplay.engine.getBudgetRemainingFp('p1') === windowed.getBudgetRemainingFp('p1'), 'Bounded replay reproduces final budget');
+
+    const bad = JSON.parse(JSON.stringify(RTP_PROFILES_DOC));
+    bad.profiles.promotional.abilities.bomb.fundShareFp = 12000;
+    bad.profiles.promotional.abilities.bonus.multiplier = 1;
+    bad.profiles.promotional.abilities.freeze = {};
+    const errs = validateRTPProfiles(bad);
+    assert(errs.some(e => e.includes('bomb.fundShareFp')) && errs.some(e => e.includes('bonus.multiplier')) && errs.some(e => e.includes('freeze')), 'Rejects bad ability settings');
+    const noAbilities = new ClientRTPPhase1({ profile: Object.assign({}, profile, { abilities: null }) });
+    noAbilities.setFishAbility('c', 'bomb');
+    assert(noAbilities.getFishAbility('c') === null, 'Profiles without abilities spawn them as plain fish');
+}
+console.log('  Ability Fish: OK\n');
+
+console.log('--- TEST AH: Pity Cost Remaining — Read-Only Hard-Pity Progress ---');
+{
+    const e = new ClientRTPPhase1({ random: () => 0.999999 });
+    assert(e.getPityCostRemainingFp('p1', 'a', 't3', 1) === 8000, 'Unhit T3 fish needs the full N1');
+    assert(e.getPityCostRemainingFp('p1', 'a', 't3', 5) === 40000, 'Scales with coin value');
+    assert(e.getPityCostRemainingFp('p1', 'a', 'kraken', 1) === Infinity, 'Unknown tier never reaches pity');
+    assert(e.fishStates.size === 0, 'Query creates no fish state');
+
+    let hits = 0, killed = null;
+    while (!killed && hits < 20) {
+        const before = e.getPityCostRemainingFp('p1', 'a', 't3', 1);
+        const r = e.handleSingleTargetHit('p1', 'a', '1x', 't3', false, 1);
+        hits++;
+        if (r.kill) killed = { r, before };
+    }
+    assert(killed && killed.r.reason === 'hard_pity' && killed.before === 1000, 'Kill lands on the hit that covers the rest (' + (killed && killed.before) + ')');
+    assert(e.getPityCostRemainingFp('p1', 'a', 't3', 1) === Infinity, 'Killed fish drop out');
+
+    e.setFishMultiplier('m', 2);
+    e.handleMultiTargetHit('p1', [{ fishId: 'm', tier: 't3', distance: 1 }], '8x', 'laser', false, 1);
+    assert(e.getPityCostRemainingFp('p1', 'm', 't3', 1) === 16000 - 8000, 'Multiplier fish and multi-target hits share the threshold');
+
+    const resumed = new ClientRTPPhase1();
+    resumed.importPlayerState({ playerId: 'p1', budgetRemainingFp: 0, pityFp: { t2: 3000 } });
+    assert(resumed.getPityCostRemainingFp('p1', 'x', 't2', 1) === 7000, 'Unhit fish count carried pity');
+    assert(resumed.getPityCostRemainingFp('p1', 'y', 't2', 1) === 7000, 'Carry is not consumed by the query');
+}
+console.log('  Pity Cost: OK\n');
+
 console.log('\n========================================');
 console.log(`RESULTS: ${passed} passed, ${failed} failed`);
 console.log('========================================');
 if (failed > 0) process.exit(1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Local reference server: serves the game over HTTP and speaks BinarySocket
+ * Protocol V2 on /ws-game, so multiplayer can be played and debugged without
+ * the remote backend. See local_game_server.js and the "Local Reference
+ * Server" section of MULTIPLAYER_ARCHITECTURE.md.
+ *
+ * Open the printed URL; the ?server= parameter points MultiplayerManager at
+ * this process instead of MULTIPLAYER_CONFIG.serverUrl.
+ *
+ * Usage:
+ *   node scripts/local-server.js [--port N] [--host H] [--seed S] [--tick MS]
+ *                                [--profile NAME] [--no-static]
+ */
+
+const { LocalGameServer } = require('../local_game_server');
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+function usage(message) {
+    if (message) console.error('ERROR: ' + message);
+    console.error('Usage: node scripts/local-server.js [--port N] [--host H] [--seed S] [--tick MS] ' +
+        '[--profile NAME] [--no-static]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const opts = { port: 3000, host: '127.0.0.1', seed: undefined, tick: 50, profile: undefined, staticFiles: true };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        if (key === '--no-static') { opts.staticFiles = false; continue; }
+        if (key === '--help' || key === '-h') usage();
+        const value = argv[i + 1];
+        if (value === undefined) usage('missing value for ' + key);
+        i++;
+        if (key === '--port') opts.port = parseInt(value, 10);
+        else if (key === '--host') opts.host = value;
+        else if (key === '--seed') opts.seed = parseInt(value, 10);
+        else if (key === '--tick') opts.tick = parseInt(value, 10);
+        else if (key === '--profile') opts.profile = value;
+        else usage('unknown option ' + key);
+    }
+    if (!(opts.port >= 0 && opts.port <= 65535)) usage('--port must be 0..65535');
+    if (opts.seed !== undefined && !Number.isFinite(opts.seed)) usage('--seed must be an integer');
+    if (!(opts.tick >= 10)) usage('--tick must be at least 10 ms');
+    return opts;
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const server = new LocalGameServer({
+        port: opts.port,
+        host: opts.host,
+        seed: opts.seed,
+        tickMs: opts.tick,
+        rtpProfile: opts.profile,
+        staticRoot: opts.staticFiles ? undefined : null
+    });
+    server.start().then(({ url }) => {
+        if (opts.staticFiles) console.log('Play: ' + url + '/?server=' + encodeURIComponent(url));
+        const shutdown = () => server.stop().then(() => process.exit(0));
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    }, (error) => {
+        console.error('ERROR: ' + error.message);
+        process.exit(1);
+    });
+}
+
+main();
@@ -0,0 +1,460 @@
+/**
+ * 3D Fish Shooting Game - Snapshot Delta Compression
+ * Binary FISH_UPDATE encoding of room snapshots, shared by the local server
+ * (encoder) and MultiplayerManager (decoder).
+ *
+ * Loaded as a plain <script> in the browser, and via
+ * require('./snapshot_delta') from Node.
+ *
+ * Each snapshot is encoded against the newest snapshot the client has
+ * acknowledged (SNAPSHOT_ACK). Only entities whose quantized fields changed
+ * are sent, each with a bitmask of the fields present; entities missing from
+ * the new snapshot are listed as removed. When the encoder has no usable
+ * baseline (first snapshot, client asked for a full one, or the ack fell out
+ * of history) it sends a full snapshot instead, so a dropped packet costs one
+ * full snapshot rather than a desync.
+ *
+ * Quantization (server plane units; world = server * 10):
+ *   position  int16, SNAPSHOT_POSITION_SCALE steps per unit (±327 units)
+ *   velocity  heading uint16 over 2π + speed uint16 (SNAPSHOT_SPEED_SCALE)
+ *   balance   float64, never quantized
+ * Both ends keep the quantized integers, so the decoder reconstructs exactly
+ * what the encoder compared against.
+ *
+ * Wire format (big-endian):
+ *   u8 format | u8 flags | u32 seq | u32 baselineSeq (0 = full) | f64 timestamp
+ *   then for fish, bullets, players:
+ *     u16 removed, removed × str8 id
+ *     u16 changed, changed × (str8 id, u8 fieldMask, fields in bit order)
+ *   str8 = u8 byteLength + UTF-8
+ */
+
+const SNAPSHOT_DELTA_FORMAT = 1;
+const SNAPSHOT_FLAG_FULL = 0x01;
+const SNAPSHOT_POSITION_SCALE = 100;
+const SNAPSHOT_SPEED_SCALE = 100;
+const SNAPSHOT_ANGLE_STEPS = 65536;
+const SNAPSHOT_HISTORY_SIZE = 32;
+
+// SNAPSHOT_ACK flags
+const SNAPSHOT_ACK_FULL_REQUEST = 0x01;
+
+const SNAPSHOT_FISH_FIELDS = { STATIC: 0x01, POSITION: 0x02, HEIGHT: 0x04, VELOCITY: 0x08, HEALTH: 0x10 };
+const SNAPSHOT_BULLET_FIELDS = { STATIC: 0x01, POSITION: 0x02, VELOCITY: 0x04 };
+const SNAPSHOT_PLAYER_FIELDS = { STATIC: 0x01, BALANCE: 0x02, WEAPON: 0x04, AIM: 0x08 };
+
+function quantizePosition(value) {
+    return Math.max(-32768, Math.min(32767, Math.round((value || 0) * SNAPSHOT_POSITION_SCALE)));
+}
+
+function quantizeVelocity(vx, vz) {
+    vx = vx || 0;
+    vz = vz || 0;
+    const speed = Math.min(0xFFFF, Math.round(Math.hypot(vx, vz) * SNAPSHOT_SPEED_SCALE));
+    const turn = Math.atan2(vz, vx) / (2 * Math.PI);
+    const heading = speed === 0 ? 0 : ((Math.round(turn * SNAPSHOT_ANGLE_STEPS) % SNAPSHOT_ANGLE_STEPS) + SNAPSHOT_ANGLE_STEPS) % SNAPSHOT_ANGLE_STEPS;
+    return { heading, speed };
+}
+
+function dequantizeVelocity(heading, speed) {
+    const angle = heading / SNAPSHOT_ANGLE_STEPS * 2 * Math.PI;
+    const magnitude = speed / SNAPSHOT_SPEED_SCALE;
+    return { vx: magnitude * Math.cos(angle), vz: magnitude * Math.sin(angle) };
+}
+
+// ==================== ENTITY CODECS ====================
+// quantize(): snapshot entity -> integer record compared field by field
+// write()/read(): one field group per mask bit
+// expand(): integer record -> snapshot entity in _handleGameState shape
+
+const FISH_CODEC = {
+    fields: SNAPSHOT_FISH_FIELDS,
+    quantize(fish) {
+        const velocity = quantizeVelocity(fish.vx, fish.vz);
+        return {
+            id: String(fish.id),
+            type: fish.type || '',
+            tier: fish.tier || '',
+            maxHp: Math.max(0, Math.min(0xFFFF, Math.round(fish.maxHp || 0))),
+            isBoss: fish.isBoss ? 1 : 0,
+            x: quantizePosition(fish.x),
+            z: quantizePosition(fish.z),
+            y: quantizePosition(fish.y),
+            heading: velocity.heading,
+            speed: velocity.speed,
+            hp: Math.max(0, Math.min(0xFFFF, Math.round(fish.hp || 0)))
+        };
+    },
+    diff(prev, next) {
+        const F = SNAPSHOT_FISH_FIELDS;
+        if (!prev) return F.STATIC | F.POSITION | F.HEIGHT | F.VELOCITY | F.HEALTH;
+        let mask = 0;
+        if (prev.type !== next.type || prev.tier !== next.tier || prev.maxHp !== next.maxHp || prev.isBoss !== next.isBoss) mask |= F.STATIC;
+        if (prev.x !== next.x || prev.z !== next.z) mask |= F.POSITION;
+        if (prev.y !== next.y) mask |= F.HEIGHT;
+        if (prev.heading !== next.heading || prev.speed !== next.speed) mask |= F.VELOCITY;
+        if (prev.hp !== next.hp) mask |= F.HEALTH;
+        return mask;
+    },
+    write(w, mask, q) {
+        const F = SNAPSHOT_FISH_FIELDS;
+        if (mask & F.STATIC) { w.str8(q.type); w.str8(q.tier); w.u16(q.maxHp); w.u8(q.isBoss); }
+        if (mask & F.POSITION) { w.i16(q.x); w.i16(q.z); }
+        if (mask & F.HEIGHT) w.i16(q.y);
+        if (mask & F.VELOCITY) { w.u16(q.heading); w.u16(q.speed); }
+        if (mask & F.HEALTH) w.u16(q.hp);
+    },
+    read(r, mask, q) {
+        const F = SNAPSHOT_FISH_FIELDS;
+        if (mask & F.STATIC) { q.type = r.str8(); q.tier = r.str8(); q.maxHp = r.u16(); q.isBoss = r.u8(); }
+        if (mask & F.POSITION) { q.x = r.i16(); q.z = r.i16(); }
+        if (mask & F.HEIGHT) q.y = r.i16();
+        if (mask & F.VELOCITY) { q.heading = r.u16(); q.speed = r.u16(); }
+        if (mask & F.HEALTH) q.hp = r.u16();
+    },
+    expand(q) {
+        const velocity = dequantizeVelocity(q.heading, q.speed);
+        return {
+            id: q.id, type: q.type, tier: q.tier,
+            x: q.x / SNAPSHOT_POSITION_SCALE, y: q.y / SNAPSHOT_POSITION_SCALE, z: q.z / SNAPSHOT_POSITION_SCALE,
+            vx: velocity.vx, vz: velocity.vz,
+            hp: q.hp, maxHp: q.maxHp, isBoss: q.isBoss === 1
+        };
+    }
+};
+
+const BULLET_CODEC = {
+    fields: SNAPSHOT_BULLET_FIELDS,
+    quantize(bullet) {
+        const velocity = quantizeVelocity(bullet.vx, bullet.vz);
+        return {
+            id: String(bullet.id),
+            owner: bullet.owner || '',
+            weapon: bullet.weapon || '',
+            x: quantizePosition(bullet.x),
+            z: quantizePosition(bullet.z),
+            heading: velocity.heading,
+            speed: velocity.speed
+        };
+    },
+    diff(prev, next) {
+        const F = SNAPSHOT_BULLET_FIELDS;
+        if (!prev) return F.STATIC | F.POSITION | F.VELOCITY;
+        let mask = 0;
+        if (prev.owner !== next.owner || prev.weapon !== next.weapon) mask |= F.STATIC;
+        if (prev.x !== next.x || prev.z !== next.z) mask |= F.POSITION;
+        if (prev.heading !== next.heading || prev.speed !== next.speed) mask |= F.VELOCITY;
+        return mask;
+    },
+    write(w, mask, q) {
+        const F = SNAPSHOT_BULLET_FIELDS;
+        if (mask & F.STATIC) { w.str8(q.owner); w.str8(q.weapon); }
+        if (mask & F.POSITION) { w.i16(q.x); w.i16(q.z); }
+        if (mask & F.VELOCITY) { w.u16(q.heading); w.u16(q.speed); }
+    },
+    read(r, mask, q) {
+        const F = SNAPSHOT_BULLET_FIELDS;
+        if (mask & F.STATIC) { q.owner = r.str8(); q.weapon = r.str8(); }
+        if (mask & F.POSITION) { q.x = r.i16(); q.z = r.i16(); }
+        if (mask & F.VELOCITY) { q.heading = r.u16(); q.speed = r.u16(); }
+    },
+    expand(q) {
+        const velocity = dequantizeVelocity(q.heading, q.speed);
+        return {
+            id: q.id, owner: q.owner, weapon: q.weapon,
+            x: q.x / SNAPSHOT_POSITION_SCALE, z: q.z / SNAPSHOT_POSITION_SCALE,
+            vx: velocity.vx, vz: velocity.vz
+        };
+    }
+};
+
+const PLAYER_CODEC = {
+    fields: SNAPSHOT_PLAYER_FIELDS,
+    quantize(player) {
+        return {
+            id: String(player.id),
+            playerName: player.playerName || '',
+            slotIndex: player.slotIndex || 0,
+            isHost: player.isHost ? 1 : 0,
+            balance: player.balance || 0,
+            weapon: player.weapon || '',
+            hasAim: player.aim ? 1 : 0,
+            aimX: player.aim ? quantizePosition(player.aim.x) : 0,
+            aimZ: player.aim ? quantizePosition(player.aim.z) : 0
+        };
+    },
+    diff(prev, next) {
+        const F = SNAPSHOT_PLAYER_FIELDS;
+        if (!prev) return F.STATIC | F.BALANCE | F.WEAPON | F.AIM;
+        let mask = 0;
+        if (prev.playerName !== next.playerName || prev.slotIndex !== next.slotIndex || prev.isHost !== next.isHost) mask |= F.STATIC;
+        if (prev.balance !== next.balance) mask |= F.BALANCE;
+        if (prev.weapon !== next.weapon) mask |= F.WEAPON;
+        if (prev.hasAim !== next.hasAim || prev.aimX !== next.aimX || prev.aimZ !== next.aimZ) mask |= F.AIM;
+        return mask;
+    },
+    write(w, mask, q) {
+        const F = SNAPSHOT_PLAYER_FIELDS;
+        if (mask & F.STATIC) { w.str8(q.playerName); w.u8(q.slotIndex); w.u8(q.isHost); }
+        if (mask & F.BALANCE) w.f64(q.balance);
+        if (mask & F.WEAPON) w.str8(q.weapon);
+        if (mask & F.AIM) { w.u8(q.hasAim); w.i16(q.aimX); w.i16(q.aimZ); }
+    },
+    read(r, mask, q) {
+        const F = SNAPSHOT_PLAYER_FIELDS;
+        if (mask & F.STATIC) { q.playerName = r.str8(); q.slotIndex = r.u8(); q.isHost = r.u8(); }
+        if (mask & F.BALANCE) q.balance = r.f64();
+        if (mask & F.WEAPON) q.weapon = r.str8();
+        if (mask & F.AIM) { q.hasAim = r.u8(); q.aimX = r.i16(); q.aimZ = r.i16(); }
+    },
+    expand(q) {
+        return {
+            id: q.id, playerName: q.playerName, slotIndex: q.slotIndex, isHost: q.isHost === 1,
+            balance: q.balance, weapon: q.weapon,
+            aim: q.hasAim ? { x: q.aimX / SNAPSHOT_POSITION_SCALE, z: q.aimZ / SNAPSHOT_POSITION_SCALE } : null
+        };
+    }
+};
+
+// Section order on the wire
+const SNAPSHOT_SECTIONS = [['fish', FISH_CODEC], ['bullets', BULLET_CODEC], ['players', PLAYER_CODEC]];
+
+// ==================== BYTE WRITER / READER ====================
+
+class SnapshotWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    _reserve(size) {
+        if (this.length + size <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    u8(v) { this._reserve(1); this.view.setUint8(this.length, v); this.length += 1; }
+    u16(v) { this._reserve(2); this.view.setUint16(this.length, v, false); this.length += 2; }
+    i16(v) { this._reserve(2); this.view.setInt16(this.length, v, false); this.length += 2; }
+    u32(v) { this._reserve(4); this.view.setUint32(this.length, v >>> 0, false); this.length += 4; }
+    f64(v) { this._reserve(8); this.view.setFloat64(this.length, v, false); this.length += 8; }
+
+    str8(value) {
+        let encoded = this.encoder.encode(value);
+        if (encoded.length > 255) encoded = encoded.subarray(0, 255);
+        this.u8(encoded.length);
+        this._reserve(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    /** Patch a u16 written earlier (section counts are known only at the end). */
+    setU16(offset, v) { this.view.setUint16(offset, v, false); }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class SnapshotReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.decoder = new TextDecoder();
+    }
+
+    _take(size) {
+        if (this.offset + size > this.bytes.byteLength) throw new Error('Snapshot delta truncated');
+        const at = this.offset;
+        this.offset += size;
+        return at;
+    }
+
+    u8() { return this.view.getUint8(this._take(1)); }
+    u16() { return this.view.getUint16(this._take(2), false); }
+    i16() { return this.view.getInt16(this._take(2), false); }
+    u32() { return this.view.getUint32(this._take(4), false); }
+    f64() { return this.view.getFloat64(this._take(8), false); }
+
+    str8() {
+        const length = this.u8();
+        const at = this._take(length);
+        return this.decoder.decode(this.bytes.subarray(at, at + length));
+    }
+}
+
+// ==================== ENCODER (server) ====================
+
+/**
+ * Per-client encoder. The server calls encode() for every snapshot it would
+ * have sent as JSON, acknowledge() for every SNAPSHOT_ACK, and requestFull()
+ * when the client reports a missing baseline.
+ */
+class SnapshotDeltaEncoder {
+    constructor(options = {}) {
+        this.historySize = options.historySize || SNAPSHOT_HISTORY_SIZE;
+        this.history = new Map();   // seq -> { fish: Map, bullets: Map, players: Map } of quantized records
+        this.seq = 0;
+        this.ackedSeq = 0;
+        this.stats = { full: 0, delta: 0, bytes: 0 };
+    }
+
+    /** Client applied snapshot `seq`; later deltas may use it as baseline. */
+    acknowledge(seq) {
+        if (seq > this.ackedSeq && seq <= this.seq) this.ackedSeq = seq;
+    }
+
+    /** Client lost its baseline: the next snapshot is sent in full. */
+    requestFull() {
+        this.ackedSeq = 0;
+    }
+
+    /**
+     * @param {{timestamp: number, fish: Array, bullets: Array, players: Array}} snapshot
+     * @returns {Uint8Array} FISH_UPDATE payload
+     */
+    encode(snapshot) {
+        const seq = ++this.seq;
+        const baseline = this.history.get(this.ackedSeq) || null;
+        const baselineSeq = baseline ? this.ackedSeq : 0;
+
+        const w = new SnapshotWriter();
+        w.u8(SNAPSHOT_DELTA_FORMAT);
+        w.u8(baseline ? 0 : SNAPSHOT_FLAG_FULL);
+        w.u32(seq);
+        w.u32(baselineSeq);
+        w.f64(snapshot.timestamp || 0);
+
+        const state = {};
+        for (const [section, codec] of SNAPSHOT_SECTIONS) {
+            const current = new Map();
+            for (const entity of snapshot[section] || []) {
+                const q = codec.quantize(entity);
+                current.set(q.id, q);
+            }
+            state[section] = current;
+            const previous = baseline ? baseline[section] : new Map();
+
+            const removed = [];
+            for (const id of previous.keys()) {
+                if (!current.has(id)) removed.push(id);
+            }
+            w.u16(removed.length);
+            for (const id of removed) w.str8(id);
+
+            const countOffset = w.length;
+            w.u16(0);
+            let changed = 0;
+            for (const q of current.values()) {
+                const mask = codec.diff(previous.get(q.id), q);
+                if (mask === 0) continue;
+                w.str8(q.id);
+                w.u8(mask);
+                codec.write(w, mask, q);
+                changed++;
+            }
+            w.setU16(countOffset, changed);
+        }
+
+        this.history.set(seq, state);
+        this.history.delete(seq - this.historySize);
+        const bytes = w.finish();
+        this.stats[baseline ? 'delta' : 'full']++;
+        this.stats.bytes += bytes.length;
+        return bytes;
+    }
+}
+
+// ==================== DECODER (client) ====================
+
+/**
+ * Client side of the stream. decode() returns
+ *   { seq, snapshot }      - apply snapshot and acknowledge seq
+ *   { seq, needFull: true} - baseline unknown; ask for a full snapshot
+ *   null                   - older than what was already applied; ignore
+ */
+class SnapshotDeltaDecoder {
+    constructor(options = {}) {
+        this.historySize = options.historySize || SNAPSHOT_HISTORY_SIZE;
+        this.reset();
+    }
+
+    /** Forget every baseline (new room or reconnect). */
+    reset() {
+        this.history = new Map();
+        this.lastSeq = 0;
+    }
+
+    decode(bytes) {
+        const r = new SnapshotReader(bytes);
+        const format = r.u8();
+        if (format !== SNAPSHOT_DELTA_FORMAT) throw new Error('Unsupported snapshot delta format: ' + format);
+        const flags = r.u8();
+        const seq = r.u32();
+        const baselineSeq = r.u32();
+        const timestamp = r.f64();
+        if (seq <= this.lastSeq) return null;
+
+        const isFull = (flags & SNAPSHOT_FLAG_FULL) !== 0;
+        const baseline = isFull ? null : this.history.get(baselineSeq);
+        if (!isFull && !baseline) return { seq, needFull: true };
+
+        const state = {};
+        const snapshot = { timestamp };
+        for (const [section, codec] of SNAPSHOT_SECTIONS) {
+            const current = new Map(baseline ? baseline[section] : []);
+            const removedCount = r.u16();
+            for (let i = 0; i < removedCount; i++) current.delete(r.str8());
+            const changedCount = r.u16();
+            for (let i = 0; i < changedCount; i++) {
+                const id = r.str8();
+                const mask = r.u8();
+                const q = Object.assign({}, current.get(id) || { id });
+                codec.read(r, mask, q);
+                current.set(id, q);
+            }
+            state[section] = current;
+            snapshot[section] = Array.from(current.values(), q => codec.expand(q));
+        }
+
+        this.history.set(seq, state);
+        this.history.delete(seq - this.historySize);
+        this.lastSeq = seq;
+        return { seq, snapshot };
+    }
+}
+
+// Export for use in multiplayer.js
+if (typeof window !== 'undefined') {
+    window.SnapshotDeltaEncoder = SnapshotDeltaEncoder;
+    window.SnapshotDeltaDecoder = SnapshotDeltaDecoder;
+    window.SNAPSHOT_ACK_FULL_REQUEST = SNAPSHOT_ACK_FULL_REQUEST;
+}
+
+// Export for Node.js (local server, tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SNAPSHOT_DELTA_FORMAT,
+        SNAPSHOT_FLAG_FULL,
+        SNAPSHOT_POSITION_SCALE,
+        SNAPSHOT_SPEED_SCALE,
+        SNAPSHOT_ANGLE_STEPS,
+        SNAPSHOT_HISTORY_SIZE,
+        SNAPSHOT_ACK_FULL_REQUEST,
+        SNAPSHOT_FISH_FIELDS,
+        SNAPSHOT_BULLET_FIELDS,
+        SNAPSHOT_PLAYER_FIELDS,
+        quantizePosition,
+        quantizeVelocity,
+        dequantizeVelocity,
+        SnapshotDeltaEncoder,
+        SnapshotDeltaDecoder
+    };
+}
@@ -0,0 +1,195 @@
+const {
+    SNAPSHOT_FLAG_FULL,
+    SNAPSHOT_POSITION_SCALE,
+    SNAPSHOT_FISH_FIELDS,
+    quantizeVelocity,
+    dequantizeVelocity,
+    SnapshotDeltaEncoder,
+    SnapshotDeltaDecoder
+} = require('./snapshot_delta');
+const { LocalRoom, ROOM_FISH_TYPES } = require('./local_room');
+const { createSeededRandom } = require('./rtp_engine');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+function close(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+// Positions are within half a quantum, velocities within a speed step plus heading error
+function sameSnapshot(decoded, source) {
+    const q = 0.5 / SNAPSHOT_POSITION_SCALE + 1e-9;
+    if (decoded.fish.length !== source.fish.length) return false;
+    const byId = new Map(decoded.fish.map(f => [f.id, f]));
+    for (const fish of source.fish) {
+        const d = byId.get(fish.id);
+        if (!d || d.type !== fish.type || d.hp !== fish.hp || d.maxHp !== fish.maxHp || d.isBoss !== fish.isBoss) return false;
+        if (!close(d.x, fish.x, q) || !close(d.z, fish.z, q) || !close(d.y, fish.y, q)) return false;
+        if (!close(d.vx, fish.vx, 0.02) || !close(d.vz, fish.vz, 0.02)) return false;
+    }
+    if (decoded.bullets.length !== source.bullets.length || decoded.players.length !== source.players.length) return false;
+    const players = new Map(decoded.players.map(p => [p.id, p]));
+    return source.players.every(p => {
+        const d = players.get(p.id);
+        return d && d.balance === p.balance && d.weapon === p.weapon && d.slotIndex === p.slotIndex && d.isHost === p.isHost;
+    });
+}
+
+// 100 fish spread over the tank, swimming, plus the normal spawner topping it up
+function populatedRoom(seed) {
+    const room = new LocalRoom({ code: 'DELTA1', seed, now: () => room.timeMs, targetFishCount: 100, bossIntervalMs: 5000 });
+    const random = createSeededRandom(seed);
+    room.addPlayer('p1', 'One');
+    room.addPlayer('p2', 'Two');
+    for (let i = 0; i < 100; i++) {
+        const species = ROOM_FISH_TYPES[Math.floor(random() * ROOM_FISH_TYPES.length)];
+        room.spawnFish(species, { x: random() * 160 - 80, z: random() * 100 - 55, vx: random() * 4 - 2, vz: random() * 2 - 1 });
+    }
+    room.drainEvents();
+    return room;
+}
+
+console.log('=== Snapshot Delta Unit Tests ===\n');
+
+console.log('--- TEST A: Quantization ---');
+{
+    for (const [vx, vz] of [[10, 0], [0, -7.5], [-3.2, 4.4], [150, 0.01], [0, 0]]) {
+        const q = quantizeVelocity(vx, vz);
+        const v = dequantizeVelocity(q.heading, q.speed);
+        assert(close(v.vx, vx, 0.02) && close(v.vz, vz, 0.02), `Velocity (${vx}, ${vz}) survives heading/speed quantization`);
+    }
+    const stopped = quantizeVelocity(0, 0);
+    assert(stopped.heading === 0 && stopped.speed === 0, 'Zero velocity encodes as zero');
+}
+console.log('  Quantization: OK\n');
+
+console.log('--- TEST B: Full then Delta ---');
+{
+    const room = populatedRoom(7);
+    const encoder = new SnapshotDeltaEncoder();
+    const decoder = new SnapshotDeltaDecoder();
+
+    const first = room.snapshot();
+    const fullBytes = encoder.encode(first);
+    assert((fullBytes[1] & SNAPSHOT_FLAG_FULL) !== 0, 'First snapshot is full');
+    const full = decoder.decode(fullBytes);
+    assert(full.seq === 1 && sameSnapshot(full.snapshot, first), 'Full snapshot round-trips');
+    const jsonBytes = Buffer.byteLength(JSON.stringify(first));
+    assert(first.fish.length === 100, 'Room holds 100 fish');
+    assert(fullBytes.length * 3 < jsonBytes, `Full binary snapshot well under JSON (${fullBytes.length} vs ${jsonBytes})`);
+    encoder.acknowledge(full.seq);
+
+    room.tick(100);
+    const second = room.snapshot();
+    const deltaBytes = encoder.encode(second);
+    assert((deltaBytes[1] & SNAPSHOT_FLAG_FULL) === 0, 'Acked baseline gives a delta');
+    const delta = decoder.decode(deltaBytes);
+    assert(delta.seq === 2 && sameSnapshot(delta.snapshot, second), 'Delta reconstructs the new snapshot');
+    assert(deltaBytes.length < fullBytes.length / 2, `Delta smaller than full (${deltaBytes.length} vs ${fullBytes.length})`);
+
+    // Nothing moved: only headers and empty sections
+    const still = encoder.encode(second);
+    encoder.acknowledge(2);
+    const again = encoder.encode(second);
+    assert(again.length === 18 + 3 * 4, 'Unchanged snapshot encodes as header only (' + again.length + ')');
+    assert(decoder.decode(still).seq === 3 && decoder.decode(again).seq === 4, 'Decoder follows the sequence');
+    assert(decoder.decode(still) === null, 'Stale snapshot ignored');
+}
+console.log('  Full/Delta: OK\n');
+
+console.log('--- TEST C: Field Masks ---');
+{
+    const encoder = new SnapshotDeltaEncoder();
+    const decoder = new SnapshotDeltaDecoder();
+    const fish = { id: 'f1', type: 'clownfish', tier: 't3', x: 1, y: 0, z: 2, vx: 3, vz: 0, hp: 60, maxHp: 60, isBoss: false };
+    const base = { timestamp: 1, fish: [fish], bullets: [], players: [] };
+    decoder.decode(encoder.encode(base));
+    encoder.acknowledge(1);
+
+    const hit = Object.assign({}, fish, { hp: 40 });
+    const bytes = encoder.encode({ timestamp: 2, fish: [hit], bullets: [], players: [] });
+    // header 18 + removed 2 + changed 2 + id(1+2) + mask 1 + hp 2 + two empty sections 8
+    assert(bytes.length === 18 + 2 + 2 + 3 + 1 + 2 + 8, 'Only the health field is sent (' + bytes.length + ')');
+    assert(bytes[18 + 4 + 3] === SNAPSHOT_FISH_FIELDS.HEALTH, 'Mask names the health field');
+    const decoded = decoder.decode(bytes).snapshot.fish[0];
+    assert(decoded.hp === 40 && decoded.type === 'clownfish' && decoded.x === 1, 'Unchanged fields come from the baseline');
+
+    encoder.acknowledge(2);
+    const gone = decoder.decode(encoder.encode({ timestamp: 3, fish: [], bullets: [], players: [] }));
+    assert(gone.snapshot.fish.length === 0, 'Removed fish disappear');
+}
+console.log('  Field Masks: OK\n');
+
+console.log('--- TEST D: Packet Loss Fallback ---');
+{
+    const room = populatedRoom(11);
+    const encoder = new SnapshotDeltaEncoder();
+    const decoder = new SnapshotDeltaDecoder();
+    decoder.decode(encoder.encode(room.snapshot()));
+    encoder.acknowledge(1);
+
+    // Snapshot 2 is lost; the client never acks it and 3 still uses baseline 1
+    room.tick(100);
+    encoder.encode(room.snapshot());
+    room.tick(100);
+    const third = room.snapshot();
+    const r3 = decoder.decode(encoder.encode(third));
+    assert(r3.seq === 3 && sameSnapshot(r3.snapshot, third), 'Delta against the last acked baseline skips the lost packet');
+    encoder.acknowledge(3);
+
+    // Client restarted its decoder (e.g. rejected packet): baseline unknown
+    const fresh = new SnapshotDeltaDecoder();
+    room.tick(100);
+    const r4 = fresh.decode(encoder.encode(room.snapshot()));
+    assert(r4.needFull === true && r4.seq === 4, 'Missing baseline reported');
+    encoder.requestFull();
+    room.tick(100);
+    const fifth = room.snapshot();
+    const bytes5 = encoder.encode(fifth);
+    const r5 = fresh.decode(bytes5);
+    assert((bytes5[1] & SNAPSHOT_FLAG_FULL) !== 0 && sameSnapshot(r5.snapshot, fifth), 'Full snapshot recovers');
+
+    // Ack older than the history window falls back to full
+    const small = new SnapshotDeltaEncoder({ historySize: 4 });
+    small.encode(room.snapshot());
+    small.acknowledge(1);
+    for (let i = 0; i < 4; i++) small.encode(room.snapshot());
+    assert((small.encode(room.snapshot())[1] & SNAPSHOT_FLAG_FULL) !== 0, 'Expired baseline forces a full snapshot');
+    assert(small.stats.full === 2 && small.stats.delta === 4, 'Stats count full and delta snapshots');
+
+    let threw = false;
+    try { decoder.decode(bytes5.subarray(0, 30)); } catch (e) { threw = true; }
+    assert(threw, 'Truncated payload throws');
+}
+console.log('  Packet Loss: OK\n');
+
+console.log('--- TEST E: Bandwidth (100 fish, 10 Hz, 30 s) ---');
+{
+    const room = populatedRoom(3);
+    const encoder = new SnapshotDeltaEncoder();
+    const decoder = new SnapshotDeltaDecoder();
+    let jsonBytes = 0;
+    let ok = true;
+    for (let i = 0; i < 300; i++) {
+        room.tick(100);
+        const snapshot = room.snapshot();
+        jsonBytes += Buffer.byteLength(JSON.stringify(snapshot));
+        const result = decoder.decode(encoder.encode(snapshot));
+        ok = ok && sameSnapshot(result.snapshot, snapshot);
+        encoder.acknowledge(result.seq);
+    }
+    const ratio = encoder.stats.bytes / jsonBytes;
+    console.log(`  JSON ${(jsonBytes / 1024).toFixed(0)} KiB, delta ${(encoder.stats.bytes / 1024).toFixed(0)} KiB (${(ratio * 100).toFixed(1)}%)`);
+    assert(ok, 'Every decoded snapshot matches the server');
+    assert(ratio < 0.15, 'Delta stream under 15% of JSON');
+}
+console.log('  Bandwidth: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);
@@ -0,0 +1,110 @@
+/**
+ * 3D Fish Shooting Game - Auto-Fire Targeting Strategies
+ * How TargetingService chooses a fish when it needs a new lock.
+ *
+ * Loaded as a plain <script> before game.js in the browser, and via
+ * require('./targeting_strategies') from Node tests.
+ *
+ * Strategies only pick among fish the service may lock onto; boss priority,
+ * the sticky lock and the drop hysteresis stay in TargetingService. game.js
+ * turns live fish into plain candidates:
+ *   { id, idNum, x, y, z, distSq, radius, value, pityCostFp }
+ *   value       reward x spawn multiplier
+ *   pityCostFp  bet still needed before hard pity (null when unknown, e.g. multiplayer)
+ * and passes a context:
+ *   { origin, field, beamWidth, splashRadius, maxTargets }
+ *   origin      where the shot starts (laser beams run from here through the target)
+ *   field       every live fish that a beam or blast can catch (defaults to the candidates)
+ *
+ * Every strategy scores a candidate, higher is better. Ties go to the nearer
+ * fish, then the lower fish id, so a scan is deterministic.
+ */
+
+// Fish caught by a beam from origin through target (target included)
+function countAlongBeam(target, ctx) {
+    const o = ctx.origin;
+    const dx = target.x - o.x, dy = target.y - o.y, dz = target.z - o.z;
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (len < 1e-6) return 1;
+    const ux = dx / len, uy = dy / len, uz = dz / len;
+    const halfWidth = (ctx.beamWidth || 0) / 2;
+    let count = 0;
+    for (const f of ctx.field || [target]) {
+        const fx = f.x - o.x, fy = f.y - o.y, fz = f.z - o.z;
+        const t = fx * ux + fy * uy + fz * uz;
+        if (t < 0) continue;
+        const px = fx - ux * t, py = fy - uy * t, pz = fz - uz * t;
+        const reach = (f.radius || 0) + halfWidth;
+        if (px * px + py * py + pz * pz <= reach * reach) count++;
+    }
+    return ctx.maxTargets ? Math.min(count, ctx.maxTargets) : count;
+}
+
+// Fish inside a blast centred on target (target included)
+function countInBlast(target, ctx) {
+    const r = ctx.splashRadius || 0;
+    let count = 0;
+    for (const f of ctx.field || [target]) {
+        const dx = f.x - target.x, dy = f.y - target.y, dz = f.z - target.z;
+        const reach = r + (f.radius || 0);
+        if (dx * dx + dy * dy + dz * dz <= reach * reach) count++;
+    }
+    return ctx.maxTargets ? Math.min(count, ctx.maxTargets) : count;
+}
+
+const TARGETING_STRATEGIES = {
+    nearest: {
+        label: 'NEAREST',
+        score: (c) => -c.distSq
+    },
+    highestValue: {
+        label: 'TOP VALUE',
+        score: (c) => c.value || 0
+    },
+    lowestPity: {
+        label: 'NEAR PITY',
+        score: (c) => (c.pityCostFp === null || c.pityCostFp === undefined) ? -Infinity : -c.pityCostFp
+    },
+    laserLine: {
+        label: 'LINE',
+        score: countAlongBeam
+    },
+    aoeCluster: {
+        label: 'CLUSTER',
+        score: countInBlast
+    }
+};
+
+const TARGETING_STRATEGY_KEYS = Object.keys(TARGETING_STRATEGIES);
+
+/**
+ * Best candidate under a strategy (unknown keys fall back to nearest).
+ * Returns null when there are no candidates.
+ */
+function pickTargetByStrategy(strategyKey, candidates, ctx = {}) {
+    const strategy = TARGETING_STRATEGIES[strategyKey] || TARGETING_STRATEGIES.nearest;
+    let best = null, bestScore = -Infinity;
+    for (const c of candidates) {
+        const score = strategy.score(c, ctx);
+        if (best === null || score > bestScore ||
+            (score === bestScore && (c.distSq < best.distSq || (c.distSq === best.distSq && c.idNum < best.idNum)))) {
+            best = c;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.TARGETING_STRATEGIES = TARGETING_STRATEGIES;
+}
+
+// Export for Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TARGETING_STRATEGIES,
+        TARGETING_STRATEGY_KEYS,
+        pickTargetByStrategy
+    };
+}
@@ -0,0 +1,96 @@
+const { TARGETING_STRATEGIES, TARGETING_STRATEGY_KEYS, pickTargetByStrategy } = require('./targeting_strategies');
+const { RTP_LASER_MAX_TARGETS, RTP_ROCKET_MAX_TARGETS } = require('./rtp_engine');
+
+let passed = 0, failed = 0;
+function assert(cond, msg) {
+    if (cond) { passed++; }
+    else { failed++; console.log('  FAIL: ' + msg); }
+}
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+// Candidate as game.js builds it from a live fish
+function fish(id, x, y, z, extra) {
+    return Object.assign({
+        id: 'f' + id, idNum: id, x, y, z,
+        distSq: x * x + y * y + z * z,
+        radius: 15, value: 30, pityCostFp: 8000
+    }, extra);
+}
+
+function pickId(key, candidates, ctx) {
+    const pick = pickTargetByStrategy(key, candidates, ctx);
+    return pick ? pick.id : null;
+}
+
+console.log('=== Targeting Strategy Unit Tests ===\n');
+
+console.log('--- TEST A: Nearest and Tie-Breaks ---');
+{
+    const fishes = [fish(3, 0, 0, 300), fish(1, 0, 0, 200), fish(2, 200, 0, 0)];
+    assert(pickId('nearest', fishes) === 'f1', 'Nearest wins, equal distance goes to the lower id');
+    assert(pickId('unknown', fishes) === 'f1', 'Unknown strategy falls back to nearest');
+    assert(pickTargetByStrategy('nearest', []) === null, 'No candidates, no target');
+    assert(TARGETING_STRATEGY_KEYS.every(k => typeof TARGETING_STRATEGIES[k].label === 'string'), 'Every strategy has a UI label');
+}
+console.log('  Nearest: OK\n');
+
+console.log('--- TEST B: Highest Value and Lowest Pity Cost ---');
+{
+    const sardine = fish(1, 0, 0, 100, { value: 30, pityCostFp: 7000 });
+    const marlin = fish(2, 0, 0, 600, { value: 300, pityCostFp: 15000 });
+    const hurt = fish(3, 0, 0, 400, { value: 90, pityCostFp: 2000 });
+    const doubled = fish(4, 0, 0, 800, { value: 600, pityCostFp: 30000 });
+    assert(pickId('highestValue', [sardine, marlin, hurt, doubled]) === 'f4', 'Top value wins over distance');
+    assert(pickId('lowestPity', [sardine, marlin, hurt, doubled]) === 'f3', 'Closest to hard pity wins');
+
+    const unknown = [fish(1, 0, 0, 300, { pityCostFp: null }), fish(2, 0, 0, 100, { pityCostFp: null })];
+    assert(pickId('lowestPity', unknown) === 'f2', 'No pity data (multiplayer) falls back to nearest');
+}
+console.log('  Value/Pity: OK\n');
+
+console.log('--- TEST C: Laser Line ---');
+{
+    // Three fish stacked along +z, one lone fish nearer on +x
+    const column = [fish(1, 0, 0, 300), fish(2, 5, 0, 500), fish(3, -5, 0, 700)];
+    const lone = fish(4, 150, 0, 100);
+    const field = column.concat([lone]);
+    const ctx = { origin: ORIGIN, field, beamWidth: 8 };
+    assert(pickId('laserLine', field, ctx) === 'f1', 'Beam through the column beats the nearer lone fish');
+    assert(TARGETING_STRATEGIES.laserLine.score(lone, ctx) === 1, 'Lone fish counts only itself');
+    assert(TARGETING_STRATEGIES.laserLine.score(column[2], ctx) === 3, 'Aiming at the far end still catches the column');
+
+    const behind = fish(5, 0, 0, -300);
+    assert(TARGETING_STRATEGIES.laserLine.score(column[0], { origin: ORIGIN, field: field.concat([behind]), beamWidth: 8 }) === 3,
+        'Fish behind the muzzle are not on the beam');
+
+    // Only the fish the laser can pierce count
+    const school = [];
+    for (let i = 0; i < 10; i++) school.push(fish(10 + i, 0, 0, 200 + i * 40));
+    const capped = { origin: ORIGIN, field: school, beamWidth: 8, maxTargets: RTP_LASER_MAX_TARGETS };
+    assert(TARGETING_STRATEGIES.laserLine.score(school[0], capped) === RTP_LASER_MAX_TARGETS, 'Capped at the laser pierce limit');
+}
+console.log('  Laser Line: OK\n');
+
+console.log('--- TEST D: AoE Cluster ---');
+{
+    const cluster = [fish(1, 300, 0, 300), fish(2, 340, 0, 320), fish(3, 280, 20, 360), fish(4, 360, -10, 260)];
+    const near = fish(5, 0, 0, 150);
+    const field = cluster.concat([near]);
+    const ctx = { field, splashRadius: 120, maxTargets: RTP_ROCKET_MAX_TARGETS };
+    const pick = pickTargetByStrategy('aoeCluster', field, ctx);
+    assert(pick && pick.id !== 'f5', 'Rocket goes for the cluster, not the nearest fish');
+    assert(TARGETING_STRATEGIES.aoeCluster.score(pick, ctx) === 4, 'Whole cluster inside the splash');
+    assert(TARGETING_STRATEGIES.aoeCluster.score(near, ctx) === 1, 'Isolated fish scores itself only');
+
+    // Equal clusters: the nearer centre wins
+    const a = [fish(10, 0, 0, 200), fish(11, 30, 0, 200)];
+    const b = [fish(12, 0, 0, 600), fish(13, 30, 0, 600)];
+    assert(pickId('aoeCluster', a.concat(b), { field: a.concat(b), splashRadius: 50 }) === 'f10', 'Tie goes to the nearer cluster');
+}
+console.log('  Cluster: OK\n');
+
+console.log('\n========================================');
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+console.log('========================================');
+if (failed > 0) process.exit(1);